@@ -4,40 +4,96 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import useWalletAuth from '@/app/hooks/useWalletAuth';
 import { 
-  isAdmin, 
+  getRoles,
+  getRoleMembers,
+  grantRole,
+  revokeRole,
   getPendingRequests,
-  getRequestDetails,
+  getRequestDetailsBatch,
+  getApprovalThreshold,
+  setApprovalThreshold,
   approveIDRequest,
-  rejectIDRequest
+  rejectIDRequest,
+  getEncryptionPublicKey,
+  publishEncryptionKey
 } from '@/utils/blockchain';
 import { formatDuration } from '@/utils/formatting';
+import RegistryExplorer from '@/app/components/RegistryExplorer';
+import RenewalQueue from '@/app/components/RenewalQueue';
+import IdentityStatusManager from '@/app/components/IdentityStatusManager';
+import ActivityLog from '@/app/components/ActivityLog';
+
+// Roles shown in the role management section, in display order
+const ROLE_LABELS = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin',
+  ISSUER: 'Issuer',
+  VERIFIER: 'Verifier',
+  AUDITOR: 'Auditor'
+};
+
+// Roles that can be granted from the admin panel (OWNER follows contract ownership)
+const GRANTABLE_ROLES = ['ADMIN', 'ISSUER', 'VERIFIER', 'AUDITOR'];
+
+// Number of pending requests loaded per page
+const REQUESTS_PAGE_SIZE = 10;
+
+// Only the owner can manage admins; admins manage the remaining roles
+const getManageableRoles = (walletRoles) => {
+  if (walletRoles.isOwner) return GRANTABLE_ROLES;
+  if (walletRoles.isAdmin) return GRANTABLE_ROLES.filter(role => role !== 'ADMIN');
+  return [];
+};
 
 export default function AdminPage() {
   const router = useRouter();
   const { address, isConnected, connect, isConnecting, hasSession } = useWalletAuth();
   
   const [isAdminWallet, setIsAdminWallet] = useState(false);
+  const [roles, setRoles] = useState({});
+  const [roleMembers, setRoleMembers] = useState({});
+  const [roleToGrant, setRoleToGrant] = useState('ISSUER');
+  const [grantAddress, setGrantAddress] = useState('');
+  const [isUpdatingRoles, setIsUpdatingRoles] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [pendingRequests, setPendingRequests] = useState([]);
+  const [pendingTotal, setPendingTotal] = useState(0);
+  const [requestsPage, setRequestsPage] = useState(0);
   const [requestDetails, setRequestDetails] = useState({});
+  const [requestApprovals, setRequestApprovals] = useState({});
+  const [approvalThreshold, setApprovalThresholdValue] = useState(1);
+  const [newThreshold, setNewThreshold] = useState('');
+  const [isUpdatingThreshold, setIsUpdatingThreshold] = useState(false);
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  const [isPublishingKey, setIsPublishingKey] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const [expiryDuration, setExpiryDuration] = useState('30'); // Default 30 days
   const [rejectionReason, setRejectionReason] = useState('');
   const [processingRequestId, setProcessingRequestId] = useState(null);
 
-  // Check if connected wallet is admin
+  // Admins and the owner manage roles; issuers review requests; auditors have read-only access
+  const manageableRoles = getManageableRoles(roles);
+  const canManageRoles = manageableRoles.length > 0;
+  const canReviewRequests = roles.isIssuer;
+
+  // Check which roles the connected wallet holds on-chain
   useEffect(() => {
     const checkAdminStatus = async () => {
       if (address) {
         try {
-          const adminStatus = await isAdmin(address);
-          setIsAdminWallet(adminStatus);
+          const walletRoles = await getRoles(address);
+          setRoles(walletRoles);
+
+          const hasPanelAccess = walletRoles.isOwner || walletRoles.isAdmin || walletRoles.isIssuer || walletRoles.isAuditor;
+          setIsAdminWallet(hasPanelAccess);
           
-          if (!adminStatus) {
+          if (!hasPanelAccess) {
             setError('Access denied. This wallet does not have admin privileges.');
           } else {
             loadPendingRequests();
+            loadRoleMembers();
+            setEncryptionKey(await getEncryptionPublicKey(address));
           }
         } catch (err) {
           console.error("Error checking admin status:", err);
@@ -50,23 +106,38 @@ export default function AdminPage() {
     checkAdminStatus();
   }, [address]);
 
-  // Load pending ID requests
-  const loadPendingRequests = async () => {
+  // Load one page of pending ID requests
+  const loadPendingRequests = async (page = 0) => {
     try {
       setIsLoading(true);
-      const requests = await getPendingRequests();
+      const { requestIds: requests, total } = await getPendingRequests(page * REQUESTS_PAGE_SIZE, REQUESTS_PAGE_SIZE);
+      
+      // Step back a page if this one emptied out (e.g. after approving its last request)
+      if (requests.length === 0 && page > 0 && total > 0) {
+        await loadPendingRequests(Math.ceil(total / REQUESTS_PAGE_SIZE) - 1);
+        return;
+      }
+      
       setPendingRequests(requests);
+      setPendingTotal(total);
+      setRequestsPage(page);
       
-      // Load details for each request
-      const detailsPromises = requests.map(id => getRequestDetails(id));
-      const allDetails = await Promise.all(detailsPromises);
+      // Load details and approvals for the whole page in one multicall
+      const [batch, threshold] = await Promise.all([
+        getRequestDetailsBatch(requests),
+        getApprovalThreshold()
+      ]);
       
       const detailsMap = {};
-      requests.forEach((id, index) => {
-        detailsMap[id] = allDetails[index];
+      const approvalsMap = {};
+      requests.forEach((id) => {
+        detailsMap[id] = batch[id].details;
+        approvalsMap[id] = batch[id].approvals;
       });
       
       setRequestDetails(detailsMap);
+      setRequestApprovals(approvalsMap);
+      setApprovalThresholdValue(threshold);
       setIsLoading(false);
     } catch (err) {
       console.error("Error loading pending requests:", err);
@@ -75,6 +146,63 @@ export default function AdminPage() {
     }
   };
 
+  // Load the members of every role from the contract
+  const loadRoleMembers = async () => {
+    try {
+      const roleKeys = Object.keys(ROLE_LABELS);
+      const members = await Promise.all(roleKeys.map(role => getRoleMembers(role)));
+
+      const membersMap = {};
+      roleKeys.forEach((role, index) => {
+        membersMap[role] = members[index];
+      });
+
+      setRoleMembers(membersMap);
+    } catch (err) {
+      console.error("Error loading role members:", err);
+      setError('Failed to load role members. Please try again.');
+    }
+  };
+
+  // Grant the selected role to the entered address
+  const handleGrantRole = async () => {
+    try {
+      setIsUpdatingRoles(true);
+      setError('');
+      setSuccessMessage('');
+
+      await grantRole(roleToGrant, grantAddress.trim());
+      setSuccessMessage(`${ROLE_LABELS[roleToGrant]} role granted to ${grantAddress.trim()}.`);
+      setGrantAddress('');
+
+      await loadRoleMembers();
+    } catch (err) {
+      console.error("Error granting role:", err);
+      setError(`Failed to grant ${ROLE_LABELS[roleToGrant]} role. ${err.reason || err.message}`);
+    } finally {
+      setIsUpdatingRoles(false);
+    }
+  };
+
+  // Revoke a role from one of its members
+  const handleRevokeRole = async (role, member) => {
+    try {
+      setIsUpdatingRoles(true);
+      setError('');
+      setSuccessMessage('');
+
+      await revokeRole(role, member);
+      setSuccessMessage(`${ROLE_LABELS[role]} role revoked from ${member}.`);
+
+      await loadRoleMembers();
+    } catch (err) {
+      console.error("Error revoking role:", err);
+      setError(`Failed to revoke ${ROLE_LABELS[role]} role. ${err.reason || err.message}`);
+    } finally {
+      setIsUpdatingRoles(false);
+    }
+  };
+
   // Handle request approval
   const handleApprove = async (requestId) => {
     try {
@@ -82,14 +210,22 @@ export default function AdminPage() {
       setError('');
       setSuccessMessage('');
       
-      // Convert days to seconds
-      const durationInSeconds = parseInt(expiryDuration) * 24 * 60 * 60;
+      // Later approvers must confirm the expiry proposed by the first approver
+      const approvals = requestApprovals[requestId];
+      const durationInSeconds = approvals?.approvers.length > 0
+        ? approvals.expiryDuration
+        : parseInt(expiryDuration) * 24 * 60 * 60;
       
-      const idNumber = await approveIDRequest(requestId, durationInSeconds);
-      setSuccessMessage(`Request #${requestId} approved! ID #${idNumber} created successfully.`);
+      const result = await approveIDRequest(requestId, durationInSeconds);
+      if (result.minted) {
+        setSuccessMessage(`Request #${requestId} approved! ID #${result.idNumber} created successfully.`);
+      } else {
+        const remaining = result.required - result.approvals;
+        setSuccessMessage(`Approval recorded for request #${requestId}. ${remaining} more approval${remaining === 1 ? '' : 's'} needed.`);
+      }
       
       // Refresh the pending requests list
-      await loadPendingRequests();
+      await loadPendingRequests(requestsPage);
     } catch (err) {
       console.error("Error approving request:", err);
       setError(`Failed to approve request #${requestId}. ${err.message}`);
@@ -98,6 +234,45 @@ export default function AdminPage() {
     }
   };
 
+  // Update the number of approvals required to mint a request
+  const handleUpdateThreshold = async () => {
+    try {
+      setIsUpdatingThreshold(true);
+      setError('');
+      setSuccessMessage('');
+
+      const threshold = parseInt(newThreshold);
+      await setApprovalThreshold(threshold);
+      setSuccessMessage(`Approval threshold set to ${threshold}.`);
+      setNewThreshold('');
+
+      await loadPendingRequests(requestsPage);
+    } catch (err) {
+      console.error("Error updating approval threshold:", err);
+      setError(`Failed to update approval threshold. ${err.reason || err.message}`);
+    } finally {
+      setIsUpdatingThreshold(false);
+    }
+  };
+
+  // Publish this wallet's encryption key so new identity metadata is also encrypted for it
+  const handlePublishEncryptionKey = async () => {
+    try {
+      setIsPublishingKey(true);
+      setError('');
+      setSuccessMessage('');
+
+      const { publicKey } = await publishEncryptionKey();
+      setEncryptionKey(publicKey);
+      setSuccessMessage('Encryption key published. New identity requests will be readable by this wallet.');
+    } catch (err) {
+      console.error("Error publishing encryption key:", err);
+      setError(`Failed to publish encryption key. ${err.reason || err.message}`);
+    } finally {
+      setIsPublishingKey(false);
+    }
+  };
+
   // Handle request rejection
   const handleReject = async (requestId) => {
     try {
@@ -116,7 +291,7 @@ export default function AdminPage() {
       setRejectionReason('');
       
       // Refresh the pending requests list
-      await loadPendingRequests();
+      await loadPendingRequests(requestsPage);
     } catch (err) {
       console.error("Error rejecting request:", err);
       setError(`Failed to reject request #${requestId}. ${err.message}`);
@@ -185,7 +360,16 @@ export default function AdminPage() {
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <div className="flex justify-between items-center mb-6">
             <h1 className="text-2xl font-bold text-gray-800">BlockID Admin Panel</h1>
-            <span className="px-4 py-1 bg-green-100 text-green-800 rounded-full text-sm font-medium">Admin: {address?.slice(0, 6)}...{address?.slice(-4)}</span>
+            <div className="flex items-center space-x-2">
+              {Object.keys(ROLE_LABELS)
+                .filter(role => roles[`is${ROLE_LABELS[role]}`])
+                .map(role => (
+                  <span key={role} className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-xs font-medium">
+                    {ROLE_LABELS[role]}
+                  </span>
+                ))}
+              <span className="px-4 py-1 bg-green-100 text-green-800 rounded-full text-sm font-medium">{address?.slice(0, 6)}...{address?.slice(-4)}</span>
+            </div>
           </div>
           
           {error && (
@@ -202,8 +386,51 @@ export default function AdminPage() {
 
           <div className="mb-6">
             <h2 className="text-xl font-semibold text-gray-700 mb-4">Pending ID Requests</h2>
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+              <span>
+                Approval policy: <strong>{approvalThreshold}-of-{(roleMembers.ISSUER || []).length || '?'}</strong> issuers must approve before an ID is minted.
+              </span>
+              {roles.isAdmin && (
+                <>
+                  <input
+                    type="number"
+                    min="1"
+                    max={(roleMembers.ISSUER || []).length || undefined}
+                    placeholder="New threshold"
+                    className="border rounded p-1 w-32 text-sm"
+                    value={newThreshold}
+                    onChange={(e) => setNewThreshold(e.target.value)}
+                  />
+                  <button
+                    onClick={handleUpdateThreshold}
+                    className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-1 px-3 rounded transition duration-200"
+                    disabled={isUpdatingThreshold || !newThreshold}
+                  >
+                    {isUpdatingThreshold ? 'Updating...' : 'Update'}
+                  </button>
+                </>
+              )}
+            </div>
+            {(roles.isAdmin || roles.isIssuer) && (
+              <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+                {encryptionKey ? (
+                  <span>Encryption key published: <span className="font-mono">{encryptionKey.substring(0, 12)}...</span></span>
+                ) : (
+                  <span className="text-yellow-700">
+                    No encryption key published. Encrypted identity requests can&apos;t be read by this wallet.
+                  </span>
+                )}
+                <button
+                  onClick={handlePublishEncryptionKey}
+                  className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-1 px-3 rounded transition duration-200"
+                  disabled={isPublishingKey}
+                >
+                  {isPublishingKey ? 'Publishing...' : encryptionKey ? 'Republish Key' : 'Publish Encryption Key'}
+                </button>
+              </div>
+            )}
             <button
-              onClick={loadPendingRequests}
+              onClick={() => loadPendingRequests(requestsPage)}
               className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200 mb-4"
               disabled={isLoading}
             >
@@ -221,12 +448,19 @@ export default function AdminPage() {
                       <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">Requester</th>
                       <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">Requested At</th>
                       <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">IPFS Hash</th>
+                      <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">Approvals</th>
                       <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
                     {pendingRequests.map((requestId) => {
                       const details = requestDetails[requestId];
+                      const approvals = requestApprovals[requestId];
+                      const hasApproved = approvals?.approvers.some(
+                        approver => approver.toLowerCase() === address?.toLowerCase()
+                      );
+                      // A repeat approval is only useful to finalize a request whose threshold was lowered
+                      const canApprove = !hasApproved || approvals?.remaining === 0;
                       return (
                         <tr key={requestId}>
                           <td className="py-3 px-4 text-sm text-gray-800">{requestId.toString()}</td>
@@ -239,26 +473,52 @@ export default function AdminPage() {
                           <td className="py-3 px-4 text-sm text-gray-800">
                             {details?.ipfsHash}
                           </td>
+                          <td className="py-3 px-4 text-sm text-gray-800">
+                            <p className="font-medium">
+                              {approvals?.approvers.length || 0} / {approvals?.required || approvalThreshold}
+                              <span className="ml-1 text-gray-500 font-normal">
+                                ({approvals?.remaining ?? approvalThreshold} remaining)
+                              </span>
+                            </p>
+                            {approvals?.approvers.map(approver => (
+                              <p key={approver} className="font-mono text-xs text-gray-600">
+                                {approver.slice(0, 6)}...{approver.slice(-4)}
+                              </p>
+                            ))}
+                          </td>
                           <td className="py-3 px-4">
+                            {!canReviewRequests ? (
+                              <span className="text-sm text-gray-500">Issuer role required</span>
+                            ) : (
                             <div className="flex flex-col space-y-2">
-                              <div className="flex items-center">
-                                <label htmlFor={`expiry-${requestId}`} className="mr-2 text-sm text-gray-600">Expires in (days):</label>
-                                <input
-                                  id={`expiry-${requestId}`}
-                                  type="number"
-                                  min="1"
-                                  max="3650"
-                                  className="border rounded p-1 w-20 text-sm"
-                                  value={expiryDuration}
-                                  onChange={handleExpiryChange}
-                                />
-                              </div>
+                              {approvals?.approvers.length > 0 ? (
+                                <p className="text-sm text-gray-600">
+                                  Expires in: {formatDuration(approvals.expiryDuration)}
+                                </p>
+                              ) : (
+                                <div className="flex items-center">
+                                  <label htmlFor={`expiry-${requestId}`} className="mr-2 text-sm text-gray-600">Expires in (days):</label>
+                                  <input
+                                    id={`expiry-${requestId}`}
+                                    type="number"
+                                    min="1"
+                                    max="3650"
+                                    className="border rounded p-1 w-20 text-sm"
+                                    value={expiryDuration}
+                                    onChange={handleExpiryChange}
+                                  />
+                                </div>
+                              )}
                               <button
                                 onClick={() => handleApprove(requestId)}
-                                className="bg-green-600 hover:bg-green-700 text-white text-sm font-medium py-1 px-3 rounded transition duration-200"
-                                disabled={processingRequestId === requestId}
+                                className="bg-green-600 hover:bg-green-700 text-white text-sm font-medium py-1 px-3 rounded transition duration-200 disabled:opacity-50"
+                                disabled={processingRequestId === requestId || !canApprove}
                               >
-                                {processingRequestId === requestId ? 'Processing...' : 'Approve'}
+                                {processingRequestId === requestId
+                                  ? 'Processing...'
+                                  : hasApproved
+                                    ? (canApprove ? 'Finalize' : 'Approved')
+                                    : 'Approve'}
                               </button>
                               <div className="flex items-center">
                                 <input
@@ -277,14 +537,106 @@ export default function AdminPage() {
                                 </button>
                               </div>
                             </div>
+                            )}
                           </td>
                         </tr>
                       );
                     })}
                   </tbody>
                 </table>
+                <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                  <span>
+                    Showing {requestsPage * REQUESTS_PAGE_SIZE + 1}-{requestsPage * REQUESTS_PAGE_SIZE + pendingRequests.length} of {pendingTotal} pending requests
+                  </span>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => loadPendingRequests(requestsPage - 1)}
+                      className="px-3 py-1 border rounded disabled:opacity-50"
+                      disabled={isLoading || requestsPage === 0}
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => loadPendingRequests(requestsPage + 1)}
+                      className="px-3 py-1 border rounded disabled:opacity-50"
+                      disabled={isLoading || (requestsPage + 1) * REQUESTS_PAGE_SIZE >= pendingTotal}
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <RenewalQueue canRenew={roles.isAdmin} />
+
+          {(roles.isAdmin || roles.isVerifier) && <IdentityStatusManager canMigrate={roles.isAdmin} />}
+
+          <RegistryExplorer />
+
+          <div className="mb-6">
+            <ActivityLog searchable />
+          </div>
+
+          <div className="mb-6">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Roles</h2>
+
+            {canManageRoles && (
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                <select
+                  className="border rounded p-2 text-sm"
+                  value={roleToGrant}
+                  onChange={(e) => setRoleToGrant(e.target.value)}
+                >
+                  {manageableRoles.map(role => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Wallet address (0x...)"
+                  className="border rounded p-2 text-sm flex-grow"
+                  value={grantAddress}
+                  onChange={(e) => setGrantAddress(e.target.value)}
+                />
+                <button
+                  onClick={handleGrantRole}
+                  className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200"
+                  disabled={isUpdatingRoles || !grantAddress}
+                >
+                  {isUpdatingRoles ? 'Processing...' : 'Grant Role'}
+                </button>
               </div>
             )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.keys(ROLE_LABELS).map(role => (
+                <div key={role} className="border rounded-md p-4">
+                  <h3 className="font-medium text-gray-800 mb-2">{ROLE_LABELS[role]}s</h3>
+                  {(roleMembers[role] || []).length === 0 ? (
+                    <p className="text-sm text-gray-500">No members.</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {roleMembers[role].map(member => (
+                        <li key={member} className="flex justify-between items-center text-sm text-gray-700">
+                          <span className="font-mono">{member.slice(0, 6)}...{member.slice(-4)}</span>
+                          {manageableRoles.includes(role) && (
+                            <button
+                              onClick={() => handleRevokeRole(role, member)}
+                              className="text-red-600 hover:text-red-800 text-xs font-medium"
+                              disabled={isUpdatingRoles}
+                            >
+                              Revoke
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
           </div>
         </div>
       </div>
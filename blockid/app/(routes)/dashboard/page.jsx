@@ -15,17 +15,31 @@ import {
   requestIdentity,
   getUserRequests,
   getRequestDetails,
+  cancelRequest,
+  resubmitRequest,
   isAdmin,
   getPendingRequests,
   approveIDRequest,
   rejectIDRequest,
   createIdentityByAdmin,
   getAdminAddresses,
-  generateBytes32Hash
+  generateBytes32Hash,
+  getSigner,
+  getMetadataRecipients,
+  getIdentity,
+  getWalletBalance
 } from '@/utils/blockchain';
 import IDCard from '@/app/components/IDCard';
 import DigitalIDCard from '@/app/components/IDCardDisplay';
-import { generateUIDHash } from '@/utils/identity';
+import DisclosurePanel from '@/app/components/DisclosurePanel';
+import ActivityLog from '@/app/components/ActivityLog';
+import RenewalBanner from '@/app/components/RenewalBanner';
+import WalletMigration from '@/app/components/WalletMigration';
+import GuardianManager from '@/app/components/GuardianManager';
+import { generateUIDHash, computeIdentityHash, generateIdentitySalt, formatIdNumber } from '@/utils/identity';
+import { createCardClaims, encodeCardClaims, signPdfDocument, SIGNED_PDF_NAMESPACE } from '@/utils/signedPdf';
+import { getFromIPFS } from '@/utils/ipfs';
+import { uploadIdentityMetadata } from '@/utils/metadata';
 import { ethers } from 'ethers';
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
@@ -70,6 +84,8 @@ export default function Dashboard() {
     expiryDate: '',
     photoUrl: '',
     uniqueIdentityHash: '',
+    uidTimestamp: '',
+    salt: '',
     dateOfIssue: new Date().toISOString().split('T')[0],
     blockchainTxnHash: '',
     dateOfBirth: '',
@@ -88,6 +104,9 @@ export default function Dashboard() {
   const [userRequests, setUserRequests] = useState([]);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [requestDetails, setRequestDetails] = useState(null);
+  const [resubmitRequestId, setResubmitRequestId] = useState(null);
+  const [hasNoGas, setHasNoGas] = useState(false);
+  const [qrCredential, setQrCredential] = useState(null);
   const [hasExistingID, setHasExistingID] = useState(false);
   const [existingID, setExistingID] = useState(null);
   // Admin-specific states
@@ -276,6 +295,8 @@ export default function Dashboard() {
       })(),
       photoUrl: '',
       uniqueIdentityHash: '',
+      uidTimestamp: '',
+      salt: '',
       dateOfIssue: new Date().toISOString().split('T')[0],
       blockchainTxnHash: '',
       age: null
@@ -413,6 +434,7 @@ export default function Dashboard() {
           setCardPreview(null);
           setRequestStatus(null);
           setUserRequests([]);
+          setResubmitRequestId(null);
           
           // Request new signature for new account
           try {
@@ -454,6 +476,13 @@ export default function Dashboard() {
     }
   }, [address]);
   
+  // Wallets without ETH send their request through the gasless relayer
+  useEffect(() => {
+    if (address) {
+      getWalletBalance(address).then(balance => setHasNoGas(balance === 0n));
+    }
+  }, [address]);
+  
   // Check existing ID and requests
   const checkExistingIDAndRequests = async (walletAddress) => {
     console.log(`Checking existing ID for wallet: ${walletAddress}`);
@@ -506,10 +535,12 @@ export default function Dashboard() {
           const idNumber = await getIdentityByOwner(walletAddress);
           if (idNumber > 0) {
             console.log(`Found ID #${idNumber} on chain for ${walletAddress}`);
-            // Create a minimal ID object
+            // Create a minimal ID object; the card loads (and decrypts) the rest from ipfsHash
+            const onChainIdentity = await getIdentity(idNumber);
             const minimalID = {
               idNumber: `BID-${idNumber}`,
               walletAddress: walletAddress,
+              ipfsHash: onChainIdentity.ipfsHash,
               createdAt: new Date().toISOString(),
               role: 'Personal ID',
               organization: 'Sepolia Network Authority',
@@ -545,7 +576,7 @@ export default function Dashboard() {
             
             setRequestDetails({
               ...details,
-              requestedAt: new Date(Number(details.requestedAt) * 1000)
+              requestId: latestRequest
             });
             
             if (details.isApproved) {
@@ -554,6 +585,10 @@ export default function Dashboard() {
               setRequestStatus('rejected');
             } else if (details.isPending) {
               setRequestStatus('pending');
+            } else if (details.isCancelled) {
+              // A cancelled request doesn't block a new one
+              setRequestStatus('cancelled');
+              clearFormData();
             } else {
               setRequestStatus(null);
               clearFormData();
@@ -676,18 +711,18 @@ export default function Dashboard() {
     }
     
     try {
-      // Create a unique string from multiple user attributes for stronger uniqueness
-      const now = new Date().toISOString();
-      const uniqueString = `${formData.fullName}|${formData.email || ''}|${formData.dateOfBirth || ''}|${now}|${address}`;
-      
-      // Use Web Crypto API for more secure hashing
-      const encoder = new TextEncoder();
-      const data = encoder.encode(uniqueString);
-      
-      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-      const hashHex = '0x' + Array.from(new Uint8Array(hashBuffer))
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
+      // Hash multiple user attributes for stronger uniqueness. The timestamp and salt are kept
+      // in the metadata so authorised viewers can recompute the hash later.
+      const uidTimestamp = new Date().toISOString();
+      const salt = generateIdentitySalt();
+      const hashHex = computeIdentityHash({
+        fullName: formData.fullName,
+        email: formData.email,
+        dateOfBirth: formData.dateOfBirth,
+        uidTimestamp,
+        walletAddress: address,
+        salt
+      });
       
       console.log('Generated hash:', hashHex);
       
@@ -705,7 +740,9 @@ export default function Dashboard() {
       
       setFormData(prev => ({
         ...prev,
-        uniqueIdentityHash: hashHex
+        uniqueIdentityHash: hashHex,
+        uidTimestamp,
+        salt
       }));
       
       setErrorMessage('');
@@ -1068,7 +1105,146 @@ export default function Dashboard() {
     }
   };
 
+  // Withdraw the pending request
+  const handleCancelRequest = async () => {
+    if (!requestDetails?.requestId) return;
+    
+    try {
+      setIsLoading(true);
+      await cancelRequest(requestDetails.requestId);
+      toast.success(`Request #${requestDetails.requestId} cancelled.`);
+      await checkExistingIDAndRequests(address);
+    } catch (error) {
+      console.error("Error cancelling request:", error);
+      toast.error("Error cancelling request: " + (error.reason || error.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Load the rejected request's data into the form so it can be corrected and resubmitted
+  const handleEditAndResubmit = async () => {
+    if (!requestDetails?.requestId) return;
+    
+    try {
+      setIsLoading(true);
+      const previousData = await getFromIPFS(requestDetails.ipfsHash, { strict: true });
+      
+      setFormData(prev => ({
+        ...prev,
+        fullName: previousData.fullName || '',
+        email: previousData.email || '',
+        dateOfBirth: previousData.dateOfBirth || '',
+        photoUrl: previousData.photoUrl || '',
+        // An encrypted photo was sealed with the old request's key, so it is re-uploaded from photoUrl
+        photoCid: previousData.photo?.encrypted ? '' : previousData.photo?.cid || '',
+        // Edited details need a fresh unique identity hash
+        uniqueIdentityHash: '',
+        uidTimestamp: '',
+        salt: ''
+      }));
+    } catch (error) {
+      console.error("Error loading rejected request data:", error);
+      toast.error("Couldn't load the rejected request's data. Please fill in the form again.");
+    } finally {
+      setResubmitRequestId(requestDetails.requestId);
+      setCardPreview(null);
+      setIsLoading(false);
+    }
+  };
+  
+  // Resubmit the corrected data, linked on-chain to the rejected request
+  const handleResubmitRequest = async () => {
+    if (!resubmitRequestId) return;
+    
+    try {
+      setIsLoading(true);
+      
+      // Re-upload the photo only if a new one was picked (data URL) or the old one was
+      // encrypted (decrypted into a blob URL); otherwise reuse its CID
+      let photo = null;
+      if (formData.photoUrl?.startsWith('data:')) {
+        photo = formData.photoUrl;
+      } else if (formData.photoUrl?.startsWith('blob:')) {
+        photo = await (await fetch(formData.photoUrl)).blob();
+      }
+      
+      // The metadata is encrypted for the holder, issuers and admins; its salted hash is
+      // computed during upload, so the on-chain request uses the hash returned with it
+      const signer = await getSigner();
+      const { ipfsHash, metadata } = await uploadIdentityMetadata({
+        fullName: formData.fullName,
+        email: formData.email,
+        dateOfBirth: formData.dateOfBirth,
+        idType: 'personal_id',
+        photo,
+        photoCid: formData.photoCid || null,
+        uidTimestamp: formData.uidTimestamp,
+        salt: formData.salt,
+        walletAddress: address
+      }, {
+        encryptFor: await getMetadataRecipients(signer)
+      });
+      const newRequestId = await resubmitRequest(resubmitRequestId, ipfsHash, 'personal_id', metadata.uniqueIdentityHash, metadata.attributesRoot);
+      
+      toast.success(`Request resubmitted as #${newRequestId}.`);
+      setResubmitRequestId(null);
+      await checkExistingIDAndRequests(address);
+    } catch (error) {
+      console.error("Error resubmitting request:", error);
+      toast.error("Error resubmitting request: " + (error.reason || error.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sign the request and let the relayer pay the gas (wallets with zero ETH)
+  const handleGaslessRequest = async () => {
+    if (!formData.fullName || !formData.email || !formData.dateOfBirth || !formData.photoUrl) {
+      setErrorMessage("Please complete all required fields before submitting your request.");
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      setErrorMessage("");
+      
+      let photo = formData.photoUrl;
+      if (formData.photoUrl.startsWith('blob:')) {
+        photo = await (await fetch(formData.photoUrl)).blob();
+      }
+      
+      // createIdentity sees the zero balance and hands the signed request to the relayer
+      const result = await createIdentity({
+        fullName: formData.fullName,
+        email: formData.email,
+        dateOfBirth: formData.dateOfBirth,
+        idType: 'personal_id',
+        photo,
+        uidTimestamp: formData.uidTimestamp,
+        salt: formData.salt
+      });
+      
+      toast.success(result.relayed
+        ? `Request #${result.requestId} submitted. The relayer paid the gas.`
+        : `Request #${result.requestId} submitted.`);
+      await checkExistingIDAndRequests(address);
+    } catch (error) {
+      console.error("Error sending gasless request:", error);
+      toast.error("Error submitting request: " + (error.reason || error.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   // Save ID card data to localStorage for future verification
+  // Once the ID has moved to another wallet, drop this wallet's cached card and reload its state
+  const handleIdentityMigrated = (newWallet) => {
+    localStorage.removeItem(`blockIdCard_${address}`);
+    toast.success(`Your ID now belongs to ${newWallet.slice(0, 6)}...${newWallet.slice(-4)}`);
+    checkExistingIDAndRequests(address);
+  };
+
   const saveIDToLocalStorage = (walletAddress, idData) => {
     try {
       // Make sure idData has all required fields for verification
@@ -1276,6 +1452,25 @@ export default function Dashboard() {
             <DigitalIDCard idData={cardPreview} />
             
             <div className="mt-4">
+              {resubmitRequestId ? (
+              <button
+                type="button"
+                onClick={handleResubmitRequest}
+                disabled={isLoading}
+                className="inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-lg text-white bg-gradient-to-r from-blue-600 to-blue-800 hover:from-blue-700 hover:to-blue-900 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 transition-all duration-200"
+              >
+                {isLoading ? 'Submitting...' : `Resubmit Request #${resubmitRequestId}`}
+              </button>
+              ) : hasNoGas ? (
+              <button
+                type="button"
+                onClick={handleGaslessRequest}
+                disabled={isLoading}
+                className="inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-lg text-white bg-gradient-to-r from-blue-600 to-blue-800 hover:from-blue-700 hover:to-blue-900 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 transition-all duration-200"
+              >
+                {isLoading ? 'Waiting for signature...' : 'Sign & Submit Request (no gas needed)'}
+              </button>
+              ) : (
               <button
                 type="button"
                 onClick={mintIDCard}
@@ -1306,6 +1501,7 @@ export default function Dashboard() {
                   </>
                 )}
               </button>
+              )}
             </div>
           </div>
         )}
@@ -1313,6 +1509,67 @@ export default function Dashboard() {
     );
   };
   
+  // Render the status of the wallet's latest ID request
+  const renderRequestStatus = () => {
+    if (!requestStatus || !requestDetails || requestStatus === 'approved') return null;
+    
+    const statusStyles = {
+      pending: 'bg-yellow-100 border-yellow-500 text-yellow-800',
+      rejected: 'bg-red-100 border-red-500 text-red-700',
+      cancelled: 'bg-gray-100 border-gray-500 text-gray-700'
+    };
+    
+    return (
+      <div className={`border-l-4 p-4 mb-6 ${statusStyles[requestStatus]}`}>
+        <p className="font-medium">
+          Request #{requestDetails.requestId?.toString()} is {requestStatus}
+          {requestDetails.previousRequestId > 0 && ` (resubmission of #${requestDetails.previousRequestId})`}
+        </p>
+        <p className="mt-1 text-sm">Submitted {requestDetails.requestedAt?.toLocaleString()}</p>
+        
+        {requestStatus === 'rejected' && (
+          <p className="mt-2 text-sm">
+            <strong>Reason:</strong> {requestDetails.rejectionReason || 'No reason given'}
+          </p>
+        )}
+        
+        <div className="mt-3 flex gap-2">
+          {requestStatus === 'pending' && (
+            <button
+              type="button"
+              onClick={handleCancelRequest}
+              disabled={isLoading}
+              className="px-4 py-2 bg-white border border-yellow-500 text-yellow-800 rounded-md text-sm hover:bg-yellow-50 disabled:opacity-50"
+            >
+              Cancel Request
+            </button>
+          )}
+          {requestStatus === 'rejected' && !resubmitRequestId && (
+            <button
+              type="button"
+              onClick={handleEditAndResubmit}
+              disabled={isLoading}
+              className="px-4 py-2 bg-white border border-red-500 text-red-700 rounded-md text-sm hover:bg-red-50 disabled:opacity-50"
+            >
+              Edit and Resubmit
+            </button>
+          )}
+          {resubmitRequestId && (
+            <button
+              type="button"
+              onClick={() => setResubmitRequestId(null)}
+              className="px-4 py-2 bg-white border border-gray-400 text-gray-700 rounded-md text-sm hover:bg-gray-50"
+            >
+              Stop Editing
+            </button>
+          )}
+        </div>
+
+        <ActivityLog requestId={requestDetails.requestId?.toString()} />
+      </div>
+    );
+  };
+  
   // Render different content based on ID/request status
   const renderContent = () => {
     // Add debug logs to help diagnose rendering issues
@@ -1336,11 +1593,14 @@ export default function Dashboard() {
               <p>Your ID card has been minted on the Sepolia network. The details cannot be edited.</p>
               <p className="mt-2 text-sm"><strong>Note:</strong> Only one ID card is allowed per wallet address.</p>
             </div>
+
+            <RenewalBanner idNumber={existingID.idNumber} />
             
             <DigitalIDCard 
               idData={{
                 ...existingID,
-                isMinted: true
+                isMinted: true,
+                ...(qrCredential && { qrCredential })
               }} 
             />
             
@@ -1368,6 +1628,11 @@ export default function Dashboard() {
                 )}
               </button>
             </div>
+            
+            <DisclosurePanel idNumber={existingID.idNumber} onQrCredential={setQrCredential} />
+            <ActivityLog idNumber={existingID.idNumber} />
+            <WalletMigration idNumber={existingID.idNumber} onMigrated={handleIdentityMigrated} />
+            <GuardianManager idNumber={existingID.idNumber} />
           </div>
         </div>
       );
@@ -1433,23 +1698,45 @@ export default function Dashboard() {
       <div className="space-y-6">
         <div className="bg-white rounded-lg shadow-md p-6 max-w-4xl mx-auto">
           <h2 className="text-2xl font-bold text-gray-800 mb-4">Create Your Digital ID</h2>
-          <p className="text-gray-600 mb-6">Fill out the form below to mint your BlockID for a fee of 0.01 ETH.</p>
-          <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-700 p-4 mb-6">
-            <p className="font-medium">Important: Only one ID card is allowed per wallet address.</p>
-            <p className="mt-1 text-sm">Once minted, your ID card is permanent and cannot be modified.</p>
-          </div>
+          {renderRequestStatus()}
           
-          {renderForm()}
+          {/* A pending request must be cancelled or decided before the form is available again */}
+          {requestStatus !== 'pending' && (
+            <>
+              <WalletMigration />
+              <GuardianManager />
+              {hasNoGas ? (
+                <p className="text-gray-600 mb-6">
+                  Your wallet has no ETH, so you will sign your request instead of paying for a transaction. Our relayer submits it for you.
+                </p>
+              ) : (
+                <p className="text-gray-600 mb-6">Fill out the form below to mint your BlockID for a fee of 0.01 ETH.</p>
+              )}
+              <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-700 p-4 mb-6">
+                <p className="font-medium">Important: Only one ID card is allowed per wallet address.</p>
+                <p className="mt-1 text-sm">Once minted, your ID card is permanent and cannot be modified.</p>
+              </div>
+              
+              {renderForm()}
+            </>
+          )}
         </div>
       </div>
     );
   };
 
-  // Function to download ID card as PDF
+  // Download the ID card as a PDF signed by the holder's wallet, which the verify page can check
   const downloadAsPDF = async (idData) => {
     try {
       setIsLoading(true);
       
+      // Read the on-chain references first, so nothing is rendered for an ID that can't be signed
+      const claims = await createCardClaims(idData);
+      const signer = await getSigner();
+      if (!signer) {
+        throw new Error('Connect your wallet to sign the PDF');
+      }
+      
       // Import html2canvas and jsPDF dynamically to reduce initial load time
       const html2canvas = (await import('html2canvas')).default;
       const { jsPDF } = await import('jspdf');
@@ -1483,13 +1770,14 @@ export default function Dashboard() {
       const imgData = canvas.toDataURL('image/png');
       pdf.addImage(imgData, 'PNG', 20, 20, imgWidth, imgHeight);
       
-      // Add metadata
+      // Add metadata; the claims go into the XMP metadata so the signature covers them
       pdf.setProperties({
-        title: `BlockID - ${idData.fullName}`,
+        title: `BlockID - ${claims.fullName || formatIdNumber(claims.idNumber)}`,
         subject: 'Digital ID Card',
         author: 'BlockID Platform',
         creator: 'BlockID',
       });
+      pdf.addMetadata(encodeCardClaims(claims), SIGNED_PDF_NAMESPACE);
       
       // Add verification URL with QR code data
       const verifyParams = new URLSearchParams({
@@ -1501,28 +1789,27 @@ export default function Dashboard() {
       const verifyText = `Verify this ID: ${window.location.origin}/verify?${verifyParams}`;
       pdf.text(verifyText, 20, 20 + imgHeight + 10);
       
-      // Add verification notice
+      // Add the on-chain references the signature vouches for
       pdf.setFontSize(8);
-      pdf.text("This digital ID can be verified online even without blockchain access. Scan the QR code or visit the verification URL.", 20, 20 + imgHeight + 20);
+      const referenceLines = [
+        `ID ${formatIdNumber(claims.idNumber)} on chain ${claims.chainId}, contract ${claims.contractAddress}`,
+        `Holder wallet: ${claims.owner}`,
+        `Identity hash: ${claims.uniqueIdentityHash}`,
+        `Exported: ${claims.exportedAt}`
+      ];
+      pdf.text(referenceLines, 20, 20 + imgHeight + 20);
       
-      // Store ID in all_ids for verification
-      try {
-        // Store a copy in general ID storage for verification by ID number
-        const allIDs = JSON.parse(localStorage.getItem('blockid_all_ids') || '{}');
-        allIDs[idData.idNumber] = {
-          ...idData,
-          downloadedAt: new Date().toISOString()
-        };
-        localStorage.setItem('blockid_all_ids', JSON.stringify(allIDs));
-        console.log(`Saved ID ${idData.idNumber} to all_ids storage for verification`);
-      } catch (storageError) {
-        console.error("Failed to save ID to localStorage for verification:", storageError);
-      }
+      // Add verification notice
+      pdf.text("This PDF is signed by the ID holder's wallet. Upload it on the verify page to check that it has not been altered and that the ID is still valid on the blockchain.", 20, 20 + imgHeight + 40, { maxWidth: 170 });
       
-      // Save the PDF
-      pdf.save(`BlockID-${idData.fullName.replace(/\s+/g, '-')}.pdf`);
+      // Sign the finished file and save it
+      const signedPdf = await signPdfDocument(new Uint8Array(pdf.output('arraybuffer')), claims, signer);
+      const fileName = (claims.fullName || formatIdNumber(claims.idNumber)).replace(/\s+/g, '-');
+      saveAs(new Blob([signedPdf], { type: 'application/pdf' }), `BlockID-${fileName}.pdf`);
       
-      setSuccessMessage('ID card downloaded successfully as PDF!');
+      setSuccessMessage(claims.disclosure
+        ? 'Signed ID card PDF downloaded!'
+        : 'Signed ID card PDF downloaded. Your details could not be proven for this ID, so verifiers will only see the on-chain record.');
     } catch (error) {
       console.error('Error generating PDF:', error);
       setErrorMessage(`Failed to generate PDF: ${error.message}`);
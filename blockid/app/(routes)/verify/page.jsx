@@ -2,14 +2,12 @@
 
 import { useState, useEffect } from 'react';
 import { useWalletAuth } from '@/app/hooks/useWalletAuth';
-import { 
-  getIdentityById, 
-  getIdentityByOwner, 
-  verifyIdentityHash,
-  verifyDownloadedID
-} from '@/utils/blockchain';
-import { formatDate, timestampToDate } from '@/utils/formatting';
+import { verifyID, verifyIDByHash, verifyDisclosure, verifyAgeProof, verifySignedQr, verifySignedPdf, verifyCredential, VERDICT } from '@/utils/verification';
+import { createPresentationChallenge } from '@/utils/verifiableCredential';
+import { formatDate, truncateAddress } from '@/utils/formatting';
+import { parseScannedPayload } from '@/utils/qrScan';
 import IDCard from '@/app/components/IDCard';
+import QRScanner from '@/app/components/QRScanner';
 import { QRCodeCanvas } from 'qrcode.react';
 import { useRouter } from 'next/navigation';
 
@@ -20,42 +18,31 @@ export default function VerifyPage() {
   const [idNumber, setIdNumber] = useState('');
   const [ownerAddress, setOwnerAddress] = useState('');
   const [verificationHash, setVerificationHash] = useState('');
+  const [disclosureProof, setDisclosureProof] = useState('');
+  const [ageProof, setAgeProof] = useState('');
+  const [signedQr, setSignedQr] = useState('');
+  const [crossCheckQr, setCrossCheckQr] = useState(false);
+  const [signedPdf, setSignedPdf] = useState(null);
+  const [credentialJson, setCredentialJson] = useState('');
+  const [presentationChallenge, setPresentationChallenge] = useState('');
   const [identity, setIdentity] = useState(null);
   const [verificationResult, setVerificationResult] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [isAutoVerifying, setIsAutoVerifying] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
 
   // Check for URL parameters from QR code scan
   useEffect(() => {
     const checkURLParams = async () => {
       if (typeof window !== 'undefined') {
-        // Get URL parameters
-        const urlParams = new URLSearchParams(window.location.search);
-        const hash = urlParams.get('hash');
-        const txn = urlParams.get('txn');
-        const address = urlParams.get('address');
-        const id = urlParams.get('id');
+        // Read the hash, id or address parameter the same way as a scanned verify link
+        const payload = parseScannedPayload(window.location.href);
         
-        if (hash || txn || address || id) {
+        if (payload) {
           setIsAutoVerifying(true);
-          
-          if (hash) {
-            setVerificationMethod('hash');
-            setVerificationHash(hash);
-          } else if (address) {
-            setVerificationMethod('address');
-            setOwnerAddress(address);
-          } else if (id) {
-            setVerificationMethod('id');
-            setIdNumber(id.replace('BID-', ''));
-          }
-          
-          // Auto-verify after a short delay
-          setTimeout(() => {
-            handleVerify();
-            setIsAutoVerifying(false);
-          }, 1000);
+          await verifyScannedPayload(payload);
+          setIsAutoVerifying(false);
         }
       }
     };
@@ -63,91 +50,69 @@ export default function VerifyPage() {
     checkURLParams();
   }, []);
 
-  // Check for URL parameters from QR code scan
-  const handleVerify = async () => {
+  // A fresh challenge per visit, which holders sign into their presentations for this verifier
+  useEffect(() => {
+    setPresentationChallenge(createPresentationChallenge());
+  }, []);
+
+  // Run the on-chain verification pipeline for the given method and input
+  const runVerification = async (method, value) => {
     try {
       setIsLoading(true);
       setError('');
       setIdentity(null);
       setVerificationResult(null);
       
-      let fetchedIdentity;
+      let verdict;
       
-      if (verificationMethod === 'id') {
-        if (!idNumber || (isNaN(parseInt(idNumber.replace('BID-', ''))) && isNaN(parseInt(idNumber)))) {
+      if (method === 'id') {
+        if (!value) {
           throw new Error('Please enter a valid ID number');
         }
-        
-        // Clean the ID number if it has BID- prefix
-        const cleanId = idNumber.startsWith('BID-') ? idNumber : `BID-${idNumber}`;
-        
-        // Try to verify using downloaded ID verification first (works with offline IDs)
-        const downloadedIdResult = await verifyDownloadedID(cleanId, ownerAddress);
-        
-        if (downloadedIdResult.success && downloadedIdResult.verified) {
-          // ID was verified locally
-          fetchedIdentity = downloadedIdResult.identity;
-          setVerificationResult({
-            isValid: true,
-            message: downloadedIdResult.message || 'ID verified successfully.'
-          });
-        } else {
-          // Fallback to blockchain verification
-          fetchedIdentity = await getIdentityById(parseInt(idNumber.replace('BID-', '')));
-        }
-      } else if (verificationMethod === 'address') {
-        if (!ownerAddress || !ownerAddress.startsWith('0x')) {
+        verdict = await verifyID(value);
+      } else if (method === 'address') {
+        if (!value || !value.startsWith('0x')) {
           throw new Error('Please enter a valid Ethereum address');
         }
-        
-        // Try to verify any ID owned by this address from local storage first
-        const downloadedIdResult = await verifyDownloadedID(null, ownerAddress);
-        
-        if (downloadedIdResult.success && downloadedIdResult.verified) {
-          // ID was verified locally
-          fetchedIdentity = downloadedIdResult.identity;
-          setVerificationResult({
-            isValid: true,
-            message: downloadedIdResult.message || 'ID verified successfully for this wallet.'
-          });
-        } else {
-          // Fallback to blockchain verification
-          fetchedIdentity = await getIdentityByOwner(ownerAddress);
-        }
-      } else if (verificationMethod === 'hash') {
-        if (!verificationHash) {
+        verdict = await verifyID(null, value);
+      } else if (method === 'hash') {
+        if (!value) {
           throw new Error('Please enter a valid verification hash');
         }
-        
-        const result = await verifyIdentityHash(verificationHash);
-        if (result && result.isValid) {
-          fetchedIdentity = await getIdentityById(result.idNumber);
-          setVerificationResult({
-            isValid: true,
-            message: 'The hash is valid for this identity.'
-          });
-        } else {
-          setVerificationResult({
-            isValid: false,
-            message: 'Invalid or unregistered hash. This ID does not exist or has been tampered with.'
-          });
+        verdict = await verifyIDByHash(value);
+      } else if (method === 'disclosure') {
+        if (!value || !value.trim()) {
+          throw new Error('Please paste a disclosure proof');
         }
-      }
-      
-      if (fetchedIdentity) {
-        // Process dates from timestamp if needed
-        if (fetchedIdentity.createdAt && typeof fetchedIdentity.createdAt === 'number') {
-          fetchedIdentity.createdAt = timestampToDate(fetchedIdentity.createdAt);
+        verdict = await verifyDisclosure(value);
+      } else if (method === 'age') {
+        if (!value || !value.trim()) {
+          throw new Error('Please paste an age proof');
         }
-        if (fetchedIdentity.expiresAt && typeof fetchedIdentity.expiresAt === 'number') {
-          fetchedIdentity.expiresAt = timestampToDate(fetchedIdentity.expiresAt);
+        verdict = await verifyAgeProof(value);
+      } else if (method === 'qr') {
+        if (!value || !value.trim()) {
+          throw new Error('Please paste the text of the signed QR code');
         }
-        
-        setIdentity(fetchedIdentity);
-      } else {
-        throw new Error('No identity found with the provided information');
+        verdict = await verifySignedQr(value, { crossCheck: crossCheckQr });
+      } else if (method === 'pdf') {
+        if (!value) {
+          throw new Error('Please choose the signed ID card PDF');
+        }
+        verdict = await verifySignedPdf(value);
+      } else if (method === 'vc') {
+        if (!value || !value.trim()) {
+          throw new Error('Please paste or upload a verifiable credential or presentation');
+        }
+        verdict = await verifyCredential(value, { challenge: presentationChallenge, domain: window.location.host });
       }
       
+      setVerificationResult(verdict);
+      
+      // Only show the card view when there is identity data to display
+      if (verdict.identity) {
+        setIdentity(verdict.identity);
+      }
     } catch (err) {
       console.error('Verification error:', err);
       setError(err.message || 'An error occurred during verification');
@@ -156,10 +121,75 @@ export default function VerifyPage() {
     }
   };
 
+  // Select the method for a scanned or linked payload, fill in its input and verify it
+  const verifyScannedPayload = async ({ method, value }) => {
+    const setters = {
+      id: (id) => setIdNumber(id.replace(/^BID-/i, '')),
+      address: setOwnerAddress,
+      hash: setVerificationHash,
+      disclosure: setDisclosureProof,
+      age: setAgeProof,
+      qr: setSignedQr,
+      vc: setCredentialJson
+    };
+    setVerificationMethod(method);
+    setters[method](value);
+    await runVerification(method, value);
+  };
+
+  const handleScan = async (text) => {
+    setIsScanning(false);
+    const payload = parseScannedPayload(text);
+    if (!payload) {
+      setError('That QR code is not a BlockID card or proof.');
+      return;
+    }
+    console.log(`Scanned card, verifying by ${payload.method}`);
+    await verifyScannedPayload(payload);
+  };
+
+  const handleCredentialUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) {
+      setCredentialJson(await file.text());
+    }
+  };
+
+  const handleVerify = () => {
+    const values = {
+      id: idNumber,
+      address: ownerAddress,
+      hash: verificationHash,
+      disclosure: disclosureProof,
+      age: ageProof,
+      qr: signedQr,
+      pdf: signedPdf,
+      vc: credentialJson
+    };
+    const value = values[verificationMethod];
+    return runVerification(verificationMethod, value);
+  };
+
+  // Styling and label for each verdict
+  const verdictStyles = {
+    [VERDICT.VALID]: { label: 'VERIFIED', badge: 'bg-green-500', panel: 'bg-green-100 border-green-500 text-green-700' },
+    [VERDICT.EXPIRED]: { label: 'EXPIRED', badge: 'bg-yellow-500', panel: 'bg-yellow-100 border-yellow-500 text-yellow-800' },
+    [VERDICT.REVOKED]: { label: 'REVOKED', badge: 'bg-red-600', panel: 'bg-red-100 border-red-500 text-red-700' },
+    [VERDICT.SUSPENDED]: { label: 'SUSPENDED', badge: 'bg-yellow-600', panel: 'bg-yellow-100 border-yellow-500 text-yellow-800' },
+    [VERDICT.UNKNOWN]: { label: 'NOT FOUND', badge: 'bg-gray-500', panel: 'bg-gray-100 border-gray-500 text-gray-700' },
+    [VERDICT.TAMPERED]: { label: 'TAMPERED', badge: 'bg-red-600', panel: 'bg-red-100 border-red-500 text-red-700' },
+    [VERDICT.OFFLINE]: { label: 'UNVERIFIED (OFFLINE)', badge: 'bg-orange-500', panel: 'bg-orange-100 border-orange-500 text-orange-800' }
+  };
+  const verdictStyle = verdictStyles[verificationResult?.status] || verdictStyles[VERDICT.UNKNOWN];
+
   // Function to display blockchain verification status
   const displayBlockchainStatus = () => {
     if (!identity) return null;
     
+    const evidence = verificationResult?.evidence || {};
+    const statusChange = evidence.revocation || evidence.suspension;
+    
     return (
       <div className="mt-6 rounded-lg overflow-hidden shadow-lg">
         <div className="bg-blue-900 px-4 py-3">
@@ -169,12 +199,12 @@ export default function VerifyPage() {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <p className="text-xs text-gray-500">Blockchain Status</p>
-              <p className="text-base text-green-400 flex items-center">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-1" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                </svg>
-                Verified on Sepolia Network
+              <p className={`text-base flex items-center ${verificationResult?.verified ? 'text-green-400' : 'text-yellow-400'}`}>
+                {verificationResult?.verified ? 'Verified on-chain' : verdictStyle.label}
               </p>
+              {evidence.chainId && (
+                <p className="text-xs text-gray-500 mt-1">Chain ID {evidence.chainId}, contract {truncateAddress(evidence.contractAddress)}</p>
+              )}
             </div>
             
             <div>
@@ -197,23 +227,156 @@ export default function VerifyPage() {
             </div>
           )}
           
+          {statusChange && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">{evidence.revocation ? 'Revocation' : 'Suspension'}</p>
+              <p className="text-sm text-red-400">
+                {evidence.revocation
+                  ? `Revoked on ${formatDate(evidence.revocation.revokedAt, true)} by ${truncateAddress(evidence.revocation.revokedBy)}`
+                  : `Suspended on ${formatDate(evidence.suspension.suspendedAt, true)} by ${truncateAddress(evidence.suspension.suspendedBy)}`}
+              </p>
+              <p className="text-sm">Reason: {statusChange.reasonLabel}</p>
+              {statusChange.txHash && (
+                <a
+                  href={`https://sepolia.etherscan.io/tx/${statusChange.txHash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs font-mono text-blue-400 hover:text-blue-300 break-all"
+                >
+                  {statusChange.txHash}
+                </a>
+              )}
+            </div>
+          )}
+          
           <div className="mt-4">
             <p className="text-xs text-gray-500">Identity Hash</p>
             <p className="text-sm font-mono break-all">{identity.uniqueIdentityHash || "Not available"}</p>
           </div>
           
+          {evidence.ipfsHash && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Metadata (IPFS)</p>
+              <p className="text-sm font-mono break-all">{evidence.ipfsHash}</p>
+              <p className="text-xs mt-1">
+                {evidence.hashCheck === 'match' && <span className="text-green-400">Metadata hash matches the on-chain hash</span>}
+                {evidence.hashCheck === 'mismatch' && <span className="text-red-400">Metadata hash does NOT match the on-chain hash ({evidence.computedHash})</span>}
+                {evidence.hashCheck === 'unavailable' && !evidence.encrypted && <span className="text-yellow-400">Metadata could not be checked against the on-chain hash</span>}
+                {evidence.hashCheck === 'unavailable' && evidence.encrypted && <span className="text-gray-400">Metadata is encrypted; only the holder and issuers can check it against the on-chain commitment</span>}
+              </p>
+            </div>
+          )}
+          
+          {evidence.disclosure && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Disclosed Attributes</p>
+              <p className="text-xs text-gray-500 font-mono break-all mb-2">Attributes root {evidence.disclosure.attributesRoot}</p>
+              <ul className="space-y-1">
+                {evidence.disclosure.attributes.map(attribute => (
+                  <li key={attribute.key} className="text-sm flex justify-between gap-4">
+                    <span>{attribute.label}: <span className="font-mono break-all">{attribute.value || '(empty)'}</span></span>
+                    {attribute.valid
+                      ? <span className="text-green-400 whitespace-nowrap">Proven on-chain</span>
+                      : <span className="text-red-400 whitespace-nowrap">Proof invalid</span>}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500 mt-2">Attributes not listed here were not disclosed by the holder.</p>
+            </div>
+          )}
+          
+          {evidence.ageProof && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Age Proof</p>
+              {evidence.ageProof.valid ? (
+                <p className="text-sm text-green-400">Over {evidence.ageProof.minAge} as of {formatDate(evidence.ageProof.asOf)} (date of birth not revealed)</p>
+              ) : (
+                <p className="text-sm text-red-400">{evidence.ageProof.error}</p>
+              )}
+            </div>
+          )}
+          
+          {evidence.qr && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Signed QR</p>
+              {evidence.qr.signatureValid ? (
+                <p className="text-sm text-green-400">Signature valid, issuer {evidence.qr.issuer} (key {evidence.qr.kid})</p>
+              ) : (
+                <p className="text-sm text-red-400">Signature not from a trusted issuer (key {evidence.qr.kid}, signer {truncateAddress(evidence.qr.signer)})</p>
+              )}
+              <p className="text-sm">
+                Signed {formatDate(evidence.qr.signedAt, true)}
+                {evidence.qr.validUntil && `, valid until ${formatDate(evidence.qr.validUntil, true)}`}
+              </p>
+              {verificationResult?.source === 'signed_qr' && (
+                <p className="text-xs text-gray-500 mt-1">Checked offline. The on-chain status was not confirmed.</p>
+              )}
+            </div>
+          )}
+          
+          {evidence.pdf && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Signed PDF</p>
+              {evidence.pdf.signatureValid ? (
+                <p className="text-sm text-green-400">Signed by the holder wallet {truncateAddress(evidence.pdf.signer)} on {formatDate(evidence.pdf.exportedAt, true)}</p>
+              ) : (
+                <p className="text-sm text-red-400">Signature does not match the holder wallet in the PDF (signer {truncateAddress(evidence.pdf.signer)})</p>
+              )}
+              <p className="text-xs text-gray-500 font-mono break-all mt-1">Document hash {evidence.pdf.documentHash}</p>
+            </div>
+          )}
+          
+          {evidence.credential && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Verifiable Credential</p>
+              {evidence.credential.signatureValid ? (
+                <p className="text-sm text-green-400">
+                  Signed by {truncateAddress(evidence.credential.issuer.split(':').pop())}
+                  {evidence.credential.issuerIsAdmin === true && ', an admin of this contract'}
+                  {evidence.credential.issuerIsAdmin === false && ', which is NOT an admin of this contract'}
+                </p>
+              ) : (
+                <p className="text-sm text-red-400">Issuer signature invalid</p>
+              )}
+              <p className="text-sm">
+                Issued {formatDate(evidence.credential.issuanceDate, true)}, valid until {formatDate(evidence.credential.expirationDate, true)}
+              </p>
+              <p className="text-xs text-gray-500 font-mono break-all mt-1">{evidence.credential.id}</p>
+              {evidence.presentation && (
+                <p className={`text-sm mt-1 ${evidence.presentation.signatureValid ? 'text-green-400' : 'text-yellow-400'}`}>
+                  {evidence.presentation.signatureValid
+                    ? 'Presented and signed by the holder wallet'
+                    : evidence.presentation.signed ? 'Presentation signature invalid' : 'Presentation is not signed by the holder'}
+                  {evidence.presentation.signatureValid && evidence.presentation.challengeMatches === false && ', but not for this verifier\'s challenge'}
+                </p>
+              )}
+            </div>
+          )}
+          
+          {verificationResult?.source === 'offline_cache' && (
+            <div className="mt-4">
+              <p className="text-xs text-gray-500">Data Source</p>
+              <p className="text-sm text-orange-400">Local cache ({evidence.cacheKey}) - blockchain unreachable: {evidence.chainError}</p>
+            </div>
+          )}
+          
           <div className="mt-4">
             <p className="text-xs text-gray-500">Verification Method</p>
             <p className="text-sm">
               {verificationMethod === 'id' && 'ID Number Verification'}
               {verificationMethod === 'address' && 'Wallet Address Verification'}
               {verificationMethod === 'hash' && 'Identity Hash Verification'}
+              {verificationMethod === 'disclosure' && 'Selective Disclosure Proof'}
+              {verificationMethod === 'age' && 'Zero-Knowledge Age Proof'}
+              {verificationMethod === 'qr' && 'Issuer-Signed QR'}
+              {verificationMethod === 'pdf' && 'Signed ID Card PDF'}
+              {verificationMethod === 'vc' && 'W3C Verifiable Credential'}
             </p>
           </div>
           
           <div className="mt-4">
-            <p className="text-xs text-gray-500">Verified At</p>
-            <p className="text-sm">{new Date().toLocaleString()}</p>
+            <p className="text-xs text-gray-500">Checked At</p>
+            <p className="text-sm">{verificationResult ? new Date(verificationResult.checkedAt).toLocaleString() : 'N/A'}</p>
           </div>
         </div>
       </div>
@@ -231,7 +394,21 @@ export default function VerifyPage() {
         </div>
       ) : !identity ? (
         <div className="bg-white rounded-lg shadow-md p-6 max-w-2xl mx-auto">
-          <h2 className="text-xl font-bold text-gray-800 mb-4">Enter Verification Details</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-800">Enter Verification Details</h2>
+            {!isScanning && (
+              <button
+                onClick={() => { setIsScanning(true); setError(''); }}
+                className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700"
+              >
+                Scan Card
+              </button>
+            )}
+          </div>
+          
+          {isScanning && (
+            <QRScanner onScan={handleScan} onClose={() => setIsScanning(false)} />
+          )}
           
           <div className="mb-6">
             <label className="block text-gray-700 font-medium mb-2">Verification Method</label>
@@ -254,6 +431,36 @@ export default function VerifyPage() {
               >
                 Verification Hash
               </button>
+              <button
+                onClick={() => setVerificationMethod('disclosure')}
+                className={`px-4 py-2 rounded-md ${verificationMethod === 'disclosure' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                Disclosure Proof
+              </button>
+              <button
+                onClick={() => setVerificationMethod('age')}
+                className={`px-4 py-2 rounded-md ${verificationMethod === 'age' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                Age Proof
+              </button>
+              <button
+                onClick={() => setVerificationMethod('qr')}
+                className={`px-4 py-2 rounded-md ${verificationMethod === 'qr' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                Signed QR
+              </button>
+              <button
+                onClick={() => setVerificationMethod('pdf')}
+                className={`px-4 py-2 rounded-md ${verificationMethod === 'pdf' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                Signed PDF
+              </button>
+              <button
+                onClick={() => setVerificationMethod('vc')}
+                className={`px-4 py-2 rounded-md ${verificationMethod === 'vc' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                Verifiable Credential
+              </button>
             </div>
           </div>
           
@@ -296,6 +503,89 @@ export default function VerifyPage() {
             </div>
           )}
           
+          {verificationMethod === 'disclosure' && (
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Disclosure Proof</label>
+              <textarea
+                value={disclosureProof}
+                onChange={(e) => setDisclosureProof(e.target.value)}
+                placeholder="Paste the disclosure proof JSON shared by the ID holder"
+                rows={6}
+                className="w-full px-4 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          )}
+          
+          {verificationMethod === 'age' && (
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Age Proof</label>
+              <textarea
+                value={ageProof}
+                onChange={(e) => setAgeProof(e.target.value)}
+                placeholder="Paste the age proof JSON shared by the ID holder"
+                rows={6}
+                className="w-full px-4 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          )}
+          
+          {verificationMethod === 'qr' && (
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Signed QR Code</label>
+              <textarea
+                value={signedQr}
+                onChange={(e) => setSignedQr(e.target.value)}
+                placeholder="Paste the scanned QR text (BID1:...)"
+                rows={4}
+                className="w-full px-4 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={crossCheckQr}
+                  onChange={(e) => setCrossCheckQr(e.target.checked)}
+                />
+                Also check the current status on the blockchain (needs a connection)
+              </label>
+            </div>
+          )}
+          
+          {verificationMethod === 'pdf' && (
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Signed ID Card PDF</label>
+              <input
+                type="file"
+                accept="application/pdf"
+                onChange={(e) => setSignedPdf(e.target.files?.[0] || null)}
+                className="w-full text-sm text-gray-700"
+              />
+              <p className="mt-1 text-xs text-gray-500">The PDF the holder downloaded from their dashboard. It is checked in your browser and not uploaded anywhere.</p>
+            </div>
+          )}
+          
+          {verificationMethod === 'vc' && (
+            <div className="mb-6">
+              <label className="block text-gray-700 font-medium mb-2">Verifiable Credential or Presentation</label>
+              <textarea
+                value={credentialJson}
+                onChange={(e) => setCredentialJson(e.target.value)}
+                placeholder="Paste the credential or presentation JSON shared by the ID holder"
+                rows={6}
+                className="w-full px-4 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleCredentialUpload}
+                className="mt-2 w-full text-sm text-gray-700"
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                For a presentation, give the holder this challenge to sign it for:{' '}
+                <span className="font-mono text-gray-700 break-all">{presentationChallenge}</span>
+              </p>
+            </div>
+          )}
+          
           <div className="flex justify-end">
             <button
               onClick={handleVerify}
@@ -313,8 +603,15 @@ export default function VerifyPage() {
           )}
           
           {verificationResult && (
-            <div className={`mt-6 p-4 ${verificationResult.isValid ? 'bg-green-100 border-l-4 border-green-500 text-green-700' : 'bg-red-100 border-l-4 border-red-500 text-red-700'}`}>
+            <div className={`mt-6 p-4 border-l-4 ${verdictStyle.panel}`}>
+              <p className="font-bold">{verdictStyle.label}</p>
               <p>{verificationResult.message}</p>
+              {verificationResult.evidence?.revocation && (
+                <p className="mt-2 text-sm">
+                  Revoked by {truncateAddress(verificationResult.evidence.revocation.revokedBy)} on {formatDate(verificationResult.evidence.revocation.revokedAt, true)} for reason: {verificationResult.evidence.revocation.reasonLabel}
+                  {verificationResult.evidence.revocation.txHash && ` (tx ${truncateAddress(verificationResult.evidence.revocation.txHash, 10, 8)})`}
+                </p>
+              )}
             </div>
           )}
         </div>
@@ -323,16 +620,22 @@ export default function VerifyPage() {
           <div className="bg-white rounded-lg shadow-md overflow-hidden">
             <div className="bg-gradient-to-r from-blue-600 to-purple-600 px-6 py-4">
               <div className="flex items-center justify-between">
-                <h2 className="text-white text-xl font-bold">Verified Digital ID</h2>
-                {identity.isMinted && (
-                  <div className="bg-green-500 text-white text-xs font-bold px-2 py-1 rounded-full">
-                    VERIFIED
+                <h2 className="text-white text-xl font-bold">Digital ID Verification</h2>
+                {verificationResult && (
+                  <div className={`${verdictStyle.badge} text-white text-xs font-bold px-2 py-1 rounded-full`}>
+                    {verdictStyle.label}
                   </div>
                 )}
               </div>
             </div>
             
             <div className="p-6">
+              {verificationResult && !verificationResult.verified && (
+                <div className={`mb-6 p-4 border-l-4 ${verdictStyle.panel}`}>
+                  <p>{verificationResult.message}</p>
+                </div>
+              )}
+              
               <div className="flex flex-col md:flex-row gap-6">
                 <div className="md:w-1/3">
                   <div className="bg-gray-100 p-4 rounded-lg">
@@ -348,11 +651,11 @@ export default function VerifyPage() {
                       </div>
                       <div>
                         <p className="text-sm text-gray-500">Issue Date</p>
-                        <p className="font-medium">{formatDate(identity.dateOfIssue) || 'Not available'}</p>
+                        <p className="font-medium">{formatDate(identity.createdAt || identity.dateOfIssue) || 'Not available'}</p>
                       </div>
                       <div>
                         <p className="text-sm text-gray-500">Expiry Date</p>
-                        <p className="font-medium">{formatDate(identity.expiryDate) || 'Not available'}</p>
+                        <p className="font-medium">{identity.expiresAt || identity.expiryDate ? formatDate(identity.expiresAt || identity.expiryDate) : 'No expiry'}</p>
                       </div>
                     </div>
                   </div>
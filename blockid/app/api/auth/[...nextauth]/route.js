@@ -1,12 +1,53 @@
 import NextAuth from "next-auth";
 import CredentialsProvider from "next-auth/providers/credentials";
 import { ethers } from "ethers";
+import { parseSiweMessage, validateSiweFields } from "@/utils/siwe";
+import { consumeNonce } from "@/utils/siweNonces";
+import { getContractReadOnly, getRoles } from "@/utils/blockchain";
+import { emptyClaims, claimsNeedRefresh } from "@/utils/session";
 
-// Message that user will sign
-const MESSAGE_TO_SIGN = "Sign this message to verify your identity with BlockID.";
+const CHAIN_ID = process.env.NEXT_PUBLIC_CHAIN_ID || "11155111";
 
 /**
- * NextAuth configuration with Ethereum wallet authentication
+ * Host the SIWE message must be bound to
+ * The Host header is client-controlled, so it is only trusted in development; production
+ * sign-ins are refused until NEXTAUTH_URL is configured.
+ * @param {Object} req - NextAuth request
+ * @returns {string|null} - Expected domain
+ */
+const getExpectedDomain = (req) => {
+  if (process.env.NEXTAUTH_URL) {
+    return new URL(process.env.NEXTAUTH_URL).host;
+  }
+  if (process.env.NODE_ENV === "production") {
+    console.error("NEXTAUTH_URL is not set; refusing SIWE sign-in without a configured domain");
+    return null;
+  }
+  return req?.headers?.host || null;
+};
+
+/**
+ * Read a wallet's BlockID number, validity and roles from the contract
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object>} - { idNumber, idValid, roles }
+ */
+const loadIdentityClaims = async (address) => {
+  const contract = await getContractReadOnly();
+  const [idNumber, roles] = await Promise.all([
+    contract.getIdentityByOwner(address),
+    getRoles(address),
+  ]);
+
+  const claims = { ...emptyClaims(), idNumber: Number(idNumber), roles };
+  if (claims.idNumber > 0 && typeof contract.isIdentityValid === "function") {
+    claims.idValid = await contract.isIdentityValid(claims.idNumber);
+  }
+
+  return claims;
+};
+
+/**
+ * NextAuth configuration with Sign-In with Ethereum (EIP-4361) authentication
  */
 const handler = NextAuth({
   providers: [
@@ -14,32 +55,44 @@ const handler = NextAuth({
       id: "web3",
       name: "Web3",
       credentials: {
-        address: { label: "Address", type: "text" },
+        message: { label: "Message", type: "text" },
         signature: { label: "Signature", type: "text" },
       },
-      async authorize(credentials) {
+      async authorize(credentials, req) {
         try {
-          if (!credentials?.address || !credentials?.signature) {
+          if (!credentials?.message || !credentials?.signature) {
             return null;
           }
 
-          // Verify the signature
-          const address = await ethers.verifyMessage(
-            MESSAGE_TO_SIGN,
-            credentials.signature
-          );
+          const fields = parseSiweMessage(credentials.message);
+
+          const problem = validateSiweFields(fields, {
+            domain: getExpectedDomain(req),
+            chainId: CHAIN_ID,
+          });
+          if (problem) {
+            console.error("SIWE message rejected:", problem);
+            return null;
+          }
 
-          // Check if the recovered address matches the provided address
-          if (address.toLowerCase() !== credentials.address.toLowerCase()) {
+          // Recover the signer before touching the nonce, so a bad signature can't burn someone else's nonce
+          const address = ethers.verifyMessage(credentials.message, credentials.signature);
+          if (address.toLowerCase() !== fields.address.toLowerCase()) {
             console.error("Signature verification failed");
             return null;
           }
 
+          // Nonces are single-use: a replayed message fails here
+          if (!consumeNonce(fields.nonce)) {
+            console.error("SIWE nonce is unknown, expired or already used");
+            return null;
+          }
+
           // Return the user object
           return {
-            id: credentials.address,
-            address: credentials.address,
-            name: `${credentials.address.substring(0, 6)}...${credentials.address.substring(38)}`,
+            id: address,
+            address,
+            name: `${address.substring(0, 6)}...${address.substring(38)}`,
           };
         } catch (error) {
           console.error("Error in authorize:", error);
@@ -53,15 +106,32 @@ const handler = NextAuth({
     maxAge: 30 * 24 * 60 * 60, // 30 days
   },
   callbacks: {
-    async jwt({ token, user }) {
+    async jwt({ token, user, trigger }) {
       if (user) {
         token.address = user.address;
+        Object.assign(token, emptyClaims());
+        token.claimsRefreshedAt = 0;
+      }
+
+      // Claims are read at sign-in, then again once they are stale or the client calls update()
+      if (token.address && (trigger === "update" || claimsNeedRefresh(token))) {
+        try {
+          Object.assign(token, await loadIdentityClaims(token.address));
+        } catch (error) {
+          // Keep the previous claims and try again at the next refresh
+          console.error("Error refreshing session claims:", error);
+        }
+        token.claimsRefreshedAt = Date.now();
       }
+
       return token;
     },
     async session({ session, token }) {
       if (token && token.address) {
         session.user.address = token.address;
+        session.user.idNumber = token.idNumber;
+        session.user.idValid = token.idValid;
+        session.user.roles = token.roles;
       }
       return session;
     },
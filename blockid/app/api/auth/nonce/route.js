@@ -0,0 +1,14 @@
+import { NextResponse } from "next/server";
+import { issueNonce } from "@/utils/siweNonces";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Issue a single-use nonce for a Sign-In with Ethereum message
+ */
+export async function GET() {
+  return NextResponse.json(
+    { nonce: issueNonce() },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
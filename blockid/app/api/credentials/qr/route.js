@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { ethers } from "ethers";
+import { ApiError, requireProvenHolder } from "@/utils/api";
+import { parseIdNumber } from "@/utils/identity";
+import { signQrCredential, QR_VALIDITY_SECONDS } from "@/utils/qrCredential";
+
+export const dynamic = "force-dynamic";
+
+// Attributes the holder must prove before their name and date of birth are signed into the QR
+const REQUIRED_ATTRIBUTES = ["fullName", "dateOfBirth"];
+
+/**
+ * Get the issuer key that signs QR credentials
+ * QR_SIGNING_KEY_ID must match a kid in the verifiers' pinned NEXT_PUBLIC_QR_ISSUER_KEYS.
+ * @returns {Object} - { kid, signingKey }
+ */
+const getQrIssuer = () => {
+  if (!process.env.QR_SIGNING_KEY || !process.env.QR_SIGNING_KEY_ID) {
+    throw new ApiError(503, "Offline QR credentials are not available (issuer key is not configured)");
+  }
+  return { kid: process.env.QR_SIGNING_KEY_ID, signingKey: new ethers.SigningKey(process.env.QR_SIGNING_KEY) };
+};
+
+/**
+ * Sign an offline-verifiable QR credential for the signed-in holder's ID
+ * The holder's name and date of birth are taken from a disclosure proof and checked against the
+ * attributes committed on-chain, so the issuer only signs what the chain backs.
+ * Body: { "disclosure": {...} } with fullName and dateOfBirth disclosed
+ */
+export async function POST(request) {
+  let headers = {};
+  try {
+    const holder = await requireProvenHolder(request, { scope: "qr", purpose: "an offline QR", required: REQUIRED_ATTRIBUTES });
+    headers = holder.headers;
+    const { identity, evidence } = holder;
+
+    const { kid, signingKey } = getQrIssuer();
+    const now = Math.floor(Date.now() / 1000);
+    const idExpiresAt = identity.expiresAt ? Math.floor(new Date(identity.expiresAt).getTime() / 1000) : 0;
+
+    const qr = signQrCredential({
+      kid,
+      chainId: Number(evidence.chainId),
+      contractAddress: evidence.contractAddress,
+      idNumber: parseIdNumber(identity.idNumber),
+      owner: identity.owner,
+      idType: identity.idType,
+      fullName: identity.fullName,
+      dateOfBirth: identity.dateOfBirth,
+      uniqueIdentityHash: identity.uniqueIdentityHash,
+      issuedAt: now,
+      validUntil: idExpiresAt ? Math.min(now + QR_VALIDITY_SECONDS, idExpiresAt) : now + QR_VALIDITY_SECONDS,
+      idExpiresAt
+    }, signingKey);
+
+    console.log(`Signed offline QR for ${identity.idNumber}`);
+    return NextResponse.json({ qr }, { headers });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error("QR credential error:", error);
+    return NextResponse.json({ error: "Internal server error" }, { status: 500, headers });
+  }
+}
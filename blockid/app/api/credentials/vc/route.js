@@ -0,0 +1,67 @@
+import { NextResponse } from "next/server";
+import { ethers } from "ethers";
+import { ApiError, requireProvenHolder } from "@/utils/api";
+import { getContractReadOnly } from "@/utils/blockchain";
+import { buildIdentityCredential, signCredential } from "@/utils/verifiableCredential";
+
+export const dynamic = "force-dynamic";
+
+// Attributes the holder must prove before they are written into the credential
+const REQUIRED_ATTRIBUTES = ["fullName", "dateOfBirth"];
+
+/**
+ * Get the admin wallet that issues credentials
+ * Verifiers only accept credentials from admins of the contract, so the key is checked on-chain here too.
+ * @returns {Promise<ethers.Wallet>} - Issuer wallet
+ */
+const getCredentialIssuer = async () => {
+  if (!process.env.VC_ISSUER_PRIVATE_KEY) {
+    throw new ApiError(503, "Verifiable credentials are not available (issuer key is not configured)");
+  }
+  const issuer = new ethers.Wallet(process.env.VC_ISSUER_PRIVATE_KEY);
+
+  const contract = await getContractReadOnly();
+  if (!(await contract.isAdmin(issuer.address))) {
+    console.error(`VC issuer ${issuer.address} is not an admin of the contract`);
+    throw new ApiError(503, "Verifiable credentials are not available (issuer is not an admin)");
+  }
+  return issuer;
+};
+
+/**
+ * Issue a W3C verifiable credential for the signed-in holder's ID
+ * As for offline QR codes, the holder's name and date of birth come from a disclosure proof that is
+ * checked against the attributes committed on-chain before the admin wallet signs them.
+ * Body: { "disclosure": {...} } with fullName and dateOfBirth disclosed
+ */
+export async function POST(request) {
+  let headers = {};
+  try {
+    const holder = await requireProvenHolder(request, { scope: "vc", purpose: "a verifiable credential", required: REQUIRED_ATTRIBUTES });
+    headers = holder.headers;
+    const { identity, evidence } = holder;
+
+    const issuer = await getCredentialIssuer();
+    const credential = await signCredential(buildIdentityCredential({
+      issuer: issuer.address,
+      chainId: evidence.chainId,
+      contractAddress: evidence.contractAddress,
+      idNumber: identity.idNumber,
+      owner: identity.owner,
+      fullName: identity.fullName,
+      dateOfBirth: identity.dateOfBirth,
+      idType: identity.idType,
+      uniqueIdentityHash: identity.uniqueIdentityHash,
+      expiresAt: identity.expiresAt
+    }), issuer);
+
+    console.log(`Issued verifiable credential ${credential.id} for ${identity.idNumber}`);
+    return NextResponse.json({ credential }, { headers });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error("Verifiable credential error:", error);
+    return NextResponse.json({ error: "Internal server error" }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { ApiError, authenticateApiKey, checkRateLimit } from "@/utils/api";
+import { resolveDid } from "@/utils/did";
+
+export const dynamic = "force-dynamic";
+
+// HTTP status for each DID resolution error
+const ERROR_STATUS = {
+  invalidDid: 400,
+  methodNotSupported: 501,
+  notFound: 404,
+  internalError: 503
+};
+
+/**
+ * Resolve a did:blockid to its DID document (e.g. /api/did/did:blockid:11155111:42)
+ * Revoked IDs resolve with didDocumentMetadata.deactivated set, as the DID Resolution spec asks.
+ */
+export async function GET(request, { params }) {
+  let headers = {};
+  try {
+    const client = authenticateApiKey(request);
+    headers = checkRateLimit(client);
+
+    const did = decodeURIComponent(params.did);
+    const result = await resolveDid(did, { baseUrl: new URL(request.url).origin });
+    const error = result.didResolutionMetadata.error;
+    console.log(`DID resolution for ${client.clientId}: ${did} ${error || "ok"}`);
+
+    return NextResponse.json(result, {
+      status: error ? ERROR_STATUS[error] || 500 : 200,
+      headers: { ...headers, "Content-Type": 'application/ld+json;profile="https://w3id.org/did-resolution"' }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error("DID resolution error:", error);
+    return NextResponse.json({ error: "Internal server error" }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,11 @@
+import { handleVerdictRequest } from "@/utils/api";
+import { verifyID } from "@/utils/verification";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Verify an identity by ID number (e.g. /api/identities/BID-000042 or /api/identities/42)
+ */
+export async function GET(request, { params }) {
+  return handleVerdictRequest(request, () => verifyID(decodeURIComponent(params.id)));
+}
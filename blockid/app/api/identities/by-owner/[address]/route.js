@@ -0,0 +1,17 @@
+import { ethers } from "ethers";
+import { handleVerdictRequest, ApiError } from "@/utils/api";
+import { verifyID } from "@/utils/verification";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Verify the identity held by a wallet address
+ */
+export async function GET(request, { params }) {
+  return handleVerdictRequest(request, () => {
+    if (!ethers.isAddress(params.address)) {
+      throw new ApiError(400, "Invalid wallet address");
+    }
+    return verifyID(null, ethers.getAddress(params.address));
+  });
+}
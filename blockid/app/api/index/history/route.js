@@ -0,0 +1,11 @@
+import { handleIndexRequest } from "@/utils/api";
+import { getHistory } from "@/indexer/queries";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Event history for an identity, request or account (?idNumber=&requestId=&account=&name=&offset=&limit=)
+ */
+export async function GET(request) {
+  return handleIndexRequest(request, getHistory);
+}
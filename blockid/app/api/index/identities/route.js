@@ -0,0 +1,11 @@
+import { handleIndexRequest } from "@/utils/api";
+import { searchIdentities } from "@/indexer/queries";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Search indexed identities (?owner=&status=&idType=&idNumber=&offset=&limit=)
+ */
+export async function GET(request) {
+  return handleIndexRequest(request, searchIdentities);
+}
@@ -0,0 +1,11 @@
+import { handleIndexRequest } from "@/utils/api";
+import { searchRequests } from "@/indexer/queries";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Search indexed ID requests (?requester=&status=&idNumber=&offset=&limit=)
+ */
+export async function GET(request) {
+  return handleIndexRequest(request, searchRequests);
+}
@@ -0,0 +1,196 @@
+import { NextResponse } from "next/server";
+import { ethers } from "ethers";
+import { getToken } from "next-auth/jwt";
+import { ApiError, checkRateLimit } from "@/utils/api";
+import { getContractReadOnly } from "@/utils/blockchain";
+import { recoverRequestSigner, RELAY_MAX_DEADLINE_SECONDS } from "@/utils/relay";
+
+export const dynamic = "force-dynamic";
+
+// Signed requests one wallet may relay per minute
+const RELAY_RATE_LIMIT = parseInt(process.env.RELAY_RATE_LIMIT || "3");
+
+// Requests the relayer pays for per UTC day across all wallets
+const RELAY_DAILY_LIMIT = parseInt(process.env.RELAY_DAILY_LIMIT || "100");
+
+// Relayed requests counted for the current UTC day, shared across route bundles like the rate limits
+const relayBudget = globalThis.__blockidRelayBudget || (globalThis.__blockidRelayBudget = { day: "", count: 0 });
+
+/**
+ * Count a relayed request against the relayer's daily budget
+ */
+const spendRelayBudget = () => {
+  const today = new Date().toISOString().split("T")[0];
+  if (relayBudget.day !== today) {
+    relayBudget.day = today;
+    relayBudget.count = 0;
+  }
+  if (relayBudget.count >= RELAY_DAILY_LIMIT) {
+    throw new ApiError(503, "The relayer has reached its daily limit, please try again tomorrow");
+  }
+  relayBudget.count += 1;
+};
+
+/**
+ * Check whether a wallet already has a request waiting for approval
+ * @param {ethers.Contract} contract - BlockID contract
+ * @param {string} requester - Wallet address
+ * @returns {Promise<boolean>} - True if one of its requests is pending
+ */
+const hasPendingRequest = async (contract, requester) => {
+  const requestIds = await contract.getUserRequests(requester);
+  const details = await Promise.all(requestIds.map(requestId => contract.getRequestDetails(requestId)));
+  return details.some(request => request[4]);
+};
+
+/**
+ * Check the shape of a signed request
+ * @param {Object} body - Request body
+ * @returns {Object} - The signed request
+ */
+const parseSignedRequest = (body) => {
+  const { requester, ipfsHash, idType, uniqueHash, attributesRoot, nonce, deadline, signature } = body || {};
+
+  if (!ethers.isAddress(requester)) {
+    throw new ApiError(400, "requester must be a wallet address");
+  }
+  if (typeof ipfsHash !== "string" || !ipfsHash || typeof idType !== "string" || !idType) {
+    throw new ApiError(400, "ipfsHash and idType are required");
+  }
+  if (!ethers.isHexString(uniqueHash, 32) || !ethers.isHexString(attributesRoot, 32)) {
+    throw new ApiError(400, "uniqueHash and attributesRoot must be bytes32");
+  }
+  if (!/^\d+$/.test(String(nonce)) || !/^\d+$/.test(String(deadline))) {
+    throw new ApiError(400, "nonce and deadline must be integers");
+  }
+  if (!ethers.isHexString(signature)) {
+    throw new ApiError(400, "signature is required");
+  }
+
+  return { requester, ipfsHash, idType, uniqueHash, attributesRoot, nonce: String(nonce), deadline: String(deadline), signature };
+};
+
+/**
+ * Get the wallet that pays for relayed requests
+ * @param {ethers.Provider} provider - Provider of the contract's chain
+ * @returns {ethers.Wallet} - Relayer wallet
+ */
+const getRelayerWallet = (provider) => {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new ApiError(503, "Gasless requests are not available (relayer is not configured)");
+  }
+  return new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+};
+
+/**
+ * Submit an EIP-712 signed ID request on the requester's behalf, paying the gas
+ * The caller must be signed in with the requesting wallet, which must hold no ETH and have no
+ * request pending. The signature, nonce and deadline are checked here and the call is simulated
+ * first, so requests the contract would reject cost nothing. The relayer pays for at most
+ * RELAY_DAILY_LIMIT requests a day.
+ * Body: { requester, ipfsHash, idType, uniqueHash, attributesRoot, nonce, deadline, signature }
+ */
+export async function POST(request) {
+  let headers = {};
+  try {
+    const token = await getToken({ req: request, secret: process.env.NEXTAUTH_SECRET });
+    if (!token?.address) {
+      throw new ApiError(401, "Sign in with your wallet to send a gasless request");
+    }
+    headers = checkRateLimit({ clientId: `relay:${token.address.toLowerCase()}`, limit: RELAY_RATE_LIMIT });
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ApiError(400, "Request body must be JSON");
+    }
+    const signed = parseSignedRequest(body);
+
+    if (signed.requester.toLowerCase() !== token.address.toLowerCase()) {
+      throw new ApiError(403, "You can only relay requests for the wallet you signed in with");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Number(signed.deadline) <= now) {
+      throw new ApiError(400, "Signed request has expired, please sign it again");
+    }
+    if (Number(signed.deadline) > now + RELAY_MAX_DEADLINE_SECONDS) {
+      throw new ApiError(400, "Signed request deadline is too far in the future");
+    }
+
+    const contract = await getContractReadOnly();
+    const [network, contractAddress, nonce, balance, pending] = await Promise.all([
+      contract.runner.provider.getNetwork(),
+      contract.getAddress(),
+      contract.nonces(signed.requester),
+      contract.runner.provider.getBalance(signed.requester),
+      hasPendingRequest(contract, signed.requester)
+    ]);
+
+    if (nonce.toString() !== signed.nonce) {
+      throw new ApiError(409, "Signed request nonce is stale, please sign it again");
+    }
+
+    let signer;
+    try {
+      signer = recoverRequestSigner(signed, network.chainId, contractAddress);
+    } catch (error) {
+      throw new ApiError(400, "Signature is malformed");
+    }
+    if (signer.toLowerCase() !== signed.requester.toLowerCase()) {
+      throw new ApiError(400, "Signature does not match the requester");
+    }
+
+    // The relayer only pays for wallets that can't pay for themselves
+    if (balance !== 0n) {
+      throw new ApiError(403, "This wallet holds ETH, please send the request yourself");
+    }
+    if (pending) {
+      throw new ApiError(409, "This wallet already has a request waiting for approval");
+    }
+
+    const relayer = contract.connect(getRelayerWallet(contract.runner.provider));
+    const args = [
+      signed.requester,
+      signed.ipfsHash,
+      signed.idType,
+      signed.uniqueHash,
+      signed.attributesRoot,
+      signed.deadline,
+      signed.signature
+    ];
+
+    try {
+      await relayer.requestIdentityBySig.staticCall(...args);
+    } catch (simulationError) {
+      throw new ApiError(422, simulationError.reason || "The contract would reject this request");
+    }
+
+    spendRelayBudget();
+    console.log(`Relaying ID request for ${signed.requester} (${relayBudget.count}/${RELAY_DAILY_LIMIT} today)`);
+    const tx = await relayer.requestIdentityBySig(...args);
+    const receipt = await tx.wait();
+
+    const requested = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === "IDRequested");
+
+    return NextResponse.json({
+      transactionHash: receipt.hash,
+      requestId: requested ? Number(requested.args.requestId) : null
+    }, { headers });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error("Relay error:", error);
+    return NextResponse.json({ error: "Internal server error" }, { status: 500, headers });
+  }
+}
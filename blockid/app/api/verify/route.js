@@ -0,0 +1,30 @@
+import { handleVerdictRequest, ApiError } from "@/utils/api";
+import { verifyIDByHash, verifyDisclosure, verifyAgeProof } from "@/utils/verification";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Verify an identity hash or a holder-generated proof
+ * Body: { "hash": "0x..." } | { "disclosure": {...} } | { "ageProof": {...} }
+ */
+export async function POST(request) {
+  return handleVerdictRequest(request, async () => {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ApiError(400, "Request body must be JSON");
+    }
+
+    if (body?.hash) {
+      return verifyIDByHash(body.hash);
+    }
+    if (body?.disclosure) {
+      return verifyDisclosure(body.disclosure);
+    }
+    if (body?.ageProof) {
+      return verifyAgeProof(body.ageProof);
+    }
+    throw new ApiError(400, "Provide one of: hash, disclosure, ageProof");
+  });
+}
@@ -0,0 +1,115 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { getIdentityActivity, getRequestActivity } from '@/utils/activity';
+import { parseIdNumber, formatIdNumber } from '@/utils/identity';
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 6)}...${hash.slice(-4)}` : '-');
+
+/**
+ * On-chain activity of an identity or request: every lifecycle event with its actor, time and transaction.
+ * Pass idNumber or requestId to show a fixed subject, or `searchable` to let the user look one up.
+ */
+export default function ActivityLog({ idNumber = null, requestId = null, searchable = false }) {
+  const [subject, setSubject] = useState({ type: idNumber ? 'id' : 'request', value: idNumber || requestId || '' });
+  const [entries, setEntries] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadActivity = useCallback(async ({ type, value }) => {
+    const number = type === 'id' ? parseIdNumber(value) : parseInt(value, 10);
+    if (!number || number < 1) {
+      setError(type === 'id' ? 'Enter a valid ID number.' : 'Enter a valid request number.');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setEntries(type === 'id' ? await getIdentityActivity(number) : await getRequestActivity(number));
+    } catch (err) {
+      console.error("Error loading activity:", err);
+      setError(err.message || 'Failed to load activity.');
+      setEntries(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Fixed subjects load straight away
+  useEffect(() => {
+    if (!searchable && (idNumber || requestId)) {
+      const fixed = { type: idNumber ? 'id' : 'request', value: idNumber || requestId };
+      setSubject(fixed);
+      loadActivity(fixed);
+    }
+  }, [idNumber, requestId, searchable, loadActivity]);
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3">Activity</h3>
+
+      {searchable && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <select
+            className="border rounded p-2 text-sm"
+            value={subject.type}
+            onChange={(e) => setSubject({ type: e.target.value, value: '' })}
+          >
+            <option value="id">ID number</option>
+            <option value="request">Request number</option>
+          </select>
+          <input
+            type="text"
+            placeholder={subject.type === 'id' ? 'BID-000001' : '1'}
+            className="border rounded p-2 text-sm flex-grow"
+            value={subject.value}
+            onChange={(e) => setSubject({ ...subject, value: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && loadActivity(subject)}
+          />
+          <button
+            onClick={() => loadActivity(subject)}
+            className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200"
+            disabled={isLoading || !subject.value}
+          >
+            {isLoading ? 'Loading...' : 'Show Activity'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {isLoading && !searchable && <p className="text-sm text-gray-500">Loading activity...</p>}
+
+      {entries && (
+        entries.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No on-chain activity found for {subject.type === 'id' ? formatIdNumber(subject.value) : `request #${subject.value}`}.
+          </p>
+        ) : (
+          <ol className="relative border-l border-gray-200 ml-2">
+            {entries.map(entry => (
+              <li key={`${entry.txHash}-${entry.logIndex}`} className="mb-4 ml-4">
+                <div className="absolute w-3 h-3 bg-blue-500 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                <p className="text-sm font-medium text-gray-800">{entry.label}</p>
+                <p className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</p>
+                {entry.details && <p className="text-sm text-gray-700 break-all">{entry.details}</p>}
+                <p className="text-xs text-gray-500">
+                  By <span className="font-mono">{shortHash(entry.actor)}</span>
+                  {' · '}
+                  <a
+                    href={`https://sepolia.etherscan.io/tx/${entry.txHash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-mono text-blue-600 hover:underline"
+                  >
+                    {shortHash(entry.txHash)}
+                  </a>
+                </p>
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+    </div>
+  );
+}
@@ -2,7 +2,6 @@
 
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { uploadFileToIPFS, uploadJSONToIPFS } from '@/utils/ipfs';
 import { createIdentity } from '@/utils/blockchain';
 
 const ID_TYPES = [
@@ -51,43 +50,23 @@ export default function CreateIDForm({ onSuccess }) {
     setError(null);
     
     try {
-      // Upload photo to IPFS if provided
-      let photoUrl = null;
-      if (data.photo && data.photo.length > 0) {
-        const photoIpfsHash = await uploadFileToIPFS(data.photo[0]);
-        photoUrl = `https://ipfs.io/ipfs/${photoIpfsHash}`;
-      }
-      
-      // Create metadata for IPFS
-      const metadata = {
-        firstName: data.firstName,
-        lastName: data.lastName,
+      // createIdentity uploads the photo and versioned metadata to IPFS before the transaction
+      const result = await createIdentity({
+        fullName: `${data.firstName} ${data.lastName}`.trim(),
         dateOfBirth: data.dateOfBirth,
-        photoUrl,
+        idType: data.idType,
         additionalInfo: data.additionalInfo,
-        createdAt: new Date().toISOString(),
-      };
-      
-      // Upload metadata to IPFS
-      const metadataIpfsHash = await uploadJSONToIPFS(metadata);
-      
-      // Convert expiry duration to seconds
-      const expiryDuration = parseInt(data.expiryDuration);
-      
-      // Create identity on blockchain
-      const idNumber = await createIdentity(
-        metadataIpfsHash,
-        expiryDuration,
-        data.idType
-      );
+        photo: data.photo && data.photo.length > 0 ? data.photo[0] : null,
+        expiryDuration: parseInt(data.expiryDuration)
+      });
       
-      console.log('Identity created with ID:', idNumber);
+      console.log('Identity created:', result);
       
       // Reset form and notify parent
       reset();
       setPhotoPreview(null);
       if (onSuccess) {
-        onSuccess(idNumber);
+        onSuccess(result.idNumber ?? result.requestId);
       }
     } catch (err) {
       console.error('Error creating ID:', err);
@@ -0,0 +1,297 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { getIdentity, getContractAddress, getNetworkChainId, getSigner } from '@/utils/blockchain';
+import { getFromIPFS } from '@/utils/ipfs';
+import { parseIdNumber } from '@/utils/identity';
+import { DISCLOSABLE_ATTRIBUTES, createDisclosureProof } from '@/utils/disclosure';
+import { AGE_PROOF_TYPE, createAgeProof } from '@/utils/age';
+import { requestQrCredential } from '@/utils/qrCredential';
+import { requestVerifiableCredential, createPresentation } from '@/utils/verifiableCredential';
+
+export default function DisclosurePanel({ idNumber, onQrCredential }) {
+  const [metadata, setMetadata] = useState(null);
+  const [selectedFields, setSelectedFields] = useState(['fullName']);
+  const [proof, setProof] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [minAge, setMinAge] = useState('18');
+  const [isSigningQr, setIsSigningQr] = useState(false);
+  const [isIssuingCredential, setIsIssuingCredential] = useState(false);
+  const [presentationChallenge, setPresentationChallenge] = useState('');
+
+  const numericId = parseIdNumber(idNumber);
+
+  // Reset when the ID changes; the metadata is only loaded (and decrypted) on request
+  useEffect(() => {
+    setMetadata(null);
+    setProof(null);
+    setError('');
+  }, [numericId]);
+
+  // Load the holder's metadata, which carries the per-attribute salts
+  const loadMetadata = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      const onChain = await getIdentity(numericId);
+      const data = await getFromIPFS(onChain.ipfsHash, { strict: true });
+
+      if (!data?.fullName) {
+        throw new Error('Your ID metadata could not be decrypted with this wallet.');
+      }
+      if (!data.attributeSalts || data.attributesRoot !== onChain.attributesRoot) {
+        throw new Error('This ID was issued before selective disclosure was available.');
+      }
+
+      setMetadata(data);
+    } catch (err) {
+      console.error("Error loading ID metadata for disclosure:", err);
+      setError(err.message || 'Failed to load your ID metadata.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleField = (key) => {
+    setProof(null);
+    setSelectedFields(prev => prev.includes(key) ? prev.filter(field => field !== key) : [...prev, key]);
+  };
+
+  const getProofContext = async () => ({
+    idNumber: numericId,
+    chainId: await getNetworkChainId(),
+    contractAddress: getContractAddress()
+  });
+
+  const handleGenerateProof = async () => {
+    try {
+      setError('');
+      setProof(createDisclosureProof(metadata, selectedFields, await getProofContext()));
+      setCopied(false);
+    } catch (err) {
+      console.error("Error generating disclosure proof:", err);
+      setError(err.message || 'Failed to generate the disclosure proof.');
+    }
+  };
+
+  // Prove a minimum age without revealing the date of birth
+  const handleGenerateAgeProof = async () => {
+    try {
+      setError('');
+      setProof(createAgeProof(metadata, parseInt(minAge), await getProofContext()));
+      setCopied(false);
+    } catch (err) {
+      console.error("Error generating age proof:", err);
+      setError(err.message || 'Failed to generate the age proof.');
+    }
+  };
+
+  // Have the issuer sign the name and date of birth into a QR that verifiers can check offline
+  const handleCreateQr = async () => {
+    try {
+      setIsSigningQr(true);
+      setError('');
+      const disclosure = createDisclosureProof(metadata, ['fullName', 'dateOfBirth'], await getProofContext());
+      const qr = await requestQrCredential(disclosure);
+      onQrCredential?.(qr);
+    } catch (err) {
+      console.error("Error creating offline QR:", err);
+      setError(err.message || 'Failed to create the offline QR.');
+    } finally {
+      setIsSigningQr(false);
+    }
+  };
+
+  // Get a W3C verifiable credential from the issuer, optionally wrapped in a presentation signed by this wallet
+  // for the challenge the verify page showed the verifier
+  const handleExportCredential = async (asPresentation) => {
+    try {
+      setIsIssuingCredential(true);
+      setError('');
+      const disclosure = createDisclosureProof(metadata, ['fullName', 'dateOfBirth'], await getProofContext());
+      const credential = await requestVerifiableCredential(disclosure);
+      setProof(asPresentation
+        ? await createPresentation(credential, await getSigner(), { challenge: presentationChallenge.trim(), domain: window.location.host })
+        : credential);
+      setCopied(false);
+    } catch (err) {
+      console.error("Error exporting verifiable credential:", err);
+      setError(err.reason || err.message || 'Failed to export the verifiable credential.');
+    } finally {
+      setIsIssuingCredential(false);
+    }
+  };
+
+  // What the generated proof is, for its file name and the verify page hint
+  const getProofKind = () => {
+    if (proof.type === AGE_PROOF_TYPE) return { file: 'age', label: 'Age Proof' };
+    if (Array.isArray(proof.type) && proof.type.includes('VerifiablePresentation')) return { file: 'vp', label: 'Verifiable Credential' };
+    if (Array.isArray(proof.type)) return { file: 'vc', label: 'Verifiable Credential' };
+    return { file: 'disclosure', label: 'Disclosure Proof' };
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(JSON.stringify(proof));
+    setCopied(true);
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(proof, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `blockid-${numericId}-${getProofKind().file}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!numericId) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6 border-t pt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Share Selected Details</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Create a proof that reveals only the details you choose. Verifiers check it against your ID on the blockchain without seeing anything else.
+      </p>
+
+      {!metadata ? (
+        <button
+          onClick={loadMetadata}
+          disabled={isLoading}
+          className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {isLoading ? 'Loading...' : 'Choose Details to Share'}
+        </button>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+            {DISCLOSABLE_ATTRIBUTES.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedFields.includes(key)}
+                  onChange={() => toggleField(key)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={handleGenerateProof}
+            disabled={selectedFields.length === 0}
+            className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            Generate Proof
+          </button>
+
+          <div className="mt-4 pt-4 border-t">
+            <p className="text-sm text-gray-600 mb-2">
+              Put an issuer-signed copy of your name and date of birth on your card&apos;s QR code, so it can be checked without a connection.
+            </p>
+            <button
+              onClick={handleCreateQr}
+              disabled={isSigningQr}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {isSigningQr ? 'Signing...' : 'Create Offline QR'}
+            </button>
+          </div>
+
+          <div className="mt-4 pt-4 border-t">
+            <p className="text-sm text-gray-600 mb-2">
+              Export your name and date of birth as a W3C Verifiable Credential signed by the issuer, for wallets and partners that accept them.
+              A presentation also carries your own wallet&apos;s signature, made for the challenge shown on the verifier&apos;s screen.
+            </p>
+            <input
+              type="text"
+              value={presentationChallenge}
+              onChange={(e) => setPresentationChallenge(e.target.value)}
+              placeholder="Verifier challenge (for a presentation)"
+              className="border rounded p-1 w-full mb-2 text-sm font-mono"
+            />
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => handleExportCredential(false)}
+                disabled={isIssuingCredential}
+                className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                {isIssuingCredential ? 'Issuing...' : 'Get Credential'}
+              </button>
+              <button
+                onClick={() => handleExportCredential(true)}
+                disabled={isIssuingCredential || !presentationChallenge.trim()}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                Get Signed Presentation
+              </button>
+            </div>
+          </div>
+
+          {metadata.ageCommitment && (
+            <div className="mt-4 pt-4 border-t">
+              <p className="text-sm text-gray-600 mb-2">
+                Or prove you are over an age without revealing your date of birth:
+              </p>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-gray-700" htmlFor="disclosure-min-age">Over</label>
+                <input
+                  id="disclosure-min-age"
+                  type="number"
+                  min="1"
+                  max="150"
+                  value={minAge}
+                  onChange={(e) => setMinAge(e.target.value)}
+                  className="border rounded p-1 w-20 text-sm"
+                />
+                <button
+                  onClick={handleGenerateAgeProof}
+                  disabled={!parseInt(minAge)}
+                  className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+                >
+                  Generate Age Proof
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {error && (
+        <p className="mt-3 text-sm text-red-600">{error}</p>
+      )}
+
+      {proof && (
+        <div className="mt-4">
+          <textarea
+            readOnly
+            value={JSON.stringify(proof, null, 2)}
+            rows={8}
+            className="w-full px-3 py-2 border rounded-md font-mono text-xs text-gray-700"
+          />
+          <div className="mt-2 flex gap-2">
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={handleDownload}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Download
+            </button>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Paste this proof into the {getProofKind().label} option on the verify page.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
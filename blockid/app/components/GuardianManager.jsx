@@ -0,0 +1,262 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getGuardians, setGuardians, approveRecovery } from '@/utils/blockchain';
+import { parseIdNumber, formatIdNumber } from '@/utils/identity';
+import { formatDate, truncateAddress } from '@/utils/formatting';
+
+const MAX_GUARDIANS = 10;
+
+/**
+ * Social recovery.
+ * With an idNumber the holder names guardians and how many of them must agree to move the ID to a
+ * new wallet. Every wallet also gets a panel to approve a recovery it was named guardian for; once
+ * enough guardians approve, the move is scheduled and the holder can still cancel it before it completes.
+ */
+export default function GuardianManager({ idNumber = null }) {
+  const [guardians, setGuardianList] = useState([]);
+  const [threshold, setThreshold] = useState(0);
+  const [draft, setDraft] = useState(null);
+  const [newGuardian, setNewGuardian] = useState('');
+  const [recovery, setRecovery] = useState({ idNumber: '', newWallet: '' });
+  const [result, setResult] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const numericId = parseIdNumber(idNumber);
+
+  const loadGuardians = useCallback(async () => {
+    const current = await getGuardians(numericId);
+    setGuardianList(current.guardians);
+    setThreshold(current.threshold);
+  }, [numericId]);
+
+  useEffect(() => {
+    if (numericId) {
+      loadGuardians();
+    }
+  }, [numericId, loadGuardians]);
+
+  const startEditing = () => {
+    setDraft({ guardians: [...guardians], threshold: threshold || 1 });
+    setError('');
+  };
+
+  const handleAddGuardian = () => {
+    const address = newGuardian.trim();
+    if (!ethers.isAddress(address)) {
+      setError('Enter a valid wallet address.');
+      return;
+    }
+    if (draft.guardians.some(guardian => guardian.toLowerCase() === address.toLowerCase())) {
+      setError('That wallet is already a guardian.');
+      return;
+    }
+    setDraft({ ...draft, guardians: [...draft.guardians, ethers.getAddress(address)] });
+    setNewGuardian('');
+    setError('');
+  };
+
+  const handleRemoveGuardian = (address) => {
+    const remaining = draft.guardians.filter(guardian => guardian !== address);
+    setDraft({ guardians: remaining, threshold: Math.min(draft.threshold, Math.max(remaining.length, 1)) });
+  };
+
+  const handleSaveGuardians = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      await setGuardians(numericId, draft.guardians, draft.guardians.length === 0 ? 0 : draft.threshold);
+      await loadGuardians();
+      setDraft(null);
+    } catch (err) {
+      console.error("Error saving guardians:", err);
+      setError(err.reason || err.message || 'Failed to save guardians.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleApproveRecovery = async () => {
+    const recoveredId = parseIdNumber(recovery.idNumber);
+    if (!recoveredId || !ethers.isAddress(recovery.newWallet.trim())) {
+      setError('Enter the ID number and the wallet it should move to.');
+      return;
+    }
+    if (!window.confirm(`Approve moving ${formatIdNumber(recoveredId)} to ${recovery.newWallet.trim()}? Only do this if the holder asked you in person or through a channel you trust.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setResult(await approveRecovery(recoveredId, recovery.newWallet.trim()));
+    } catch (err) {
+      console.error("Error approving recovery:", err);
+      setError(err.reason || err.message || 'Failed to approve the recovery.');
+      setResult(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 border-t pt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Guardians</h3>
+
+      {numericId && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-2">
+            If you lose this wallet, your guardians can jointly move your ID to a new one. The move waits a few days,
+            during which this wallet can cancel it.
+          </p>
+
+          {!draft ? (
+            <>
+              {guardians.length === 0 ? (
+                <p className="text-sm text-gray-500">No guardians set. Social recovery is off.</p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-700">
+                    {threshold} of {guardians.length} guardian(s) must approve a recovery.
+                  </p>
+                  <ul className="mt-1 text-sm font-mono text-gray-700">
+                    {guardians.map(guardian => <li key={guardian}>{guardian}</li>)}
+                  </ul>
+                </>
+              )}
+              <button
+                onClick={startEditing}
+                className="mt-2 px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {guardians.length === 0 ? 'Set Up Guardians' : 'Change Guardians'}
+              </button>
+            </>
+          ) : (
+            <div className="border rounded-md p-4">
+              {draft.guardians.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-2">No guardians. Saving turns social recovery off.</p>
+              ) : (
+                <ul className="mb-2 space-y-1">
+                  {draft.guardians.map(guardian => (
+                    <li key={guardian} className="flex items-center justify-between text-sm">
+                      <span className="font-mono text-gray-700">{guardian}</span>
+                      <button
+                        onClick={() => handleRemoveGuardian(guardian)}
+                        disabled={isLoading}
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {draft.guardians.length < MAX_GUARDIANS && (
+                <div className="flex gap-2 mb-3">
+                  <input
+                    type="text"
+                    value={newGuardian}
+                    onChange={(e) => setNewGuardian(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddGuardian()}
+                    placeholder="Guardian wallet (0x...)"
+                    className="flex-grow px-3 py-2 border rounded-md text-sm font-mono"
+                  />
+                  <button
+                    onClick={handleAddGuardian}
+                    disabled={isLoading || !newGuardian.trim()}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    Add
+                  </button>
+                </div>
+              )}
+
+              {draft.guardians.length > 0 && (
+                <label className="block text-sm text-gray-700 mb-3">
+                  Approvals needed:{' '}
+                  <select
+                    value={draft.threshold}
+                    onChange={(e) => setDraft({ ...draft, threshold: parseInt(e.target.value, 10) })}
+                    className="border rounded p-1 text-sm"
+                  >
+                    {draft.guardians.map((_, index) => (
+                      <option key={index + 1} value={index + 1}>{index + 1} of {draft.guardians.length}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => { setDraft(null); setError(''); }}
+                  disabled={isLoading}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveGuardians}
+                  disabled={isLoading}
+                  className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+                >
+                  {isLoading ? 'Saving...' : 'Save Guardians'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {!isOpen ? (
+        <button
+          onClick={() => setIsOpen(true)}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          Someone named you as a guardian? Approve a recovery
+        </button>
+      ) : (
+        <div className="border rounded-md p-4">
+          <p className="text-sm text-gray-600 mb-2">
+            Enter the ID you guard and the new wallet its holder gave you.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={recovery.idNumber}
+              onChange={(e) => setRecovery({ ...recovery, idNumber: e.target.value })}
+              placeholder="BID-000001"
+              className="w-36 px-3 py-2 border rounded-md text-sm"
+            />
+            <input
+              type="text"
+              value={recovery.newWallet}
+              onChange={(e) => setRecovery({ ...recovery, newWallet: e.target.value })}
+              placeholder="New wallet (0x...)"
+              className="flex-grow px-3 py-2 border rounded-md text-sm font-mono"
+            />
+            <button
+              onClick={handleApproveRecovery}
+              disabled={isLoading || !recovery.idNumber || !recovery.newWallet}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {isLoading ? 'Approving...' : 'Approve Recovery'}
+            </button>
+          </div>
+          {result && (
+            <p className="mt-2 text-sm text-green-700">
+              {result.readyAt
+                ? `Enough guardians approved. The move to ${truncateAddress(recovery.newWallet.trim())} can be completed from ${formatDate(result.readyAt, true)} unless the holder cancels it.`
+                : `Approval recorded: ${result.approvals} of ${result.threshold} guardians so far.`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
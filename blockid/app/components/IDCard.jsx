@@ -3,12 +3,16 @@
 import { useState, useEffect } from 'react';
 import Image from 'next/image';
 import { QRCodeSVG } from 'qrcode.react';
-import { fetchFromIPFS } from '@/utils/ipfs';
+import { getFromIPFS } from '@/utils/ipfs';
+import { getIdentity } from '@/utils/blockchain';
+import { parseIdNumber } from '@/utils/identity';
+import { getStoredQrCredential, QR_PREFIX } from '@/utils/qrCredential';
 
 export default function IDCard({ idNumber, identity, showActions = false, onVerify, onRevoke }) {
   const [idData, setIdData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [qrValue, setQrValue] = useState('');
 
   useEffect(() => {
     console.log("ID Card received data:", identity);
@@ -24,13 +28,17 @@ export default function IDCard({ idNumber, identity, showActions = false, onVeri
           return;
         }
         
-        // Otherwise try to fetch from IPFS (in a real app)
-        // This is a placeholder for actual IPFS fetching logic
-        const data = await fetchFromIPFS(idNumber);
-        setIdData(data);
+        // Otherwise resolve the metadata CID on-chain and fetch it from IPFS
+        // (encrypted metadata is decrypted when the connected wallet is a recipient)
+        const onChain = await getIdentity(parseIdNumber(idNumber));
+        const metadata = await getFromIPFS(onChain.ipfsHash, { strict: true });
+        if (!metadata?.fullName) {
+          throw new Error("ID metadata is encrypted and this wallet is not authorised to view it");
+        }
+        setIdData({ ...metadata, ...onChain, idNumber });
       } catch (err) {
         console.error("Error loading ID data:", err);
-        setError("Failed to load ID data");
+        setError(err.message?.includes("encrypted") ? "This ID's details are encrypted" : "Failed to load ID data");
       } finally {
         setLoading(false);
       }
@@ -38,6 +46,13 @@ export default function IDCard({ idNumber, identity, showActions = false, onVeri
     
     loadIDData();
   }, [identity, idNumber]);
+
+  // Prefer the issuer-signed QR stored on this device (verifies offline); otherwise link to this site's verify page
+  useEffect(() => {
+    const number = parseIdNumber(idNumber || identity?.idNumber);
+    if (!number) return;
+    setQrValue(getStoredQrCredential(number) || `${window.location.origin}/verify?id=${number}`);
+  }, [identity, idNumber]);
   
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -89,10 +104,12 @@ export default function IDCard({ idNumber, identity, showActions = false, onVeri
           {/* QR Code */}
           <div className="flex flex-col items-center">
             <div className="bg-white p-2 rounded">
-              <QRCodeSVG 
-                value={`https://blockid.app/verify/${idNumber}`} 
-                size={96}
-              />
+              {qrValue && (
+                <QRCodeSVG 
+                  value={qrValue} 
+                  size={qrValue.startsWith(QR_PREFIX) ? 128 : 96}
+                />
+              )}
             </div>
             <span className="text-sm text-gray-400 mt-2">Scan to verify</span>
           </div>
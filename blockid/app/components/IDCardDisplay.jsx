@@ -4,10 +4,13 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/app/contexts/AuthContext';
 import { QRCodeCanvas } from 'qrcode.react';
+import { getFromIPFS } from '@/utils/ipfs';
+import { getStoredQrCredential } from '@/utils/qrCredential';
 
 export default function DigitalIDCard({ idData }) {
   const [idCard, setIdCard] = useState(null);
   const [isExpanded, setIsExpanded] = useState(false);
+  const [signedQr, setSignedQr] = useState(null);
   const { isAuthenticated } = useAuth();
   const router = useRouter();
   
@@ -16,6 +19,19 @@ export default function DigitalIDCard({ idData }) {
     // If idData prop is provided, use it
     if (idData) {
       setIdCard(idData);
+      
+      // On-chain IDs may only carry the metadata CID; load (and decrypt, for the holder) the rest
+      if (idData.ipfsHash && !idData.fullName) {
+        let cancelled = false;
+        getFromIPFS(idData.ipfsHash, { strict: true })
+          .then(metadata => {
+            if (!cancelled && metadata?.fullName) {
+              setIdCard({ ...metadata, ...idData, fullName: metadata.fullName, photoUrl: metadata.photoUrl });
+            }
+          })
+          .catch(error => console.error("Error loading ID metadata from IPFS:", error));
+        return () => { cancelled = true; };
+      }
       return;
     }
     
@@ -32,6 +48,11 @@ export default function DigitalIDCard({ idData }) {
     }
   }, [idData, isAuthenticated]);
   
+  // An issuer-signed QR (created from the dashboard) verifies offline; without one the QR only links to the verify page
+  useEffect(() => {
+    setSignedQr(idCard?.qrCredential || getStoredQrCredential(idCard?.idNumber));
+  }, [idCard]);
+
   const handleEditCard = () => {
     router.push('/dashboard');
   };
@@ -170,14 +191,14 @@ export default function DigitalIDCard({ idData }) {
             <div className="flex items-center">
               <div className="mr-2 mt-1 bg-white p-1 rounded">
                 <QRCodeCanvas
-                  value={`${typeof window !== 'undefined' ? window.location.origin : ''}/verify?${new URLSearchParams({
+                  value={signedQr || `${typeof window !== 'undefined' ? window.location.origin : ''}/verify?${new URLSearchParams({
                     id: idCard.idNumber || '',
                     hash: idCard.uniqueIdentityHash || '',
                     txn: idCard.blockchainTxnHash || '',
                     address: idCard.walletAddress || ''
                   }).toString()}`}
-                  size={80}
-                  level="H"
+                  size={signedQr ? 120 : 80}
+                  level={signedQr ? 'L' : 'H'}
                   includeMargin={true}
                 />
               </div>
@@ -187,7 +208,9 @@ export default function DigitalIDCard({ idData }) {
                 ) : (
                   <p className="text-xs font-mono text-gray-300">ID Verification</p>
                 )}
-                <p className="text-xs text-green-400 mt-1">Scan to verify authenticity</p>
+                <p className="text-xs text-green-400 mt-1">
+                  {signedQr ? 'Issuer-signed, scan to verify offline' : 'Scan to verify authenticity online'}
+                </p>
               </div>
             </div>
           </div>
@@ -0,0 +1,186 @@
+"use client";
+
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getIdentityStatus,
+  suspendIdentity,
+  reinstateIdentity,
+  revokeIdentity,
+  migrateIdentity,
+  cancelMigration,
+  getPendingMigration
+} from '@/utils/blockchain';
+import { parseIdNumber, formatIdNumber } from '@/utils/identity';
+import { STATUS_REASONS } from '@/utils/status';
+import { formatDate, truncateAddress } from '@/utils/formatting';
+
+/**
+ * Look up an identity's status and suspend, reinstate or revoke it (verifiers and admins).
+ * Suspension is reversible; revocation is permanent and keeps the record on-chain.
+ * Admins can also schedule a move to a new wallet for a holder who lost theirs.
+ */
+export default function IdentityStatusManager({ canMigrate = false }) {
+  const [idInput, setIdInput] = useState('');
+  const [idNumber, setIdNumber] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [reason, setReason] = useState('1');
+  const [pendingMigration, setPendingMigration] = useState(null);
+  const [newWallet, setNewWallet] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = async (number = parseIdNumber(idInput)) => {
+    if (!number) {
+      setError('Enter a valid ID number.');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setStatus(await getIdentityStatus(number));
+      setPendingMigration(await getPendingMigration(number));
+      setIdNumber(number);
+    } catch (err) {
+      console.error("Error loading identity status:", err);
+      setError(err.reason || 'Identity not found.');
+      setStatus(null);
+      setIdNumber(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const runAction = async (action) => {
+    if (action === 'revoke' && !confirm(`Revoke ${formatIdNumber(idNumber)} permanently? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      if (action === 'suspend') await suspendIdentity(idNumber, parseInt(reason));
+      if (action === 'reinstate') await reinstateIdentity(idNumber);
+      if (action === 'revoke') await revokeIdentity(idNumber, parseInt(reason));
+      if (action === 'migrate') await migrateIdentity(idNumber, newWallet.trim());
+      if (action === 'cancel migration') await cancelMigration(idNumber);
+      await loadStatus(idNumber);
+    } catch (err) {
+      console.error(`Error running ${action}:`, err);
+      setError(err.reason || err.message || `Failed to ${action} the identity.`);
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Identity Status</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="ID number (BID-000001)"
+          className="border rounded p-2 text-sm flex-grow"
+          value={idInput}
+          onChange={(e) => setIdInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && loadStatus()}
+        />
+        <button
+          onClick={() => loadStatus()}
+          className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200"
+          disabled={isLoading || !idInput}
+        >
+          {isLoading ? 'Loading...' : 'Look Up'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {status && (
+        <div className="border rounded-md p-4">
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">{formatIdNumber(idNumber)}</span> is <span className="font-medium">{status.status}</span>
+            {status.changedAt && ` since ${formatDate(status.changedAt, true)} (by ${truncateAddress(status.changedBy)})`}
+          </p>
+          {status.reason > 0 && <p className="text-sm text-gray-600">Reason: {status.reasonLabel}</p>}
+
+          {status.status !== 'revoked' && (
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              <select
+                className="border rounded p-2 text-sm"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              >
+                {Object.entries(STATUS_REASONS).map(([code, label]) => (
+                  <option key={code} value={code}>{label}</option>
+                ))}
+              </select>
+              {status.status === 'active' ? (
+                <button
+                  onClick={() => runAction('suspend')}
+                  className="bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200 disabled:opacity-50"
+                  disabled={isLoading}
+                >
+                  Suspend
+                </button>
+              ) : (
+                <button
+                  onClick={() => runAction('reinstate')}
+                  className="bg-green-600 hover:bg-green-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200 disabled:opacity-50"
+                  disabled={isLoading}
+                >
+                  Reinstate
+                </button>
+              )}
+              <button
+                onClick={() => runAction('revoke')}
+                className="bg-red-600 hover:bg-red-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200 disabled:opacity-50"
+                disabled={isLoading}
+              >
+                Revoke
+              </button>
+            </div>
+          )}
+
+          {pendingMigration && (
+            <div className="mt-4 text-sm text-gray-700">
+              Move to <span className="font-mono">{truncateAddress(pendingMigration.newWallet)}</span> scheduled for {formatDate(pendingMigration.readyAt, true)}.
+              {canMigrate && (
+                <button
+                  onClick={() => runAction('cancel migration')}
+                  className="ml-2 text-red-600 hover:underline disabled:opacity-50"
+                  disabled={isLoading}
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
+
+          {canMigrate && status.status !== 'revoked' && (
+            <div className="flex flex-wrap items-center gap-2 mt-4">
+              <input
+                type="text"
+                placeholder="New wallet address (0x...)"
+                className="border rounded p-2 text-sm flex-grow font-mono"
+                value={newWallet}
+                onChange={(e) => setNewWallet(e.target.value)}
+              />
+              <button
+                onClick={() => runAction('migrate')}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200 disabled:opacity-50"
+                disabled={isLoading || !ethers.isAddress(newWallet.trim())}
+              >
+                Schedule Move
+              </button>
+              <p className="w-full text-xs text-gray-500">
+                The holder can cancel a scheduled move during the waiting period; after it anyone can complete it.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
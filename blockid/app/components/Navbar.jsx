@@ -7,12 +7,15 @@ import useWalletAuth from '@/app/hooks/useWalletAuth';
 import WalletConnectModal from './WalletConnectModal';
 import { smoothScrollTo } from '@/app/utils/scrollHelper';
 import { usePathname } from 'next/navigation';
-import { isAdmin } from '@/utils/blockchain';
+import { useSession } from 'next-auth/react';
+import { getRoles } from '@/utils/blockchain';
+import { hasPanelAccess } from '@/utils/session';
 import { truncateAddress } from '@/utils/formatting';
 import { useRouter } from 'next/navigation';
 
 export default function Navbar() {
   const { isAuthenticated } = useAuth();
+  const { data: session } = useSession();
   const {
     connect,
     disconnect,
@@ -31,6 +34,7 @@ export default function Navbar() {
   const [connectionError, setConnectionError] = useState(null);
   const [showReconnectTip, setShowReconnectTip] = useState(false);
   const [isAdminUser, setIsAdminUser] = useState(false);
+  const [roleLabels, setRoleLabels] = useState([]);
   const [showAuthAlert, setShowAuthAlert] = useState(false);
 
   const dropdownRef = useRef(null);
@@ -74,25 +78,42 @@ export default function Navbar() {
     }
   }, [hasSession, address, isConnecting, isSigning]);
 
-  // Check if current user is admin
+  // Check which on-chain roles the current user holds
+  // The signed-in session already carries them; only query the contract when it doesn't match this wallet
+  const sessionRoles = address && session?.user?.address?.toLowerCase() === address.toLowerCase()
+    ? session.user.roles
+    : null;
+
   useEffect(() => {
     const checkAdminStatus = async () => {
       if (address) {
         try {
-          const adminStatus = await isAdmin(address);
-          setIsAdminUser(adminStatus);
-          console.log(`Admin status for ${address}: ${adminStatus}`);
+          const roles = sessionRoles || await getRoles(address);
+          // Owners, admins, issuers and auditors can open the admin panel
+          setIsAdminUser(hasPanelAccess(roles));
+          setRoleLabels(
+            [
+              roles.isOwner && 'Owner',
+              roles.isAdmin && 'Admin',
+              roles.isIssuer && 'Issuer',
+              roles.isVerifier && 'Verifier',
+              roles.isAuditor && 'Auditor'
+            ].filter(Boolean)
+          );
+          console.log(`Roles for ${address}:`, roles);
         } catch (err) {
           console.error("Error checking admin status:", err);
           setIsAdminUser(false);
+          setRoleLabels([]);
         }
       } else {
         setIsAdminUser(false);
+        setRoleLabels([]);
       }
     };
     
     checkAdminStatus();
-  }, [address]);
+  }, [address, sessionRoles]);
 
   // Function to handle wallet connection
   const handleConnectWallet = async () => {
@@ -287,6 +308,11 @@ export default function Navbar() {
                   {isProfileDropdownOpen && (
                     <div className="absolute right-0 mt-2 w-48 bg-[var(--background)] rounded-md shadow-lg overflow-hidden z-10 border border-[var(--border)]">
                       <div className="py-1">
+                        {roleLabels.length > 0 && (
+                          <div className="px-4 py-2 text-xs text-purple-400 border-b border-[var(--border)]">
+                            {roleLabels.join(' · ')}
+                          </div>
+                        )}
                         <Link 
                           href="/dashboard" 
                           className="block px-4 py-2 text-sm hover:bg-[var(--accent)]/10 hover:text-purple-500 transition-colors"
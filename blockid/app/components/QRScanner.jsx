@@ -0,0 +1,149 @@
+"use client";
+
+import { useState, useEffect, useRef } from 'react';
+import { decodeQrFromCanvas, readQrFromFile } from '@/utils/qrScan';
+
+// Time between decode attempts on the camera feed
+const SCAN_INTERVAL_MS = 250;
+
+/**
+ * Card scanner.
+ * Reads a QR code from the device camera (the rear camera on phones), or from an uploaded photo or
+ * downloaded ID card PDF, and hands the decoded text to onScan. The camera stops as soon as a code is read.
+ */
+export default function QRScanner({ onScan, onClose }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [cameraError, setCameraError] = useState('');
+  const [isStarting, setIsStarting] = useState(true);
+  const [isReadingFile, setIsReadingFile] = useState(false);
+  const [error, setError] = useState('');
+  // The camera loop is set up once, so it reads the latest onScan through a ref
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    let stream = null;
+    let frameRequest = null;
+    let lastScan = 0;
+    let stopped = false;
+
+    const stopCamera = () => {
+      stopped = true;
+      if (frameRequest) cancelAnimationFrame(frameRequest);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+
+    const scanFrame = (timestamp) => {
+      if (stopped) return;
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+
+      if (video && canvas && video.readyState >= video.HAVE_ENOUGH_DATA && timestamp - lastScan >= SCAN_INTERVAL_MS) {
+        lastScan = timestamp;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d', { willReadFrequently: true }).drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        const text = decodeQrFromCanvas(canvas);
+        if (text) {
+          console.log('QR code read from camera');
+          stopCamera();
+          onScanRef.current(text);
+          return;
+        }
+      }
+      frameRequest = requestAnimationFrame(scanFrame);
+    };
+
+    const startCamera = async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setCameraError('This browser cannot use the camera here (it needs HTTPS). Upload a photo or the ID card PDF instead.');
+        setIsStarting(false);
+        return;
+      }
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        if (stopped) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        frameRequest = requestAnimationFrame(scanFrame);
+      } catch (err) {
+        console.error('Error starting camera:', err);
+        setCameraError(err.name === 'NotAllowedError'
+          ? 'Camera access was denied. Allow it in the browser settings, or upload a photo or the ID card PDF instead.'
+          : 'No camera could be started. Upload a photo or the ID card PDF instead.');
+      } finally {
+        setIsStarting(false);
+      }
+    };
+
+    startCamera();
+    return stopCamera;
+  }, []);
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsReadingFile(true);
+      setError('');
+      const text = await readQrFromFile(file);
+      if (!text) {
+        setError('No QR code was found in that file. Try a sharper photo with the whole code in view.');
+        return;
+      }
+      onScan(text);
+    } catch (err) {
+      console.error('Error reading QR code from file:', err);
+      setError(err.message || 'The file could not be read.');
+    } finally {
+      setIsReadingFile(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 border rounded-md p-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-gray-700 font-medium">Scan Card</p>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {cameraError ? (
+        <p className="text-sm text-gray-600 mb-3">{cameraError}</p>
+      ) : (
+        <div className="relative bg-black rounded-md overflow-hidden mb-3">
+          <video ref={videoRef} muted playsInline className="w-full max-h-80 object-contain" />
+          {isStarting && (
+            <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-300">Starting camera...</p>
+          )}
+          {!isStarting && (
+            <p className="absolute bottom-2 left-0 right-0 text-center text-xs text-gray-300">Hold the card&apos;s QR code in front of the camera</p>
+          )}
+        </div>
+      )}
+      <canvas ref={canvasRef} className="hidden" />
+
+      <label className="inline-block px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+        {isReadingFile ? 'Reading file...' : 'Upload Photo or PDF'}
+        <input
+          type="file"
+          accept="image/*,application/pdf"
+          onChange={handleFileUpload}
+          disabled={isReadingFile}
+          className="hidden"
+        />
+      </label>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { formatIdNumber } from '@/utils/identity';
+import { getReasonLabel } from '@/utils/status';
+
+const PAGE_SIZE = 20;
+
+const VIEWS = {
+  identities: {
+    label: 'Identities',
+    statuses: ['active', 'suspended', 'revoked'],
+    addressFilter: 'owner',
+    key: 'id_number'
+  },
+  requests: {
+    label: 'Requests',
+    statuses: ['pending', 'approved', 'rejected', 'cancelled'],
+    addressFilter: 'requester',
+    key: 'request_id'
+  }
+};
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : '-');
+
+/**
+ * Fetch a page from the event index API (uses the signed-in admin session)
+ * @param {string} path - Index route (identities, requests, history)
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} - Route response
+ */
+const fetchIndex = async (path, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value !== null));
+  const response = await fetch(`/api/index/${path}?${query}`, { cache: 'no-store' });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Index request failed (${response.status})`);
+  }
+  return data;
+};
+
+export default function RegistryExplorer() {
+  const [view, setView] = useState('identities');
+  const [addressInput, setAddressInput] = useState('');
+  const [address, setAddress] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(0);
+  const [results, setResults] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const config = VIEWS[view];
+
+  const search = useCallback(async (pageToLoad = 0) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const data = await fetchIndex(view, {
+        [VIEWS[view].addressFilter]: address,
+        status,
+        offset: pageToLoad * PAGE_SIZE,
+        limit: PAGE_SIZE
+      });
+      setResults(data);
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error("Error searching the event index:", err);
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [view, status, address]);
+
+  // Reload from the first page whenever the view or a filter changes
+  useEffect(() => {
+    setSelected(null);
+    setHistory(null);
+    search(0);
+  }, [search]);
+
+  // The typed address only becomes a filter when searched for
+  const applyAddress = () => {
+    if (addressInput.trim() === address) {
+      search(0);
+    } else {
+      setAddress(addressInput.trim());
+    }
+  };
+
+  const showHistory = async (item) => {
+    setSelected(item[config.key]);
+    setHistory(null);
+    try {
+      const data = await fetchIndex('history', {
+        [view === 'identities' ? 'idNumber' : 'requestId']: item[config.key],
+        limit: 100
+      });
+      setHistory(data.items);
+    } catch (err) {
+      console.error("Error loading history:", err);
+      setError(err.message);
+    }
+  };
+
+  const totalPages = results ? Math.max(1, Math.ceil(results.total / PAGE_SIZE)) : 1;
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Registry Explorer</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {Object.entries(VIEWS).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => { setView(key); setStatus(''); }}
+            className={`text-sm font-medium py-2 px-4 rounded transition duration-200 ${
+              view === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <select
+          className="border rounded p-2 text-sm"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+        >
+          <option value="">Any status</option>
+          {config.statuses.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder={`${config.addressFilter === 'owner' ? 'Owner' : 'Requester'} address (0x...)`}
+          className="border rounded p-2 text-sm flex-grow"
+          value={addressInput}
+          onChange={(e) => setAddressInput(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && applyAddress()}
+        />
+        <button
+          onClick={applyAddress}
+          className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200"
+          disabled={isLoading}
+        >
+          {isLoading ? 'Searching...' : 'Search'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {results && (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            {results.total} result(s). Index synced to block {results.index?.lastBlock ?? '-'} at {formatTime(results.index?.lastSyncedAt)}.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm text-left text-gray-700">
+              <thead className="bg-gray-50 text-xs uppercase text-gray-500">
+                <tr>
+                  <th className="px-3 py-2">{view === 'identities' ? 'ID' : 'Request'}</th>
+                  <th className="px-3 py-2">{view === 'identities' ? 'Owner' : 'Requester'}</th>
+                  <th className="px-3 py-2">Status</th>
+                  <th className="px-3 py-2">{view === 'identities' ? 'Created' : 'Requested'}</th>
+                  <th className="px-3 py-2">{view === 'identities' ? 'From request' : 'ID / Reason'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.items.map(item => (
+                  <tr
+                    key={item[config.key]}
+                    onClick={() => showHistory(item)}
+                    className={`border-b cursor-pointer hover:bg-gray-50 ${selected === item[config.key] ? 'bg-blue-50' : ''}`}
+                  >
+                    {view === 'identities' ? (
+                      <>
+                        <td className="px-3 py-2 font-mono">{formatIdNumber(item.id_number)}</td>
+                        <td className="px-3 py-2 font-mono">{shortAddress(item.owner)}</td>
+                        <td className="px-3 py-2">
+                          {item.status}
+                          {item.status_reason ? ` (${getReasonLabel(item.status_reason)})` : ''}
+                        </td>
+                        <td className="px-3 py-2">{formatTime(item.created_at)}</td>
+                        <td className="px-3 py-2">{item.request_id ? `#${item.request_id}` : '-'}</td>
+                      </>
+                    ) : (
+                      <>
+                        <td className="px-3 py-2 font-mono">#{item.request_id}</td>
+                        <td className="px-3 py-2 font-mono">{shortAddress(item.requester)}</td>
+                        <td className="px-3 py-2">
+                          {item.status}
+                          {item.status === 'pending' && item.approvals_required ? ` (${item.approvals}/${item.approvals_required})` : ''}
+                        </td>
+                        <td className="px-3 py-2">{formatTime(item.requested_at)}</td>
+                        <td className="px-3 py-2">
+                          {item.id_number ? formatIdNumber(item.id_number) : item.reason || '-'}
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div className="flex justify-between items-center mt-2 text-sm text-gray-700">
+              <button onClick={() => search(page - 1)} disabled={page === 0 || isLoading} className="px-3 py-1 border rounded">
+                Previous
+              </button>
+              <span>Page {page + 1} of {totalPages}</span>
+              <button onClick={() => search(page + 1)} disabled={page + 1 >= totalPages || isLoading} className="px-3 py-1 border rounded">
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {selected && (
+        <div className="mt-4 border rounded-md p-4">
+          <h3 className="font-medium text-gray-800 mb-2">
+            History of {view === 'identities' ? formatIdNumber(selected) : `request #${selected}`}
+          </h3>
+          {!history ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500">No events indexed.</p>
+          ) : (
+            <ul className="space-y-1 text-sm text-gray-700">
+              {history.map(event => (
+                <li key={`${event.block_number}-${event.log_index}`} className="flex flex-wrap gap-2">
+                  <span className="text-gray-500">{formatTime(event.timestamp)}</span>
+                  <span className="font-medium">{event.name}</span>
+                  <span className="font-mono text-xs text-gray-500">block {event.block_number}, tx {shortAddress(event.tx_hash)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import { getIdentity, getRenewalRequest, requestRenewal } from '@/utils/blockchain';
+import { parseIdNumber } from '@/utils/identity';
+import { formatDate, formatDuration, timeRemaining } from '@/utils/formatting';
+
+// Start warning the holder this long before their ID expires
+const WARNING_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Extensions a holder can ask for, in days
+const EXTENSION_OPTIONS = [90, 365, 1825, 3650];
+
+/**
+ * Expiry warning for the holder's ID, driven by the on-chain expiry.
+ * Shown once the ID is within the warning window (or expired), with a renewal request for the admins.
+ */
+export default function RenewalBanner({ idNumber }) {
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [pendingExtension, setPendingExtension] = useState(0);
+  const [extensionDays, setExtensionDays] = useState(String(EXTENSION_OPTIONS[1]));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const numericId = parseIdNumber(idNumber);
+
+  useEffect(() => {
+    if (!numericId) return;
+
+    const loadExpiry = async () => {
+      try {
+        const identity = await getIdentity(numericId);
+        setExpiresAt(identity.expiresAt);
+        setPendingExtension(await getRenewalRequest(numericId));
+      } catch (err) {
+        console.error("Error loading ID expiry:", err);
+        setExpiresAt(null);
+      }
+    };
+
+    loadExpiry();
+  }, [numericId]);
+
+  const handleRequestRenewal = async () => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const extension = parseInt(extensionDays) * 24 * 60 * 60;
+      await requestRenewal(numericId, extension);
+      setPendingExtension(extension);
+    } catch (err) {
+      console.error("Error requesting renewal:", err);
+      setError(err.reason || err.message || 'Failed to request renewal.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // IDs without an expiry, or far from it, need no banner
+  if (!expiresAt || expiresAt.getTime() - Date.now() > WARNING_WINDOW_MS) {
+    return null;
+  }
+
+  const expired = expiresAt.getTime() <= Date.now();
+
+  return (
+    <div className={`border-l-4 p-4 mb-6 ${expired ? 'bg-red-100 border-red-500 text-red-700' : 'bg-yellow-100 border-yellow-500 text-yellow-800'}`}>
+      <p className="font-medium">
+        {expired
+          ? `Your ID expired on ${formatDate(expiresAt)} and no longer verifies as valid.`
+          : `Your ID expires in ${timeRemaining(expiresAt)} (${formatDate(expiresAt)}).`}
+      </p>
+
+      {pendingExtension > 0 ? (
+        <p className="mt-2 text-sm">
+          Renewal requested for {formatDuration(pendingExtension)}. An admin will review it shortly.
+        </p>
+      ) : (
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <label htmlFor="renewal-extension" className="text-sm">Renew for:</label>
+          <select
+            id="renewal-extension"
+            className="border rounded p-1 text-sm text-gray-700"
+            value={extensionDays}
+            onChange={(e) => setExtensionDays(e.target.value)}
+          >
+            {EXTENSION_OPTIONS.map(days => (
+              <option key={days} value={days}>{formatDuration(days * 24 * 60 * 60)}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleRequestRenewal}
+            disabled={isSubmitting}
+            className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-1 px-3 rounded transition duration-200 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Requesting...' : 'Request Renewal'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
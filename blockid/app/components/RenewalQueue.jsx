@@ -0,0 +1,172 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { getExpiringIdentities, renewIdentity, declineRenewal } from '@/utils/blockchain';
+import { formatIdNumber } from '@/utils/identity';
+import { formatDate, formatDuration, timeRemaining } from '@/utils/formatting';
+
+// Windows the queue can look ahead, in days
+const WINDOW_OPTIONS = [7, 30, 90, 365];
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+/**
+ * Queue of IDs expiring within a chosen window, plus any with a holder renewal request.
+ * Admins can renew (approving the requested extension or choosing their own) or decline requests.
+ */
+export default function RenewalQueue({ canRenew = false }) {
+  const [windowDays, setWindowDays] = useState('30');
+  const [items, setItems] = useState(null);
+  const [extensionDays, setExtensionDays] = useState('365');
+  const [processingId, setProcessingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setItems(await getExpiringIdentities(parseInt(windowDays) * 24 * 60 * 60));
+    } catch (err) {
+      console.error("Error loading renewal queue:", err);
+      setError(err.message);
+      setItems(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [windowDays]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleRenew = async (item) => {
+    try {
+      setProcessingId(item.idNumber);
+      setError('');
+      // Approve the holder's requested extension, or apply the admin's chosen one
+      const extension = item.requestedExtension || parseInt(extensionDays) * 24 * 60 * 60;
+      await renewIdentity(item.idNumber, extension);
+      await loadQueue();
+    } catch (err) {
+      console.error("Error renewing ID:", err);
+      setError(err.reason || err.message || 'Failed to renew ID.');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleDecline = async (item) => {
+    const reason = prompt('Reason for declining this renewal:');
+    if (!reason) return;
+
+    try {
+      setProcessingId(item.idNumber);
+      setError('');
+      await declineRenewal(item.idNumber, reason);
+      await loadQueue();
+    } catch (err) {
+      console.error("Error declining renewal:", err);
+      setError(err.reason || err.message || 'Failed to decline renewal.');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-semibold text-gray-700 mb-4">Expiring IDs</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <label htmlFor="renewal-window" className="text-sm text-gray-600">Expiring within:</label>
+        <select
+          id="renewal-window"
+          className="border rounded p-2 text-sm"
+          value={windowDays}
+          onChange={(e) => setWindowDays(e.target.value)}
+        >
+          {WINDOW_OPTIONS.map(days => (
+            <option key={days} value={days}>{days} days</option>
+          ))}
+        </select>
+        {canRenew && (
+          <>
+            <label htmlFor="renewal-default-extension" className="text-sm text-gray-600 ml-4">Renew by (days):</label>
+            <input
+              id="renewal-default-extension"
+              type="number"
+              min="1"
+              max="3650"
+              className="border rounded p-2 w-24 text-sm"
+              value={extensionDays}
+              onChange={(e) => setExtensionDays(e.target.value)}
+            />
+          </>
+        )}
+        <button
+          onClick={loadQueue}
+          className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-medium py-2 px-4 rounded transition duration-200"
+          disabled={isLoading}
+        >
+          {isLoading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {items && (
+        items.length === 0 ? (
+          <p className="text-sm text-gray-500">No IDs expire within {windowDays} days.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm text-left text-gray-700">
+              <thead className="bg-gray-50 text-xs uppercase text-gray-500">
+                <tr>
+                  <th className="px-3 py-2">ID</th>
+                  <th className="px-3 py-2">Owner</th>
+                  <th className="px-3 py-2">Expires</th>
+                  <th className="px-3 py-2">Renewal request</th>
+                  {canRenew && <th className="px-3 py-2">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => (
+                  <tr key={item.idNumber} className="border-b">
+                    <td className="px-3 py-2 font-mono">{formatIdNumber(item.idNumber)}</td>
+                    <td className="px-3 py-2 font-mono">{shortAddress(item.owner)}</td>
+                    <td className={`px-3 py-2 ${item.expired ? 'text-red-600' : ''}`}>
+                      {formatDate(item.expiresAt)} ({timeRemaining(item.expiresAt)})
+                    </td>
+                    <td className="px-3 py-2">
+                      {item.requestedExtension ? formatDuration(item.requestedExtension) : '-'}
+                    </td>
+                    {canRenew && (
+                      <td className="px-3 py-2 space-x-2 whitespace-nowrap">
+                        <button
+                          onClick={() => handleRenew(item)}
+                          className="bg-green-600 hover:bg-green-700 text-white text-xs font-medium py-1 px-2 rounded disabled:opacity-50"
+                          disabled={processingId === item.idNumber}
+                        >
+                          {item.requestedExtension ? 'Approve' : 'Renew'}
+                        </button>
+                        {item.requestedExtension > 0 && (
+                          <button
+                            onClick={() => handleDecline(item)}
+                            className="bg-red-600 hover:bg-red-700 text-white text-xs font-medium py-1 px-2 rounded disabled:opacity-50"
+                            disabled={processingId === item.idNumber}
+                          >
+                            Decline
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+"use client";
+
+import { useState, useEffect } from 'react';
+import {
+  getSigner,
+  hasIdentity,
+  shareIdentityMetadata,
+  migrateIdentity,
+  completeMigration,
+  cancelMigration,
+  getPendingMigration
+} from '@/utils/blockchain';
+import { parseIdNumber } from '@/utils/identity';
+import { createMigrationCode, parseMigrationCode } from '@/utils/migration';
+import { formatDate, timeRemaining, truncateAddress } from '@/utils/formatting';
+
+/**
+ * Move an identity to another wallet.
+ * With an idNumber this is the holder's wizard: paste the new wallet's migration code, re-share the
+ * encrypted metadata with it and move the ID. Without one, it lets a wallet that has no ID create
+ * the migration code it needs to receive one. Migrations scheduled by an admin can be cancelled here.
+ */
+export default function WalletMigration({ idNumber = null, onMigrated }) {
+  const [step, setStep] = useState('code');
+  const [codeInput, setCodeInput] = useState('');
+  const [target, setTarget] = useState(null);
+  const [progress, setProgress] = useState('');
+  const [pending, setPending] = useState(null);
+  const [ownCode, setOwnCode] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const numericId = parseIdNumber(idNumber);
+
+  // A migration scheduled by an admin (or by guardians) is shown whether or not the wizard is open
+  useEffect(() => {
+    if (numericId) {
+      getPendingMigration(numericId).then(setPending);
+    }
+  }, [numericId]);
+
+  const handleCheckCode = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const parsed = parseMigrationCode(codeInput.trim());
+      if (await hasIdentity(parsed.address)) {
+        throw new Error('That wallet already has an ID. Each wallet can only hold one.');
+      }
+      setTarget(parsed);
+      setStep('confirm');
+    } catch (err) {
+      console.error("Invalid migration code:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleMigrate = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+
+      setProgress('Sharing your encrypted ID data with the new wallet...');
+      await shareIdentityMetadata(numericId, target);
+
+      setProgress('Moving your ID on-chain...');
+      await migrateIdentity(numericId, target.address);
+
+      setProgress('');
+      setStep('done');
+      onMigrated?.(target.address);
+    } catch (err) {
+      console.error("Error migrating ID:", err);
+      setError(err.reason || err.message || 'Failed to move your ID.');
+      setProgress('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePendingAction = async (action) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      if (action === 'cancel') {
+        await cancelMigration(numericId);
+        setPending(null);
+      } else {
+        await completeMigration(numericId);
+        onMigrated?.(pending.newWallet);
+      }
+    } catch (err) {
+      console.error(`Error running ${action} on migration:`, err);
+      setError(err.reason || err.message || 'The migration could not be updated.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCreateCode = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      setOwnCode(await createMigrationCode(await getSigner()));
+      setCopied(false);
+    } catch (err) {
+      console.error("Error creating migration code:", err);
+      setError(err.message || 'Failed to create a migration code.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(ownCode);
+    setCopied(true);
+  };
+
+  // Receiving side: a wallet without an ID creates its migration code
+  if (!numericId) {
+    return (
+      <div className="mb-6 border rounded-md p-4">
+        <h3 className="font-medium text-gray-800">Moving an existing ID to this wallet?</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Create a migration code here, then paste it into the dashboard of the wallet that holds your ID.
+        </p>
+        <button
+          onClick={handleCreateCode}
+          disabled={isLoading}
+          className="mt-3 px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+        >
+          {isLoading ? 'Waiting for signature...' : 'Create Migration Code'}
+        </button>
+        {ownCode && (
+          <div className="mt-3">
+            <textarea readOnly value={ownCode} rows={4} className="w-full px-3 py-2 border rounded-md font-mono text-xs text-gray-700" />
+            <button
+              onClick={handleCopy}
+              className="mt-2 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        )}
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-6 border-t pt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Move My ID to Another Wallet</h3>
+
+      {pending && (
+        <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 mb-4">
+          <p className="text-sm">
+            A move of this ID to {truncateAddress(pending.newWallet)} is scheduled
+            {pending.readyAt > new Date()
+              ? ` and can be completed in ${timeRemaining(pending.readyAt)} (${formatDate(pending.readyAt, true)}).`
+              : ' and can be completed now.'}
+          </p>
+          <p className="text-sm mt-1">If you did not ask for this, cancel it before then.</p>
+          <div className="mt-2 flex gap-2">
+            <button
+              onClick={() => handlePendingAction('cancel')}
+              disabled={isLoading}
+              className="px-3 py-1 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:bg-gray-400"
+            >
+              Cancel Move
+            </button>
+            {pending.readyAt <= new Date() && (
+              <button
+                onClick={() => handlePendingAction('complete')}
+                disabled={isLoading}
+                className="px-3 py-1 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:bg-gray-400"
+              >
+                Complete Move
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {!isOpen ? (
+        <button
+          onClick={() => setIsOpen(true)}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Start
+        </button>
+      ) : (
+        <div className="border rounded-md p-4">
+          {step === 'code' && (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                <strong>Step 1 of 2:</strong> Sign in with the new wallet, choose &quot;Create Migration Code&quot; on its dashboard and paste the code here.
+              </p>
+              <textarea
+                value={codeInput}
+                onChange={(e) => setCodeInput(e.target.value)}
+                rows={4}
+                placeholder='{"type":"blockid.migration",...}'
+                className="w-full px-3 py-2 border rounded-md font-mono text-xs text-gray-700"
+              />
+              <button
+                onClick={handleCheckCode}
+                disabled={isLoading || !codeInput.trim()}
+                className="mt-2 px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                {isLoading ? 'Checking...' : 'Continue'}
+              </button>
+            </>
+          )}
+
+          {step === 'confirm' && target && (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                <strong>Step 2 of 2:</strong> Your ID, its number and its history will move to
+                <span className="font-mono"> {target.address}</span>. This wallet will no longer hold it.
+              </p>
+              <p className="text-sm text-gray-600 mb-3">
+                Your encrypted ID data is shared with the new wallet first, then the ID is moved. Both steps are transactions from this wallet.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => { setStep('code'); setTarget(null); }}
+                  disabled={isLoading}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleMigrate}
+                  disabled={isLoading}
+                  className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-md hover:bg-red-700 disabled:bg-gray-400"
+                >
+                  {isLoading ? 'Moving...' : 'Move My ID'}
+                </button>
+              </div>
+              {progress && <p className="mt-2 text-sm text-gray-600">{progress}</p>}
+            </>
+          )}
+
+          {step === 'done' && (
+            <p className="text-sm text-green-700">
+              Your ID now belongs to {truncateAddress(target?.address)}. Sign in with that wallet to use it.
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useRouter, usePathname } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 
 // Create the auth context
 const AuthContext = createContext(undefined);
@@ -17,6 +18,7 @@ export function AuthProvider({ children }) {
   const [initialLoadComplete, setInitialLoadComplete] = useState(false);
   const router = useRouter();
   const pathname = usePathname();
+  const { status: sessionStatus } = useSession();
 
   // Check for existing session on mount
   useEffect(() => {
@@ -58,12 +60,13 @@ export function AuthProvider({ children }) {
   }, []);
 
   // Redirect authenticated users away from login page
+  // A stored user without a signed-in session still needs to log in (the middleware sends them here)
   useEffect(() => {
-    if (!isLoading && user && pathname === '/login') {
+    if (!isLoading && user && sessionStatus === 'authenticated' && pathname === '/login') {
       console.log("User is authenticated and on login page, redirecting to home");
       router.push('/');
     }
-  }, [isLoading, user, pathname, router]);
+  }, [isLoading, user, sessionStatus, pathname, router]);
 
   // Login function - called after wallet connection and signature
   const login = (address) => {
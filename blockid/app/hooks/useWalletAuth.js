@@ -3,12 +3,14 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '@/app/contexts/AuthContext';
 import { ethers } from 'ethers';
+import { signIn, signOut, useSession } from 'next-auth/react';
+import { buildSiweMessage } from '@/utils/siwe';
 
-// Message to sign for authentication
-const SIGN_MESSAGE = "Welcome to BlockID! Sign this message to authenticate your identity on the Sepolia testnet. This request will not trigger a blockchain transaction or cost any gas fees.";
+const CHAIN_ID = process.env.NEXT_PUBLIC_CHAIN_ID || '11155111';
 
 export function useWalletAuth() {
   const { login, logout } = useAuth();
+  const { data: session, status: sessionStatus } = useSession();
   
   // Connection states
   const [address, setAddress] = useState(null);
@@ -93,6 +95,11 @@ export function useWalletAuth() {
       } else if (accounts[0] !== address) {
         // Account was changed to a different one
         setAddress(accounts[0]);
+
+        // The signed-in session belongs to the previous wallet
+        if (address && accounts[0].toLowerCase() !== address.toLowerCase()) {
+          signOut({ redirect: false }).catch(err => console.error("Error ending session:", err));
+        }
         
         // Update the stored session with the new address
         if (hasSession) {
@@ -115,6 +122,7 @@ export function useWalletAuth() {
       setHasSession(false);
       localStorage.removeItem('blockid_wallet_session');
       logout();
+      signOut({ redirect: false }).catch(err => console.error("Error ending session:", err));
     };
     
     window.ethereum.on('accountsChanged', handleAccountsChanged);
@@ -252,12 +260,49 @@ export function useWalletAuth() {
     }
   }, [checkSession, address]);
 
+  // Build and sign a Sign-In with Ethereum (EIP-4361) message with a fresh server nonce
+  const signMessage = useCallback(async (account = address) => {
+    if (!account) {
+      throw new Error('Wallet not connected');
+    }
+    
+    setIsSigning(true);
+    
+    try {
+      const response = await fetch('/api/auth/nonce', { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error('Failed to get a sign-in nonce');
+      }
+      const { nonce } = await response.json();
+
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        address: account,
+        uri: window.location.origin,
+        chainId: CHAIN_ID,
+        nonce
+      });
+
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner(account);
+      const signature = await signer.signMessage(message);
+
+      return { message, signature };
+    } catch (err) {
+      console.error("Signing error:", err);
+      throw err;
+    } finally {
+      setIsSigning(false);
+    }
+  }, [address]);
+
   // Updated connect function that persists better
   const connect = useCallback(async (walletIndex = 0) => {
     setError(null);
     
-    // If already connected, return success
-    if (address) {
+    // If already connected with a signed-in session for this wallet, return success
+    if (address && sessionStatus === 'authenticated' &&
+        session?.user?.address?.toLowerCase() === address.toLowerCase()) {
       return { success: true, address };
     }
     
@@ -286,8 +331,17 @@ export function useWalletAuth() {
         return { success: false, error: "No accounts found" };
       }
       
-      // Store wallet connection
       const newAddress = accounts[0];
+
+      // Prove ownership of the wallet and open a NextAuth session
+      const { message, signature } = await signMessage(newAddress);
+      const result = await signIn('web3', { message, signature, redirect: false });
+      if (!result || result.error) {
+        setError("Wallet sign-in was rejected");
+        return { success: false, error: result?.error || "Sign-in failed" };
+      }
+      
+      // Store wallet connection
       setAddress(newAddress);
       setHasSession(true);
       
@@ -312,7 +366,7 @@ export function useWalletAuth() {
     } finally {
       setIsConnecting(false);
     }
-  }, [address, availableWallets, login]);
+  }, [address, availableWallets, login, signMessage, session, sessionStatus]);
 
   // Disconnect function
   const disconnect = useCallback(() => {
@@ -324,8 +378,9 @@ export function useWalletAuth() {
     localStorage.removeItem('blockid_wallet_session');
     sessionStorage.removeItem('blockid_active_session');
     
-    // Log out from auth context
+    // Log out from auth context and end the NextAuth session
     logout();
+    signOut({ redirect: false }).catch(err => console.error("Error ending session:", err));
     
     // Force refresh provider state
     if (typeof window !== 'undefined' && window.ethereum) {
@@ -357,26 +412,6 @@ export function useWalletAuth() {
     return { success: true };
   }, [logout]);
 
-  // Sign a message
-  const signMessage = async (message = '') => {
-    if (!address) {
-      throw new Error('Wallet not connected');
-    }
-    
-    setIsSigning(true);
-    
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      return await signer.signMessage(message || `Verify wallet ownership at ${new Date().toISOString()}`);
-    } catch (err) {
-      console.error("Signing error:", err);
-      throw err;
-    } finally {
-      setIsSigning(false);
-    }
-  };
-
   return {
     address,
     isConnecting,
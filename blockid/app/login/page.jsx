@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import Image from 'next/image';
 import ParticleNebula from '@/app/components/ParticleNebula';
 import useWalletAuth from '@/app/hooks/useWalletAuth';
@@ -33,19 +34,27 @@ export default function Login() {
   const router = useRouter();
   const { connect, isConnected, isConnecting } = useWalletAuth();
   const { user, isAuthenticated, loading, login } = useAuth();
+  const { status: sessionStatus } = useSession();
   const [showConnect, setShowConnect] = useState(false);
   const [backgroundLoaded, setBackgroundLoaded] = useState(false);
   const [selectedWallet, setSelectedWallet] = useState(null);
   const [connectionStage, setConnectionStage] = useState('idle'); // idle, connecting, signing, connected
   const [isLoginSuccess, setIsLoginSuccess] = useState(false);
 
+  // Page to return to after login (set by the middleware when it redirects here)
+  const getCallbackUrl = () => {
+    const callbackUrl = new URLSearchParams(window.location.search).get('callbackUrl');
+    // Only follow same-origin paths
+    return callbackUrl && callbackUrl.startsWith('/') && !callbackUrl.startsWith('//') ? callbackUrl : '/';
+  };
+
   useEffect(() => {
-    console.log("Login page mounted, auth status:", isAuthenticated ? "authenticated" : "not authenticated");
+    console.log("Login page mounted, auth status:", sessionStatus);
     
-    // If already authenticated, redirect to homepage
-    if (isAuthenticated && !loading) {
-      console.log("User is authenticated, redirecting to home page");
-      router.push('/');
+    // If already signed in, go back to where the user came from
+    if (sessionStatus === 'authenticated' && isAuthenticated && !loading) {
+      console.log("User is authenticated, redirecting");
+      router.push(getCallbackUrl());
     } else {
       // Default to showing connect options
       setShowConnect(true);
@@ -63,7 +72,7 @@ export default function Login() {
     };
     
     checkBackground();
-  }, [isAuthenticated, loading, router]);
+  }, [isAuthenticated, sessionStatus, loading, router]);
 
   const handleConnect = async (walletType) => {
     try {
@@ -79,7 +88,10 @@ export default function Login() {
         // Simulate signature request with timeout
         setTimeout(async () => {
           try {
-            await connect();
+            const result = await connect();
+            if (!result.success) {
+              throw new Error(result.error);
+            }
             setConnectionStage('connected');
             console.log("Wallet connected successfully");
             
@@ -107,8 +119,8 @@ export default function Login() {
 
   // Handle loading complete after successful login
   const handleLoginLoadingComplete = () => {
-    console.log("Login success screen complete, redirecting to home");
-    router.push('/');
+    console.log("Login success screen complete, redirecting");
+    router.push(getCallbackUrl());
   };
 
   // If still checking auth status, show loading
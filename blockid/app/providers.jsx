@@ -5,6 +5,7 @@ import { AuthProvider } from "./contexts/AuthContext";
 import { useEffect, useState } from "react";
 import LoadingScreen from "./components/LoadingScreen";
 import { ThemeProvider } from "next-themes";
+import { CLAIMS_REFRESH_MS } from "@/utils/session";
 
 /**
  * Providers component that wraps the application with all necessary context providers
@@ -25,7 +26,8 @@ export function Providers({ children }) {
   
   return (
     <ThemeProvider attribute="class">
-      <SessionProvider>
+      {/* Refetching the session re-runs the JWT callback, which refreshes stale identity claims */}
+      <SessionProvider refetchInterval={CLAIMS_REFRESH_MS / 1000}>
         <AuthProvider>
           {children}
         </AuthProvider>
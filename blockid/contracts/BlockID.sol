@@ -2,18 +2,50 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/ShortStrings.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./IERC5192.sol";
 
 /**
  * @title BlockID
  * @dev A smart contract for managing digital identities on the Ethereum blockchain
  * Implements soulbound token mechanics (non-transferable), admin approval, and 1-wallet-1-ID enforcement
+ * Access is role-based: owner, admin, issuer, verifier and auditor
+ * Requests are minted once an M-of-N quorum of issuers has approved them
+ * Each identity is an ERC-721 token locked to its owner per ERC-5192 (token ID = ID number)
+ * Read calls can be batched through multicall
+ * Requests can be signed as EIP-712 typed data and submitted by a relayer that pays the gas
  */
-contract BlockID is Ownable {
+contract BlockID is Ownable, AccessControlEnumerable, ERC721, IERC5192, Multicall {
     using Strings for uint256;
+    using ShortStrings for ShortString;
     using ECDSA for bytes32;
 
+    // Roles (the owner role is the AccessControl default admin role and follows Ownable ownership)
+    bytes32 public constant OWNER_ROLE = DEFAULT_ADMIN_ROLE;
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    // EIP-712 domain ("BlockID", version "1", this chain and contract) and type of a signed ID request
+    bytes32 public immutable DOMAIN_SEPARATOR;
+    bytes32 public constant REQUEST_IDENTITY_TYPEHASH = keccak256(
+        "RequestIdentity(address requester,string ipfsHash,string idType,bytes32 uniqueHash,bytes32 attributesRoot,uint256 nonce,uint256 deadline)"
+    );
+
+    // Waiting period before a migration scheduled on the holder's behalf can be completed
+    uint256 public constant MIGRATION_DELAY = 3 days;
+
+    // Most guardians a holder can name for social recovery
+    uint256 public constant MAX_GUARDIANS = 10;
+
     // Struct to store identity information
     struct Identity {
         address owner;
@@ -23,6 +55,24 @@ contract BlockID is Ownable {
         bool isVerified;
         string idType;
         bytes32 uniqueIdentityHash; // SHA-256 hash stored on-chain for verification
+        bytes32 attributesRoot;     // Merkle root of the salted identity attributes (selective disclosure)
+    }
+    
+    // Lifecycle status of an identity; revoked identities keep their record, wallet and hash
+    enum IdentityStatus { Active, Suspended, Revoked }
+
+    // Current status of an identity with the reason code, time and account of the last change
+    struct StatusRecord {
+        IdentityStatus status;
+        uint8 reason;       // Reason code (0 for none)
+        uint64 changedAt;
+        address changedBy;
+    }
+    
+    // Wallet move scheduled for an identity, which can be completed once readyAt has passed
+    struct PendingMigration {
+        address newWallet;
+        uint64 readyAt;
     }
     
     // Struct to store identity request
@@ -34,6 +84,11 @@ contract BlockID is Ownable {
         bool isPending;
         bool isApproved;
         bool isRejected;
+        bool isCancelled;
+        string rejectionReason;
+        uint256 previousRequestId; // Rejected request this one resubmits (0 if none)
+        bytes32 attributesRoot;    // Merkle root of the salted identity attributes
+        ShortString idType;        // Type of ID requested (up to 31 bytes), given to the identity when it is minted
     }
 
     // Mapping from ID number to Identity
@@ -45,12 +100,6 @@ contract BlockID is Ownable {
     // Mapping from unique identity hash to ID number (prevents duplicates)
     mapping(bytes32 => uint256) private hashToId;
     
-    // Mapping of authorized verifiers
-    mapping(address => bool) private verifiers;
-    
-    // ADMIN specific mappings and variables
-    address private adminWallet;
-    
     // Request ID counter
     uint256 private requestCounter;
     
@@ -59,75 +108,244 @@ contract BlockID is Ownable {
     
     // Mapping from requester address to array of their request IDs
     mapping(address => uint256[]) private userRequests;
+
+    // Indexed set of pending request IDs (unordered; removal swaps in the last element)
+    uint256[] private pendingRequestIds;
+
+    // Mapping from request ID to its position in pendingRequestIds plus one (0 if not pending)
+    mapping(uint256 => uint256) private pendingRequestIndex;
+
+    // Mapping from unique identity hash to the pending request using it (0 if none)
+    mapping(bytes32 => uint256) private pendingHashToRequest;
     
     // Counter for ID numbers
     uint256 private idCounter;
 
+    // Number of issuer approvals required before a request is minted
+    uint256 public approvalThreshold;
+
+    // Mapping from request ID to the issuers that approved it
+    mapping(uint256 => address[]) private requestApprovers;
+
+    // Mapping from request ID to approver to whether they approved it
+    mapping(uint256 => mapping(address => bool)) private hasApprovedRequest;
+
+    // Mapping from request ID to the expiry duration proposed by the first approver
+    mapping(uint256 => uint256) private requestExpiryDuration;
+
+    // Mapping from wallet to its compressed secp256k1 public key for encrypted metadata
+    mapping(address => bytes) private encryptionPublicKeys;
+
+    // Mapping from requester to the nonce their next signed request must carry
+    mapping(address => uint256) public nonces;
+
+    // Mapping from ID number to its status (identities start out active)
+    mapping(uint256 => StatusRecord) private identityStatus;
+
+    // Mapping from ID number to its scheduled wallet migration (newWallet is zero if none)
+    mapping(uint256 => PendingMigration) public pendingMigrations;
+
+    // Mapping from ID number to the guardians that can jointly recover it, and how many must agree
+    mapping(uint256 => address[]) private identityGuardians;
+    mapping(uint256 => uint256) private guardianThreshold;
+
+    // Mapping from ID number to its recovery round, bumped to discard outstanding guardian approvals
+    mapping(uint256 => uint256) private recoveryRound;
+
+    // Mapping from recovery key (ID number, round, new wallet) to guardian to whether they approved it
+    mapping(bytes32 => mapping(address => bool)) private hasApprovedRecovery;
+
+    // Mapping from recovery key to the number of guardian approvals
+    mapping(bytes32 => uint256) private recoveryApprovals;
+
+    // Mapping from ID number to the extension (in seconds) its holder asked for (0 if no renewal is pending)
+    mapping(uint256 => uint256) public renewalRequests;
+
     // Events
     event IdentityCreated(uint256 indexed idNumber, address indexed owner, string idType, bytes32 uniqueIdentityHash);
     event IdentityVerified(uint256 indexed idNumber, address indexed verifier);
-    event IdentityRevoked(uint256 indexed idNumber, address indexed revokedBy);
-    event VerifierAdded(address indexed verifier);
-    event VerifierRemoved(address indexed verifier);
-    event AdminChanged(address indexed oldAdmin, address indexed newAdmin);
+    event IdentityRevoked(uint256 indexed idNumber, address indexed revokedBy, uint8 reason);
+    event IdentitySuspended(uint256 indexed idNumber, address indexed suspendedBy, uint8 reason);
+    event IdentityReinstated(uint256 indexed idNumber, address indexed reinstatedBy);
+    event IdentityDataUpdated(uint256 indexed idNumber, address indexed updatedBy, string oldIpfsHash, string newIpfsHash);
+    event IdentityMigrationScheduled(uint256 indexed idNumber, address indexed newWallet, address indexed scheduledBy, uint256 readyAt);
+    event IdentityMigrationCancelled(uint256 indexed idNumber, address indexed cancelledBy);
+    event IdentityMigrated(uint256 indexed idNumber, address indexed previousWallet, address indexed newWallet);
+    event GuardiansChanged(uint256 indexed idNumber, address[] guardians, uint256 threshold);
+    event RecoveryApproved(uint256 indexed idNumber, address indexed newWallet, address indexed guardian, uint256 approvals, uint256 threshold);
     event IDRequested(uint256 indexed requestId, address indexed requester, bytes32 uniqueIdentityHash);
     event IDRequestApproved(uint256 indexed requestId, uint256 indexed idNumber, address indexed approvedBy);
     event IDRequestRejected(uint256 indexed requestId, address indexed rejectedBy, string reason);
+    event IDRequestCancelled(uint256 indexed requestId, address indexed requester);
+    event IDRequestResubmitted(uint256 indexed requestId, uint256 indexed previousRequestId, address indexed requester);
+    event IDRequestApprovalAdded(uint256 indexed requestId, address indexed approver, uint256 approvals, uint256 required);
+    event IdentityRenewalRequested(uint256 indexed idNumber, address indexed requester, uint256 extension);
+    event IdentityRenewalDeclined(uint256 indexed idNumber, address indexed declinedBy, string reason);
+    event IdentityRenewed(uint256 indexed idNumber, address indexed renewedBy, uint256 previousExpiresAt, uint256 newExpiresAt);
+    event ApprovalThresholdChanged(uint256 previousThreshold, uint256 newThreshold);
+    event EncryptionKeyPublished(address indexed account, bytes publicKey);
+
+    /**
+     * @dev Constructor sets the deployer as the initial owner and verifier, and gives the
+     * admin wallet the admin, issuer and verifier roles
+     */
+    constructor(address _adminWallet) Ownable(msg.sender) ERC721("BlockID", "BID") {
+        require(_adminWallet != address(0), "BlockID: invalid address");
+
+        // Admins manage issuers, verifiers and auditors; the owner manages admins
+        _setRoleAdmin(ADMIN_ROLE, OWNER_ROLE);
+        _setRoleAdmin(ISSUER_ROLE, ADMIN_ROLE);
+        _setRoleAdmin(VERIFIER_ROLE, ADMIN_ROLE);
+        _setRoleAdmin(AUDITOR_ROLE, ADMIN_ROLE);
+
+        _grantRole(VERIFIER_ROLE, msg.sender);
+
+        _grantRole(ADMIN_ROLE, _adminWallet);
+        _grantRole(ISSUER_ROLE, _adminWallet);
+        _grantRole(VERIFIER_ROLE, _adminWallet);
+
+        approvalThreshold = 1;
+
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("BlockID"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
 
     /**
-     * @dev Constructor sets the deployer as the initial owner, admin, and verifier
+     * @dev Keep the owner role in sync with Ownable ownership
+     * @param newOwner Address of the new owner
      */
-    constructor(address _adminWallet) Ownable(msg.sender) {
-        adminWallet = _adminWallet;
-        verifiers[msg.sender] = true;
-        verifiers[_adminWallet] = true;
-        emit VerifierAdded(msg.sender);
-        emit VerifierAdded(_adminWallet);
-        emit AdminChanged(address(0), _adminWallet);
+    function _transferOwnership(address newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(newOwner);
+
+        if (oldOwner != address(0)) {
+            _revokeRole(OWNER_ROLE, oldOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(OWNER_ROLE, newOwner);
+        }
     }
 
     /**
      * @dev Modifier to check if the caller is a verifier
      */
     modifier onlyVerifier() {
-        require(verifiers[msg.sender], "BlockID: caller is not a verifier");
+        require(hasRole(VERIFIER_ROLE, msg.sender), "BlockID: caller is not a verifier");
         _;
     }
     
     /**
-     * @dev Modifier to check if the caller is the admin
+     * @dev Modifier to check if the caller is an admin
      */
     modifier onlyAdmin() {
-        require(msg.sender == adminWallet, "BlockID: caller is not the admin");
+        require(hasRole(ADMIN_ROLE, msg.sender), "BlockID: caller is not an admin");
         _;
     }
-    
+
     /**
-     * @dev Change the admin wallet address (only owner can do this)
-     * @param _newAdmin New admin wallet address
+     * @dev Modifier to check if the caller is an issuer
      */
-    function changeAdmin(address _newAdmin) external onlyOwner {
-        require(_newAdmin != address(0), "BlockID: invalid address");
-        address oldAdmin = adminWallet;
-        adminWallet = _newAdmin;
-        
-        // Also add new admin as verifier
-        if (!verifiers[_newAdmin]) {
-            verifiers[_newAdmin] = true;
-            emit VerifierAdded(_newAdmin);
-        }
-        
-        emit AdminChanged(oldAdmin, _newAdmin);
+    modifier onlyIssuer() {
+        require(hasRole(ISSUER_ROLE, msg.sender), "BlockID: caller is not an issuer");
+        _;
     }
     
     /**
-     * @dev Get the current admin wallet address
-     * @return address Current admin wallet address
+     * @dev Get all admin addresses
+     * @return address[] Current admin addresses
+     */
+    function getAdmins() external view returns (address[] memory) {
+        return getRoleMembers(ADMIN_ROLE);
+    }
+
+    /**
+     * @dev Publish the caller's encryption public key so identity metadata can be encrypted for them.
+     * The key is derived off-chain from a wallet signature; the matching private key is never stored.
+     * @param publicKey Compressed secp256k1 public key (33 bytes)
      */
-    function getAdmin() external view returns (address) {
-        return adminWallet;
+    function setEncryptionPublicKey(bytes calldata publicKey) external {
+        require(publicKey.length == 33, "BlockID: invalid encryption public key");
+
+        encryptionPublicKeys[msg.sender] = publicKey;
+        emit EncryptionKeyPublished(msg.sender, publicKey);
+    }
+
+    /**
+     * @dev Get the encryption public key published by an account
+     * @param account The account to query
+     * @return bytes Compressed public key (empty if none was published)
+     */
+    function getEncryptionPublicKey(address account) external view returns (bytes memory) {
+        return encryptionPublicKeys[account];
     }
     
+    /**
+     * @dev Keep the approval threshold reachable when an issuer loses the role (revoked or renounced)
+     * @param role Role being revoked
+     * @param account Account losing the role
+     * @return bool True if the account held the role
+     */
+    function _revokeRole(bytes32 role, address account) internal override returns (bool) {
+        bool revoked = super._revokeRole(role, account);
+        require(role != ISSUER_ROLE || approvalThreshold <= getRoleMemberCount(ISSUER_ROLE), "BlockID: threshold exceeds issuer count");
+        return revoked;
+    }
+
+    /**
+     * @dev Set how many issuer approvals a request needs before it is minted (only admins)
+     * @param newThreshold Number of approvals required (between 1 and the number of issuers)
+     */
+    function setApprovalThreshold(uint256 newThreshold) external onlyAdmin {
+        require(newThreshold > 0, "BlockID: threshold must be at least 1");
+        require(newThreshold <= getRoleMemberCount(ISSUER_ROLE), "BlockID: threshold exceeds issuer count");
+
+        emit ApprovalThresholdChanged(approvalThreshold, newThreshold);
+        approvalThreshold = newThreshold;
+    }
+
+    /**
+     * @dev Get the approvals recorded for a request
+     * @param requestId The request ID to query
+     * @return approvers Approvers that still hold the issuer role
+     * @return required Number of approvals currently required
+     * @return expiryDuration Expiry duration proposed by the first approver
+     */
+    function getRequestApprovals(uint256 requestId) external view returns (
+        address[] memory approvers,
+        uint256 required,
+        uint256 expiryDuration
+    ) {
+        require(idRequests[requestId].requester != address(0), "BlockID: request does not exist");
+        return (_currentApprovers(requestId), approvalThreshold, requestExpiryDuration[requestId]);
+    }
+
+    /**
+     * @dev Get the approvers of a request that still hold the issuer role
+     * Approvals from issuers whose role was revoked no longer count toward the quorum.
+     * @param requestId The request ID to query
+     * @return approvers Current issuers that have approved the request
+     */
+    function _currentApprovers(uint256 requestId) private view returns (address[] memory approvers) {
+        address[] storage recorded = requestApprovers[requestId];
+        approvers = new address[](recorded.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < recorded.length; i++) {
+            if (hasRole(ISSUER_ROLE, recorded[i])) {
+                approvers[count++] = recorded[i];
+            }
+        }
+
+        // Shrink the array to the approvers that were kept
+        assembly {
+            mstore(approvers, count)
+        }
+    }
+
     /**
      * @dev Check if an address already has an ID
      * @param owner Address to check
@@ -147,12 +365,12 @@ contract BlockID is Ownable {
     }
     
     /**
-     * @dev Check if an address is the admin
+     * @dev Check if an address is an admin
      * @param addr Address to check
-     * @return bool True if the address is the admin
+     * @return bool True if the address has the admin role
      */
     function isAdmin(address addr) public view returns (bool) {
-        return addr == adminWallet;
+        return hasRole(ADMIN_ROLE, addr);
     }
     
     /**
@@ -160,117 +378,222 @@ contract BlockID is Ownable {
      * @param ipfsHash IPFS hash of the identity data
      * @param idType Type of ID (e.g., "driver_license", "passport", "national_id")
      * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
      * @return requestId The unique request ID assigned to this request
      */
     function requestIdentity(
-        string memory ipfsHash,
-        string memory idType,
-        bytes32 uniqueHash
+        string calldata ipfsHash,
+        string calldata idType,
+        bytes32 uniqueHash,
+        bytes32 attributesRoot
     ) external returns (uint256) {
+        return _createRequest(msg.sender, ipfsHash, idType, uniqueHash, attributesRoot, 0);
+    }
+
+    /**
+     * @dev Submit an ID request signed by the requester as EIP-712 typed data, so a relayer can pay the gas
+     * Each signature carries the requester's current nonce and a deadline, so it can only be used once and only in time.
+     * @param requester Wallet the request is made for (the signer)
+     * @param ipfsHash IPFS hash of the identity data
+     * @param idType Type of ID (e.g., "driver_license", "passport", "national_id")
+     * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature The requester's EIP-712 signature
+     * @return requestId The unique request ID assigned to this request
+     */
+    function requestIdentityBySig(
+        address requester,
+        string calldata ipfsHash,
+        string calldata idType,
+        bytes32 uniqueHash,
+        bytes32 attributesRoot,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (uint256) {
+        require(block.timestamp <= deadline, "BlockID: signature expired");
+
+        bytes32 structHash = keccak256(abi.encode(
+            REQUEST_IDENTITY_TYPEHASH,
+            requester,
+            keccak256(bytes(ipfsHash)),
+            keccak256(bytes(idType)),
+            uniqueHash,
+            attributesRoot,
+            nonces[requester]++,
+            deadline
+        ));
+        require(MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR, structHash).recover(signature) == requester, "BlockID: invalid signature");
+
+        return _createRequest(requester, ipfsHash, idType, uniqueHash, attributesRoot, 0);
+    }
+
+    /**
+     * @dev Resubmit a rejected request with corrected data, linking the new request to the rejected one
+     * @param previousRequestId The rejected request being resubmitted
+     * @param ipfsHash IPFS hash of the corrected identity data
+     * @param idType Type of ID (e.g., "driver_license", "passport", "national_id")
+     * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
+     * @return requestId The unique request ID assigned to the new request
+     */
+    function resubmitRequest(
+        uint256 previousRequestId,
+        string calldata ipfsHash,
+        string calldata idType,
+        bytes32 uniqueHash,
+        bytes32 attributesRoot
+    ) external returns (uint256) {
+        require(idRequests[previousRequestId].requester == msg.sender, "BlockID: caller is not the requester");
+        require(idRequests[previousRequestId].isRejected, "BlockID: request was not rejected");
+
+        uint256 requestId = _createRequest(msg.sender, ipfsHash, idType, uniqueHash, attributesRoot, previousRequestId);
+        emit IDRequestResubmitted(requestId, previousRequestId, msg.sender);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Withdraw a pending request (only the requester)
+     * @param requestId The request ID to cancel
+     */
+    function cancelRequest(uint256 requestId) external {
+        require(idRequests[requestId].requester == msg.sender, "BlockID: caller is not the requester");
+        require(idRequests[requestId].isPending, "BlockID: request is not pending");
+
+        _removePending(requestId);
+        idRequests[requestId].isCancelled = true;
+
+        emit IDRequestCancelled(requestId, msg.sender);
+    }
+
+    /**
+     * @dev Store a new pending request
+     * @param requester Wallet the request is made for
+     * @param ipfsHash IPFS hash of the identity data
+     * @param idType Type of ID (e.g., "driver_license", "passport", "national_id")
+     * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
+     * @param previousRequestId Rejected request this one resubmits (0 if none)
+     * @return requestId The unique request ID assigned to this request
+     */
+    function _createRequest(
+        address requester,
+        string calldata ipfsHash,
+        string calldata idType,
+        bytes32 uniqueHash,
+        bytes32 attributesRoot,
+        uint256 previousRequestId
+    ) private returns (uint256) {
         // Ensure requester doesn't already have an ID
-        require(!hasIdentity(msg.sender), "BlockID: wallet already has an ID");
+        require(!hasIdentity(requester), "BlockID: wallet already has an ID");
         
         // Ensure unique identity hash isn't reused
         require(!isHashRegistered(uniqueHash), "BlockID: identity with this hash already exists");
         
         // Make sure the same hash isn't in pending requests
-        for (uint256 i = 0; i < userRequests[msg.sender].length; i++) {
-            uint256 reqId = userRequests[msg.sender][i];
-            if (idRequests[reqId].isPending && idRequests[reqId].uniqueIdentityHash == uniqueHash) {
-                revert("BlockID: a request with this hash is already pending");
-            }
-        }
+        require(pendingHashToRequest[uniqueHash] == 0, "BlockID: a request with this hash is already pending");
         
         requestCounter++;
         uint256 requestId = requestCounter;
         
         // Store the request
-        idRequests[requestId] = IDRequest({
-            requester: msg.sender,
-            ipfsHash: ipfsHash,
-            requestedAt: block.timestamp,
-            uniqueIdentityHash: uniqueHash,
-            isPending: true,
-            isApproved: false,
-            isRejected: false
-        });
+        IDRequest storage request = idRequests[requestId];
+        request.requester = requester;
+        request.ipfsHash = ipfsHash;
+        request.requestedAt = block.timestamp;
+        request.uniqueIdentityHash = uniqueHash;
+        request.isPending = true;
+        request.previousRequestId = previousRequestId;
+        request.attributesRoot = attributesRoot;
+        request.idType = ShortStrings.toShortString(idType);
+        
+        // Index the pending request
+        pendingRequestIds.push(requestId);
+        pendingRequestIndex[requestId] = pendingRequestIds.length;
+        pendingHashToRequest[uniqueHash] = requestId;
         
         // Store the request ID in the user's requests array
-        userRequests[msg.sender].push(requestId);
+        userRequests[requester].push(requestId);
         
-        emit IDRequested(requestId, msg.sender, uniqueHash);
+        emit IDRequested(requestId, requester, uniqueHash);
         
         return requestId;
     }
     
     /**
-     * @dev Approve an identity request (only admin)
+     * @dev Approve an identity request (only issuers)
+     * Each issuer approves once; the identity is minted when the approval threshold is reached.
+     * Only approvers that still hold the issuer role count toward the threshold.
+     * All approvers must agree on the expiry duration proposed by the first approver.
      * @param requestId The request ID to approve
      * @param expiryDuration Duration in seconds until the ID expires (0 for no expiry)
-     * @return idNumber The unique ID number assigned to this identity
+     * @return idNumber The unique ID number assigned to this identity (0 while approvals are outstanding)
      */
-    function approveIDRequest(uint256 requestId, uint256 expiryDuration) external onlyAdmin returns (uint256) {
+    function approveIDRequest(uint256 requestId, uint256 expiryDuration) external onlyIssuer returns (uint256) {
         // Make sure the request exists and is pending
         require(idRequests[requestId].requester != address(0), "BlockID: request does not exist");
         require(idRequests[requestId].isPending, "BlockID: request is not pending");
         
-        address requester = idRequests[requestId].requester;
-        string memory ipfsHash = idRequests[requestId].ipfsHash;
-        bytes32 uniqueHash = idRequests[requestId].uniqueIdentityHash;
-        
-        // Make sure the requester doesn't already have an ID (double-check)
-        require(!hasIdentity(requester), "BlockID: requester already has an ID");
-        
-        // Make sure the hash isn't already registered (double-check)
-        require(!isHashRegistered(uniqueHash), "BlockID: identity with this hash already exists");
-        
-        // Create a new identity
-        idCounter++;
-        uint256 idNumber = idCounter;
+        bool isNewApproval = !hasApprovedRequest[requestId][msg.sender];
+        if (isNewApproval) {
+            if (requestApprovers[requestId].length == 0) {
+                requestExpiryDuration[requestId] = expiryDuration;
+            } else {
+                require(requestExpiryDuration[requestId] == expiryDuration, "BlockID: expiry does not match first approval");
+            }
+
+            hasApprovedRequest[requestId][msg.sender] = true;
+            requestApprovers[requestId].push(msg.sender);
+        }
+
+        uint256 approvals = _currentApprovers(requestId).length;
+        if (isNewApproval) {
+            emit IDRequestApprovalAdded(requestId, msg.sender, approvals, approvalThreshold);
+        } else {
+            // A repeat call only finalizes a request whose threshold has since been lowered
+            require(approvals >= approvalThreshold, "BlockID: request already approved by caller");
+        }
+
+        if (approvals < approvalThreshold) {
+            return 0;
+        }
         
-        uint256 expiresAt = expiryDuration > 0 ? block.timestamp + expiryDuration : 0;
+        IDRequest storage request = idRequests[requestId];
         
         // Create the identity
-        identities[idNumber] = Identity({
-            owner: requester,
-            ipfsHash: ipfsHash,
-            createdAt: block.timestamp,
-            expiresAt: expiresAt,
-            isVerified: true, // Auto-verified since admin approved it
-            idType: "personal_id", // Default ID type
-            uniqueIdentityHash: uniqueHash
-        });
-        
-        // Record wallet to ID mapping (for uniqueness enforcement)
-        walletToId[requester] = idNumber;
-        
-        // Record hash to ID mapping (for duplicate prevention)
-        hashToId[uniqueHash] = idNumber;
+        uint256 idNumber = _mintIdentity(
+            request.requester,
+            request.ipfsHash,
+            requestExpiryDuration[requestId],
+            request.idType.toString(),
+            request.uniqueIdentityHash,
+            request.attributesRoot
+        );
         
         // Update the request status
-        idRequests[requestId].isPending = false;
-        idRequests[requestId].isApproved = true;
+        _removePending(requestId);
+        request.isApproved = true;
         
-        // Emit events
         emit IDRequestApproved(requestId, idNumber, msg.sender);
-        emit IdentityCreated(idNumber, requester, "personal_id", uniqueHash);
         
         return idNumber;
     }
     
     /**
-     * @dev Reject an identity request (only admin)
+     * @dev Reject an identity request (only issuers)
      * @param requestId The request ID to reject
      * @param reason Reason for rejection
      */
-    function rejectIDRequest(uint256 requestId, string memory reason) external onlyAdmin {
+    function rejectIDRequest(uint256 requestId, string memory reason) external onlyIssuer {
         // Make sure the request exists and is pending
         require(idRequests[requestId].requester != address(0), "BlockID: request does not exist");
         require(idRequests[requestId].isPending, "BlockID: request is not pending");
         
         // Update the request status
-        idRequests[requestId].isPending = false;
+        _removePending(requestId);
         idRequests[requestId].isRejected = true;
+        idRequests[requestId].rejectionReason = reason;
         
         emit IDRequestRejected(requestId, msg.sender, reason);
     }
@@ -294,6 +617,10 @@ contract BlockID is Ownable {
      * @return isPending Whether the request is pending
      * @return isApproved Whether the request is approved
      * @return isRejected Whether the request is rejected
+     * @return isCancelled Whether the requester cancelled the request
+     * @return rejectionReason Reason given when the request was rejected
+     * @return previousRequestId Rejected request this one resubmits (0 if none)
+     * @return idType Type of ID requested
      */
     function getRequestDetails(uint256 requestId) external view returns (
         address requester,
@@ -302,7 +629,11 @@ contract BlockID is Ownable {
         bytes32 uniqueIdentityHash,
         bool isPending,
         bool isApproved,
-        bool isRejected
+        bool isRejected,
+        bool isCancelled,
+        string memory rejectionReason,
+        uint256 previousRequestId,
+        string memory idType
     ) {
         IDRequest storage request = idRequests[requestId];
         require(request.requester != address(0), "BlockID: request does not exist");
@@ -314,43 +645,104 @@ contract BlockID is Ownable {
             request.uniqueIdentityHash,
             request.isPending,
             request.isApproved,
-            request.isRejected
+            request.isRejected,
+            request.isCancelled,
+            request.rejectionReason,
+            request.previousRequestId,
+            request.idType.toString()
         );
     }
     
     /**
-     * @dev Get all pending requests (for admin)
-     * @return uint256[] Array of pending request IDs
+     * @dev Mark a request as no longer pending and remove it from the pending index
+     * @param requestId The request ID to remove
+     */
+    function _removePending(uint256 requestId) private {
+        idRequests[requestId].isPending = false;
+        delete pendingHashToRequest[idRequests[requestId].uniqueIdentityHash];
+
+        uint256 index = pendingRequestIndex[requestId];
+        if (index == 0) {
+            return;
+        }
+
+        // Swap the last pending request into the removed slot
+        uint256 lastRequestId = pendingRequestIds[pendingRequestIds.length - 1];
+        pendingRequestIds[index - 1] = lastRequestId;
+        pendingRequestIndex[lastRequestId] = index;
+
+        pendingRequestIds.pop();
+        delete pendingRequestIndex[requestId];
+    }
+
+    /**
+     * @dev Get a page of pending requests (for admin)
+     * Order is not stable across removals, so callers should reload from offset 0 after acting on a request
+     * @param offset Index of the first pending request to return
+     * @param limit Maximum number of request IDs to return
+     * @return requestIds Pending request IDs in this page
+     * @return total Total number of pending requests
+     */
+    function getPendingRequests(uint256 offset, uint256 limit) external view returns (
+        uint256[] memory requestIds,
+        uint256 total
+    ) {
+        total = pendingRequestIds.length;
+        if (offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 end = offset + limit > total ? total : offset + limit;
+        requestIds = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            requestIds[i - offset] = pendingRequestIds[i];
+        }
+    }
+
+    /**
+     * @dev Get a page of identities by ID number
+     * Revoked IDs inside the range are skipped, so a page may hold fewer than `limit` entries
+     * @param offset Number of ID numbers to skip (the page starts at ID number offset + 1)
+     * @param limit Maximum number of ID numbers to scan
+     * @return idNumbers Existing ID numbers in this page
+     * @return owners Owner of each returned ID number
+     * @return total Highest ID number issued so far
      */
-    function getPendingRequests() external view returns (uint256[] memory) {
-        // Count pending requests
+    function getIdentities(uint256 offset, uint256 limit) external view returns (
+        uint256[] memory idNumbers,
+        address[] memory owners,
+        uint256 total
+    ) {
+        total = idCounter;
+        uint256 end = offset + limit > total ? total : offset + limit;
         uint256 count = 0;
-        for (uint256 i = 1; i <= requestCounter; i++) {
-            if (idRequests[i].isPending) {
+
+        for (uint256 id = offset + 1; id <= end; id++) {
+            if (identities[id].owner != address(0) && identityStatus[id].status != IdentityStatus.Revoked) {
                 count++;
             }
         }
-        
-        // Create array of pending request IDs
-        uint256[] memory pendingIds = new uint256[](count);
+
+        idNumbers = new uint256[](count);
+        owners = new address[](count);
         uint256 index = 0;
-        for (uint256 i = 1; i <= requestCounter; i++) {
-            if (idRequests[i].isPending) {
-                pendingIds[index] = i;
+        for (uint256 id = offset + 1; id <= end; id++) {
+            if (identities[id].owner != address(0) && identityStatus[id].status != IdentityStatus.Revoked) {
+                idNumbers[index] = id;
+                owners[index] = identities[id].owner;
                 index++;
             }
         }
-        
-        return pendingIds;
     }
 
     /**
-     * @dev Creates a new digital identity directly (only admins can do this)
+     * @dev Creates a new digital identity directly (only issuers can do this)
      * @param owner Address that will own this identity
      * @param ipfsHash IPFS hash of the identity data
      * @param expiryDuration Duration in seconds until the ID expires (0 for no expiry)
      * @param idType Type of ID (e.g., "driver_license", "passport", "national_id")
      * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
      * @return idNumber The unique ID number assigned to this identity
      */
     function createIdentity(
@@ -358,8 +750,33 @@ contract BlockID is Ownable {
         string memory ipfsHash,
         uint256 expiryDuration,
         string memory idType,
-        bytes32 uniqueHash
-    ) external onlyAdmin returns (uint256) {
+        bytes32 uniqueHash,
+        bytes32 attributesRoot
+    ) external onlyIssuer returns (uint256) {
+        // Direct creation skips the approval quorum, so only allow it when a single approval suffices
+        require(approvalThreshold == 1, "BlockID: direct creation disabled while quorum approval is required");
+
+        return _mintIdentity(owner, ipfsHash, expiryDuration, idType, uniqueHash, attributesRoot);
+    }
+
+    /**
+     * @dev Mints a verified identity, enforcing one ID per wallet and unique identity hashes
+     * @param owner Address that will own this identity
+     * @param ipfsHash IPFS hash of the identity data
+     * @param expiryDuration Duration in seconds until the ID expires (0 for no expiry)
+     * @param idType Type of ID
+     * @param uniqueHash SHA-256 hash combining user details for uniqueness verification
+     * @param attributesRoot Merkle root of the salted identity attributes
+     * @return idNumber The unique ID number assigned to this identity
+     */
+    function _mintIdentity(
+        address owner,
+        string memory ipfsHash,
+        uint256 expiryDuration,
+        string memory idType,
+        bytes32 uniqueHash,
+        bytes32 attributesRoot
+    ) private returns (uint256) {
         // Ensure one ID per wallet
         require(!hasIdentity(owner), "BlockID: wallet already has an ID minted");
         
@@ -376,9 +793,10 @@ contract BlockID is Ownable {
             ipfsHash: ipfsHash,
             createdAt: block.timestamp,
             expiresAt: expiresAt,
-            isVerified: true, // Auto-verified since admin created it
+            isVerified: true, // Auto-verified since issuers approved it
             idType: idType,
-            uniqueIdentityHash: uniqueHash
+            uniqueIdentityHash: uniqueHash,
+            attributesRoot: attributesRoot
         });
         
         // Record wallet to ID mapping (for uniqueness enforcement)
@@ -387,6 +805,10 @@ contract BlockID is Ownable {
         // Record hash to ID mapping (for duplicate prevention)
         hashToId[uniqueHash] = idNumber;
         
+        // Mint the soulbound token for this identity
+        _mint(owner, idNumber);
+        emit Locked(idNumber);
+        
         emit IdentityCreated(idNumber, owner, idType, uniqueHash);
         
         return idNumber;
@@ -406,76 +828,366 @@ contract BlockID is Ownable {
     }
 
     /**
-     * @dev Revokes an identity
+     * @dev Revokes an identity permanently (the owner, verifiers or admins)
+     * The record is kept with its reason so verifiers can tell it apart from an ID that never existed,
+     * and the wallet and identity hash stay bound to it so they cannot be registered again.
      * @param idNumber The ID number to revoke
+     * @param reason Reason code for the revocation
      */
-    function revokeIdentity(uint256 idNumber) external {
-        require(identities[idNumber].owner != address(0), "BlockID: identity does not exist");
+    function revokeIdentity(uint256 idNumber, uint8 reason) external {
         require(
-            identities[idNumber].owner == msg.sender || verifiers[msg.sender] || owner() == msg.sender || msg.sender == adminWallet,
+            identities[idNumber].owner == msg.sender || _isModerator(msg.sender),
             "BlockID: caller is not authorized"
         );
+        _setStatus(idNumber, IdentityStatus.Revoked, reason);
+        delete renewalRequests[idNumber];
+        delete pendingMigrations[idNumber];
         
-        // Clear the wallet to ID mapping
-        walletToId[identities[idNumber].owner] = 0;
-        
-        // Clear the hash to ID mapping
-        hashToId[identities[idNumber].uniqueIdentityHash] = 0;
-        
-        delete identities[idNumber];
+        // Burn the soulbound token
+        _burn(idNumber);
         
-        emit IdentityRevoked(idNumber, msg.sender);
+        emit IdentityRevoked(idNumber, msg.sender, reason);
+    }
+
+    /**
+     * @dev Suspends an active identity until it is reinstated (only verifiers or admins)
+     * @param idNumber The ID number to suspend
+     * @param reason Reason code for the suspension
+     */
+    function suspendIdentity(uint256 idNumber, uint8 reason) external {
+        require(_isModerator(msg.sender), "BlockID: caller is not authorized");
+        require(identityStatus[idNumber].status == IdentityStatus.Active, "BlockID: identity is not active");
+        _setStatus(idNumber, IdentityStatus.Suspended, reason);
+
+        emit IdentitySuspended(idNumber, msg.sender, reason);
+    }
+
+    /**
+     * @dev Lifts a suspension (only verifiers or admins)
+     * @param idNumber The ID number to reinstate
+     */
+    function reinstateIdentity(uint256 idNumber) external {
+        require(_isModerator(msg.sender), "BlockID: caller is not authorized");
+        require(identityStatus[idNumber].status == IdentityStatus.Suspended, "BlockID: identity is not suspended");
+        _setStatus(idNumber, IdentityStatus.Active, 0);
+
+        emit IdentityReinstated(idNumber, msg.sender);
+    }
+
+    /**
+     * @dev Records a status change of an existing, unrevoked identity
+     */
+    function _setStatus(uint256 idNumber, IdentityStatus status, uint8 reason) private {
+        require(identities[idNumber].owner != address(0), "BlockID: identity does not exist");
+        require(identityStatus[idNumber].status != IdentityStatus.Revoked, "BlockID: identity is revoked");
+
+        identityStatus[idNumber] = StatusRecord(status, reason, uint64(block.timestamp), msg.sender);
+    }
+
+    /**
+     * @dev Verifiers and admins can suspend, reinstate and revoke any identity
+     */
+    function _isModerator(address account) private view returns (bool) {
+        return hasRole(VERIFIER_ROLE, account) || hasRole(ADMIN_ROLE, account);
     }
 
     /**
-     * @dev Updates the IPFS hash for an identity
+     * @dev Updates the IPFS hash for an identity, emitting both CIDs for the audit trail
      * @param idNumber The ID number to update
      * @param newIpfsHash The new IPFS hash
      */
     function updateIdentityData(uint256 idNumber, string memory newIpfsHash) external {
         require(identities[idNumber].owner != address(0), "BlockID: identity does not exist");
         require(
-            identities[idNumber].owner == msg.sender || msg.sender == adminWallet,
+            identities[idNumber].owner == msg.sender || hasRole(ADMIN_ROLE, msg.sender),
             "BlockID: caller is not the owner or admin"
         );
+        require(identityStatus[idNumber].status != IdentityStatus.Revoked, "BlockID: identity is revoked");
         
+        string memory oldIpfsHash = identities[idNumber].ipfsHash;
         identities[idNumber].ipfsHash = newIpfsHash;
+
+        emit IdentityDataUpdated(idNumber, msg.sender, oldIpfsHash, newIpfsHash);
     }
 
     /**
-     * @dev Adds a new verifier
-     * @param verifier Address of the verifier to add
+     * @dev Asks the admins to extend an expiring identity (only the holder)
+     * A new request replaces any renewal the holder already has pending.
+     * @param idNumber The ID number to renew
+     * @param extension Requested extension in seconds
      */
-    function addVerifier(address verifier) external onlyAdmin {
-        require(verifier != address(0), "BlockID: invalid address");
-        require(!verifiers[verifier], "BlockID: already a verifier");
-        
-        verifiers[verifier] = true;
-        
-        emit VerifierAdded(verifier);
+    function requestRenewal(uint256 idNumber, uint256 extension) external {
+        require(identities[idNumber].owner == msg.sender, "BlockID: caller is not the owner");
+        require(identities[idNumber].expiresAt > 0, "BlockID: identity does not expire");
+        require(identityStatus[idNumber].status != IdentityStatus.Revoked, "BlockID: identity is revoked");
+        require(extension > 0, "BlockID: invalid extension");
+
+        renewalRequests[idNumber] = extension;
+
+        emit IdentityRenewalRequested(idNumber, msg.sender, extension);
     }
 
     /**
-     * @dev Removes a verifier
-     * @param verifier Address of the verifier to remove
+     * @dev Extends an identity's expiry (only admins), approving the holder's pending renewal if any
+     * The extension runs from the current expiry, or from now if the identity has already expired.
+     * @param idNumber The ID number to renew
+     * @param extension Extension in seconds
      */
-    function removeVerifier(address verifier) external onlyAdmin {
-        require(verifiers[verifier], "BlockID: not a verifier");
-        require(verifier != adminWallet, "BlockID: cannot remove admin as verifier");
-        require(verifier != owner(), "BlockID: cannot remove owner as verifier");
-        
-        verifiers[verifier] = false;
-        
-        emit VerifierRemoved(verifier);
+    function renewIdentity(uint256 idNumber, uint256 extension) external onlyAdmin {
+        Identity storage identity = identities[idNumber];
+        require(identity.owner != address(0), "BlockID: identity does not exist");
+        require(identity.expiresAt > 0, "BlockID: identity does not expire");
+        require(identityStatus[idNumber].status != IdentityStatus.Revoked, "BlockID: identity is revoked");
+        require(extension > 0, "BlockID: invalid extension");
+
+        uint256 previousExpiresAt = identity.expiresAt;
+        identity.expiresAt = (previousExpiresAt > block.timestamp ? previousExpiresAt : block.timestamp) + extension;
+        delete renewalRequests[idNumber];
+
+        emit IdentityRenewed(idNumber, msg.sender, previousExpiresAt, identity.expiresAt);
+    }
+
+    /**
+     * @dev Declines a holder's pending renewal request (only admins)
+     * @param idNumber The ID number whose renewal is declined
+     * @param reason Reason for declining
+     */
+    function declineRenewal(uint256 idNumber, string memory reason) external onlyAdmin {
+        require(renewalRequests[idNumber] > 0, "BlockID: no pending renewal");
+
+        delete renewalRequests[idNumber];
+
+        emit IdentityRenewalDeclined(idNumber, msg.sender, reason);
+    }
+
+    /**
+     * @dev Moves an identity to another wallet, keeping its ID number, record and history
+     * The holder's wallet moves it straight away; an admin (e.g. for a holder who lost their wallet)
+     * can only schedule the move, which the holder can cancel until MIGRATION_DELAY has passed.
+     * @param idNumber The ID number to move
+     * @param newWallet Wallet that will own the identity
+     */
+    function migrateIdentity(uint256 idNumber, address newWallet) external {
+        _checkMigration(idNumber, newWallet);
+
+        if (identities[idNumber].owner == msg.sender) {
+            _migrate(idNumber, newWallet);
+        } else {
+            require(hasRole(ADMIN_ROLE, msg.sender), "BlockID: caller is not the owner or admin");
+            _scheduleMigration(idNumber, newWallet);
+        }
+    }
+
+    /**
+     * @dev Completes a scheduled migration once its waiting period has passed (anyone can call)
+     * @param idNumber The ID number to move
+     */
+    function completeMigration(uint256 idNumber) external {
+        PendingMigration memory pending = pendingMigrations[idNumber];
+        require(pending.newWallet != address(0), "BlockID: no pending migration");
+        require(block.timestamp >= pending.readyAt, "BlockID: migration delay has not passed");
+
+        _checkMigration(idNumber, pending.newWallet);
+        _migrate(idNumber, pending.newWallet);
+    }
+
+    /**
+     * @dev Cancels a scheduled migration (the holder or admins)
+     * @param idNumber The ID number whose migration is cancelled
+     */
+    function cancelMigration(uint256 idNumber) external {
+        require(pendingMigrations[idNumber].newWallet != address(0), "BlockID: no pending migration");
+        require(
+            identities[idNumber].owner == msg.sender || hasRole(ADMIN_ROLE, msg.sender),
+            "BlockID: caller is not the owner or admin"
+        );
+
+        delete pendingMigrations[idNumber];
+
+        emit IdentityMigrationCancelled(idNumber, msg.sender);
+    }
+
+    /**
+     * @dev Names the guardians that can jointly recover an identity to a new wallet (only the holder)
+     * Replacing the guardians discards any recovery approvals collected so far.
+     * @param idNumber The ID number to protect
+     * @param guardians Guardian addresses (empty to turn recovery off)
+     * @param threshold Number of guardians that must approve a recovery
+     */
+    function setGuardians(uint256 idNumber, address[] calldata guardians, uint256 threshold) external {
+        require(identities[idNumber].owner == msg.sender, "BlockID: caller is not the owner");
+        require(
+            guardians.length <= MAX_GUARDIANS && threshold <= guardians.length && (threshold > 0 || guardians.length == 0),
+            "BlockID: invalid guardian threshold"
+        );
+        for (uint256 i = 0; i < guardians.length; i++) {
+            require(guardians[i] != address(0) && guardians[i] != msg.sender, "BlockID: invalid guardian");
+            for (uint256 j = 0; j < i; j++) {
+                require(guardians[j] != guardians[i], "BlockID: duplicate guardian");
+            }
+        }
+
+        identityGuardians[idNumber] = guardians;
+        guardianThreshold[idNumber] = threshold;
+        recoveryRound[idNumber]++;
+
+        emit GuardiansChanged(idNumber, guardians, threshold);
+    }
+
+    /**
+     * @dev Gets the guardians of an identity
+     * @param idNumber The ID number to query
+     * @return guardians Guardian addresses
+     * @return threshold Number of guardians that must approve a recovery
+     */
+    function getGuardians(uint256 idNumber) external view returns (address[] memory guardians, uint256 threshold) {
+        return (identityGuardians[idNumber], guardianThreshold[idNumber]);
+    }
+
+    /**
+     * @dev Approves recovering an identity to a new wallet (only its guardians)
+     * Once the threshold is reached the move is scheduled like an admin migration: the holder's wallet
+     * can cancel it during MIGRATION_DELAY, after which anyone can complete it.
+     * @param idNumber The ID number to recover
+     * @param newWallet Wallet that will own the identity
+     */
+    function approveRecovery(uint256 idNumber, address newWallet) external {
+        address[] storage guardians = identityGuardians[idNumber];
+        bool isGuardian = false;
+        for (uint256 i = 0; i < guardians.length && !isGuardian; i++) {
+            isGuardian = guardians[i] == msg.sender;
+        }
+        require(isGuardian, "BlockID: caller is not a guardian");
+        _checkMigration(idNumber, newWallet);
+
+        bytes32 key = keccak256(abi.encode(idNumber, recoveryRound[idNumber], newWallet));
+        require(!hasApprovedRecovery[key][msg.sender], "BlockID: recovery already approved by caller");
+        hasApprovedRecovery[key][msg.sender] = true;
+        uint256 approvals = ++recoveryApprovals[key];
+
+        emit RecoveryApproved(idNumber, newWallet, msg.sender, approvals, guardianThreshold[idNumber]);
+
+        if (approvals == guardianThreshold[idNumber]) {
+            // Start a new round so these approvals can't schedule the move again after a cancellation
+            recoveryRound[idNumber]++;
+            _scheduleMigration(idNumber, newWallet);
+        }
+    }
+
+    /**
+     * @dev Checks that an identity can be moved to a wallet: it exists, is not revoked, and the wallet has no ID
+     */
+    function _checkMigration(uint256 idNumber, address newWallet) private view {
+        require(identities[idNumber].owner != address(0), "BlockID: identity does not exist");
+        require(identityStatus[idNumber].status != IdentityStatus.Revoked, "BlockID: identity is revoked");
+        require(newWallet != address(0) && !hasIdentity(newWallet), "BlockID: invalid new wallet");
+    }
+
+    /**
+     * @dev Schedules a migration to complete after MIGRATION_DELAY, replacing any pending one
+     */
+    function _scheduleMigration(uint256 idNumber, address newWallet) private {
+        uint256 readyAt = block.timestamp + MIGRATION_DELAY;
+        pendingMigrations[idNumber] = PendingMigration(newWallet, uint64(readyAt));
+
+        emit IdentityMigrationScheduled(idNumber, newWallet, msg.sender, readyAt);
+    }
+
+    /**
+     * @dev Rebinds an identity and its soulbound token to a new wallet
+     */
+    function _migrate(uint256 idNumber, address newWallet) private {
+        address previousWallet = identities[idNumber].owner;
+
+        walletToId[previousWallet] = 0;
+        walletToId[newWallet] = idNumber;
+        identities[idNumber].owner = newWallet;
+        delete pendingMigrations[idNumber];
+
+        // Soulbound tokens can't be transferred, so burn and re-mint the same token ID
+        _burn(idNumber);
+        _mint(newWallet, idNumber);
+        emit Locked(idNumber);
+
+        emit IdentityMigrated(idNumber, previousWallet, newWallet);
+    }
+
+    /**
+     * @dev ERC-5192: identity tokens are always locked to their owner
+     * @param tokenId The token (ID number) to query
+     * @return bool Always true for existing tokens
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return true;
+    }
+
+    /**
+     * @dev Returns the IPFS URI of the identity metadata
+     * @param tokenId The token (ID number) to query
+     * @return string ipfs:// URI of the metadata
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return string.concat("ipfs://", identities[tokenId].ipfsHash);
+    }
+
+    /**
+     * @dev Identity tokens cannot be approved for transfer
+     */
+    function approve(address, uint256) public pure override {
+        revert("BlockID: identity tokens are soulbound");
+    }
+
+    /**
+     * @dev Identity tokens cannot be approved for transfer
+     */
+    function setApprovalForAll(address, bool) public pure override {
+        revert("BlockID: identity tokens are soulbound");
+    }
+
+    /**
+     * @dev Identity tokens cannot be transferred
+     */
+    function transferFrom(address, address, uint256) public pure override {
+        revert("BlockID: identity tokens are soulbound");
+    }
+
+    /**
+     * @dev Identity tokens cannot be transferred
+     */
+    function safeTransferFrom(address, address, uint256, bytes memory) public pure override {
+        revert("BlockID: identity tokens are soulbound");
+    }
+
+    /**
+     * @dev Block every transfer; tokens can only be minted and burned
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        require(from == address(0) || to == address(0), "BlockID: identity tokens are soulbound");
+        return super._update(to, tokenId, auth);
+    }
+
+    /**
+     * @dev ERC-165 support for AccessControl, ERC-721 and ERC-5192
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(AccessControlEnumerable, ERC721)
+        returns (bool)
+    {
+        return interfaceId == type(IERC5192).interfaceId || super.supportsInterface(interfaceId);
     }
 
     /**
      * @dev Checks if an address is a verifier
      * @param verifier Address to check
-     * @return bool True if the address is a verifier
+     * @return bool True if the address has the verifier role
      */
     function isVerifier(address verifier) external view returns (bool) {
-        return verifiers[verifier];
+        return hasRole(VERIFIER_ROLE, verifier);
     }
 
     /**
@@ -488,6 +1200,7 @@ contract BlockID is Ownable {
      * @return isVerified Whether the identity is verified
      * @return idType The type of ID (e.g., "passport", "driver_license")
      * @return uniqueIdentityHash SHA-256 hash of the user's identity details
+     * @return attributesRoot Merkle root of the salted identity attributes
      */
     function getIdentity(uint256 idNumber) external view returns (
         address owner,
@@ -496,7 +1209,8 @@ contract BlockID is Ownable {
         uint256 expiresAt,
         bool isVerified,
         string memory idType,
-        bytes32 uniqueIdentityHash
+        bytes32 uniqueIdentityHash,
+        bytes32 attributesRoot
     ) {
         Identity storage identity = identities[idNumber];
         require(identity.owner != address(0), "BlockID: identity does not exist");
@@ -508,10 +1222,31 @@ contract BlockID is Ownable {
             identity.expiresAt,
             identity.isVerified,
             identity.idType,
-            identity.uniqueIdentityHash
+            identity.uniqueIdentityHash,
+            identity.attributesRoot
         );
     }
 
+    /**
+     * @dev Gets the status of an identity
+     * @param idNumber The ID number to query
+     * @return status 0 = active, 1 = suspended, 2 = revoked
+     * @return reason Reason code of the last status change (0 for none)
+     * @return changedAt Timestamp of the last status change (0 if never changed)
+     * @return changedBy Account that made the last status change
+     */
+    function getIdentityStatus(uint256 idNumber) external view returns (
+        IdentityStatus status,
+        uint8 reason,
+        uint256 changedAt,
+        address changedBy
+    ) {
+        require(identities[idNumber].owner != address(0), "BlockID: identity does not exist");
+
+        StatusRecord storage record = identityStatus[idNumber];
+        return (record.status, record.reason, record.changedAt, record.changedBy);
+    }
+
     /**
      * @dev Gets the ID number associated with a wallet address
      * @param owner The address to query
@@ -531,7 +1266,7 @@ contract BlockID is Ownable {
     }
 
     /**
-     * @dev Validates if an identity is valid (exists, verified, and not expired)
+     * @dev Validates if an identity is valid (exists, verified, active, and not expired)
      * @param idNumber The ID number to validate
      * @return bool True if the identity is valid
      */
@@ -545,6 +1280,10 @@ contract BlockID is Ownable {
         if (!identity.isVerified) {
             return false; // Identity not verified
         }
+
+        if (identityStatus[idNumber].status != IdentityStatus.Active) {
+            return false; // Identity suspended or revoked
+        }
         
         if (identity.expiresAt > 0 && block.timestamp > identity.expiresAt) {
             return false; // Identity expired
@@ -565,4 +1304,18 @@ contract BlockID is Ownable {
         
         return identity.uniqueIdentityHash == claimedHash;
     }
+
+    /**
+     * @dev Verifies a selectively disclosed attribute against an identity's attributes root
+     * @param idNumber The ID number to check
+     * @param leaf Leaf hash: keccak256(bytes.concat(keccak256(abi.encode(key, value, salt))))
+     * @param proof Merkle proof from the leaf to the root (sorted-pair hashing)
+     * @return bool True if the attribute is part of the identity's committed attributes
+     */
+    function verifyAttribute(uint256 idNumber, bytes32 leaf, bytes32[] calldata proof) external view returns (bool) {
+        Identity storage identity = identities[idNumber];
+        require(identity.owner != address(0), "BlockID: identity does not exist");
+
+        return MerkleProof.verifyCalldata(proof, identity.attributesRoot, leaf);
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC5192
+ * @dev Minimal Soulbound NFT interface (https://eips.ethereum.org/EIPS/eip-5192)
+ * The ERC-165 interface ID is 0xb45a3c0e
+ */
+interface IERC5192 {
+    /// @notice Emitted when the locking status is changed to locked
+    event Locked(uint256 tokenId);
+
+    /// @notice Emitted when the locking status is changed to unlocked
+    event Unlocked(uint256 tokenId);
+
+    /// @notice Returns the locking status of a Soulbound Token
+    /// @param tokenId The identifier for an SBT
+    function locked(uint256 tokenId) external view returns (bool);
+}
@@ -18,7 +18,9 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The IR pipeline keeps BlockID under the 24 KB contract size limit
+      viaIR: true
     }
   },
   networks: {
@@ -31,7 +33,7 @@ module.exports = {
     },
     sepolia: {
       url: SEPOLIA_RPC_URL,
-      accounts: [process.env.PRIVATE_KEY],
+      accounts: process.env.PRIVATE_KEY !== undefined ? [process.env.PRIVATE_KEY] : [],
     },
     goerli: {
       url: process.env.GOERLI_URL || "",
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+/**
+ * SQLite store for the BlockID event index.
+ *
+ * The database runs in memory through sql.js (SQLite compiled to WebAssembly, so there is no
+ * native build step) and is written to disk after every sync batch. The indexer process is the
+ * only writer; API routes open a read-only copy and reload it when the file changes.
+ *
+ * `events` is the source of truth. `identities`, `requests` and `roles` are derived from it by
+ * the handlers in sync.js and can be rebuilt from it at any time (which is how reorgs are undone).
+ */
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'blockid-index.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    id_number INTEGER,
+    request_id INTEGER,
+    accounts TEXT NOT NULL DEFAULT '',
+    args TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_id_number ON events (id_number);
+  CREATE INDEX IF NOT EXISTS events_request_id ON events (request_id);
+  CREATE INDEX IF NOT EXISTS events_name ON events (name);
+
+  CREATE TABLE IF NOT EXISTS identities (
+    id_number INTEGER PRIMARY KEY,
+    owner TEXT NOT NULL,
+    id_type TEXT,
+    unique_hash TEXT,
+    status TEXT NOT NULL,
+    status_reason INTEGER,
+    request_id INTEGER,
+    verified_by TEXT,
+    revoked_by TEXT,
+    revoked_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS identities_owner ON identities (owner);
+  CREATE INDEX IF NOT EXISTS identities_status ON identities (status);
+
+  CREATE TABLE IF NOT EXISTS requests (
+    request_id INTEGER PRIMARY KEY,
+    requester TEXT NOT NULL,
+    unique_hash TEXT,
+    status TEXT NOT NULL,
+    previous_request_id INTEGER,
+    resubmitted_as INTEGER,
+    approvals INTEGER NOT NULL DEFAULT 0,
+    approvals_required INTEGER,
+    id_number INTEGER,
+    decided_by TEXT,
+    reason TEXT,
+    requested_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS requests_requester ON requests (requester);
+  CREATE INDEX IF NOT EXISTS requests_status ON requests (status);
+
+  CREATE TABLE IF NOT EXISTS roles (
+    role TEXT NOT NULL,
+    account TEXT NOT NULL,
+    active INTEGER NOT NULL,
+    updated_by TEXT,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (role, account)
+  );
+`;
+
+let sqlModule = null;
+
+/**
+ * Load the sql.js WebAssembly module once per process
+ * @returns {Promise<Object>} - sql.js module
+ */
+const loadSql = async () => {
+  if (!sqlModule) {
+    sqlModule = await initSqlJs();
+  }
+  return sqlModule;
+};
+
+/**
+ * Path of the index database file
+ * @returns {string} - INDEXER_DB_PATH or data/blockid-index.sqlite
+ */
+const getDatabasePath = () => process.env.INDEXER_DB_PATH || DEFAULT_DB_PATH;
+
+/**
+ * Open the index database, creating the schema if needed
+ * @param {string} file - Database file (loaded if it exists)
+ * @returns {Promise<Object>} - sql.js Database
+ */
+const openDatabase = async (file = getDatabasePath()) => {
+  const SQL = await loadSql();
+  const db = fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+  db.exec(SCHEMA);
+  return db;
+};
+
+/**
+ * Write the database to disk atomically (write a temp file, then rename)
+ * @param {Object} db - sql.js Database
+ * @param {string} file - Destination file
+ */
+const saveDatabase = (db, file = getDatabasePath()) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  fs.writeFileSync(tempFile, Buffer.from(db.export()));
+  fs.renameSync(tempFile, file);
+};
+
+/**
+ * Run a query and return every row as an object
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} params - Placeholder values
+ * @returns {Array<Object>} - Rows
+ */
+const all = (db, sql, params = []) => {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+};
+
+/**
+ * Run a query and return the first row
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - SQL with ? placeholders
+ * @param {Array} params - Placeholder values
+ * @returns {Object|null} - First row or null
+ */
+const get = (db, sql, params = []) => all(db, sql, params)[0] || null;
+
+/**
+ * Read a meta value
+ * @param {Object} db - sql.js Database
+ * @param {string} key - Meta key
+ * @returns {string|null} - Stored value
+ */
+const getMeta = (db, key) => get(db, 'SELECT value FROM meta WHERE key = ?', [key])?.value ?? null;
+
+/**
+ * Write a meta value
+ * @param {Object} db - sql.js Database
+ * @param {string} key - Meta key
+ * @param {string|number} value - Value to store
+ */
+const setMeta = (db, key, value) => {
+  db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+};
+
+// Cached read-only copy for API routes, reloaded when the indexer rewrites the file
+let readOnlyCache = null;
+
+/**
+ * Open the index for reading
+ * @returns {Promise<Object|null>} - sql.js Database, or null if the indexer has not run yet
+ */
+const getReadOnlyIndex = async () => {
+  const file = getDatabasePath();
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(file);
+  if (!readOnlyCache || readOnlyCache.file !== file || readOnlyCache.mtimeMs !== mtimeMs) {
+    readOnlyCache?.db.close();
+    readOnlyCache = { file, mtimeMs, db: await openDatabase(file) };
+  }
+  return readOnlyCache.db;
+};
+
+module.exports = {
+  getDatabasePath,
+  openDatabase,
+  saveDatabase,
+  getReadOnlyIndex,
+  all,
+  get,
+  getMeta,
+  setMeta
+};
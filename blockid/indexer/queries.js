@@ -0,0 +1,103 @@
+const { all, get, getMeta } = require('./db');
+
+/**
+ * Read queries over the index database, used by the API routes.
+ * Addresses are stored lowercase; every query lowercases its address filters to match.
+ */
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Clamp paging parameters
+ * @param {Object} options - { offset, limit }
+ * @returns {Object} - { offset, limit }
+ */
+const getPaging = ({ offset = 0, limit = 25 } = {}) => ({
+  offset: Math.max(0, parseInt(offset) || 0),
+  limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 25))
+});
+
+/**
+ * Run a filtered, paginated query
+ * @param {Object} db - sql.js Database
+ * @param {string} table - Table name
+ * @param {Array<Array>} filters - [sqlCondition, value, params] entries; conditions with an empty value are
+ *   skipped, and params (default [value]) fill the condition's placeholders
+ * @param {string} orderBy - ORDER BY clause
+ * @param {Object} paging - { offset, limit }
+ * @returns {Object} - { items, total, offset, limit }
+ */
+const pageQuery = (db, table, filters, orderBy, paging) => {
+  const active = filters.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const where = active.length ? `WHERE ${active.map(([condition]) => condition).join(' AND ')}` : '';
+  const params = active.flatMap(([, value, conditionParams = [value]]) => conditionParams);
+  const { offset, limit } = getPaging(paging);
+
+  const { total } = get(db, `SELECT COUNT(*) AS total FROM ${table} ${where}`, params);
+  const items = all(db, `SELECT * FROM ${table} ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+
+  return { items, total, offset, limit };
+};
+
+/**
+ * Search indexed identities
+ * @param {Object} db - sql.js Database
+ * @param {Object} options - { owner, status, idType, idNumber, offset, limit }
+ * @returns {Object} - { items, total, offset, limit }
+ */
+const searchIdentities = (db, { owner, status, idType, idNumber, ...paging } = {}) => pageQuery(db, 'identities', [
+  ['owner = ?', owner?.toLowerCase()],
+  ['status = ?', status],
+  ['id_type = ?', idType],
+  ['id_number = ?', idNumber ? parseInt(idNumber) : null]
+], 'id_number DESC', paging);
+
+/**
+ * Search indexed ID requests
+ * @param {Object} db - sql.js Database
+ * @param {Object} options - { requester, status, idNumber, offset, limit }
+ * @returns {Object} - { items, total, offset, limit }
+ */
+const searchRequests = (db, { requester, status, idNumber, ...paging } = {}) => pageQuery(db, 'requests', [
+  ['requester = ?', requester?.toLowerCase()],
+  ['status = ?', status],
+  ['id_number = ?', idNumber ? parseInt(idNumber) : null]
+], 'request_id DESC', paging);
+
+/**
+ * Get the event history for an identity, request or account
+ * An identity's history includes the events of the request it was approved from.
+ * @param {Object} db - sql.js Database
+ * @param {Object} options - { idNumber, requestId, account, name, offset, limit }
+ * @returns {Object} - { items, total, offset, limit } with args parsed
+ */
+const getHistory = (db, { idNumber, requestId, account, name, ...paging } = {}) => {
+  const id = idNumber ? parseInt(idNumber) : null;
+  const page = pageQuery(db, 'events', [
+    ['(id_number = ? OR request_id IN (SELECT request_id FROM requests WHERE id_number = ?))', id, [id, id]],
+    ['request_id = ?', requestId ? parseInt(requestId) : null],
+    ['accounts LIKE ?', account ? `%,${account.toLowerCase()},%` : null],
+    ['name = ?', name]
+  ], 'block_number DESC, log_index DESC', paging);
+
+  return { ...page, items: page.items.map(item => ({ ...item, args: JSON.parse(item.args) })) };
+};
+
+/**
+ * Describe how far the index has synced
+ * @param {Object} db - sql.js Database
+ * @returns {Object} - { chainId, contractAddress, lastBlock, lastSyncedAt }
+ */
+const getIndexStatus = (db) => ({
+  chainId: getMeta(db, 'chain_id'),
+  contractAddress: getMeta(db, 'contract_address'),
+  lastBlock: getMeta(db, 'last_block') === null ? null : Number(getMeta(db, 'last_block')),
+  lastSyncedAt: getMeta(db, 'last_synced_at') === null ? null : Number(getMeta(db, 'last_synced_at'))
+});
+
+module.exports = {
+  searchIdentities,
+  searchRequests,
+  getHistory,
+  getIndexStatus
+};
@@ -0,0 +1,338 @@
+const { ethers } = require('ethers');
+const { all, getMeta, setMeta, saveDatabase } = require('./db');
+
+/**
+ * Replays BlockID contract events into the index database.
+ *
+ * Every log is stored in `events` and then applied to the derived tables by its handler.
+ * Before each sync the last recorded block hashes are compared with the chain; if the chain
+ * has reorganised, events after the fork point are deleted and the derived tables are rebuilt
+ * from the remaining events.
+ */
+
+// Deepest reorg the indexer can recover from without a full resync
+const MAX_REORG_DEPTH = 64;
+
+// Role hashes as emitted by AccessControl, mapped to the names used across the app
+const ROLE_NAMES = {
+  [ethers.ZeroHash]: 'OWNER',
+  [ethers.id('ADMIN_ROLE')]: 'ADMIN',
+  [ethers.id('ISSUER_ROLE')]: 'ISSUER',
+  [ethers.id('VERIFIER_ROLE')]: 'VERIFIER',
+  [ethers.id('AUDITOR_ROLE')]: 'AUDITOR'
+};
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+/**
+ * Derived-table updates per event. Each handler gets the stored event:
+ * { name, args (strings, as stored), blockNumber, timestamp, txHash }.
+ * Events without a handler are still kept for history.
+ */
+const EVENT_HANDLERS = {
+  IDRequested: (db, { args, timestamp }) => {
+    db.run(
+      `INSERT OR REPLACE INTO requests (request_id, requester, unique_hash, status, requested_at, updated_at)
+       VALUES (?, ?, ?, 'pending', ?, ?)`,
+      [Number(args.requestId), lower(args.requester), args.uniqueIdentityHash, timestamp, timestamp]
+    );
+  },
+
+  IDRequestResubmitted: (db, { args, timestamp }) => {
+    db.run('UPDATE requests SET previous_request_id = ? WHERE request_id = ?',
+      [Number(args.previousRequestId), Number(args.requestId)]);
+    db.run('UPDATE requests SET resubmitted_as = ?, updated_at = ? WHERE request_id = ?',
+      [Number(args.requestId), timestamp, Number(args.previousRequestId)]);
+  },
+
+  IDRequestApprovalAdded: (db, { args, timestamp }) => {
+    db.run('UPDATE requests SET approvals = ?, approvals_required = ?, updated_at = ? WHERE request_id = ?',
+      [Number(args.approvals), Number(args.required), timestamp, Number(args.requestId)]);
+  },
+
+  IDRequestApproved: (db, { args, timestamp }) => {
+    db.run(
+      `UPDATE requests SET status = 'approved', id_number = ?, decided_by = ?, updated_at = ? WHERE request_id = ?`,
+      [Number(args.idNumber), lower(args.approvedBy), timestamp, Number(args.requestId)]
+    );
+    db.run('UPDATE identities SET request_id = ? WHERE id_number = ?', [Number(args.requestId), Number(args.idNumber)]);
+  },
+
+  IDRequestRejected: (db, { args, timestamp }) => {
+    db.run(
+      `UPDATE requests SET status = 'rejected', decided_by = ?, reason = ?, updated_at = ? WHERE request_id = ?`,
+      [lower(args.rejectedBy), args.reason, timestamp, Number(args.requestId)]
+    );
+  },
+
+  IDRequestCancelled: (db, { args, timestamp }) => {
+    db.run(`UPDATE requests SET status = 'cancelled', updated_at = ? WHERE request_id = ?`,
+      [timestamp, Number(args.requestId)]);
+  },
+
+  IdentityCreated: (db, { args, timestamp }) => {
+    db.run(
+      `INSERT OR REPLACE INTO identities (id_number, owner, id_type, unique_hash, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'active', ?, ?)`,
+      [Number(args.idNumber), lower(args.owner), args.idType, args.uniqueIdentityHash, timestamp, timestamp]
+    );
+  },
+
+  IdentityVerified: (db, { args, timestamp }) => {
+    db.run('UPDATE identities SET verified_by = ?, updated_at = ? WHERE id_number = ?',
+      [lower(args.verifier), timestamp, Number(args.idNumber)]);
+  },
+
+  IdentityDataUpdated: (db, { args, timestamp }) => {
+    db.run('UPDATE identities SET updated_at = ? WHERE id_number = ?', [timestamp, Number(args.idNumber)]);
+  },
+
+  IdentityMigrated: (db, { args, timestamp }) => {
+    db.run('UPDATE identities SET owner = ?, updated_at = ? WHERE id_number = ?',
+      [lower(args.newWallet), timestamp, Number(args.idNumber)]);
+  },
+
+  IdentityRenewed: (db, { args, timestamp }) => {
+    db.run('UPDATE identities SET updated_at = ? WHERE id_number = ?', [timestamp, Number(args.idNumber)]);
+  },
+
+  IdentitySuspended: (db, { args, timestamp }) => {
+    db.run(`UPDATE identities SET status = 'suspended', status_reason = ?, updated_at = ? WHERE id_number = ?`,
+      [Number(args.reason), timestamp, Number(args.idNumber)]);
+  },
+
+  IdentityReinstated: (db, { args, timestamp }) => {
+    db.run(`UPDATE identities SET status = 'active', status_reason = NULL, updated_at = ? WHERE id_number = ?`,
+      [timestamp, Number(args.idNumber)]);
+  },
+
+  IdentityRevoked: (db, { args, timestamp }) => {
+    db.run(
+      `UPDATE identities SET status = 'revoked', status_reason = ?, revoked_by = ?, revoked_at = ?, updated_at = ?
+       WHERE id_number = ?`,
+      [Number(args.reason), lower(args.revokedBy), timestamp, timestamp, Number(args.idNumber)]
+    );
+  },
+
+  RoleGranted: (db, { args, timestamp }) => {
+    db.run('INSERT OR REPLACE INTO roles (role, account, active, updated_by, updated_at) VALUES (?, ?, 1, ?, ?)',
+      [ROLE_NAMES[args.role] || args.role, lower(args.account), lower(args.sender), timestamp]);
+  },
+
+  RoleRevoked: (db, { args, timestamp }) => {
+    db.run('INSERT OR REPLACE INTO roles (role, account, active, updated_by, updated_at) VALUES (?, ?, 0, ?, ?)',
+      [ROLE_NAMES[args.role] || args.role, lower(args.account), lower(args.sender), timestamp]);
+  }
+};
+
+/**
+ * Apply one stored event to the derived tables
+ * @param {Object} db - sql.js Database
+ * @param {Object} event - { name, args, blockNumber, timestamp, txHash }
+ */
+const applyEvent = (db, event) => {
+  const handler = EVENT_HANDLERS[event.name];
+  if (handler) {
+    handler(db, event);
+  }
+};
+
+/**
+ * Turn a parsed log into plain, JSON-safe event arguments
+ * @param {ethers.LogDescription} parsed - Parsed log
+ * @returns {Object} - { args, accounts } with bigints as decimal strings
+ */
+const toPlainArgs = (parsed) => {
+  const args = {};
+  const accounts = [];
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    if (input.type === 'address') {
+      accounts.push(value.toLowerCase());
+    }
+  });
+  return { args, accounts };
+};
+
+/**
+ * Delete the derived tables and replay every stored event into them
+ * @param {Object} db - sql.js Database
+ */
+const rebuildDerivedTables = (db) => {
+  db.exec('DELETE FROM identities; DELETE FROM requests; DELETE FROM roles;');
+  const events = all(db, 'SELECT name, args, block_number, timestamp, tx_hash FROM events ORDER BY block_number, log_index');
+  for (const row of events) {
+    applyEvent(db, {
+      name: row.name,
+      args: JSON.parse(row.args),
+      blockNumber: row.block_number,
+      timestamp: row.timestamp,
+      txHash: row.tx_hash
+    });
+  }
+};
+
+/**
+ * Undo everything indexed after a block
+ * @param {Object} db - sql.js Database
+ * @param {number} blockNumber - Last block that is still canonical
+ */
+const rewindTo = (db, blockNumber) => {
+  db.exec('BEGIN');
+  try {
+    db.run('DELETE FROM events WHERE block_number > ?', [blockNumber]);
+    db.run('DELETE FROM blocks WHERE number > ?', [blockNumber]);
+    setMeta(db, 'last_block', blockNumber);
+    rebuildDerivedTables(db);
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Find the block to rewind to if the chain reorganised since the last sync
+ * @param {Object} context - Indexer context
+ * @returns {Promise<number|null>} - Last canonical block, or null if nothing changed
+ */
+const findForkPoint = async ({ db, provider, startBlock }) => {
+  const lastBlock = getMeta(db, 'last_block');
+  if (lastBlock === null) return null;
+
+  const recorded = all(db, 'SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC', [Number(lastBlock)]);
+  for (let i = 0; i < recorded.length; i++) {
+    const block = await provider.getBlock(recorded[i].number);
+    if (block && block.hash === recorded[i].hash) {
+      return i === 0 ? null : recorded[i].number;
+    }
+    console.warn(`Reorg detected: block ${recorded[i].number} changed from ${recorded[i].hash} to ${block?.hash}`);
+  }
+
+  // None of the recorded blocks are canonical any more; go back as far as a reorg can reach
+  return recorded.length === 0 ? null : Math.max(startBlock - 1, Number(lastBlock) - MAX_REORG_DEPTH);
+};
+
+/**
+ * Index the logs of one block range and write the database
+ * @param {Object} context - Indexer context
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<number>} - Number of events stored
+ */
+const syncRange = async ({ db, provider, contract, file }, fromBlock, toBlock) => {
+  const logs = await provider.getLogs({ address: await contract.getAddress(), fromBlock, toBlock });
+
+  const events = [];
+  for (const log of logs) {
+    const parsed = contract.interface.parseLog({ topics: log.topics, data: log.data });
+    if (!parsed) continue;
+    events.push({ log, parsed, ...toPlainArgs(parsed) });
+  }
+
+  // Block timestamps for the events, plus the range tip for reorg detection
+  const blocks = new Map();
+  for (const number of new Set([...events.map(({ log }) => log.blockNumber), toBlock])) {
+    blocks.set(number, await provider.getBlock(number));
+  }
+
+  db.exec('BEGIN');
+  try {
+    for (const { log, parsed, args, accounts } of events) {
+      const timestamp = Number(blocks.get(log.blockNumber).timestamp);
+      db.run(
+        `INSERT OR REPLACE INTO events
+           (block_number, block_hash, log_index, tx_hash, name, id_number, request_id, accounts, args, timestamp)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          log.blockNumber, log.blockHash, log.index, log.transactionHash, parsed.name,
+          args.idNumber !== undefined ? Number(args.idNumber) : null,
+          args.requestId !== undefined ? Number(args.requestId) : null,
+          accounts.length ? `,${accounts.join(',')},` : '',
+          JSON.stringify(args),
+          timestamp
+        ]
+      );
+      applyEvent(db, { name: parsed.name, args, blockNumber: log.blockNumber, timestamp, txHash: log.transactionHash });
+    }
+
+    for (const [number, block] of blocks) {
+      db.run('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)', [number, block.hash]);
+    }
+    setMeta(db, 'last_block', toBlock);
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+
+  saveDatabase(db, file);
+  return events.length;
+};
+
+/**
+ * Make sure the database was built for this chain and contract
+ * @param {Object} context - Indexer context
+ */
+const checkIndexTarget = async ({ db, provider, contract }) => {
+  const chainId = (await provider.getNetwork()).chainId.toString();
+  const contractAddress = (await contract.getAddress()).toLowerCase();
+
+  const indexedChain = getMeta(db, 'chain_id');
+  const indexedContract = getMeta(db, 'contract_address');
+  if (indexedChain === null) {
+    setMeta(db, 'chain_id', chainId);
+    setMeta(db, 'contract_address', contractAddress);
+    return;
+  }
+  if (indexedChain !== chainId || indexedContract !== contractAddress) {
+    throw new Error(`Index was built for ${indexedContract} on chain ${indexedChain}, not ${contractAddress} on chain ${chainId}. ` +
+      'Delete the database file or point INDEXER_DB_PATH elsewhere.');
+  }
+};
+
+/**
+ * Bring the index up to date with the chain
+ * @param {Object} context - { db, provider, contract, file, startBlock, batchSize, confirmations }
+ * @returns {Promise<Object>} - { fromBlock, toBlock, events, rewoundTo }
+ */
+const syncOnce = async (context) => {
+  const { db, provider, startBlock = 0, batchSize = 2000, confirmations = 0 } = context;
+
+  await checkIndexTarget(context);
+
+  const rewoundTo = await findForkPoint(context);
+  if (rewoundTo !== null) {
+    console.warn(`Rewinding index to block ${rewoundTo}`);
+    rewindTo(db, rewoundTo);
+  }
+
+  const lastBlock = getMeta(db, 'last_block');
+  const fromBlock = lastBlock === null ? startBlock : Number(lastBlock) + 1;
+  const target = (await provider.getBlockNumber()) - confirmations;
+
+  let events = 0;
+  for (let from = fromBlock; from <= target; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, target);
+    events += await syncRange(context, from, to);
+    console.log(`Indexed blocks ${from}-${to} (${events} events so far)`);
+  }
+
+  // Only the most recent block hashes are needed to detect a reorg
+  db.run('DELETE FROM blocks WHERE number < ? AND number < (SELECT MAX(number) FROM blocks)', [target - MAX_REORG_DEPTH]);
+  setMeta(db, 'last_synced_at', Math.floor(Date.now() / 1000));
+  saveDatabase(db, context.file);
+
+  return { fromBlock, toBlock: target, events, rewoundTo };
+};
+
+module.exports = {
+  EVENT_HANDLERS,
+  ROLE_NAMES,
+  MAX_REORG_DEPTH,
+  applyEvent,
+  rebuildDerivedTables,
+  rewindTo,
+  syncOnce
+};
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { withAuth } from "next-auth/middleware";
+import { hasPanelAccess } from "@/utils/session";
+
+/**
+ * Server-side protection for the dashboard and admin panel, based on the claims in the NextAuth JWT.
+ * Visitors without a session are sent to /login; signed-in wallets without an admin panel role
+ * are sent to their dashboard. The pages still check roles against the contract themselves.
+ */
+export default withAuth(
+  function middleware(req) {
+    const { pathname } = req.nextUrl;
+    const token = req.nextauth.token;
+
+    if (pathname.startsWith("/admin") && !hasPanelAccess(token?.roles)) {
+      return NextResponse.redirect(new URL("/dashboard", req.url));
+    }
+
+    return NextResponse.next();
+  },
+  {
+    callbacks: {
+      authorized: ({ token }) => !!token?.address,
+    },
+    pages: {
+      signIn: "/login",
+    },
+  }
+);
+
+export const config = {
+  matcher: ["/admin/:path*", "/dashboard/:path*"],
+};
@@ -3,6 +3,15 @@ const nextConfig = {
   /* config options here */
   reactStrictMode: true,
   swcMinify: true,
+  experimental: {
+    // sql.js loads its WebAssembly file from its own directory, so it must not be bundled
+    serverComponentsExternalPackages: ['sql.js'],
+  },
+  webpack: (config) => {
+    // pdfjs-dist only uses the node canvas package outside the browser
+    config.resolve.alias.canvas = false;
+    return config;
+  },
 };
 
 module.exports = nextConfig; 
\ No newline at end of file
@@ -50,7 +50,22 @@ const optionalEnvVars = [
   { name: 'NEXT_PUBLIC_CONTRACT_ADDRESS', category: 'Contract', description: 'Smart contract address' },
   { name: 'NEXT_PUBLIC_IS_DEVELOPMENT', category: 'Application', description: 'Development mode flag' },
   { name: 'NEXTAUTH_SECRET', category: 'Auth', description: 'NextAuth secret for session encryption' },
-  { name: 'NEXTAUTH_URL', category: 'Auth', description: 'NextAuth URL for authentication callbacks' },
+  { name: 'NEXTAUTH_URL', category: 'Auth', description: 'NextAuth URL for authentication callbacks; its host is the SIWE sign-in domain (required in production)' },
+  { name: 'NEXT_PUBLIC_IPFS_API_URL', category: 'IPFS', description: 'Local IPFS node API URL (uploads bypass Pinata when set)' },
+  { name: 'BLOCKID_API_KEYS', category: 'API', description: 'Verification API clients as clientId:sha256(key)[:requestsPerMinute], comma-separated' },
+  { name: 'API_SIGNING_KEY', category: 'API', description: 'Private key that signs verification API verdicts' },
+  { name: 'API_RATE_LIMIT', category: 'API', description: 'Default API requests per minute per client (60 if unset)' },
+  { name: 'INDEXER_RPC_URL', category: 'Indexer', description: 'RPC URL the event indexer reads from (defaults to SEPOLIA_RPC_URL)' },
+  { name: 'INDEXER_START_BLOCK', category: 'Indexer', description: 'First block to index (defaults to NEXT_PUBLIC_CONTRACT_DEPLOY_BLOCK)' },
+  { name: 'INDEXER_DB_PATH', category: 'Indexer', description: 'SQLite index file (defaults to data/blockid-index.sqlite)' },
+  { name: 'INDEXER_CONFIRMATIONS', category: 'Indexer', description: 'Blocks to stay behind the chain head (0 if unset)' },
+  { name: 'RELAYER_PRIVATE_KEY', category: 'Relayer', description: 'Private key of the wallet that pays gas for signed ID requests' },
+  { name: 'RELAY_RATE_LIMIT', category: 'Relayer', description: 'Signed requests one wallet may relay per minute (3 if unset)' },
+  { name: 'RELAY_DAILY_LIMIT', category: 'Relayer', description: 'Signed requests the relayer pays for per day across all wallets (100 if unset)' },
+  { name: 'QR_SIGNING_KEY', category: 'Offline QR', description: 'Private key the issuer signs offline QR credentials with' },
+  { name: 'QR_SIGNING_KEY_ID', category: 'Offline QR', description: 'Key id written into signed QR credentials' },
+  { name: 'NEXT_PUBLIC_QR_ISSUER_KEYS', category: 'Offline QR', description: 'Trusted QR issuers as comma-separated kid:address[:name] entries' },
+  { name: 'VC_ISSUER_PRIVATE_KEY', category: 'Verifiable Credentials', description: 'Private key of the admin wallet that signs verifiable credentials' },
 ];
 
 // Helper function to mask sensitive values
@@ -0,0 +1,75 @@
+// BlockID event indexer - replays contract events into the SQLite index used by the API and admin panel
+//
+// Usage:
+//   node scripts/indexer.js          keep polling for new blocks
+//   node scripts/indexer.js --once   sync up to the current block and exit
+const { ethers } = require('ethers');
+const BlockIDContract = require('../artifacts/contracts/BlockID.sol/BlockID.json');
+const { openDatabase, getDatabasePath, saveDatabase } = require('../indexer/db');
+const { syncOnce } = require('../indexer/sync');
+
+// Load environment variables
+try {
+  require('dotenv').config();
+} catch (error) {
+  console.log("Could not load dotenv. Using process.env directly.");
+}
+
+const RPC_URL = process.env.INDEXER_RPC_URL || process.env.SEPOLIA_RPC_URL || process.env.NEXT_PUBLIC_RPC_URL;
+const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43';
+const START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK || process.env.NEXT_PUBLIC_CONTRACT_DEPLOY_BLOCK || '0');
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000');
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || '2000');
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || '0');
+
+async function main() {
+  if (!RPC_URL) {
+    throw new Error('Set INDEXER_RPC_URL (or SEPOLIA_RPC_URL / NEXT_PUBLIC_RPC_URL) to index from');
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const file = getDatabasePath();
+  const context = {
+    db: await openDatabase(file),
+    provider,
+    contract: new ethers.Contract(CONTRACT_ADDRESS, BlockIDContract.abi, provider),
+    file,
+    startBlock: START_BLOCK,
+    batchSize: BATCH_SIZE,
+    confirmations: CONFIRMATIONS
+  };
+
+  console.log(`Indexing ${CONTRACT_ADDRESS} from block ${START_BLOCK} into ${file}`);
+
+  const once = process.argv.includes('--once');
+  let stopping = false;
+  process.on('SIGINT', () => {
+    console.log('Stopping indexer...');
+    stopping = true;
+  });
+
+  while (!stopping) {
+    try {
+      const result = await syncOnce(context);
+      if (result.events > 0 || result.rewoundTo !== null) {
+        console.log(`Synced to block ${result.toBlock}: ${result.events} new events`);
+      }
+    } catch (error) {
+      console.error('Sync failed, retrying on the next poll:', error.message);
+      if (once) throw error;
+    }
+
+    if (once) break;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  saveDatabase(context.db, file);
+  context.db.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
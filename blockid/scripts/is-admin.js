@@ -44,12 +44,19 @@ async function main() {
       console.log(`${colors.red}✗ The wallet ${walletToCheck} is NOT an admin of the BlockID contract.${colors.reset}`);
     }
 
-    // Get current admin address if available
+    // List every role the wallet holds and the current admins
     try {
-      const adminWallet = await blockID.adminWallet();
-      console.log(`${colors.blue}Current admin wallet: ${adminWallet}${colors.reset}`);
+      const roleNames = ["OWNER_ROLE", "ADMIN_ROLE", "ISSUER_ROLE", "VERIFIER_ROLE", "AUDITOR_ROLE"];
+      for (const roleName of roleNames) {
+        const role = await blockID[roleName]();
+        const hasRole = await blockID.hasRole(role, walletToCheck);
+        console.log(`${hasRole ? colors.green : colors.yellow}${roleName}: ${hasRole ? "yes" : "no"}${colors.reset}`);
+      }
+
+      const admins = await blockID.getAdmins();
+      console.log(`${colors.blue}Current admin wallets: ${admins.join(", ")}${colors.reset}`);
     } catch (error) {
-      console.log(`${colors.yellow}Could not retrieve current admin wallet: ${error.message}${colors.reset}`);
+      console.log(`${colors.yellow}Could not retrieve roles: ${error.message}${colors.reset}`);
     }
 
   } catch (error) {
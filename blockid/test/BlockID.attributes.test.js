@@ -0,0 +1,55 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("./helpers/fixtures");
+const { importApp } = require("./helpers/app");
+
+describe("BlockID attribute commitments", function () {
+  let disclosure;
+
+  before(async function () {
+    disclosure = await importApp("utils/disclosure");
+  });
+
+  // An identity whose attributes root commits to the metadata's salted attributes
+  async function deployWithAttributes() {
+    const fixture = await deployBlockID();
+    const metadata = {
+      fullName: "Ada Lovelace",
+      dateOfBirth: "1815-12-10",
+      email: "ada@example.com",
+      idType: "passport",
+      attributeSalts: disclosure.generateAttributeSalts()
+    };
+    const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, {
+      attributesRoot: disclosure.computeAttributesRoot(metadata)
+    });
+    const context = { idNumber, chainId: 1337n, contractAddress: await fixture.blockId.getAddress() };
+    return { ...fixture, metadata, idNumber, context };
+  }
+
+  it("verifies disclosed attributes on-chain", async function () {
+    const { blockId, metadata, idNumber, context } = await loadFixture(deployWithAttributes);
+    const proof = disclosure.createDisclosureProof(metadata, ["fullName", "dateOfBirth", "email", "idType"], context);
+
+    for (const { key, value, salt, proof: siblings } of proof.attributes) {
+      const leaf = disclosure.hashAttributeLeaf(key, value, salt);
+      expect(await blockId.verifyAttribute(idNumber, leaf, siblings)).to.equal(true);
+    }
+  });
+
+  it("rejects altered attributes on-chain", async function () {
+    const { blockId, metadata, idNumber, context } = await loadFixture(deployWithAttributes);
+    const [attribute] = disclosure.createDisclosureProof(metadata, ["fullName"], context).attributes;
+
+    const leaf = disclosure.hashAttributeLeaf("fullName", "Grace Hopper", attribute.salt);
+    expect(await blockId.verifyAttribute(idNumber, leaf, attribute.proof)).to.equal(false);
+  });
+
+  it("reverts for an unknown identity", async function () {
+    const { blockId } = await loadFixture(deployWithAttributes);
+
+    await expect(blockId.verifyAttribute(99, ethers.ZeroHash, []))
+      .to.be.revertedWith("BlockID: identity does not exist");
+  });
+});
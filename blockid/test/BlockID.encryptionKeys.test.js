@@ -0,0 +1,25 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID } = require("./helpers/fixtures");
+
+describe("BlockID encryption keys", function () {
+  it("publishes a compressed public key for the caller", async function () {
+    const { blockId, admin, other } = await loadFixture(deployBlockID);
+    const publicKey = ethers.Wallet.createRandom().signingKey.compressedPublicKey;
+
+    await expect(blockId.connect(admin).setEncryptionPublicKey(publicKey))
+      .to.emit(blockId, "EncryptionKeyPublished").withArgs(admin.address, publicKey);
+
+    expect(await blockId.getEncryptionPublicKey(admin.address)).to.equal(publicKey);
+    expect(await blockId.getEncryptionPublicKey(other.address)).to.equal("0x");
+  });
+
+  it("rejects keys that are not 33 bytes", async function () {
+    const { blockId, admin } = await loadFixture(deployBlockID);
+    const uncompressed = ethers.Wallet.createRandom().signingKey.publicKey;
+
+    await expect(blockId.connect(admin).setEncryptionPublicKey(uncompressed))
+      .to.be.revertedWith("BlockID: invalid encryption public key");
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("./helpers/fixtures");
+
+describe("BlockID migration", function () {
+  async function deployWithIdentity() {
+    const fixture = await deployBlockID();
+    const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder);
+    const [newWallet] = fixture.accounts;
+    return { ...fixture, idNumber, newWallet };
+  }
+
+  it("lets the holder move their identity straight away", async function () {
+    const { blockId, holder, newWallet, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(holder).migrateIdentity(idNumber, newWallet.address))
+      .to.emit(blockId, "IdentityMigrated").withArgs(idNumber, holder.address, newWallet.address)
+      .and.to.emit(blockId, "Locked").withArgs(idNumber);
+
+    expect(await blockId.ownerOf(idNumber)).to.equal(newWallet.address);
+    expect(await blockId.getIdentityByOwner(newWallet.address)).to.equal(idNumber);
+    expect(await blockId.getIdentityByOwner(holder.address)).to.equal(0n);
+    expect((await blockId.getIdentity(idNumber)).owner).to.equal(newWallet.address);
+  });
+
+  it("rejects wallets that are empty or already hold an ID", async function () {
+    const { blockId, admin, holder, other, idNumber } = await loadFixture(deployWithIdentity);
+    await issueIdentity(blockId, admin, other);
+
+    await expect(blockId.connect(holder).migrateIdentity(idNumber, other.address))
+      .to.be.revertedWith("BlockID: invalid new wallet");
+    await expect(blockId.connect(holder).migrateIdentity(idNumber, ethers.ZeroAddress))
+      .to.be.revertedWith("BlockID: invalid new wallet");
+  });
+
+  it("only schedules an admin migration until the delay has passed", async function () {
+    const { blockId, admin, holder, newWallet, idNumber } = await loadFixture(deployWithIdentity);
+    const delay = await blockId.MIGRATION_DELAY();
+
+    const tx = await blockId.connect(admin).migrateIdentity(idNumber, newWallet.address);
+    const readyAt = BigInt(await time.latest()) + delay;
+    await expect(tx).to.emit(blockId, "IdentityMigrationScheduled").withArgs(idNumber, newWallet.address, admin.address, readyAt);
+    expect(await blockId.ownerOf(idNumber)).to.equal(holder.address);
+
+    await expect(blockId.completeMigration(idNumber))
+      .to.be.revertedWith("BlockID: migration delay has not passed");
+
+    await time.increaseTo(readyAt);
+    await expect(blockId.connect(newWallet).completeMigration(idNumber))
+      .to.emit(blockId, "IdentityMigrated").withArgs(idNumber, holder.address, newWallet.address);
+    expect(await blockId.ownerOf(idNumber)).to.equal(newWallet.address);
+
+    const [pendingWallet] = await blockId.pendingMigrations(idNumber);
+    expect(pendingWallet).to.equal(ethers.ZeroAddress);
+  });
+
+  it("lets the holder cancel a scheduled migration", async function () {
+    const { blockId, admin, holder, other, newWallet, idNumber } = await loadFixture(deployWithIdentity);
+
+    await blockId.connect(admin).migrateIdentity(idNumber, newWallet.address);
+
+    await expect(blockId.connect(other).cancelMigration(idNumber))
+      .to.be.revertedWith("BlockID: caller is not the owner or admin");
+    await expect(blockId.connect(holder).cancelMigration(idNumber))
+      .to.emit(blockId, "IdentityMigrationCancelled").withArgs(idNumber, holder.address);
+
+    await time.increase(await blockId.MIGRATION_DELAY());
+    await expect(blockId.completeMigration(idNumber))
+      .to.be.revertedWith("BlockID: no pending migration");
+  });
+
+  it("does not let others move an identity", async function () {
+    const { blockId, other, newWallet, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(other).migrateIdentity(idNumber, newWallet.address))
+      .to.be.revertedWith("BlockID: caller is not the owner or admin");
+  });
+
+  it("drops the scheduled migration of a revoked identity", async function () {
+    const { blockId, admin, newWallet, idNumber } = await loadFixture(deployWithIdentity);
+
+    await blockId.connect(admin).migrateIdentity(idNumber, newWallet.address);
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+
+    await time.increase(await blockId.MIGRATION_DELAY());
+    await expect(blockId.completeMigration(idNumber))
+      .to.be.revertedWith("BlockID: no pending migration");
+    await expect(blockId.connect(admin).migrateIdentity(idNumber, newWallet.address))
+      .to.be.revertedWith("BlockID: identity is revoked");
+  });
+});
@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity } = require("./helpers/fixtures");
+
+describe("BlockID pagination", function () {
+  // Four pending requests from four wallets
+  async function deployWithRequests() {
+    const fixture = await deployBlockID();
+    const requesters = fixture.accounts.slice(0, 4);
+    const requestIds = [];
+    for (const requester of requesters) {
+      requestIds.push(await requestIdentity(fixture.blockId, requester));
+    }
+    return { ...fixture, requesters, requestIds };
+  }
+
+  it("pages through pending requests", async function () {
+    const { blockId } = await loadFixture(deployWithRequests);
+
+    const [firstPage, total] = await blockId.getPendingRequests(0, 3);
+    expect(firstPage).to.deep.equal([1n, 2n, 3n]);
+    expect(total).to.equal(4n);
+
+    const [lastPage] = await blockId.getPendingRequests(3, 3);
+    expect(lastPage).to.deep.equal([4n]);
+
+    const [pastEnd] = await blockId.getPendingRequests(10, 3);
+    expect(pastEnd).to.deep.equal([]);
+  });
+
+  it("drops handled requests from the pending index", async function () {
+    const { blockId, admin, requesters } = await loadFixture(deployWithRequests);
+
+    await blockId.connect(admin).approveIDRequest(1, 0);
+    await blockId.connect(admin).rejectIDRequest(3, "Duplicate");
+    await blockId.connect(requesters[3]).cancelRequest(4);
+
+    const [requestIds, total] = await blockId.getPendingRequests(0, 10);
+    expect(requestIds).to.deep.equal([2n]);
+    expect(total).to.equal(1n);
+  });
+
+  it("pages through identities and skips revoked ones", async function () {
+    const { blockId, admin, requesters } = await loadFixture(deployWithRequests);
+    for (const requestId of [1, 2, 3]) {
+      await blockId.connect(admin).approveIDRequest(requestId, 0);
+    }
+    await blockId.connect(admin).revokeIdentity(2, 1);
+
+    const [idNumbers, owners, total] = await blockId.getIdentities(0, 10);
+    expect(idNumbers).to.deep.equal([1n, 3n]);
+    expect(owners).to.deep.equal([requesters[0].address, requesters[2].address]);
+    expect(total).to.equal(3n);
+
+    const [secondPage] = await blockId.getIdentities(2, 10);
+    expect(secondPage).to.deep.equal([3n]);
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity } = require("./helpers/fixtures");
+
+describe("BlockID quorum approval", function () {
+  // Three issuers (the admin wallet and two more) with two approvals required
+  async function deployWithQuorum() {
+    const fixture = await deployBlockID();
+    const { blockId, admin, issuer, accounts: [secondIssuer] } = fixture;
+    const ISSUER_ROLE = await blockId.ISSUER_ROLE();
+
+    await blockId.connect(admin).grantRole(ISSUER_ROLE, issuer.address);
+    await blockId.connect(admin).grantRole(ISSUER_ROLE, secondIssuer.address);
+    await blockId.connect(admin).setApprovalThreshold(2);
+
+    const requestId = await requestIdentity(blockId, fixture.holder);
+    return { ...fixture, secondIssuer, ISSUER_ROLE, requestId };
+  }
+
+  it("keeps the threshold between one and the number of issuers", async function () {
+    const { blockId, admin } = await loadFixture(deployBlockID);
+
+    await expect(blockId.connect(admin).setApprovalThreshold(0))
+      .to.be.revertedWith("BlockID: threshold must be at least 1");
+    await expect(blockId.connect(admin).setApprovalThreshold(2))
+      .to.be.revertedWith("BlockID: threshold exceeds issuer count");
+  });
+
+  it("mints only once the threshold is reached", async function () {
+    const { blockId, admin, issuer, holder, requestId } = await loadFixture(deployWithQuorum);
+
+    await expect(blockId.connect(admin).approveIDRequest(requestId, 0))
+      .to.emit(blockId, "IDRequestApprovalAdded").withArgs(requestId, admin.address, 1, 2);
+    expect(await blockId.hasIdentity(holder.address)).to.equal(false);
+
+    await expect(blockId.connect(issuer).approveIDRequest(requestId, 0))
+      .to.emit(blockId, "IDRequestApproved").withArgs(requestId, 1, issuer.address);
+    expect(await blockId.getIdentityByOwner(holder.address)).to.equal(1n);
+
+    const [approvers, required] = await blockId.getRequestApprovals(requestId);
+    expect(approvers).to.deep.equal([admin.address, issuer.address]);
+    expect(required).to.equal(2n);
+  });
+
+  it("rejects a second approval from the same issuer and a different expiry", async function () {
+    const { blockId, admin, issuer, requestId } = await loadFixture(deployWithQuorum);
+
+    await blockId.connect(admin).approveIDRequest(requestId, 3600);
+
+    await expect(blockId.connect(admin).approveIDRequest(requestId, 3600))
+      .to.be.revertedWith("BlockID: request already approved by caller");
+    await expect(blockId.connect(issuer).approveIDRequest(requestId, 7200))
+      .to.be.revertedWith("BlockID: expiry does not match first approval");
+  });
+
+  it("lets a repeat approval finalize a request once the threshold is lowered", async function () {
+    const { blockId, admin, holder, requestId } = await loadFixture(deployWithQuorum);
+
+    await blockId.connect(admin).approveIDRequest(requestId, 0);
+    await blockId.connect(admin).setApprovalThreshold(1);
+
+    await expect(blockId.connect(admin).approveIDRequest(requestId, 0))
+      .to.emit(blockId, "IDRequestApproved");
+    expect(await blockId.hasIdentity(holder.address)).to.equal(true);
+  });
+
+  it("stops counting approvals from issuers whose role was revoked", async function () {
+    const { blockId, admin, issuer, secondIssuer, holder, ISSUER_ROLE, requestId } = await loadFixture(deployWithQuorum);
+
+    await blockId.connect(issuer).approveIDRequest(requestId, 0);
+    await blockId.connect(admin).revokeRole(ISSUER_ROLE, issuer.address);
+
+    const [approvers] = await blockId.getRequestApprovals(requestId);
+    expect(approvers).to.deep.equal([]);
+
+    await expect(blockId.connect(admin).approveIDRequest(requestId, 0))
+      .to.emit(blockId, "IDRequestApprovalAdded").withArgs(requestId, admin.address, 1, 2);
+    expect(await blockId.hasIdentity(holder.address)).to.equal(false);
+
+    await blockId.connect(secondIssuer).approveIDRequest(requestId, 0);
+    expect(await blockId.hasIdentity(holder.address)).to.equal(true);
+  });
+
+  it("does not let issuers drop below the threshold", async function () {
+    const { blockId, admin, issuer, secondIssuer, ISSUER_ROLE } = await loadFixture(deployWithQuorum);
+
+    await blockId.connect(admin).revokeRole(ISSUER_ROLE, issuer.address);
+
+    await expect(blockId.connect(admin).revokeRole(ISSUER_ROLE, secondIssuer.address))
+      .to.be.revertedWith("BlockID: threshold exceeds issuer count");
+    await expect(blockId.connect(secondIssuer).renounceRole(ISSUER_ROLE, secondIssuer.address))
+      .to.be.revertedWith("BlockID: threshold exceeds issuer count");
+  });
+
+  it("disables direct creation while a quorum is required", async function () {
+    const { blockId, admin, other } = await loadFixture(deployWithQuorum);
+
+    await expect(blockId.connect(admin).createIdentity(other.address, "QmData", 0, "personal_id", ethers.id("direct"), ethers.ZeroHash))
+      .to.be.revertedWith("BlockID: direct creation disabled while quorum approval is required");
+  });
+});
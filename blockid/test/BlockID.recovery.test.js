@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("./helpers/fixtures");
+
+describe("BlockID guardian recovery", function () {
+  // An identity with three guardians, two of which must approve a recovery
+  async function deployWithGuardians() {
+    const fixture = await deployBlockID();
+    const { blockId, admin, holder, accounts: [first, second, third, newWallet] } = fixture;
+    const idNumber = await issueIdentity(blockId, admin, holder);
+    const guardians = [first, second, third];
+
+    await blockId.connect(holder).setGuardians(idNumber, guardians.map(({ address }) => address), 2);
+    return { ...fixture, idNumber, guardians, newWallet };
+  }
+
+  it("stores the holder's guardians", async function () {
+    const { blockId, idNumber, guardians } = await loadFixture(deployWithGuardians);
+
+    const [stored, threshold] = await blockId.getGuardians(idNumber);
+    expect(stored).to.deep.equal(guardians.map(({ address }) => address));
+    expect(threshold).to.equal(2n);
+  });
+
+  it("rejects invalid guardian sets", async function () {
+    const { blockId, holder, other, idNumber, guardians: [first, second] } = await loadFixture(deployWithGuardians);
+
+    await expect(blockId.connect(other).setGuardians(idNumber, [first.address], 1))
+      .to.be.revertedWith("BlockID: caller is not the owner");
+    await expect(blockId.connect(holder).setGuardians(idNumber, [first.address], 2))
+      .to.be.revertedWith("BlockID: invalid guardian threshold");
+    await expect(blockId.connect(holder).setGuardians(idNumber, [first.address], 0))
+      .to.be.revertedWith("BlockID: invalid guardian threshold");
+    await expect(blockId.connect(holder).setGuardians(idNumber, [first.address, holder.address], 1))
+      .to.be.revertedWith("BlockID: invalid guardian");
+    await expect(blockId.connect(holder).setGuardians(idNumber, [first.address, second.address, first.address], 2))
+      .to.be.revertedWith("BlockID: duplicate guardian");
+
+    const tooMany = Array.from({ length: 11 }, () => ethers.Wallet.createRandom().address);
+    await expect(blockId.connect(holder).setGuardians(idNumber, tooMany, 2))
+      .to.be.revertedWith("BlockID: invalid guardian threshold");
+  });
+
+  it("schedules the recovery once enough guardians approve", async function () {
+    const { blockId, holder, newWallet, idNumber, guardians: [first, second] } = await loadFixture(deployWithGuardians);
+
+    await expect(blockId.connect(first).approveRecovery(idNumber, newWallet.address))
+      .to.emit(blockId, "RecoveryApproved").withArgs(idNumber, newWallet.address, first.address, 1, 2)
+      .and.not.to.emit(blockId, "IdentityMigrationScheduled");
+    await expect(blockId.connect(first).approveRecovery(idNumber, newWallet.address))
+      .to.be.revertedWith("BlockID: recovery already approved by caller");
+    await expect(blockId.connect(second).approveRecovery(idNumber, newWallet.address))
+      .to.emit(blockId, "IdentityMigrationScheduled");
+
+    await time.increase(await blockId.MIGRATION_DELAY());
+    await expect(blockId.completeMigration(idNumber))
+      .to.emit(blockId, "IdentityMigrated").withArgs(idNumber, holder.address, newWallet.address);
+  });
+
+  it("counts approvals per new wallet", async function () {
+    const { blockId, other, newWallet, idNumber, guardians: [first, second] } = await loadFixture(deployWithGuardians);
+
+    await blockId.connect(first).approveRecovery(idNumber, newWallet.address);
+    await expect(blockId.connect(second).approveRecovery(idNumber, other.address))
+      .to.emit(blockId, "RecoveryApproved").withArgs(idNumber, other.address, second.address, 1, 2)
+      .and.not.to.emit(blockId, "IdentityMigrationScheduled");
+  });
+
+  it("lets the holder cancel a recovery, and the approvals can't be reused", async function () {
+    const { blockId, holder, newWallet, idNumber, guardians: [first, second, third] } = await loadFixture(deployWithGuardians);
+
+    await blockId.connect(first).approveRecovery(idNumber, newWallet.address);
+    await blockId.connect(second).approveRecovery(idNumber, newWallet.address);
+    await blockId.connect(holder).cancelMigration(idNumber);
+
+    await expect(blockId.connect(third).approveRecovery(idNumber, newWallet.address))
+      .to.emit(blockId, "RecoveryApproved").withArgs(idNumber, newWallet.address, third.address, 1, 2)
+      .and.not.to.emit(blockId, "IdentityMigrationScheduled");
+  });
+
+  it("discards approvals when the guardians change", async function () {
+    const { blockId, holder, newWallet, idNumber, guardians } = await loadFixture(deployWithGuardians);
+    const [first, second] = guardians;
+
+    await blockId.connect(first).approveRecovery(idNumber, newWallet.address);
+    await blockId.connect(holder).setGuardians(idNumber, guardians.map(({ address }) => address), 2);
+
+    await expect(blockId.connect(second).approveRecovery(idNumber, newWallet.address))
+      .to.emit(blockId, "RecoveryApproved").withArgs(idNumber, newWallet.address, second.address, 1, 2);
+  });
+
+  it("only accepts approvals from guardians", async function () {
+    const { blockId, holder, other, newWallet, idNumber } = await loadFixture(deployWithGuardians);
+
+    await expect(blockId.connect(other).approveRecovery(idNumber, newWallet.address))
+      .to.be.revertedWith("BlockID: caller is not a guardian");
+
+    await blockId.connect(holder).setGuardians(idNumber, [], 0);
+    expect((await blockId.getGuardians(idNumber)).guardians).to.deep.equal([]);
+  });
+});
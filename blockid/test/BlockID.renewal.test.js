@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("./helpers/fixtures");
+
+const YEAR = 365 * 24 * 60 * 60;
+
+describe("BlockID renewal", function () {
+  async function deployWithExpiringIdentity() {
+    const fixture = await deployBlockID();
+    const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, { expiryDuration: YEAR });
+    const { expiresAt } = await fixture.blockId.getIdentity(idNumber);
+    return { ...fixture, idNumber, expiresAt };
+  }
+
+  it("expires identities after their expiry duration", async function () {
+    const { blockId, idNumber, expiresAt } = await loadFixture(deployWithExpiringIdentity);
+
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(true);
+    await time.increaseTo(expiresAt + 1n);
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(false);
+  });
+
+  it("lets the holder request a renewal and an admin approve it", async function () {
+    const { blockId, admin, holder, other, idNumber, expiresAt } = await loadFixture(deployWithExpiringIdentity);
+
+    await expect(blockId.connect(other).requestRenewal(idNumber, YEAR))
+      .to.be.revertedWith("BlockID: caller is not the owner");
+    await expect(blockId.connect(holder).requestRenewal(idNumber, 0))
+      .to.be.revertedWith("BlockID: invalid extension");
+    await expect(blockId.connect(holder).requestRenewal(idNumber, YEAR))
+      .to.emit(blockId, "IdentityRenewalRequested").withArgs(idNumber, holder.address, YEAR);
+    expect(await blockId.renewalRequests(idNumber)).to.equal(BigInt(YEAR));
+
+    await expect(blockId.connect(holder).renewIdentity(idNumber, YEAR))
+      .to.be.revertedWith("BlockID: caller is not an admin");
+    await expect(blockId.connect(admin).renewIdentity(idNumber, YEAR))
+      .to.emit(blockId, "IdentityRenewed").withArgs(idNumber, admin.address, expiresAt, expiresAt + BigInt(YEAR));
+    expect(await blockId.renewalRequests(idNumber)).to.equal(0n);
+  });
+
+  it("extends an expired identity from now", async function () {
+    const { blockId, admin, idNumber, expiresAt } = await loadFixture(deployWithExpiringIdentity);
+
+    await time.increaseTo(expiresAt + BigInt(YEAR));
+    await blockId.connect(admin).renewIdentity(idNumber, YEAR);
+
+    const renewed = await blockId.getIdentity(idNumber);
+    expect(renewed.expiresAt).to.equal(BigInt(await time.latest()) + BigInt(YEAR));
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(true);
+  });
+
+  it("lets an admin decline a pending renewal", async function () {
+    const { blockId, admin, holder, idNumber } = await loadFixture(deployWithExpiringIdentity);
+
+    await expect(blockId.connect(admin).declineRenewal(idNumber, "Documents expired"))
+      .to.be.revertedWith("BlockID: no pending renewal");
+
+    await blockId.connect(holder).requestRenewal(idNumber, YEAR);
+    await expect(blockId.connect(admin).declineRenewal(idNumber, "Documents expired"))
+      .to.emit(blockId, "IdentityRenewalDeclined").withArgs(idNumber, admin.address, "Documents expired");
+    expect(await blockId.renewalRequests(idNumber)).to.equal(0n);
+  });
+
+  it("does not renew identities without an expiry or revoked ones", async function () {
+    const { blockId, admin, holder, other, idNumber } = await loadFixture(deployWithExpiringIdentity);
+    const permanentId = await issueIdentity(blockId, admin, other);
+
+    await expect(blockId.connect(other).requestRenewal(permanentId, YEAR))
+      .to.be.revertedWith("BlockID: identity does not expire");
+    await expect(blockId.connect(admin).renewIdentity(permanentId, YEAR))
+      .to.be.revertedWith("BlockID: identity does not expire");
+
+    await blockId.connect(holder).requestRenewal(idNumber, YEAR);
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+    expect(await blockId.renewalRequests(idNumber)).to.equal(0n);
+    await expect(blockId.connect(admin).renewIdentity(idNumber, YEAR))
+      .to.be.revertedWith("BlockID: identity is revoked");
+  });
+});
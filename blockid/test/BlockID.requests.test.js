@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity } = require("./helpers/fixtures");
+
+describe("BlockID requests", function () {
+  async function deployWithRequest() {
+    const fixture = await deployBlockID();
+    const requestId = await requestIdentity(fixture.blockId, fixture.holder);
+    return { ...fixture, requestId };
+  }
+
+  it("stores a pending request", async function () {
+    const { blockId, holder, requestId } = await loadFixture(deployWithRequest);
+
+    const details = await blockId.getRequestDetails(requestId);
+    expect(details.requester).to.equal(holder.address);
+    expect(details.isPending).to.equal(true);
+    expect(await blockId.getPendingRequests(0, 10)).to.deep.equal([[requestId], 1n]);
+  });
+
+  it("rejects a second pending request with the same hash", async function () {
+    const { blockId, holder, other } = await loadFixture(deployWithRequest);
+
+    await expect(requestIdentity(blockId, other, { uniqueHash: ethers.id(`identity:${holder.address}`) }))
+      .to.be.revertedWith("BlockID: a request with this hash is already pending");
+  });
+
+  it("lets the requester cancel a pending request and free its hash", async function () {
+    const { blockId, holder, other, requestId } = await loadFixture(deployWithRequest);
+
+    await expect(blockId.connect(other).cancelRequest(requestId))
+      .to.be.revertedWith("BlockID: caller is not the requester");
+    await expect(blockId.connect(holder).cancelRequest(requestId))
+      .to.emit(blockId, "IDRequestCancelled").withArgs(requestId, holder.address);
+
+    const details = await blockId.getRequestDetails(requestId);
+    expect(details.isPending).to.equal(false);
+    expect(details.isCancelled).to.equal(true);
+    await expect(blockId.connect(holder).cancelRequest(requestId))
+      .to.be.revertedWith("BlockID: request is not pending");
+
+    await requestIdentity(blockId, holder);
+  });
+
+  it("rejects requests from wallets that already have an ID", async function () {
+    const { blockId, admin, holder, requestId } = await loadFixture(deployWithRequest);
+
+    await blockId.connect(admin).approveIDRequest(requestId, 0);
+
+    await expect(requestIdentity(blockId, holder, { uniqueHash: ethers.id("another") }))
+      .to.be.revertedWith("BlockID: wallet already has an ID");
+  });
+
+  it("lets the requester resubmit a rejected request", async function () {
+    const { blockId, admin, holder, other, requestId } = await loadFixture(deployWithRequest);
+
+    await expect(blockId.connect(holder).resubmitRequest(requestId, "QmFixed", "personal_id", ethers.id("fixed"), ethers.ZeroHash))
+      .to.be.revertedWith("BlockID: request was not rejected");
+
+    await expect(blockId.connect(admin).rejectIDRequest(requestId, "Blurry photo"))
+      .to.emit(blockId, "IDRequestRejected").withArgs(requestId, admin.address, "Blurry photo");
+
+    await expect(blockId.connect(other).resubmitRequest(requestId, "QmFixed", "personal_id", ethers.id("fixed"), ethers.ZeroHash))
+      .to.be.revertedWith("BlockID: caller is not the requester");
+    await expect(blockId.connect(holder).resubmitRequest(requestId, "QmFixed", "personal_id", ethers.id("fixed"), ethers.ZeroHash))
+      .to.emit(blockId, "IDRequestResubmitted").withArgs(2, requestId, holder.address);
+
+    const details = await blockId.getRequestDetails(2);
+    expect(details.previousRequestId).to.equal(requestId);
+    expect(details.ipfsHash).to.equal("QmFixed");
+    expect((await blockId.getRequestDetails(requestId)).rejectionReason).to.equal("Blurry photo");
+  });
+});
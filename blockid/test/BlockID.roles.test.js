@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID } = require("./helpers/fixtures");
+
+describe("BlockID roles", function () {
+  it("gives the admin wallet the admin, issuer and verifier roles", async function () {
+    const { blockId, owner, admin } = await loadFixture(deployBlockID);
+
+    expect(await blockId.owner()).to.equal(owner.address);
+    expect(await blockId.hasRole(await blockId.OWNER_ROLE(), owner.address)).to.equal(true);
+    expect(await blockId.isAdmin(admin.address)).to.equal(true);
+    expect(await blockId.hasRole(await blockId.ISSUER_ROLE(), admin.address)).to.equal(true);
+    expect(await blockId.isVerifier(admin.address)).to.equal(true);
+    expect(await blockId.isVerifier(owner.address)).to.equal(true);
+    expect(await blockId.getAdmins()).to.deep.equal([admin.address]);
+  });
+
+  it("rejects a zero admin wallet", async function () {
+    const factory = await ethers.getContractFactory("BlockID");
+
+    await expect(factory.deploy(ethers.ZeroAddress)).to.be.revertedWith("BlockID: invalid address");
+  });
+
+  it("lets the owner manage admins and admins manage issuers", async function () {
+    const { blockId, owner, admin, issuer, other } = await loadFixture(deployBlockID);
+    const ADMIN_ROLE = await blockId.ADMIN_ROLE();
+    const ISSUER_ROLE = await blockId.ISSUER_ROLE();
+
+    await blockId.connect(owner).grantRole(ADMIN_ROLE, other.address);
+    expect(await blockId.getAdmins()).to.have.members([admin.address, other.address]);
+
+    await blockId.connect(admin).grantRole(ISSUER_ROLE, issuer.address);
+    expect(await blockId.hasRole(ISSUER_ROLE, issuer.address)).to.equal(true);
+  });
+
+  it("does not let admins grant the admin role, or others grant any role", async function () {
+    const { blockId, admin, issuer, other } = await loadFixture(deployBlockID);
+    const ADMIN_ROLE = await blockId.ADMIN_ROLE();
+    const ISSUER_ROLE = await blockId.ISSUER_ROLE();
+
+    await expect(blockId.connect(admin).grantRole(ADMIN_ROLE, other.address))
+      .to.be.revertedWithCustomError(blockId, "AccessControlUnauthorizedAccount")
+      .withArgs(admin.address, await blockId.OWNER_ROLE());
+    await expect(blockId.connect(other).grantRole(ISSUER_ROLE, issuer.address))
+      .to.be.revertedWithCustomError(blockId, "AccessControlUnauthorizedAccount")
+      .withArgs(other.address, ADMIN_ROLE);
+  });
+
+  it("moves the owner role with ownership", async function () {
+    const { blockId, owner, other } = await loadFixture(deployBlockID);
+    const OWNER_ROLE = await blockId.OWNER_ROLE();
+
+    await blockId.connect(owner).transferOwnership(other.address);
+
+    expect(await blockId.owner()).to.equal(other.address);
+    expect(await blockId.hasRole(OWNER_ROLE, other.address)).to.equal(true);
+    expect(await blockId.hasRole(OWNER_ROLE, owner.address)).to.equal(false);
+  });
+
+  it("restricts issuing to issuers and verifying to verifiers", async function () {
+    const { blockId, other } = await loadFixture(deployBlockID);
+
+    await expect(blockId.connect(other).createIdentity(other.address, "QmData", 0, "personal_id", ethers.id("x"), ethers.ZeroHash))
+      .to.be.revertedWith("BlockID: caller is not an issuer");
+    await expect(blockId.connect(other).verifyIdentity(1))
+      .to.be.revertedWith("BlockID: caller is not a verifier");
+    await expect(blockId.connect(other).setApprovalThreshold(1))
+      .to.be.revertedWith("BlockID: caller is not an admin");
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID } = require("./helpers/fixtures");
+const { importApp } = require("./helpers/app");
+
+describe("BlockID signed requests", function () {
+  let relay;
+
+  before(async function () {
+    relay = await importApp("utils/relay");
+  });
+
+  // The holder signs a request with the app's helper; "other" relays it
+  async function deployWithSignedRequest() {
+    const fixture = await deployBlockID();
+    const signed = await relay.signIdentityRequest(fixture.holder, fixture.blockId, {
+      ipfsHash: "QmSigned",
+      idType: "driver_license",
+      uniqueHash: ethers.id("signed"),
+      attributesRoot: ethers.ZeroHash
+    });
+    return { ...fixture, signed };
+  }
+
+  const submit = (blockId, relayer, { requester, ipfsHash, idType, uniqueHash, attributesRoot, deadline, signature }) =>
+    blockId.connect(relayer).requestIdentityBySig(requester, ipfsHash, idType, uniqueHash, attributesRoot, deadline, signature);
+
+  it("accepts a request signed by the requester and relayed by anyone", async function () {
+    const { blockId, holder, other, signed } = await loadFixture(deployWithSignedRequest);
+
+    await expect(submit(blockId, other, signed))
+      .to.emit(blockId, "IDRequested").withArgs(1, holder.address, ethers.id("signed"));
+
+    const details = await blockId.getRequestDetails(1);
+    expect(details.requester).to.equal(holder.address);
+    expect(details.ipfsHash).to.equal("QmSigned");
+    expect(details.idType).to.equal("driver_license");
+    expect(await blockId.nonces(holder.address)).to.equal(1n);
+  });
+
+  it("issues the identity with the signed ID type", async function () {
+    const { blockId, admin, holder, other, signed } = await loadFixture(deployWithSignedRequest);
+    await submit(blockId, other, signed);
+
+    await expect(blockId.connect(admin).approveIDRequest(1, 0))
+      .to.emit(blockId, "IdentityCreated").withArgs(1, holder.address, "driver_license", ethers.id("signed"));
+    expect((await blockId.getIdentity(1)).idType).to.equal("driver_license");
+  });
+
+  it("matches the signer the relayer recovers", async function () {
+    const { blockId, holder, signed } = await loadFixture(deployWithSignedRequest);
+
+    expect(relay.recoverRequestSigner(signed, 1337n, await blockId.getAddress())).to.equal(holder.address);
+  });
+
+  it("rejects a replayed signature", async function () {
+    const { blockId, holder, other, signed } = await loadFixture(deployWithSignedRequest);
+    await submit(blockId, other, signed);
+    await blockId.connect(holder).cancelRequest(1);
+
+    await expect(submit(blockId, other, signed))
+      .to.be.revertedWith("BlockID: invalid signature");
+  });
+
+  it("rejects altered fields and other signers", async function () {
+    const { blockId, other, signed } = await loadFixture(deployWithSignedRequest);
+
+    await expect(submit(blockId, other, { ...signed, idType: "passport" }))
+      .to.be.revertedWith("BlockID: invalid signature");
+    await expect(submit(blockId, other, { ...signed, requester: other.address }))
+      .to.be.revertedWith("BlockID: invalid signature");
+  });
+
+  it("rejects an expired signature", async function () {
+    const { blockId, other, signed } = await loadFixture(deployWithSignedRequest);
+
+    await time.increaseTo(BigInt(signed.deadline) + 1n);
+    await expect(submit(blockId, other, signed))
+      .to.be.revertedWith("BlockID: signature expired");
+  });
+
+  it("rejects a malformed signature", async function () {
+    const { blockId, other, signed } = await loadFixture(deployWithSignedRequest);
+
+    await expect(submit(blockId, other, { ...signed, signature: "0x1234" }))
+      .to.be.revertedWithCustomError(blockId, "ECDSAInvalidSignatureLength");
+  });
+
+  it("rejects ID types longer than 31 bytes", async function () {
+    const { blockId, holder } = await loadFixture(deployBlockID);
+
+    await expect(blockId.connect(holder).requestIdentity("QmData", "x".repeat(32), ethers.id("long"), ethers.ZeroHash))
+      .to.be.revertedWithCustomError(blockId, "StringTooLong");
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity, issueIdentity } = require("./helpers/fixtures");
+
+describe("BlockID soulbound tokens", function () {
+  async function deployWithIdentity() {
+    const fixture = await deployBlockID();
+    const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder);
+    return { ...fixture, idNumber };
+  }
+
+  it("mints a locked token to the holder", async function () {
+    const { blockId, admin, holder } = await loadFixture(deployBlockID);
+    const requestId = await requestIdentity(blockId, holder);
+
+    await expect(blockId.connect(admin).approveIDRequest(requestId, 0))
+      .to.emit(blockId, "Locked").withArgs(1)
+      .and.to.emit(blockId, "Transfer");
+
+    expect(await blockId.ownerOf(1)).to.equal(holder.address);
+    expect(await blockId.balanceOf(holder.address)).to.equal(1n);
+    expect(await blockId.locked(1)).to.equal(true);
+    expect(await blockId.tokenURI(1)).to.equal("ipfs://QmRequest");
+  });
+
+  it("supports the ERC-721 and ERC-5192 interfaces", async function () {
+    const { blockId } = await loadFixture(deployBlockID);
+
+    expect(await blockId.supportsInterface("0x80ac58cd")).to.equal(true); // ERC-721
+    expect(await blockId.supportsInterface("0xb45a3c0e")).to.equal(true); // ERC-5192
+    expect(await blockId.supportsInterface("0x7965db0b")).to.equal(true); // AccessControl
+  });
+
+  it("blocks transfers and approvals", async function () {
+    const { blockId, holder, other, idNumber } = await loadFixture(deployWithIdentity);
+    const token = blockId.connect(holder);
+
+    await expect(token.transferFrom(holder.address, other.address, idNumber))
+      .to.be.revertedWith("BlockID: identity tokens are soulbound");
+    await expect(token["safeTransferFrom(address,address,uint256)"](holder.address, other.address, idNumber))
+      .to.be.revertedWith("BlockID: identity tokens are soulbound");
+    await expect(token["safeTransferFrom(address,address,uint256,bytes)"](holder.address, other.address, idNumber, "0x"))
+      .to.be.revertedWith("BlockID: identity tokens are soulbound");
+    await expect(token.approve(other.address, idNumber))
+      .to.be.revertedWith("BlockID: identity tokens are soulbound");
+    await expect(token.setApprovalForAll(other.address, true))
+      .to.be.revertedWith("BlockID: identity tokens are soulbound");
+
+    expect(await blockId.ownerOf(idNumber)).to.equal(holder.address);
+  });
+
+  it("burns the token when the identity is revoked", async function () {
+    const { blockId, admin, holder, idNumber } = await loadFixture(deployWithIdentity);
+
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+
+    expect(await blockId.balanceOf(holder.address)).to.equal(0n);
+    await expect(blockId.locked(idNumber)).to.be.revertedWithCustomError(blockId, "ERC721NonexistentToken");
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity, issueIdentity } = require("./helpers/fixtures");
+
+const ACTIVE = 0n;
+const SUSPENDED = 1n;
+const REVOKED = 2n;
+
+describe("BlockID status", function () {
+  async function deployWithIdentity() {
+    const fixture = await deployBlockID();
+    const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder);
+    return { ...fixture, idNumber };
+  }
+
+  it("starts identities out active", async function () {
+    const { blockId, idNumber } = await loadFixture(deployWithIdentity);
+
+    const [status, reason, changedAt] = await blockId.getIdentityStatus(idNumber);
+    expect(status).to.equal(ACTIVE);
+    expect(reason).to.equal(0n);
+    expect(changedAt).to.equal(0n);
+  });
+
+  it("lets moderators suspend and reinstate an identity", async function () {
+    const { blockId, owner, admin, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(owner).suspendIdentity(idNumber, 3))
+      .to.emit(blockId, "IdentitySuspended").withArgs(idNumber, owner.address, 3);
+    const [status, reason, , changedBy] = await blockId.getIdentityStatus(idNumber);
+    expect([status, reason, changedBy]).to.deep.equal([SUSPENDED, 3n, owner.address]);
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(false);
+
+    await expect(blockId.connect(admin).suspendIdentity(idNumber, 3))
+      .to.be.revertedWith("BlockID: identity is not active");
+    await expect(blockId.connect(admin).reinstateIdentity(idNumber))
+      .to.emit(blockId, "IdentityReinstated").withArgs(idNumber, admin.address);
+    expect((await blockId.getIdentityStatus(idNumber)).status).to.equal(ACTIVE);
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(true);
+
+    await expect(blockId.connect(admin).reinstateIdentity(idNumber))
+      .to.be.revertedWith("BlockID: identity is not suspended");
+  });
+
+  it("does not let holders or others suspend or reinstate", async function () {
+    const { blockId, admin, holder, other, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(holder).suspendIdentity(idNumber, 1))
+      .to.be.revertedWith("BlockID: caller is not authorized");
+    await blockId.connect(admin).suspendIdentity(idNumber, 1);
+    await expect(blockId.connect(holder).reinstateIdentity(idNumber))
+      .to.be.revertedWith("BlockID: caller is not authorized");
+    await expect(blockId.connect(other).revokeIdentity(idNumber, 1))
+      .to.be.revertedWith("BlockID: caller is not authorized");
+  });
+
+  it("keeps revoked identities with their reason", async function () {
+    const { blockId, admin, holder, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(admin).revokeIdentity(idNumber, 2))
+      .to.emit(blockId, "IdentityRevoked").withArgs(idNumber, admin.address, 2);
+
+    const [status, reason, , changedBy] = await blockId.getIdentityStatus(idNumber);
+    expect([status, reason, changedBy]).to.deep.equal([REVOKED, 2n, admin.address]);
+    expect((await blockId.getIdentity(idNumber)).owner).to.equal(holder.address);
+    expect(await blockId.isIdentityValid(idNumber)).to.equal(false);
+  });
+
+  it("lets the holder revoke their own identity", async function () {
+    const { blockId, holder, idNumber } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(holder).revokeIdentity(idNumber, 1))
+      .to.emit(blockId, "IdentityRevoked").withArgs(idNumber, holder.address, 1);
+  });
+
+  it("makes revocation final", async function () {
+    const { blockId, admin, holder, idNumber } = await loadFixture(deployWithIdentity);
+
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+
+    await expect(blockId.connect(admin).revokeIdentity(idNumber, 1))
+      .to.be.revertedWith("BlockID: identity is revoked");
+    await expect(blockId.connect(admin).suspendIdentity(idNumber, 1))
+      .to.be.revertedWith("BlockID: identity is not active");
+    await expect(blockId.connect(admin).reinstateIdentity(idNumber))
+      .to.be.revertedWith("BlockID: identity is not suspended");
+    await expect(blockId.connect(holder).updateIdentityData(idNumber, "QmNew"))
+      .to.be.revertedWith("BlockID: identity is revoked");
+  });
+
+  it("keeps the wallet and hash of a revoked identity bound to it", async function () {
+    const { blockId, admin, holder, other, idNumber } = await loadFixture(deployWithIdentity);
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+
+    await expect(requestIdentity(blockId, holder, { uniqueHash: ethers.id("fresh") }))
+      .to.be.revertedWith("BlockID: wallet already has an ID");
+    await expect(requestIdentity(blockId, other, { uniqueHash: ethers.id(`identity:${holder.address}`) }))
+      .to.be.revertedWith("BlockID: identity with this hash already exists");
+  });
+
+  it("reverts for an unknown identity", async function () {
+    const { blockId, admin } = await loadFixture(deployWithIdentity);
+
+    await expect(blockId.connect(admin).revokeIdentity(99, 1))
+      .to.be.revertedWith("BlockID: identity does not exist");
+    await expect(blockId.getIdentityStatus(99))
+      .to.be.revertedWith("BlockID: identity does not exist");
+  });
+});
@@ -0,0 +1,18 @@
+const path = require("path");
+const { register } = require("module");
+const { pathToFileURL } = require("url");
+const { RPC_URL } = require("./rpc");
+
+register(pathToFileURL(path.join(__dirname, "esm-hooks.mjs")));
+
+// Point the app at the test network rather than its public default RPC
+process.env.NEXT_PUBLIC_RPC_URL = RPC_URL;
+
+/**
+ * Import one of the app's ES modules (e.g. "utils/disclosure") from a CommonJS test
+ * @param {string} modulePath - Path from the project root, without extension
+ * @returns {Promise<Object>} - Module namespace
+ */
+const importApp = (modulePath) => import(pathToFileURL(path.join(__dirname, "..", "..", `${modulePath}.js`)).href);
+
+module.exports = { importApp };
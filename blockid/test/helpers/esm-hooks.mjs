@@ -0,0 +1,52 @@
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Module hooks that let the tests import the app's ESM sources the way Next.js resolves them:
+ * "@/" maps to the project root, relative imports and package subpaths (next/server) may omit ".js",
+ * app .js files are ES modules and JSON files (contract artifacts) are default exports.
+ * indexer/ and scripts/ stay CommonJS, as Node runs them directly.
+ */
+
+const root = new URL('../../', import.meta.url);
+
+// App sources, not dependencies or the (CommonJS) tests, indexer and scripts
+const COMMONJS_DIRS = ['test/', 'indexer/', 'scripts/'];
+const isAppSource = (url) => url.startsWith(root.href) && !url.includes('/node_modules/') &&
+  !COMMONJS_DIRS.some(dir => url.startsWith(new URL(dir, root).href));
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    specifier = new URL(specifier.slice(2), root).href;
+  }
+
+  if ((specifier.startsWith('.') || specifier.startsWith('file:')) && context.parentURL?.startsWith('file:')) {
+    const url = new URL(specifier, context.parentURL);
+    const path = fileURLToPath(url);
+    if (!existsSync(path) && existsSync(`${path}.js`)) {
+      return nextResolve(`${url.href}.js`, context);
+    }
+  }
+
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    // Subpaths of packages without an exports map, which bundlers resolve by extension
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && /^[@a-z]/i.test(specifier) && !specifier.endsWith('.js')) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppSource(url) && url.endsWith('.json')) {
+    const { source } = await nextLoad(url, { ...context, format: 'json', importAttributes: { type: 'json' } });
+    return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+  }
+  if (isAppSource(url) && url.endsWith('.js')) {
+    return { ...(await nextLoad(url, { ...context, format: 'module' })), format: 'module' };
+  }
+
+  return nextLoad(url, context);
+}
@@ -0,0 +1,46 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploy BlockID with the first signer as owner and a separate admin wallet
+ * @returns {Promise<Object>} - { blockId, owner, admin, issuer, verifier, holder, other, accounts }
+ */
+async function deployBlockID() {
+  const [owner, admin, issuer, verifier, holder, other, ...accounts] = await ethers.getSigners();
+  const blockId = await ethers.deployContract("BlockID", [admin.address]);
+
+  return { blockId, owner, admin, issuer, verifier, holder, other, accounts };
+}
+
+/**
+ * Submit an ID request from a wallet
+ * @param {Contract} blockId - Deployed contract
+ * @param {Signer} requester - Wallet making the request
+ * @param {Object} options - { uniqueHash, idType, ipfsHash, attributesRoot }
+ * @returns {Promise<bigint>} - Request ID
+ */
+async function requestIdentity(blockId, requester, {
+  uniqueHash = ethers.id(`identity:${requester.address}`),
+  idType = "personal_id",
+  ipfsHash = "QmRequest",
+  attributesRoot = ethers.ZeroHash
+} = {}) {
+  await blockId.connect(requester).requestIdentity(ipfsHash, idType, uniqueHash, attributesRoot);
+  const requestIds = await blockId.getUserRequests(requester.address);
+  return requestIds[requestIds.length - 1];
+}
+
+/**
+ * Request an ID and have an issuer approve it (with the default threshold of one)
+ * @param {Contract} blockId - Deployed contract
+ * @param {Signer} issuer - Issuer approving the request
+ * @param {Signer} holder - Wallet that gets the ID
+ * @param {Object} options - Request options plus expiryDuration
+ * @returns {Promise<bigint>} - ID number
+ */
+async function issueIdentity(blockId, issuer, holder, { expiryDuration = 0, ...options } = {}) {
+  const requestId = await requestIdentity(blockId, holder, options);
+  await blockId.connect(issuer).approveIDRequest(requestId, expiryDuration);
+  return blockId.getIdentityByOwner(holder.address);
+}
+
+module.exports = { deployBlockID, requestIdentity, issueIdentity };
@@ -0,0 +1,44 @@
+const http = require("http");
+const { network } = require("hardhat");
+
+// The app reads NEXT_PUBLIC_RPC_URL once, when utils/blockchain is first imported
+const RPC_PORT = 18545;
+const RPC_URL = `http://127.0.0.1:${RPC_PORT}`;
+
+/**
+ * Answer one JSON-RPC call from the in-process Hardhat network
+ * @param {Object} call - { id, method, params }
+ * @returns {Promise<Object>} - JSON-RPC response
+ */
+const answer = async ({ id, method, params }) => {
+  try {
+    return { jsonrpc: "2.0", id, result: await network.provider.request({ method, params }) };
+  } catch (error) {
+    return { jsonrpc: "2.0", id, error: { code: error.code ?? -32603, message: error.message, data: error.data } };
+  }
+};
+
+/**
+ * Serve the Hardhat network over HTTP so the app's own providers (which take an RPC URL) can reach it
+ * @returns {Promise<Function>} - Stops the server
+ */
+const startRpcServer = async () => {
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => { body += chunk; });
+    request.on("end", async () => {
+      const payload = JSON.parse(body);
+      const result = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(result));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(RPC_PORT, "127.0.0.1", resolve));
+  return () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+};
+
+module.exports = { RPC_URL, startRpcServer };
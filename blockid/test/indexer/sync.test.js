@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, requestIdentity, issueIdentity } = require("../helpers/fixtures");
+const { all, get, getMeta, openDatabase } = require("../../indexer/db");
+const { rebuildDerivedTables, rewindTo, syncOnce } = require("../../indexer/sync");
+const { searchIdentities, searchRequests, getHistory, getIndexStatus } = require("../../indexer/queries");
+
+describe("indexer/sync", function () {
+  let directory;
+  let context;
+
+  before(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "blockid-index-"));
+  });
+
+  after(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // An issued ID, a rejected request and a pending one
+  async function deployWithActivity() {
+    const fixture = await deployBlockID();
+    const { blockId, admin, holder, other, accounts } = fixture;
+
+    const idNumber = await issueIdentity(blockId, admin, holder, { idType: "passport" });
+    const rejectedId = await requestIdentity(blockId, other);
+    await blockId.connect(admin).rejectIDRequest(rejectedId, "Blurry photo");
+    const pendingId = await requestIdentity(blockId, accounts[0]);
+
+    return { ...fixture, idNumber, rejectedId, pendingId };
+  }
+
+  // Load the fixture and open an empty index for it
+  const load = async () => {
+    const loaded = await loadFixture(deployWithActivity);
+    const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`);
+    context = { db: await openDatabase(file), provider: ethers.provider, contract: loaded.blockId, file };
+    return loaded;
+  };
+
+  const identity = (idNumber) => get(context.db, "SELECT * FROM identities WHERE id_number = ?", [Number(idNumber)]);
+  const request = (requestId) => get(context.db, "SELECT * FROM requests WHERE request_id = ?", [Number(requestId)]);
+  const derivedTables = () => ["identities", "requests", "roles"]
+    .map(table => all(context.db, `SELECT * FROM ${table} ORDER BY 1, 2`));
+
+  it("projects contract events into identities, requests and roles", async function () {
+    const { blockId, admin, holder, other, idNumber, rejectedId, pendingId } = await load();
+
+    const result = await syncOnce(context);
+    expect(result).to.include({ fromBlock: 0, toBlock: await ethers.provider.getBlockNumber(), rewoundTo: null });
+    expect(fs.existsSync(context.file)).to.equal(true);
+
+    expect(identity(idNumber)).to.include({
+      owner: holder.address.toLowerCase(),
+      id_type: "passport",
+      status: "active",
+      request_id: 1
+    });
+    expect(request(1)).to.include({ status: "approved", id_number: Number(idNumber), decided_by: admin.address.toLowerCase() });
+    expect(request(rejectedId)).to.include({ requester: other.address.toLowerCase(), status: "rejected", reason: "Blurry photo" });
+    expect(request(pendingId)).to.include({ status: "pending", id_number: null });
+    expect(all(context.db, "SELECT role FROM roles WHERE account = ? AND active = 1 ORDER BY role", [admin.address.toLowerCase()])
+      .map(({ role }) => role)).to.deep.equal(["ADMIN", "ISSUER", "VERIFIER"]);
+
+    await blockId.connect(admin).suspendIdentity(idNumber, 2);
+    const next = await syncOnce(context);
+    expect(next.fromBlock).to.equal(result.toBlock + 1);
+    expect(next.events).to.equal(1);
+    expect(identity(idNumber)).to.include({ status: "suspended", status_reason: 2 });
+
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+    await syncOnce(context);
+    expect(identity(idNumber)).to.include({ status: "revoked", status_reason: 1, revoked_by: admin.address.toLowerCase() });
+    expect(getIndexStatus(context.db)).to.include({
+      chainId: "1337",
+      contractAddress: (await blockId.getAddress()).toLowerCase(),
+      lastBlock: await ethers.provider.getBlockNumber()
+    });
+  });
+
+  it("rebuilds the derived tables from the stored events", async function () {
+    const { idNumber } = await load();
+    await syncOnce(context);
+    const synced = derivedTables();
+
+    context.db.run("UPDATE identities SET status = 'bogus' WHERE id_number = ?", [Number(idNumber)]);
+    context.db.run("DELETE FROM requests");
+    rebuildDerivedTables(context.db);
+    expect(derivedTables()).to.deep.equal(synced);
+
+    const requestedAt = request(1).requested_at;
+    const issuedBlock = get(context.db, "SELECT block_number FROM events WHERE name = 'IdentityCreated'").block_number;
+    rewindTo(context.db, issuedBlock - 1);
+    expect(identity(idNumber)).to.equal(null);
+    expect(request(1)).to.include({ status: "pending", requested_at: requestedAt });
+    expect(get(context.db, "SELECT COUNT(*) AS count FROM events WHERE block_number >= ?", [issuedBlock]).count).to.equal(0);
+    expect(getMeta(context.db, "last_block")).to.equal(String(issuedBlock - 1));
+  });
+
+  it("rewinds to the last matching block when a recorded hash no longer matches", async function () {
+    const { blockId, admin, idNumber } = await load();
+    const { toBlock: firstTip } = await syncOnce(context);
+    await blockId.connect(admin).suspendIdentity(idNumber, 2);
+    const { toBlock: secondTip } = await syncOnce(context);
+    const synced = derivedTables();
+
+    context.db.run("UPDATE blocks SET hash = ? WHERE number = ?", [ethers.ZeroHash, secondTip]);
+    context.db.run("UPDATE identities SET status = 'bogus' WHERE id_number = ?", [Number(idNumber)]);
+
+    const result = await syncOnce(context);
+    expect(result).to.include({ rewoundTo: firstTip, fromBlock: firstTip + 1, toBlock: secondTip, events: 1 });
+    expect(derivedTables()).to.deep.equal(synced);
+    expect(get(context.db, "SELECT hash FROM blocks WHERE number = ?", [secondTip]).hash)
+      .to.equal((await ethers.provider.getBlock(secondTip)).hash);
+  });
+
+  it("drops the events of blocks that a reorg replaced", async function () {
+    const { blockId, admin, idNumber } = await load();
+    const { toBlock: forkPoint } = await syncOnce(context);
+    const snapshot = await takeSnapshot();
+
+    await blockId.connect(admin).revokeIdentity(idNumber, 1);
+    await syncOnce(context);
+    expect(identity(idNumber).status).to.equal("revoked");
+
+    await snapshot.restore();
+    await blockId.connect(admin).suspendIdentity(idNumber, 3);
+    const result = await syncOnce(context);
+
+    expect(result.rewoundTo).to.equal(forkPoint);
+    expect(identity(idNumber)).to.include({ status: "suspended", status_reason: 3, revoked_by: null });
+    expect(getHistory(context.db, { name: "IdentityRevoked" }).total).to.equal(0);
+    expect(getHistory(context.db, { name: "IdentitySuspended" }).total).to.equal(1);
+  });
+
+  it("refuses an index built for another contract", async function () {
+    await load();
+    await syncOnce(context);
+    const otherContract = await ethers.deployContract("BlockID", [(await ethers.getSigners())[1].address]);
+
+    await expect(syncOnce({ ...context, contract: otherContract })).to.be.rejectedWith("Index was built for");
+  });
+
+  describe("queries", function () {
+    it("filters and pages identities and requests", async function () {
+      const { admin, holder, other, accounts, idNumber, rejectedId, pendingId } = await load();
+      await issueIdentity(context.contract, admin, accounts[1]);
+      await syncOnce(context);
+
+      const owned = searchIdentities(context.db, { owner: holder.address.toUpperCase().replace("0X", "0x") });
+      expect(owned.items.map(item => item.id_number)).to.deep.equal([Number(idNumber)]);
+      expect(searchIdentities(context.db, { idType: "passport" }).total).to.equal(1);
+      expect(searchIdentities(context.db, { idNumber: String(idNumber) }).total).to.equal(1);
+      expect(searchIdentities(context.db, { status: "revoked" }).total).to.equal(0);
+
+      const firstPage = searchIdentities(context.db, { limit: 1 });
+      expect(firstPage).to.include({ total: 2, offset: 0, limit: 1 });
+      expect(firstPage.items[0].id_number).to.equal(Number(idNumber) + 1);
+      expect(searchIdentities(context.db, { offset: "1", limit: "1" }).items[0].id_number).to.equal(Number(idNumber));
+      expect(searchIdentities(context.db, { offset: -5, limit: 1000 })).to.include({ offset: 0, limit: 100 });
+      expect(searchIdentities(context.db, { offset: "x", limit: "x" })).to.include({ offset: 0, limit: 25 });
+
+      expect(searchRequests(context.db, { status: "rejected" }).items.map(item => item.request_id)).to.deep.equal([Number(rejectedId)]);
+      expect(searchRequests(context.db, { requester: other.address }).total).to.equal(1);
+      expect(searchRequests(context.db, { idNumber: String(idNumber) }).items[0].request_id).to.equal(1);
+      expect(searchRequests(context.db).items[0].request_id).to.equal(Number(pendingId) + 1);
+    });
+
+    it("includes the request events in an identity's history", async function () {
+      const { admin, holder, idNumber, rejectedId } = await load();
+      await syncOnce(context);
+
+      const history = getHistory(context.db, { idNumber: String(idNumber) });
+      expect(history.items.map(item => item.name)).to.deep.equal(["IDRequestApproved", "IdentityCreated", "IDRequestApprovalAdded", "IDRequested"]);
+      expect(history.items[3].args).to.include({ requestId: "1", requester: holder.address });
+
+      expect(getHistory(context.db, { requestId: String(rejectedId) }).items.map(item => item.name))
+        .to.deep.equal(["IDRequestRejected", "IDRequested"]);
+      expect(getHistory(context.db, { account: holder.address.toLowerCase(), name: "IDRequested" }).total).to.equal(1);
+      expect(getHistory(context.db, { account: admin.address, name: "RoleGranted" }).total).to.equal(3);
+    });
+  });
+});
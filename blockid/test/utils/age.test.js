@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("../helpers/fixtures");
+const { importApp } = require("../helpers/app");
+
+describe("utils/age", function () {
+  // Every proof walks a SHA-256 chain of up to ~91,000 steps
+  this.timeout(60000);
+
+  let age;
+  let disclosure;
+  let metadata;
+  let root;
+  const context = { idNumber: 1, chainId: 1337n, contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+
+  before(async function () {
+    age = await importApp("utils/age");
+    disclosure = await importApp("utils/disclosure");
+    metadata = {
+      fullName: "Ada Lovelace",
+      dateOfBirth: "2000-02-29",
+      ageCommitment: age.createAgeCommitment("2000-02-29"),
+      attributeSalts: disclosure.generateAttributeSalts()
+    };
+    root = disclosure.computeAttributesRoot(metadata);
+  });
+
+  it("proves a minimum age against the attributes root", function () {
+    const proof = age.createAgeProof(metadata, 18, context, "2024-06-01");
+
+    expect(age.checkAgeProof(age.parseAgeProof(JSON.stringify(proof)), root))
+      .to.deep.equal({ valid: true, commitmentValid: true, ageValid: true, error: null });
+  });
+
+  it("counts a 29 February birthday from 1 March in common years", function () {
+    expect(() => age.createAgeProof(metadata, 18, context, "2018-02-28")).to.throw("not at least 18 years");
+
+    const proof = age.createAgeProof(metadata, 18, context, "2018-03-01");
+    expect(age.checkAgeProof(proof, root).valid).to.equal(true);
+  });
+
+  it("refuses to prove an age the holder has not reached", function () {
+    expect(() => age.createAgeProof(metadata, 25, context, "2024-06-01"))
+      .to.throw("The date of birth on this ID is not at least 25 years before 2024-06-01");
+  });
+
+  it("rejects a proof whose threshold was raised", function () {
+    const proof = age.createAgeProof(metadata, 18, context, "2024-06-01");
+
+    const result = age.checkAgeProof({ ...proof, minAge: 25 }, root);
+    expect(result).to.include({ valid: false, commitmentValid: true, ageValid: false });
+  });
+
+  it("rejects a commitment that is not in the attributes root", function () {
+    const proof = age.createAgeProof(metadata, 18, context, "2024-06-01");
+    const forged = age.createAgeCommitment("1990-01-01");
+
+    const result = age.checkAgeProof({ ...proof, ageCommitment: { ...proof.ageCommitment, value: forged.commitment } }, root);
+    expect(result).to.include({ valid: false, commitmentValid: false });
+  });
+
+  it("bounds the threshold, date and values before hashing", function () {
+    const proof = age.createAgeProof(metadata, 18, context, "2024-06-01");
+
+    expect(() => age.parseAgeProof({ ...proof, minAge: age.MAX_PROOF_AGE + 1 }))
+      .to.throw(`Age threshold must be between 0 and ${age.MAX_PROOF_AGE}`);
+    expect(() => age.parseAgeProof({ ...proof, minAge: -1 })).to.throw("Age threshold must be between");
+    for (const asOf of ["2024-02-30", "1899-12-31", "9999-01-01"]) {
+      expect(() => age.parseAgeProof({ ...proof, asOf })).to.throw("Proof date must be a real date between 1900-01-01 and today");
+    }
+    expect(() => age.parseAgeProof({ ...proof, chainValue: "0x1234" }))
+      .to.throw("Age proof values must be 32-byte hex strings");
+    expect(() => age.parseAgeProof({ ...proof, ageCommitment: { ...proof.ageCommitment, proof: ["not hex"] } }))
+      .to.throw("Age proof values must be 32-byte hex strings");
+  });
+
+  describe("on-chain commitment", function () {
+    it("is one of the identity's committed attributes", async function () {
+      async function deployWithAgeCommitment() {
+        const fixture = await deployBlockID();
+        const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, { attributesRoot: root });
+        return { ...fixture, idNumber };
+      }
+      const { blockId, idNumber } = await loadFixture(deployWithAgeCommitment);
+      const { ageCommitment } = age.createAgeProof(metadata, 18, { ...context, idNumber }, "2024-06-01");
+
+      const leaf = disclosure.hashAttributeLeaf("ageCommitment", ageCommitment.value, ageCommitment.salt);
+      expect(await blockId.verifyAttribute(idNumber, leaf, ageCommitment.proof)).to.equal(true);
+      expect(await blockId.verifyAttribute(idNumber, disclosure.hashAttributeLeaf("ageCommitment", ethers.ZeroHash, ageCommitment.salt), ageCommitment.proof))
+        .to.equal(false);
+    });
+  });
+});
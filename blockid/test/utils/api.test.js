@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { encode } = require("next-auth/jwt");
+const { deployBlockID, issueIdentity } = require("../helpers/fixtures");
+const { importApp } = require("../helpers/app");
+const { startRpcServer } = require("../helpers/rpc");
+
+describe("utils/api", function () {
+  let api;
+  const previousEnv = {};
+  const keyHash = (key) => ethers.sha256(ethers.toUtf8Bytes(key)).slice(2);
+  const request = (headers) => new Request("https://blockid.example/api/verify", { headers });
+
+  // Run fn with Date.now pinned, so rate limit windows can be stepped through
+  const atTime = (now, fn) => {
+    const realNow = Date.now;
+    Date.now = () => now;
+    try {
+      return fn();
+    } finally {
+      Date.now = realNow;
+    }
+  };
+
+  before(async function () {
+    api = await importApp("utils/api");
+    for (const name of ["BLOCKID_API_KEYS", "API_SIGNING_KEY", "NEXTAUTH_SECRET"]) {
+      previousEnv[name] = process.env[name];
+    }
+    process.env.BLOCKID_API_KEYS = [
+      `partner:${keyHash("partner-key")}:10`,
+      ` bank:0x${keyHash("bank-key").toUpperCase()}`,
+      "broken:not-a-hash",
+      `:${keyHash("nameless-key")}`
+    ].join(",");
+  });
+
+  after(function () {
+    for (const [name, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  describe("authenticateApiKey", function () {
+    it("accepts configured keys from either header", function () {
+      expect(api.authenticateApiKey(request({ "X-API-Key": "partner-key" }))).to.deep.equal({ clientId: "partner", limit: 10 });
+      expect(api.authenticateApiKey(request({ Authorization: "Bearer bank-key" }))).to.deep.equal({ clientId: "bank", limit: 60 });
+    });
+
+    it("rejects missing, unknown and badly configured keys", function () {
+      expect(() => api.authenticateApiKey(request({}))).to.throw("API key required (X-API-Key header or Bearer token)");
+      expect(() => api.authenticateApiKey(request({ Authorization: "Basic partner-key" }))).to.throw("API key required");
+      for (const key of ["other-key", "nameless-key", keyHash("partner-key")]) {
+        expect(() => api.authenticateApiKey(request({ "X-API-Key": key })), key).to.throw("Invalid API key")
+          .with.property("status", 401);
+      }
+    });
+  });
+
+  describe("checkRateLimit", function () {
+    const windows = () => globalThis.__blockidApiRateWindows;
+    const start = Date.now() + 1000 * 60 * 60;
+
+    it("counts requests per window and resets when it ends", function () {
+      const client = { clientId: "test:window", limit: 2 };
+
+      expect(atTime(start, () => api.checkRateLimit(client))).to.deep.equal({
+        "X-RateLimit-Limit": "2",
+        "X-RateLimit-Remaining": "1",
+        "X-RateLimit-Reset": String(Math.ceil((start + 60000) / 1000))
+      });
+      atTime(start + 1000, () => api.checkRateLimit(client));
+
+      let limited;
+      try {
+        atTime(start + 30000, () => api.checkRateLimit(client));
+      } catch (error) {
+        limited = error;
+      }
+      expect(limited).to.be.instanceOf(api.ApiError);
+      expect(limited.status).to.equal(429);
+      expect(limited.headers).to.include({ "X-RateLimit-Remaining": "0", "Retry-After": "30" });
+
+      expect(atTime(start + 60000, () => api.checkRateLimit(client))["X-RateLimit-Remaining"]).to.equal("1");
+    });
+
+    it("keeps limits per client", function () {
+      atTime(start, () => api.checkRateLimit({ clientId: "test:first", limit: 1 }));
+
+      expect(() => atTime(start, () => api.checkRateLimit({ clientId: "test:first", limit: 1 }))).to.throw("Rate limit exceeded");
+      expect(atTime(start, () => api.checkRateLimit({ clientId: "test:second", limit: 1 }))["X-RateLimit-Remaining"]).to.equal("0");
+    });
+
+    it("evicts the windows of clients that went quiet", function () {
+      const later = start + 10 * 60000;
+      atTime(later, () => api.checkRateLimit({ clientId: "test:quiet", limit: 5 }));
+      expect(windows().has("test:quiet")).to.equal(true);
+
+      atTime(later + 60000, () => api.checkRateLimit({ clientId: "test:busy", limit: 5 }));
+      expect(windows().has("test:quiet")).to.equal(false);
+      expect(windows().has("test:busy")).to.equal(true);
+    });
+  });
+
+  describe("verdicts", function () {
+    const verdict = {
+      status: "valid",
+      source: "blockchain",
+      idNumber: "BID-000007",
+      identity: { idNumber: "BID-000007", owner: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", fullName: "Ada Lovelace", email: "ada@example.com" },
+      evidence: { disclosure: { attributes: [{ key: "fullName", valid: true }, { key: "email", valid: false }] } }
+    };
+
+    it("only discloses on-chain fields and proven attributes", function () {
+      const result = api.toPublicVerdict(verdict, "partner");
+
+      expect(result.audience).to.equal("partner");
+      expect(result.identity).to.deep.equal({ idNumber: "BID-000007", owner: verdict.identity.owner, fullName: "Ada Lovelace" });
+      expect(api.toPublicVerdict({ ...verdict, source: "offline_cache" }, "partner").identity).to.equal(null);
+    });
+
+    it("serialises JSON with sorted keys", function () {
+      expect(api.canonicalJson({ b: [2, { d: 1, c: null }], a: "x", skipped: undefined })).to.equal('{"a":"x","b":[2,{"c":null,"d":1}]}');
+    });
+
+    it("signs the canonical JSON of a verdict", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      process.env.API_SIGNING_KEY = wallet.privateKey;
+      const publicVerdict = api.toPublicVerdict(verdict, "partner");
+
+      const signed = await api.signVerdict(publicVerdict);
+      expect(signed.signer).to.equal(wallet.address);
+      expect(ethers.verifyMessage(api.canonicalJson(signed.verdict), signed.signature)).to.equal(wallet.address);
+      expect(ethers.verifyMessage(api.canonicalJson({ ...signed.verdict, status: "revoked" }), signed.signature)).to.not.equal(wallet.address);
+    });
+
+    it("refuses to sign without a signing key", async function () {
+      delete process.env.API_SIGNING_KEY;
+
+      await expect(api.signVerdict({})).to.be.rejectedWith("API signing key is not configured");
+    });
+  });
+
+  describe("requireProvenHolder", function () {
+    let disclosure;
+    let blockchain;
+    let stopRpcServer;
+    const options = { scope: "test-holder", purpose: "a test credential", required: ["fullName", "dateOfBirth"] };
+
+    before(async function () {
+      disclosure = await importApp("utils/disclosure");
+      blockchain = await importApp("utils/blockchain");
+      stopRpcServer = await startRpcServer();
+      process.env.NEXTAUTH_SECRET = "test secret";
+    });
+
+    after(async function () {
+      await stopRpcServer();
+    });
+
+    // An identity whose name and date of birth are committed on-chain, with the app pointed at its contract
+    async function deployWithCommittedIdentity() {
+      const fixture = await deployBlockID();
+      const metadata = { fullName: "Ada Lovelace", dateOfBirth: "1815-12-10", attributeSalts: disclosure.generateAttributeSalts() };
+      const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, {
+        attributesRoot: disclosure.computeAttributesRoot(metadata)
+      });
+      const context = { idNumber, chainId: 1337n, contractAddress: await fixture.blockId.getAddress() };
+      return {
+        ...fixture,
+        proof: disclosure.createDisclosureProof(metadata, ["fullName", "dateOfBirth"], context),
+        nameOnly: disclosure.createDisclosureProof(metadata, ["fullName"], context)
+      };
+    }
+
+    const load = async () => {
+      const loaded = await loadFixture(deployWithCommittedIdentity);
+      blockchain.initContractAddress(await loaded.blockId.getAddress());
+      return loaded;
+    };
+
+    // A POST from a signed-in wallet, with the session JWT sent as a bearer token
+    const post = async (wallet, body) => new Request("https://blockid.example/api/credentials/test", {
+      method: "POST",
+      headers: wallet ? { Authorization: `Bearer ${await encode({ token: { address: wallet.address }, secret: process.env.NEXTAUTH_SECRET })}` } : {},
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+
+    const rejection = async (promise) => {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      throw new Error("Expected the request to be rejected");
+    };
+
+    it("returns the identity the signed-in holder proved", async function () {
+      const { holder, proof } = await load();
+
+      const result = await api.requireProvenHolder(await post(holder, { disclosure: proof }), options);
+      expect(result.address).to.equal(holder.address);
+      expect(result.identity).to.include({ owner: holder.address, fullName: "Ada Lovelace", dateOfBirth: "1815-12-10" });
+      expect(result.evidence.chainId).to.equal("1337");
+      expect(result.headers["X-RateLimit-Limit"]).to.equal("5");
+    });
+
+    it("requires a session and a JSON body", async function () {
+      const { other } = await load();
+
+      expect(await rejection(api.requireProvenHolder(await post(null, {}), options)))
+        .to.include({ status: 401, message: "Sign in with your wallet to get a test credential" });
+
+      const notJson = await rejection(api.requireProvenHolder(await post(other, "not json"), options));
+      expect(notJson).to.include({ status: 400, message: "Request body must be JSON" });
+      expect(notJson.headers).to.have.property("X-RateLimit-Remaining");
+    });
+
+    it("rejects proofs that are malformed, for someone else's ID or missing attributes", async function () {
+      const { holder, other, proof, nameOnly } = await load();
+      const corrupted = structuredClone(proof);
+      corrupted.attributes[0].salt = "0xzz";
+
+      expect(await rejection(api.requireProvenHolder(await post(holder, { disclosure: corrupted }), options)))
+        .to.have.property("status", 422);
+      expect(await rejection(api.requireProvenHolder(await post(other, { disclosure: proof }), options)))
+        .to.include({ status: 403, message: "You can only get a test credential for your own ID" });
+      expect(await rejection(api.requireProvenHolder(await post(holder, { disclosure: nameOnly }), options)))
+        .to.include({ status: 400, message: "Disclosure must prove: dateOfBirth" });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("../helpers/fixtures");
+const { importApp } = require("../helpers/app");
+const { startRpcServer } = require("../helpers/rpc");
+
+describe("utils/did", function () {
+  let did;
+  let blockchain;
+  let stopRpcServer;
+
+  before(async function () {
+    did = await importApp("utils/did");
+    blockchain = await importApp("utils/blockchain");
+    stopRpcServer = await startRpcServer();
+  });
+
+  after(async function () {
+    await stopRpcServer();
+  });
+
+  it("round-trips an ID number through its did:blockid", function () {
+    expect(did.toBlockIdDid(1337, "BID-000007")).to.equal("did:blockid:1337:7");
+    expect(did.toBlockIdDid(11155111n, 42)).to.equal("did:blockid:11155111:42");
+    expect(did.parseBlockIdDid(did.toBlockIdDid("1337", "bid-7"))).to.deep.equal({ chainId: "1337", idNumber: 7 });
+  });
+
+  it("rejects malformed DIDs", function () {
+    for (const value of ["did:blockid:1337:0", "did:blockid:1337:BID-7", "did:blockid:sepolia:7", "did:blockid:1337:7#key", "did:blockid:1337", "", undefined]) {
+      expect(did.parseBlockIdDid(value), String(value)).to.equal(null);
+    }
+  });
+
+  it("reports unsupported methods and invalid DIDs without reading the chain", async function () {
+    const unsupported = await did.resolveDid("did:pkh:eip155:1337:0x70997970C51812dc3A010C7d01b50e0d17dc79C8");
+    expect(unsupported.didDocument).to.equal(null);
+    expect(unsupported.didResolutionMetadata.error).to.equal("methodNotSupported");
+
+    for (const value of [`did:${did.DID_METHOD}:1337:0`, "BID-000007", null]) {
+      const invalid = await did.resolveDid(value);
+      expect(invalid.didDocument).to.equal(null);
+      expect(invalid.didResolutionMetadata.error).to.equal("invalidDid");
+    }
+  });
+
+  describe("resolving against the contract", function () {
+    // An identity issued on the test network, with the app pointed at its contract
+    async function deployWithIdentity() {
+      const fixture = await deployBlockID();
+      const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, { idType: "passport" });
+      return { ...fixture, idNumber, id: did.toBlockIdDid(1337, idNumber) };
+    }
+
+    const load = async (fixture) => {
+      const loaded = await loadFixture(fixture);
+      blockchain.initContractAddress(await loaded.blockId.getAddress());
+      return loaded;
+    };
+
+    it("builds the document of an active identity from the contract", async function () {
+      const { holder, idNumber, id } = await load(deployWithIdentity);
+      const controller = `${id}#controller`;
+
+      const { didDocument, didResolutionMetadata, didDocumentMetadata } = await did.resolveDid(id, { baseUrl: "https://blockid.example" });
+      expect(didResolutionMetadata.error).to.equal(undefined);
+      expect(didDocument).to.include({ id, controller: `did:pkh:eip155:1337:${holder.address}` });
+      expect(didDocument.verificationMethod).to.deep.equal([{
+        id: controller,
+        type: "EcdsaSecp256k1RecoveryMethod2020",
+        controller: id,
+        blockchainAccountId: `eip155:1337:${holder.address}`
+      }]);
+      expect(didDocument.authentication).to.deep.equal([controller]);
+      expect(didDocument.assertionMethod).to.deep.equal([controller]);
+      expect(didDocument.service[0].serviceEndpoint).to.equal(`https://blockid.example/verify?id=${idNumber}`);
+      expect(didDocumentMetadata.deactivated).to.equal(false);
+      expect(didDocumentMetadata.blockid).to.include({ status: "active", idType: "passport", expiresAt: null });
+    });
+
+    it("keeps a suspended identity's document but drops its verification relationships", async function () {
+      const { blockId, admin, idNumber, id } = await load(deployWithIdentity);
+      await blockId.connect(admin).suspendIdentity(idNumber, 1);
+
+      const { didDocument, didDocumentMetadata } = await did.resolveDid(id);
+      expect(didDocument.verificationMethod).to.have.length(1);
+      expect(didDocument.authentication).to.deep.equal([]);
+      expect(didDocument.assertionMethod).to.deep.equal([]);
+      expect(didDocumentMetadata.deactivated).to.equal(false);
+      expect(didDocumentMetadata.blockid).to.include({ status: "suspended", reason: 1 });
+    });
+
+    it("marks a revoked identity as deactivated", async function () {
+      const { blockId, admin, idNumber, id } = await load(deployWithIdentity);
+      await blockId.connect(admin).revokeIdentity(idNumber, 2);
+
+      const { didDocument, didDocumentMetadata } = await did.resolveDid(id);
+      expect(didDocument.authentication).to.deep.equal([]);
+      expect(didDocumentMetadata.deactivated).to.equal(true);
+      expect(didDocumentMetadata.blockid.status).to.equal("revoked");
+    });
+
+    it("drops the verification relationships of an expired identity", async function () {
+      const { blockId, admin, other } = await load(deployWithIdentity);
+      const idNumber = await issueIdentity(blockId, admin, other, { expiryDuration: 60 });
+      const expiresAt = await time.latest() + 60;
+
+      // Expiry is judged by the resolver's clock, so read it just after the ID expired
+      const RealDate = global.Date;
+      global.Date = class extends RealDate {
+        constructor(...args) {
+          super(...(args.length ? args : [(expiresAt + 1) * 1000]));
+        }
+      };
+      let result;
+      try {
+        result = await did.resolveDid(did.toBlockIdDid(1337, idNumber));
+      } finally {
+        global.Date = RealDate;
+      }
+
+      expect(result.didDocument.authentication).to.deep.equal([]);
+      expect(result.didDocument.assertionMethod).to.deep.equal([]);
+      expect(result.didDocumentMetadata.deactivated).to.equal(false);
+      expect(result.didDocumentMetadata.blockid.status).to.equal("expired");
+    });
+
+    it("reports IDs that don't exist or belong to another chain as not found", async function () {
+      await load(deployWithIdentity);
+
+      expect((await did.resolveDid("did:blockid:1337:99")).didResolutionMetadata.error).to.equal("notFound");
+      expect((await did.resolveDid("did:blockid:11155111:1")).didResolutionMetadata.error).to.equal("notFound");
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { importApp } = require("../helpers/app");
+
+describe("utils/disclosure", function () {
+  let disclosure;
+  let metadata;
+  const context = { idNumber: 7, chainId: 1337n, contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+
+  before(async function () {
+    disclosure = await importApp("utils/disclosure");
+    metadata = {
+      fullName: "Ada Lovelace",
+      dateOfBirth: "1815-12-10",
+      email: "ada@example.com",
+      photo: { sha256: "0xabc" },
+      idType: "passport",
+      attributeSalts: disclosure.generateAttributeSalts()
+    };
+  });
+
+  it("proves the disclosed attributes against the attributes root", function () {
+    const root = disclosure.computeAttributesRoot(metadata);
+    const proof = disclosure.createDisclosureProof(metadata, ["fullName", "idType"], context);
+
+    expect(proof.attributesRoot).to.equal(root);
+    expect(proof.chainId).to.equal("1337");
+    expect(proof.attributes.map(({ key, value }) => [key, value])).to.deep.equal([["fullName", "Ada Lovelace"], ["idType", "passport"]]);
+    expect(disclosure.checkDisclosedAttributes(proof, root).every(({ valid }) => valid)).to.equal(true);
+  });
+
+  it("survives a JSON round trip", function () {
+    const root = disclosure.computeAttributesRoot(metadata);
+    const proof = disclosure.createDisclosureProof(metadata, ["email"], context);
+
+    const parsed = disclosure.parseDisclosureProof(JSON.stringify(proof));
+    expect(disclosure.checkDisclosedAttributes(parsed, root)[0]).to.include({ key: "email", label: "Email", valid: true });
+  });
+
+  it("rejects altered values, salts and unknown keys", function () {
+    const root = disclosure.computeAttributesRoot(metadata);
+    const proof = disclosure.createDisclosureProof(metadata, ["fullName", "dateOfBirth"], context);
+
+    const altered = structuredClone(proof);
+    altered.attributes[0].value = "Grace Hopper";
+    altered.attributes[1].salt = disclosure.generateAttributeSalts().dateOfBirth;
+    expect(disclosure.checkDisclosedAttributes(altered, root).map(({ valid }) => valid)).to.deep.equal([false, false]);
+
+    const renamed = structuredClone(proof);
+    renamed.attributes[0].key = "nickname";
+    expect(disclosure.checkDisclosedAttributes(renamed, root)[0].valid).to.equal(false);
+  });
+
+  it("does not check against another identity's root", function () {
+    const other = { ...metadata, attributeSalts: disclosure.generateAttributeSalts() };
+    const proof = disclosure.createDisclosureProof(metadata, ["fullName"], context);
+
+    expect(disclosure.checkDisclosedAttributes(proof, disclosure.computeAttributesRoot(other))[0].valid).to.equal(false);
+  });
+
+  it("refuses attributes the ID has no salt for", function () {
+    const { email, ...salts } = metadata.attributeSalts;
+
+    expect(() => disclosure.createDisclosureProof({ ...metadata, attributeSalts: salts }, ["email"], context))
+      .to.throw("Attribute not committed for this ID: email");
+  });
+
+  it("rejects malformed proofs", function () {
+    expect(() => disclosure.parseDisclosureProof({ type: "other" })).to.throw("Not a BlockID disclosure proof");
+    expect(() => disclosure.parseDisclosureProof({ type: disclosure.DISCLOSURE_PROOF_TYPE, version: 2 }))
+      .to.throw("Unsupported disclosure proof version: 2");
+    expect(() => disclosure.parseDisclosureProof({ type: disclosure.DISCLOSURE_PROOF_TYPE, version: 1, idNumber: 7, attributes: [] }))
+      .to.throw("Disclosure proof must name an ID and at least one attribute");
+
+    const proof = disclosure.createDisclosureProof(metadata, ["fullName"], context);
+    for (const change of [{ salt: "0xzz" }, { proof: "0x1234" }, { proof: ["0x1234"] }]) {
+      const corrupted = { ...proof, attributes: [{ ...proof.attributes[0], ...change }] };
+      expect(() => disclosure.parseDisclosureProof(corrupted))
+        .to.throw("Every disclosed attribute needs a 32-byte salt and a Merkle proof of 32-byte hashes");
+    }
+  });
+});
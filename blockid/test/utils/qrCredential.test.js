@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { importApp } = require("../helpers/app");
+
+describe("utils/qrCredential", function () {
+  let qr;
+  const issuerKey = new ethers.SigningKey(ethers.id("qr issuer"));
+  const issuers = [{ kid: "k1", address: ethers.computeAddress(issuerKey), name: "BlockID" }];
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    kid: "k1",
+    chainId: 1337,
+    contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    idNumber: 7,
+    owner: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    idType: "passport",
+    fullName: "Ada Lovelace",
+    dateOfBirth: "1815-12-10",
+    uniqueIdentityHash: ethers.id("ada"),
+    issuedAt: now,
+    validUntil: now + 3600
+  };
+
+  before(async function () {
+    qr = await importApp("utils/qrCredential");
+  });
+
+  it("round-trips signed claims through the QR text", function () {
+    const text = qr.signQrCredential(claims, issuerKey);
+
+    expect(text.startsWith(qr.QR_PREFIX)).to.equal(true);
+    expect(text.slice(qr.QR_PREFIX.length)).to.match(/^[0-9A-Z $%*+\-./:]+$/);
+
+    const result = qr.verifyQrCredential(text, issuers);
+    expect(result.claims).to.deep.equal({ version: qr.QR_VERSION, ...claims });
+    expect(result).to.include({ signer: issuers[0].address, signatureValid: true, expired: false, idExpired: false });
+    expect(result.issuer).to.deep.equal(issuers[0]);
+  });
+
+  it("rejects claims signed by a key that is not pinned for the kid", function () {
+    const forged = qr.signQrCredential(claims, new ethers.SigningKey(ethers.id("someone else")));
+
+    expect(qr.verifyQrCredential(forged, issuers).signatureValid).to.equal(false);
+    expect(qr.verifyQrCredential(qr.signQrCredential({ ...claims, kid: "k2" }, issuerKey), issuers))
+      .to.include({ issuer: null, signatureValid: false });
+  });
+
+  it("flags expired credentials and expired IDs", function () {
+    const text = qr.signQrCredential({ ...claims, validUntil: now - 1, idExpiresAt: now - 1 }, issuerKey);
+
+    expect(qr.verifyQrCredential(text, issuers)).to.include({ signatureValid: true, expired: true, idExpired: true });
+  });
+
+  it("rejects text that is not a BlockID QR credential", function () {
+    const text = qr.signQrCredential(claims, issuerKey);
+
+    expect(() => qr.verifyQrCredential("https://example.com", issuers)).to.throw("Not a BlockID QR credential");
+    expect(() => qr.verifyQrCredential(`${text.slice(0, -1)}a`, issuers)).to.throw("Invalid base45 character: a");
+    expect(() => qr.verifyQrCredential(text.slice(0, 20), issuers)).to.throw();
+  });
+
+  it("reads the pinned issuers from the environment", function () {
+    const previous = process.env.NEXT_PUBLIC_QR_ISSUER_KEYS;
+    process.env.NEXT_PUBLIC_QR_ISSUER_KEYS = `k1:${issuers[0].address.toLowerCase()}:BlockID, bad:not-an-address`;
+    try {
+      expect(qr.getPinnedIssuers()).to.deep.equal(issuers);
+    } finally {
+      if (previous === undefined) delete process.env.NEXT_PUBLIC_QR_ISSUER_KEYS;
+      else process.env.NEXT_PUBLIC_QR_ISSUER_KEYS = previous;
+    }
+  });
+});
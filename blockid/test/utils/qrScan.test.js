@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { importApp } = require("../helpers/app");
+
+describe("utils/qrScan", function () {
+  let qrScan;
+  const hash = ethers.id("ada");
+  const address = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  before(async function () {
+    qrScan = await importApp("utils/qrScan");
+  });
+
+  it("reads identity hashes with or without the 0x prefix", function () {
+    expect(qrScan.parseScannedPayload(hash)).to.deep.equal({ method: "hash", value: hash });
+    expect(qrScan.parseScannedPayload(` ${hash.slice(2)}\n`)).to.deep.equal({ method: "hash", value: hash });
+    expect(qrScan.parseScannedPayload(`0X${hash.slice(2)}`)).to.deep.equal({ method: "hash", value: hash });
+  });
+
+  it("reads wallet addresses and ID numbers", function () {
+    expect(qrScan.parseScannedPayload(address)).to.deep.equal({ method: "address", value: address });
+    expect(qrScan.parseScannedPayload("BID-000007")).to.deep.equal({ method: "id", value: "BID-000007" });
+    expect(qrScan.parseScannedPayload("7")).to.deep.equal({ method: "id", value: "7" });
+  });
+
+  it("reads verify page URLs in the page's own parameter order", function () {
+    const url = "https://blockid.example/verify";
+
+    expect(qrScan.parseScannedPayload(`${url}?id=7&hash=${hash.slice(2)}`)).to.deep.equal({ method: "hash", value: hash });
+    expect(qrScan.parseScannedPayload(`${url}?address=${address}&id=BID-000007`)).to.deep.equal({ method: "id", value: "BID-000007" });
+    expect(qrScan.parseScannedPayload(`${url}?address=${address}`)).to.deep.equal({ method: "address", value: address });
+    expect(qrScan.parseScannedPayload(url)).to.equal(null);
+  });
+
+  it("recognises QR credentials and proof JSON", async function () {
+    const { QR_PREFIX } = await importApp("utils/qrCredential");
+    const { DISCLOSURE_PROOF_TYPE } = await importApp("utils/disclosure");
+    const { AGE_PROOF_TYPE } = await importApp("utils/age");
+    const json = (value) => JSON.stringify(value);
+
+    expect(qrScan.parseScannedPayload(`${QR_PREFIX}ABC`)).to.deep.equal({ method: "qr", value: `${QR_PREFIX}ABC` });
+    expect(qrScan.parseScannedPayload(json({ type: DISCLOSURE_PROOF_TYPE }))).to.deep.equal({ method: "disclosure", value: json({ type: DISCLOSURE_PROOF_TYPE }) });
+    expect(qrScan.parseScannedPayload(json({ type: AGE_PROOF_TYPE }))).to.deep.equal({ method: "age", value: json({ type: AGE_PROOF_TYPE }) });
+    expect(qrScan.parseScannedPayload(json({ type: ["VerifiablePresentation"] })).method).to.equal("vc");
+    expect(qrScan.parseScannedPayload(json({ type: "other" }))).to.equal(null);
+  });
+
+  it("ignores text BlockID can't verify", function () {
+    for (const text of ["", "   ", null, "hello", "{not json", "0x1234", `${hash}00`]) {
+      expect(qrScan.parseScannedPayload(text), String(text)).to.equal(null);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { jsPDF } = require("jspdf");
+const { importApp } = require("../helpers/app");
+
+describe("utils/signedPdf", function () {
+  let signedPdf;
+  let disclosure;
+  let holder;
+  let claims;
+
+  // Render a card PDF with the claims in its metadata, as the dashboard export does
+  const renderCard = (cardClaims) => {
+    const pdf = new jsPDF();
+    pdf.text(cardClaims.fullName || "BlockID", 10, 10);
+    pdf.addMetadata(signedPdf.encodeCardClaims(cardClaims), signedPdf.SIGNED_PDF_NAMESPACE);
+    return new Uint8Array(pdf.output("arraybuffer"));
+  };
+
+  before(async function () {
+    signedPdf = await importApp("utils/signedPdf");
+    disclosure = await importApp("utils/disclosure");
+    [, , , , holder] = await ethers.getSigners();
+
+    const metadata = { fullName: "Ada Lovelace", dateOfBirth: "1815-12-10", idType: "passport", attributeSalts: disclosure.generateAttributeSalts() };
+    const contractAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    claims = {
+      type: signedPdf.SIGNED_PDF_TYPE,
+      version: signedPdf.SIGNED_PDF_VERSION,
+      idNumber: 7,
+      chainId: "1337",
+      contractAddress,
+      owner: holder.address,
+      idType: "passport",
+      uniqueIdentityHash: ethers.id("ada"),
+      expiresAt: null,
+      transactionHash: null,
+      fullName: "Ada Lovelace",
+      exportedAt: new Date().toISOString(),
+      disclosure: disclosure.createDisclosureProof(metadata, ["fullName", "dateOfBirth", "idType"], { idNumber: 7, chainId: 1337n, contractAddress })
+    };
+  });
+
+  it("round-trips the claims and recovers the holder's signature", async function () {
+    const unsigned = renderCard(claims);
+    const signed = await signedPdf.signPdfDocument(unsigned, claims, holder);
+
+    const result = signedPdf.parseSignedPdf(signed);
+    expect(result.claims).to.deep.equal(claims);
+    expect(result.documentHash).to.equal(ethers.keccak256(unsigned));
+    expect(result.signer).to.equal(holder.address);
+  });
+
+  it("recovers a different signer when any byte changes", async function () {
+    const signed = await signedPdf.signPdfDocument(renderCard(claims), claims, holder);
+
+    const tampered = signed.slice();
+    tampered[200] ^= 1;
+    expect(signedPdf.parseSignedPdf(tampered).signer).to.not.equal(holder.address);
+  });
+
+  it("rejects content appended after the signature", async function () {
+    const signed = await signedPdf.signPdfDocument(renderCard(claims), claims, holder);
+    const forged = renderCard({ ...claims, fullName: "Grace Hopper" });
+
+    const appended = ethers.getBytes(ethers.concat([signed, forged]));
+    expect(() => signedPdf.parseSignedPdf(appended)).to.throw("The PDF signature is malformed");
+  });
+
+  it("rejects unsigned PDFs and malformed signatures", async function () {
+    const unsigned = renderCard(claims);
+
+    expect(() => signedPdf.parseSignedPdf(unsigned)).to.throw("This PDF has no BlockID signature");
+    const badSignature = ethers.getBytes(ethers.concat([unsigned, ethers.toUtf8Bytes("\n%BlockID-Signature:0x1234\n")]));
+    expect(() => signedPdf.parseSignedPdf(badSignature)).to.throw("The PDF signature is malformed");
+  });
+
+  it("rejects a proof for a different ID", async function () {
+    const mismatched = { ...claims, disclosure: { ...claims.disclosure, idNumber: 8 } };
+    const signed = await signedPdf.signPdfDocument(renderCard(mismatched), mismatched, holder);
+
+    expect(() => signedPdf.parseSignedPdf(signed)).to.throw("The proof in the PDF is for a different ID");
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { importApp } = require("../helpers/app");
+
+describe("utils/siwe", function () {
+  let siwe;
+  const address = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const expected = { domain: "blockid.example", chainId: 1337 };
+  const issuedAt = "2026-01-01T12:00:00.000Z";
+  const now = new Date("2026-01-01T12:01:00.000Z");
+  let fields;
+
+  before(async function () {
+    siwe = await importApp("utils/siwe");
+    fields = { domain: expected.domain, address, uri: "https://blockid.example", chainId: 1337, nonce: "abc123XYZ", issuedAt };
+  });
+
+  const parse = (overrides = {}) => siwe.parseSiweMessage(siwe.buildSiweMessage({ ...fields, ...overrides }));
+
+  it("round-trips a message through build and parse", function () {
+    const message = siwe.buildSiweMessage({ ...fields, address: address.toLowerCase() });
+
+    expect(message.split("\n").slice(0, 2)).to.deep.equal([`${expected.domain} wants you to sign in with your Ethereum account:`, address]);
+    expect(siwe.parseSiweMessage(message)).to.deep.equal({
+      domain: expected.domain,
+      address,
+      statement: siwe.SIWE_STATEMENT,
+      uri: fields.uri,
+      version: siwe.SIWE_VERSION,
+      chainId: "1337",
+      nonce: fields.nonce,
+      issuedAt,
+      expirationTime: "2026-01-01T12:05:00.000Z"
+    });
+    expect(siwe.validateSiweFields(siwe.parseSiweMessage(message), expected, now)).to.equal(null);
+  });
+
+  it("recovers the wallet that signed the message", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    const message = siwe.buildSiweMessage({ ...fields, address: wallet.address });
+
+    const signature = await wallet.signMessage(message);
+    expect(ethers.verifyMessage(message, signature)).to.equal(siwe.parseSiweMessage(message).address);
+  });
+
+  it("parses messages without a statement or expiry", function () {
+    const message = siwe.buildSiweMessage({ ...fields, statement: null, expirationTime: null });
+    const parsed = siwe.parseSiweMessage(message);
+
+    expect(message.split("\n").slice(1, 5)).to.deep.equal([address, "", "", `URI: ${fields.uri}`]);
+    expect(parsed.statement).to.equal(null);
+    expect(parsed.expirationTime).to.equal(undefined);
+    expect(siwe.validateSiweFields(parsed, expected, now)).to.equal(null);
+  });
+
+  it("rejects messages for another domain or chain", function () {
+    expect(siwe.validateSiweFields(parse({ domain: "evil.example" }), expected, now)).to.equal("Message is for evil.example, not blockid.example");
+    expect(siwe.validateSiweFields(parse({ chainId: 1 }), expected, now)).to.equal("Message is for chain 1, not 1337");
+    expect(siwe.validateSiweFields(parse(), { chainId: 1337 }, now)).to.equal("No sign-in domain is configured");
+  });
+
+  it("enforces the validity window", function () {
+    const later = (ms) => new Date(Date.parse(issuedAt) + ms);
+
+    expect(siwe.validateSiweFields(parse(), expected, later(siwe.SIWE_MESSAGE_TTL_MS))).to.equal("Message has expired");
+    expect(siwe.validateSiweFields(parse({ expirationTime: null }), expected, later(siwe.SIWE_MESSAGE_TTL_MS)))
+      .to.equal("Message has expired");
+    expect(siwe.validateSiweFields({ ...parse(), notBefore: "2026-01-01T12:02:00.000Z" }, expected, now))
+      .to.equal("Message is not valid yet");
+    expect(siwe.validateSiweFields(parse({ issuedAt: "2026-01-01T12:10:00.000Z" }), expected, now))
+      .to.equal("Message issue time is invalid");
+    expect(siwe.validateSiweFields({ ...parse(), version: "2" }, expected, now)).to.equal("Unsupported SIWE version: 2");
+  });
+
+  it("reads Not Before from the message", function () {
+    const message = `${siwe.buildSiweMessage(fields)}\nNot Before: 2026-01-01T12:02:00.000Z`;
+
+    expect(siwe.validateSiweFields(siwe.parseSiweMessage(message), expected, now)).to.equal("Message is not valid yet");
+  });
+
+  it("rejects unexpected or missing lines", function () {
+    const message = siwe.buildSiweMessage(fields);
+
+    expect(() => siwe.parseSiweMessage("hello")).to.throw("Not a Sign-In with Ethereum message");
+    expect(() => siwe.parseSiweMessage(undefined)).to.throw("Not a Sign-In with Ethereum message");
+    expect(() => siwe.parseSiweMessage(`${message}\nResources: https://evil.example`))
+      .to.throw("Unexpected line in SIWE message: Resources: https://evil.example");
+    expect(() => siwe.parseSiweMessage(message.replace(/\nNonce: .*/, ""))).to.throw("SIWE message is missing required fields");
+    expect(() => siwe.buildSiweMessage({ ...fields, nonce: "" }))
+      .to.throw("SIWE message requires domain, address, uri, chainId and nonce");
+  });
+});
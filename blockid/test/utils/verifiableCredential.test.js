@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { importApp } = require("../helpers/app");
+
+describe("utils/verifiableCredential", function () {
+  let vc;
+  let issuer;
+  let holder;
+  let other;
+  let credential;
+  const verifier = { domain: "verifier.example" };
+
+  before(async function () {
+    vc = await importApp("utils/verifiableCredential");
+    [, issuer, , , holder, other] = await ethers.getSigners();
+    verifier.challenge = vc.createPresentationChallenge();
+
+    credential = await vc.signCredential(vc.buildIdentityCredential({
+      issuer: issuer.address,
+      chainId: 1337n,
+      contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      idNumber: 7,
+      owner: holder.address,
+      fullName: "Ada Lovelace",
+      dateOfBirth: "1815-12-10",
+      idType: "passport",
+      uniqueIdentityHash: ethers.id("ada"),
+      expiresAt: null
+    }), issuer);
+  });
+
+  it("round-trips an issuer-signed credential", function () {
+    const { credential: parsed, presentation } = vc.parseCredentialInput(JSON.stringify(credential));
+
+    expect(presentation).to.equal(null);
+    expect(parsed).to.deep.equal(credential);
+    expect(parsed.credentialSubject).to.include({ id: `did:pkh:eip155:1337:${holder.address}`, idNumber: "BID-000007" });
+    expect(vc.verifyCredentialProof(parsed)).to.deep.equal({ issuer: issuer.address, signer: issuer.address, valid: true });
+  });
+
+  it("invalidates a credential whose claims change", function () {
+    const tampered = { ...credential, credentialSubject: { ...credential.credentialSubject, name: "Grace Hopper" } };
+
+    expect(vc.verifyCredentialProof(tampered).valid).to.equal(false);
+  });
+
+  it("round-trips a holder-signed presentation for the verifier's challenge", async function () {
+    const presentation = await vc.createPresentation(credential, holder, verifier);
+    const parsed = vc.parseCredentialInput(JSON.stringify(presentation));
+
+    expect(parsed.credential).to.deep.equal(credential);
+    expect(vc.verifyPresentationProof(parsed.presentation, parsed.credential))
+      .to.deep.equal({ holder: holder.address, signer: holder.address, valid: true, ...verifier });
+  });
+
+  it("binds the presentation signature to its challenge and domain", async function () {
+    const presentation = await vc.createPresentation(credential, holder, verifier);
+
+    const otherChallenge = { ...presentation, proof: { ...presentation.proof, challenge: vc.createPresentationChallenge() } };
+    const otherDomain = { ...presentation, proof: { ...presentation.proof, domain: "attacker.example" } };
+    expect(vc.verifyPresentationProof(otherChallenge, credential).valid).to.equal(false);
+    expect(vc.verifyPresentationProof(otherDomain, credential).valid).to.equal(false);
+  });
+
+  it("reports a holder that is not the credential subject", async function () {
+    const presentation = await vc.createPresentation(credential, other, verifier);
+
+    const result = vc.verifyPresentationProof(presentation, credential);
+    expect(result).to.include({ holder: other.address, valid: true });
+    expect(result.holder).to.not.equal(vc.parsePkhDid(credential.credentialSubject.id).address);
+  });
+
+  it("requires the verifier's challenge and domain", async function () {
+    await expect(vc.createPresentation(credential, holder)).to.be.rejectedWith("A presentation needs the verifier's challenge and domain");
+    await expect(vc.createPresentation(credential, holder, { challenge: verifier.challenge }))
+      .to.be.rejectedWith("A presentation needs the verifier's challenge and domain");
+  });
+
+  it("rejects input that is not a BlockID credential", function () {
+    const { proof, ...unsigned } = credential;
+
+    expect(() => vc.parseCredentialInput({ type: ["VerifiableCredential"] })).to.throw("Not a BlockID verifiable credential");
+    expect(() => vc.parseCredentialInput(unsigned)).to.throw("Unsupported credential proof type: none");
+    expect(() => vc.parseCredentialInput({ ...credential, credentialStatus: undefined })).to.throw("Credential has no BlockID status entry");
+    expect(() => vc.parseCredentialInput({ ...credential, issuer: "did:web:example.com" }))
+      .to.throw("Credential issuer and subject must be did:pkh wallets");
+    expect(() => vc.parseCredentialInput({ type: ["VerifiablePresentation"], verifiableCredential: [credential, credential] }))
+      .to.throw("The presentation must contain exactly one BlockID credential");
+    expect(() => vc.parseCredentialInput({ type: ["VerifiablePresentation"], verifiableCredential: credential, proof: { ...proof, type: "JwtProof2020" } }))
+      .to.throw("Unsupported presentation proof type: JwtProof2020");
+  });
+
+  it("round-trips did:pkh wallets", function () {
+    const did = vc.toPkhDid(1337, holder.address.toLowerCase());
+
+    expect(did).to.equal(`did:pkh:eip155:1337:${holder.address}`);
+    expect(vc.parsePkhDid(`${did}#blockchainAccountId`)).to.deep.equal({ chainId: "1337", address: holder.address });
+    expect(vc.parsePkhDid("did:pkh:solana:1:abc")).to.equal(null);
+    expect(vc.parsePkhDid(undefined)).to.equal(null);
+  });
+});
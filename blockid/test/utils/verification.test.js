@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployBlockID, issueIdentity } = require("../helpers/fixtures");
+const { importApp } = require("../helpers/app");
+const { startRpcServer } = require("../helpers/rpc");
+
+describe("utils/verification", function () {
+  let verification;
+  let disclosure;
+  let blockchain;
+  let stopRpcServer;
+  let metadata;
+
+  before(async function () {
+    verification = await importApp("utils/verification");
+    disclosure = await importApp("utils/disclosure");
+    blockchain = await importApp("utils/blockchain");
+    stopRpcServer = await startRpcServer();
+    metadata = { fullName: "Ada Lovelace", dateOfBirth: "1815-12-10", idType: "passport", attributeSalts: disclosure.generateAttributeSalts() };
+  });
+
+  after(async function () {
+    await stopRpcServer();
+  });
+
+  describe("verifyDisclosure", function () {
+    // An identity committed to the attributes in `metadata`, with the app pointed at its contract
+    async function deployWithCommittedIdentity() {
+      const fixture = await deployBlockID();
+      const idNumber = await issueIdentity(fixture.blockId, fixture.admin, fixture.holder, {
+        attributesRoot: disclosure.computeAttributesRoot(metadata)
+      });
+      const proof = disclosure.createDisclosureProof(metadata, ["fullName", "dateOfBirth"], {
+        idNumber,
+        chainId: 1337n,
+        contractAddress: await fixture.blockId.getAddress()
+      });
+      return { ...fixture, idNumber, proof };
+    }
+
+    const load = async () => {
+      const loaded = await loadFixture(deployWithCommittedIdentity);
+      blockchain.initContractAddress(await loaded.blockId.getAddress());
+      return loaded;
+    };
+
+    it("accepts attributes committed on-chain", async function () {
+      const { proof } = await load();
+
+      const verdict = await verification.verifyDisclosure(JSON.stringify(proof));
+      expect(verdict.status).to.equal(verification.VERDICT.VALID);
+      expect(verdict.evidence.disclosure.allValid).to.equal(true);
+      expect(verdict.identity).to.include({ fullName: "Ada Lovelace", dateOfBirth: "1815-12-10" });
+    });
+
+    it("reports altered attributes as tampered", async function () {
+      const { proof } = await load();
+      const altered = structuredClone(proof);
+      altered.attributes[0].value = "Grace Hopper";
+
+      const verdict = await verification.verifyDisclosure(altered);
+      expect(verdict.status).to.equal(verification.VERDICT.TAMPERED);
+      expect(verdict.identity.fullName).to.equal(undefined);
+    });
+
+    it("reports corrupted salts and proofs as invalid, not as an outage", async function () {
+      const { proof } = await load();
+      const corrupt = (change) => {
+        const copy = structuredClone(proof);
+        change(copy.attributes[0]);
+        return copy;
+      };
+
+      for (const input of [
+        corrupt((attribute) => { attribute.salt = "0xzz"; }),
+        corrupt((attribute) => { attribute.proof = "0x1234"; }),
+        corrupt((attribute) => { attribute.proof = ["not hex"]; })
+      ]) {
+        const verdict = await verification.verifyDisclosure(input);
+        expect(verdict.status).to.equal(verification.VERDICT.UNKNOWN);
+        expect(verdict.message).to.equal("Invalid disclosure proof: Every disclosed attribute needs a 32-byte salt and a Merkle proof of 32-byte hashes");
+      }
+    });
+
+    it("reports a proof that can't be hashed as tampered", async function () {
+      const { proof } = await load();
+      const broken = structuredClone(proof);
+      broken.attributes[0].value = { not: "a string" };
+
+      const verdict = await verification.verifyDisclosure(broken);
+      expect(verdict.status).to.equal(verification.VERDICT.TAMPERED);
+      expect(verdict.message).to.equal("The proof is malformed and could not be checked against the on-chain record.");
+      expect(verdict.evidence.proofError).to.be.a("string");
+    });
+  });
+});
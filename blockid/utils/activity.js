@@ -0,0 +1,236 @@
+import { getContractReadOnly } from './blockchain';
+import { getReasonLabel } from './status';
+
+// Block the contract was deployed at, used as the lower bound for event queries
+const DEPLOY_BLOCK = parseInt(process.env.NEXT_PUBLIC_CONTRACT_DEPLOY_BLOCK || '0');
+
+/**
+ * Lifecycle events shown in the activity log
+ * `actor` names the event argument holding the account that acted; events without one
+ * fall back to the transaction sender. `describe` turns the arguments into a detail line.
+ */
+export const ACTIVITY_EVENTS = {
+  IDRequested: { label: 'Requested', actor: 'requester' },
+  IDRequestResubmitted: {
+    label: 'Resubmitted',
+    actor: 'requester',
+    describe: (args) => `Resubmission of request #${args.previousRequestId}`
+  },
+  IDRequestApprovalAdded: {
+    label: 'Approval added',
+    actor: 'approver',
+    describe: (args) => `${args.approvals} of ${args.required} approvals`
+  },
+  IDRequestApproved: {
+    label: 'Approved',
+    actor: 'approvedBy',
+    describe: (args) => `Issued as ID #${args.idNumber}`
+  },
+  IDRequestRejected: {
+    label: 'Rejected',
+    actor: 'rejectedBy',
+    describe: (args) => `Reason: ${args.reason}`
+  },
+  IDRequestCancelled: { label: 'Cancelled', actor: 'requester' },
+  IdentityCreated: {
+    label: 'ID created',
+    describe: (args) => `Type: ${args.idType}`
+  },
+  IdentityVerified: { label: 'Verified', actor: 'verifier' },
+  IdentityDataUpdated: {
+    label: 'Data updated',
+    actor: 'updatedBy',
+    describe: (args) => `${args.oldIpfsHash} -> ${args.newIpfsHash}`
+  },
+  IdentityRenewalRequested: {
+    label: 'Renewal requested',
+    actor: 'requester',
+    describe: (args) => `Asked for ${Math.round(Number(args.extension) / 86400)} more day(s)`
+  },
+  IdentityRenewalDeclined: {
+    label: 'Renewal declined',
+    actor: 'declinedBy',
+    describe: (args) => `Reason: ${args.reason}`
+  },
+  IdentityRenewed: {
+    label: 'Renewed',
+    actor: 'renewedBy',
+    describe: (args) => `Now expires ${new Date(Number(args.newExpiresAt) * 1000).toLocaleDateString()}`
+  },
+  IdentityMigrationScheduled: {
+    label: 'Wallet move scheduled',
+    actor: 'scheduledBy',
+    describe: (args) => `To ${args.newWallet}, from ${new Date(Number(args.readyAt) * 1000).toLocaleString()}`
+  },
+  IdentityMigrationCancelled: { label: 'Wallet move cancelled', actor: 'cancelledBy' },
+  IdentityMigrated: {
+    label: 'Moved to new wallet',
+    describe: (args) => `${args.previousWallet} -> ${args.newWallet}`
+  },
+  GuardiansChanged: {
+    label: 'Guardians changed',
+    describe: (args) => args.guardians.length === 0
+      ? 'Social recovery turned off'
+      : `${args.threshold} of ${args.guardians.length} guardians needed to recover`
+  },
+  RecoveryApproved: {
+    label: 'Recovery approved',
+    actor: 'guardian',
+    describe: (args) => `Move to ${args.newWallet}: ${args.approvals} of ${args.threshold} guardian approvals`
+  },
+  IdentitySuspended: {
+    label: 'Suspended',
+    actor: 'suspendedBy',
+    describe: (args) => `Reason: ${getReasonLabel(args.reason)}`
+  },
+  IdentityReinstated: { label: 'Reinstated', actor: 'reinstatedBy' },
+  IdentityRevoked: {
+    label: 'Revoked',
+    actor: 'revokedBy',
+    describe: (args) => `Reason: ${getReasonLabel(args.reason)}`
+  }
+};
+
+/**
+ * Query one event type with a filter, skipping events the deployed contract doesn't have
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {string} name - Event name
+ * @param {Array} filterArgs - Indexed argument values
+ * @returns {Promise<Array>} - Matching event logs
+ */
+const queryEvents = async (contract, name, filterArgs) => {
+  if (!contract.interface.getEvent(name)) {
+    return [];
+  }
+  return contract.queryFilter(contract.filters[name](...filterArgs), DEPLOY_BLOCK);
+};
+
+/**
+ * Turn event logs into activity entries with block time and actor, oldest first
+ * @param {Array} events - Event logs
+ * @returns {Promise<Array<Object>>} - { event, label, actor, details, txHash, blockNumber, timestamp }
+ */
+const toActivityEntries = async (events) => {
+  const blockTimes = new Map();
+  const unique = new Map(events.map(event => [`${event.transactionHash}-${event.index}`, event]));
+
+  const entries = await Promise.all([...unique.values()].map(async (event) => {
+    const config = ACTIVITY_EVENTS[event.eventName];
+
+    if (!blockTimes.has(event.blockNumber)) {
+      blockTimes.set(event.blockNumber, event.getBlock().then(block => Number(block.timestamp)));
+    }
+    const actor = config.actor ? event.args[config.actor] : (await event.getTransaction()).from;
+
+    return {
+      event: event.eventName,
+      label: config.label,
+      actor,
+      details: config.describe ? config.describe(event.args) : null,
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.index,
+      timestamp: new Date(await blockTimes.get(event.blockNumber) * 1000).toISOString()
+    };
+  }));
+
+  return entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+/**
+ * Collect the events of a request and of the rejected requests it resubmits
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {number} requestId - The request ID
+ * @returns {Promise<Array>} - Event logs
+ */
+const collectRequestEvents = async (contract, requestId) => {
+  const events = [];
+  let current = requestId;
+
+  while (current) {
+    const [requested, resubmitted, approvalsAdded, approved, rejected, cancelled] = await Promise.all([
+      queryEvents(contract, 'IDRequested', [current]),
+      queryEvents(contract, 'IDRequestResubmitted', [current]),
+      queryEvents(contract, 'IDRequestApprovalAdded', [current]),
+      queryEvents(contract, 'IDRequestApproved', [current]),
+      queryEvents(contract, 'IDRequestRejected', [current]),
+      queryEvents(contract, 'IDRequestCancelled', [current])
+    ]);
+    events.push(...requested, ...resubmitted, ...approvalsAdded, ...approved, ...rejected, ...cancelled);
+
+    // Follow the chain of resubmissions back to the first request
+    current = resubmitted.length > 0 ? Number(resubmitted[0].args.previousRequestId) : null;
+  }
+
+  return events;
+};
+
+/**
+ * Collect the events emitted for an identity
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {number} idNumber - The ID number
+ * @returns {Promise<Array>} - Event logs
+ */
+const collectIdentityEvents = async (contract, idNumber) => {
+  const results = await Promise.all([
+    queryEvents(contract, 'IdentityCreated', [idNumber]),
+    queryEvents(contract, 'IdentityVerified', [idNumber]),
+    queryEvents(contract, 'IdentityDataUpdated', [idNumber]),
+    queryEvents(contract, 'IdentityRenewalRequested', [idNumber]),
+    queryEvents(contract, 'IdentityRenewalDeclined', [idNumber]),
+    queryEvents(contract, 'IdentityRenewed', [idNumber]),
+    queryEvents(contract, 'IdentityMigrationScheduled', [idNumber]),
+    queryEvents(contract, 'IdentityMigrationCancelled', [idNumber]),
+    queryEvents(contract, 'IdentityMigrated', [idNumber]),
+    queryEvents(contract, 'GuardiansChanged', [idNumber]),
+    queryEvents(contract, 'RecoveryApproved', [idNumber]),
+    queryEvents(contract, 'IdentitySuspended', [idNumber]),
+    queryEvents(contract, 'IdentityReinstated', [idNumber]),
+    queryEvents(contract, 'IdentityRevoked', [idNumber])
+  ]);
+  return results.flat();
+};
+
+/**
+ * Get the full activity of an ID request (including earlier rejected attempts it resubmits)
+ * @param {number} requestId - The request ID
+ * @returns {Promise<Array<Object>>} - Activity entries, oldest first
+ */
+export const getRequestActivity = async (requestId) => {
+  const contract = await getContractReadOnly();
+  if (!contract || typeof contract.queryFilter !== 'function') {
+    throw new Error('Blockchain contract is not reachable');
+  }
+
+  const events = await collectRequestEvents(contract, Number(requestId));
+
+  // Once approved, the request's history continues on the identity it created
+  const approved = events.find(event => event.eventName === 'IDRequestApproved');
+  if (approved) {
+    events.push(...await collectIdentityEvents(contract, Number(approved.args.idNumber)));
+  }
+
+  return toActivityEntries(events);
+};
+
+/**
+ * Get the full activity of an identity, including the request it was issued from
+ * @param {number} idNumber - The ID number
+ * @returns {Promise<Array<Object>>} - Activity entries, oldest first
+ */
+export const getIdentityActivity = async (idNumber) => {
+  const contract = await getContractReadOnly();
+  if (!contract || typeof contract.queryFilter !== 'function') {
+    throw new Error('Blockchain contract is not reachable');
+  }
+
+  const events = await collectIdentityEvents(contract, Number(idNumber));
+
+  // IDs minted from a request carry its history; IDs created directly by an issuer have none
+  const approvals = await queryEvents(contract, 'IDRequestApproved', [null, Number(idNumber)]);
+  for (const approval of approvals) {
+    events.push(...await collectRequestEvents(contract, Number(approval.args.requestId)));
+  }
+
+  return toActivityEntries(events);
+};
@@ -0,0 +1,229 @@
+import { ethers } from 'ethers';
+import { hashAttributeLeaf, verifyMerkleProof, createDisclosureProof } from './disclosure';
+
+/**
+ * Zero-knowledge "over N years old" proofs bound to the committed date of birth.
+ *
+ * The date of birth is turned into a day number d (days since 1900-01-01) and committed as
+ * C = H^(L - d)(seed), where H is SHA-256 and L is the chain length. C is one of the identity's
+ * Merkle-committed attributes, so it is bound to the DOB the issuer approved.
+ *
+ * To prove "born on or before day t" (i.e. at least N years old on a date), the holder reveals
+ * P = H^(t - d)(seed). The verifier hashes P another (L - t) times and checks the result equals C,
+ * since (t - d) + (L - t) = L - d. A holder born after
+ * day t would have to invert SHA-256 to produce P, and P reveals nothing about d beyond d <= t.
+ */
+
+export const AGE_PROOF_TYPE = 'blockid.ageproof';
+export const AGE_PROOF_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH = Date.UTC(1900, 0, 1);
+
+/**
+ * Convert a YYYY-MM-DD date (or Date) to a day number since 1900-01-01, in UTC
+ * @param {string|Date} date - The date
+ * @returns {number} - Day number
+ */
+export const toEpochDay = (date) => {
+  let utc;
+  if (date instanceof Date) {
+    utc = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  } else {
+    const [year, month, day] = String(date).split('T')[0].split('-').map(Number);
+    utc = Date.UTC(year, month - 1, day);
+  }
+  if (Number.isNaN(utc)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return Math.floor((utc - EPOCH) / DAY_MS);
+};
+
+// Dates of birth from 1900-01-01 up to (not including) 2150-01-01 can be committed
+export const AGE_CHAIN_LENGTH = toEpochDay('2150-01-01');
+
+// Highest age threshold a proof can be made or checked for
+export const MAX_PROOF_AGE = 150;
+
+/**
+ * Apply SHA-256 to a value a number of times
+ * @param {string} value - 0x-prefixed 32-byte hex
+ * @param {number} times - Number of hash applications
+ * @returns {string} - 0x-prefixed hash
+ */
+export const hashChain = (value, times) => {
+  let bytes = ethers.getBytes(value);
+  for (let i = 0; i < times; i++) {
+    bytes = ethers.getBytes(ethers.sha256(bytes));
+  }
+  return ethers.hexlify(bytes);
+};
+
+/**
+ * Chain position committed for a date of birth
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @returns {number} - L - d
+ */
+const commitmentSteps = (dateOfBirth) => {
+  const day = toEpochDay(dateOfBirth);
+  if (day < 0 || day >= AGE_CHAIN_LENGTH) {
+    throw new Error(`Date of birth out of range: ${dateOfBirth}`);
+  }
+  return AGE_CHAIN_LENGTH - day;
+};
+
+/**
+ * Last day of birth that makes someone at least minAge years old on a date
+ * @param {number} minAge - Age threshold in years
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {number} - Day number
+ */
+export const getCutoffDay = (minAge, asOf) => {
+  const [year, month, day] = asOf.split('-').map(Number);
+  return toEpochDay(new Date(Date.UTC(year - minAge, month - 1, day)));
+};
+
+/**
+ * Compute the age commitment for a date of birth and seed
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {string} seed - 0x-prefixed 32-byte secret
+ * @returns {string} - Commitment C
+ */
+export const computeAgeCommitment = (dateOfBirth, seed) => hashChain(seed, commitmentSteps(dateOfBirth));
+
+/**
+ * Create a fresh age commitment for a date of birth
+ * The seed must stay private (it is kept in the encrypted metadata).
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @returns {Object} - { seed, commitment }
+ */
+export const createAgeCommitment = (dateOfBirth) => {
+  const seed = ethers.hexlify(ethers.randomBytes(32));
+  return { seed, commitment: computeAgeCommitment(dateOfBirth, seed) };
+};
+
+/**
+ * Today's date as YYYY-MM-DD in UTC
+ * @returns {string} - The date
+ */
+const todayUTC = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Number of hashes the verifier applies to a proof's chain value
+ * @param {number} minAge - Age threshold in years
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {number} - L - t
+ */
+const getVerifierSteps = (minAge, asOf) => AGE_CHAIN_LENGTH - getCutoffDay(minAge, asOf);
+
+/**
+ * Create a proof that the holder is at least minAge years old
+ * @param {Object} metadata - Decrypted identity metadata (with ageCommitment and attributeSalts)
+ * @param {number} minAge - Age threshold in years
+ * @param {Object} context - { idNumber, chainId, contractAddress } of the on-chain identity
+ * @param {string} asOf - Date the age is proven for (YYYY-MM-DD, default today)
+ * @returns {Object} - Age proof to share with a verifier
+ */
+export const createAgeProof = (metadata, minAge, context, asOf = todayUTC()) => {
+  if (!metadata.ageCommitment?.seed || !metadata.dateOfBirth) {
+    throw new Error('This ID has no age commitment');
+  }
+
+  const steps = commitmentSteps(metadata.dateOfBirth);
+  const verifierSteps = getVerifierSteps(minAge, asOf);
+  if (steps < verifierSteps) {
+    throw new Error(`The date of birth on this ID is not at least ${minAge} years before ${asOf}`);
+  }
+
+  // Bind the commitment to the on-chain attributes root through its Merkle proof
+  const { attributes: [commitmentLeaf] } = createDisclosureProof(metadata, ['ageCommitment'], context);
+
+  return {
+    type: AGE_PROOF_TYPE,
+    version: AGE_PROOF_VERSION,
+    idNumber: Number(context.idNumber),
+    chainId: context.chainId.toString(),
+    contractAddress: context.contractAddress,
+    minAge,
+    asOf,
+    ageCommitment: {
+      value: commitmentLeaf.value,
+      salt: commitmentLeaf.salt,
+      proof: commitmentLeaf.proof
+    },
+    chainValue: hashChain(metadata.ageCommitment.seed, steps - verifierSteps),
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Check an age proof against an attributes root (no blockchain access)
+ * Being over an age only becomes more true over time, so proofs for past dates stay valid;
+ * proofs dated in the future are rejected.
+ * @param {Object} proof - Age proof
+ * @param {string} root - Attributes root to check against (normally read from the chain)
+ * @returns {Object} - { valid, commitmentValid, ageValid, error }
+ */
+export const checkAgeProof = (proof, root) => {
+  if (proof.asOf > todayUTC()) {
+    return { valid: false, commitmentValid: false, ageValid: false, error: 'Proof is dated in the future' };
+  }
+
+  const leaf = hashAttributeLeaf('ageCommitment', proof.ageCommitment.value, proof.ageCommitment.salt);
+  const commitmentValid = verifyMerkleProof(leaf, proof.ageCommitment.proof, root);
+
+  // The hash chain is never longer than the commitment's, whatever the proof claims
+  const verifierSteps = getVerifierSteps(proof.minAge, proof.asOf);
+  const ageValid = verifierSteps >= 0 && verifierSteps <= AGE_CHAIN_LENGTH &&
+    hashChain(proof.chainValue, verifierSteps).toLowerCase() === proof.ageCommitment.value.toLowerCase();
+
+  return {
+    valid: commitmentValid && ageValid,
+    commitmentValid,
+    ageValid,
+    error: !commitmentValid
+      ? 'Age commitment is not part of the identity committed on-chain'
+      : !ageValid ? `Proof does not show an age of at least ${proof.minAge}` : null
+  };
+};
+
+/**
+ * Parse and sanity-check an age proof
+ * @param {string|Object} input - Proof JSON or object
+ * @returns {Object} - The age proof
+ */
+export const parseAgeProof = (input) => {
+  const proof = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!proof || proof.type !== AGE_PROOF_TYPE) {
+    throw new Error('Not a BlockID age proof');
+  }
+  if (proof.version !== AGE_PROOF_VERSION) {
+    throw new Error(`Unsupported age proof version: ${proof.version}`);
+  }
+  if (!proof.idNumber || !Number.isInteger(proof.minAge) || !/^\d{4}-\d{2}-\d{2}$/.test(proof.asOf || '') ||
+      !proof.ageCommitment || !proof.chainValue) {
+    throw new Error('Age proof is missing required fields');
+  }
+
+  // Bound the work a proof can ask of the verifier before anything is hashed
+  if (proof.minAge < 0 || proof.minAge > MAX_PROOF_AGE) {
+    throw new Error(`Age threshold must be between 0 and ${MAX_PROOF_AGE}`);
+  }
+  const asOfTime = Date.parse(`${proof.asOf}T00:00:00Z`);
+  if (Number.isNaN(asOfTime) || new Date(asOfTime).toISOString().split('T')[0] !== proof.asOf ||
+      proof.asOf < '1900-01-01' || proof.asOf > todayUTC()) {
+    throw new Error('Proof date must be a real date between 1900-01-01 and today');
+  }
+  const verifierSteps = getVerifierSteps(proof.minAge, proof.asOf);
+  if (verifierSteps < 0 || verifierSteps > AGE_CHAIN_LENGTH) {
+    throw new Error('Proof date and age threshold are outside the committed range');
+  }
+  if (!ethers.isHexString(proof.chainValue, 32) || !ethers.isHexString(proof.ageCommitment.value, 32) ||
+      !ethers.isHexString(proof.ageCommitment.salt, 32) || !Array.isArray(proof.ageCommitment.proof) ||
+      !proof.ageCommitment.proof.every(node => ethers.isHexString(node, 32))) {
+    throw new Error('Age proof values must be 32-byte hex strings');
+  }
+
+  return proof;
+};
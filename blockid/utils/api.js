@@ -0,0 +1,320 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { getToken } from 'next-auth/jwt';
+import { VERDICT, verifyDisclosure } from './verification';
+import { hasPanelAccess } from './session';
+import { getReadOnlyIndex } from '@/indexer/db';
+import { getIndexStatus } from '@/indexer/queries';
+
+/**
+ * Helpers for the public verification API used by relying parties.
+ *
+ * Partners authenticate with an API key sent as `X-API-Key` or `Authorization: Bearer <key>`.
+ * Keys are configured in BLOCKID_API_KEYS as comma-separated `clientId:sha256(key)[:requestsPerMinute]`
+ * entries, so the server never stores the keys themselves. Every verdict is signed with
+ * API_SIGNING_KEY (EIP-191 personal_sign over the canonical JSON of the verdict) so partners
+ * can keep it as evidence and check it later against the published signer address.
+ */
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT || '60');
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Fields of a verdict's identity that come from the chain; anything else is off-chain metadata
+const ON_CHAIN_FIELDS = [
+  'idNumber', 'owner', 'ipfsHash', 'createdAt', 'expiresAt',
+  'isVerified', 'idType', 'uniqueIdentityHash', 'attributesRoot'
+];
+
+/**
+ * Error with an HTTP status, returned to the caller as JSON
+ */
+export class ApiError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Parse the configured API clients
+ * @returns {Map<string, Object>} - Key hash to { clientId, limit }
+ */
+const getApiClients = () => {
+  const clients = new Map();
+  for (const entry of (process.env.BLOCKID_API_KEYS || '').split(',')) {
+    const [clientId, keyHash, limit] = entry.trim().split(':');
+    if (!clientId || !/^(0x)?[0-9a-fA-F]{64}$/.test(keyHash || '')) continue;
+
+    clients.set(keyHash.replace(/^0x/, '').toLowerCase(), {
+      clientId,
+      limit: parseInt(limit) || DEFAULT_RATE_LIMIT
+    });
+  }
+  return clients;
+};
+
+/**
+ * Authenticate a request by its API key
+ * @param {Request} request - Incoming request
+ * @returns {Object} - { clientId, limit }
+ */
+export const authenticateApiKey = (request) => {
+  const authorization = request.headers.get('authorization') || '';
+  const apiKey = request.headers.get('x-api-key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+  if (!apiKey) {
+    throw new ApiError(401, 'API key required (X-API-Key header or Bearer token)');
+  }
+
+  const keyHash = ethers.sha256(ethers.toUtf8Bytes(apiKey)).slice(2);
+  const client = getApiClients().get(keyHash);
+  if (!client) {
+    throw new ApiError(401, 'Invalid API key');
+  }
+
+  return client;
+};
+
+/**
+ * Authenticate a request by API key or, when allowed, by a signed-in admin panel session
+ * Session clients are rate limited per wallet with the default limit.
+ * @param {Request} request - Incoming request
+ * @param {Object} options - { allowSession }
+ * @returns {Promise<Object>} - { clientId, limit }
+ */
+export const authenticateClient = async (request, { allowSession = false } = {}) => {
+  const hasApiKey = request.headers.get('x-api-key') || request.headers.get('authorization');
+  if (!allowSession || hasApiKey) {
+    return authenticateApiKey(request);
+  }
+
+  const token = await getToken({ req: request, secret: process.env.NEXTAUTH_SECRET });
+  if (!token?.address || !hasPanelAccess(token.roles)) {
+    throw new ApiError(401, 'API key or admin panel session required');
+  }
+  return { clientId: `session:${token.address.toLowerCase()}`, limit: DEFAULT_RATE_LIMIT };
+};
+
+// Fixed-window counters per client, shared across route bundles like the SIWE nonce store
+const rateWindows = globalThis.__blockidApiRateWindows || (globalThis.__blockidApiRateWindows = new Map());
+
+// Next time expired windows are swept; sweeping at most once per window keeps checks cheap
+let nextPruneAt = 0;
+
+/**
+ * Drop the windows of clients that have not made a request since their window ended
+ * @param {number} now - Current time in milliseconds
+ */
+const pruneExpiredWindows = (now) => {
+  if (now < nextPruneAt) return;
+  nextPruneAt = now + RATE_WINDOW_MS;
+
+  for (const [clientId, bucket] of rateWindows) {
+    if (bucket.resetAt <= now) {
+      rateWindows.delete(clientId);
+    }
+  }
+};
+
+/**
+ * Count a request against a client's per-minute limit
+ * @param {Object} client - { clientId, limit }
+ * @returns {Object} - Rate limit headers for the response
+ */
+export const checkRateLimit = ({ clientId, limit }) => {
+  const now = Date.now();
+  pruneExpiredWindows(now);
+
+  let bucket = rateWindows.get(clientId);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + RATE_WINDOW_MS };
+    rateWindows.set(clientId, bucket);
+  }
+
+  bucket.count += 1;
+  const headers = {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(0, limit - bucket.count)),
+    'X-RateLimit-Reset': String(Math.ceil(bucket.resetAt / 1000))
+  };
+
+  if (bucket.count > limit) {
+    throw new ApiError(429, 'Rate limit exceeded', {
+      ...headers,
+      'Retry-After': String(Math.ceil((bucket.resetAt - now) / 1000))
+    });
+  }
+
+  return headers;
+};
+
+/**
+ * Check that the signed-in wallet holds the ID a disclosure proof is for, and proved the required attributes
+ * Used by the routes that sign a holder's on-chain-backed details into a credential. Each wallet is rate
+ * limited per scope, and the rate limit headers are added to any ApiError thrown after that check.
+ * @param {Request} request - Request with a { disclosure } JSON body
+ * @param {Object} options - { scope, purpose (e.g. "an offline QR"), required attribute keys, limit }
+ * @returns {Promise<Object>} - { address, identity, evidence, headers }
+ */
+export const requireProvenHolder = async (request, { scope, purpose, required = [], limit = 5 }) => {
+  const token = await getToken({ req: request, secret: process.env.NEXTAUTH_SECRET });
+  if (!token?.address) {
+    throw new ApiError(401, `Sign in with your wallet to get ${purpose}`);
+  }
+  const headers = checkRateLimit({ clientId: `${scope}:${token.address.toLowerCase()}`, limit });
+
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ApiError(400, 'Request body must be JSON');
+    }
+
+    const verdict = await verifyDisclosure(body?.disclosure);
+    if (verdict.status !== VERDICT.VALID) {
+      throw new ApiError(verdict.status === VERDICT.OFFLINE ? 503 : 422, verdict.message);
+    }
+
+    const { identity, evidence } = verdict;
+    if (identity.owner.toLowerCase() !== token.address.toLowerCase()) {
+      throw new ApiError(403, `You can only get ${purpose} for your own ID`);
+    }
+    const proven = new Set(evidence.disclosure.attributes.filter(attribute => attribute.valid).map(attribute => attribute.key));
+    const missing = required.filter(key => !proven.has(key));
+    if (missing.length > 0) {
+      throw new ApiError(400, `Disclosure must prove: ${missing.join(', ')}`);
+    }
+
+    return { address: token.address, identity, evidence, headers };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      error.headers = { ...headers, ...error.headers };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted, so signer and verifier hash the same bytes
+ * @param {*} value - JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Get the wallet that signs API verdicts
+ * @returns {ethers.Wallet} - Signing wallet
+ */
+const getSigningWallet = () => {
+  if (!process.env.API_SIGNING_KEY) {
+    throw new ApiError(500, 'API signing key is not configured');
+  }
+  return new ethers.Wallet(process.env.API_SIGNING_KEY);
+};
+
+/**
+ * Strip a verdict down to what the API discloses
+ * Off-chain metadata is left out unless the holder disclosed it through a proof.
+ * @param {Object} verdict - Verdict from utils/verification
+ * @param {string} clientId - Client the verdict is issued to
+ * @returns {Object} - Public verdict
+ */
+export const toPublicVerdict = (verdict, clientId) => {
+  const disclosed = (verdict.evidence?.disclosure?.attributes || [])
+    .filter(attribute => attribute.valid)
+    .map(attribute => attribute.key);
+
+  const identity = verdict.identity && verdict.source === 'blockchain'
+    ? Object.fromEntries(Object.entries(verdict.identity)
+      .filter(([key]) => ON_CHAIN_FIELDS.includes(key) || disclosed.includes(key)))
+    : null;
+
+  return { ...verdict, identity, audience: clientId };
+};
+
+/**
+ * Sign a verdict
+ * @param {Object} verdict - Public verdict
+ * @returns {Promise<Object>} - { verdict, signature, signer, algorithm }
+ */
+export const signVerdict = async (verdict) => {
+  const wallet = getSigningWallet();
+  return {
+    verdict,
+    signature: await wallet.signMessage(canonicalJson(verdict)),
+    signer: wallet.address,
+    algorithm: 'EIP-191 personal_sign over canonical JSON (sorted keys)'
+  };
+};
+
+/**
+ * Run an authenticated, rate-limited API handler that produces a verdict
+ * OFFLINE verdicts are returned with 503 since nothing could be checked on-chain.
+ * @param {Request} request - Incoming request
+ * @param {Function} produceVerdict - async () => verdict
+ * @returns {Promise<NextResponse>} - Signed verdict or error response
+ */
+export const handleVerdictRequest = async (request, produceVerdict) => {
+  let headers = {};
+  try {
+    const client = authenticateApiKey(request);
+    headers = checkRateLimit(client);
+
+    const verdict = toPublicVerdict(await produceVerdict(), client.clientId);
+    console.log(`API verdict for ${client.clientId}: ${verdict.status} ${verdict.idNumber || ''}`);
+
+    return NextResponse.json(await signVerdict(verdict), {
+      status: verdict.status === VERDICT.OFFLINE ? 503 : 200,
+      headers
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+};
+
+/**
+ * Run an authenticated, rate-limited query against the event index
+ * Admin panel sessions may call these routes as well as API clients.
+ * @param {Request} request - Incoming request
+ * @param {Function} runQuery - (db, searchParams) => result
+ * @returns {Promise<NextResponse>} - Query result with the index sync status, or error response
+ */
+export const handleIndexRequest = async (request, runQuery) => {
+  let headers = {};
+  try {
+    const client = await authenticateClient(request, { allowSession: true });
+    headers = checkRateLimit(client);
+
+    const db = await getReadOnlyIndex();
+    if (!db) {
+      throw new ApiError(503, 'Event index is not available (run `npm run indexer`)');
+    }
+
+    const params = Object.fromEntries(new URL(request.url).searchParams);
+    return NextResponse.json({ ...runQuery(db, params), index: getIndexStatus(db) }, { headers });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: error.message }, { status: error.status, headers: { ...headers, ...error.headers } });
+    }
+    console.error('Index API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+};
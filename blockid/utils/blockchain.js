@@ -1,5 +1,10 @@
 import { ethers } from 'ethers';
 import BlockIDContract from '../artifacts/contracts/BlockID.sol/BlockID.json';
+import { getFromIPFS, uploadJSONToIPFS } from './ipfs';
+import { uploadIdentityMetadata } from './metadata';
+import { getWalletEncryptionKey, isEncryptedEnvelope, decryptEnvelope, addEnvelopeRecipient } from './encryption';
+import { parseIdentityStatus } from './status';
+import { signIdentityRequest, submitRelayedRequest } from './relay';
 
 // Contract address - will be set from environment or after deployment
 let contractAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43';
@@ -38,6 +43,21 @@ export const getContractAddress = () => {
   return contractAddress || '0x0000000000000000000000000000000000000000'; // Return dummy address if not set
 };
 
+/**
+ * Get the chain ID the contract is read from
+ * @returns {Promise<string>} - Chain ID as a decimal string
+ */
+export const getNetworkChainId = async () => {
+  try {
+    const contract = await getContractReadOnly();
+    const network = await contract.runner.provider.getNetwork();
+    return network.chainId.toString();
+  } catch (error) {
+    console.warn('Could not read the network chain ID, using the configured one:', error);
+    return CHAIN_ID;
+  }
+};
+
 /**
  * Switch to the configured network if needed
  */
@@ -301,10 +321,168 @@ export const isAdmin = async (address) => {
   }
 };
 
+/**
+ * Role identifiers used by the BlockID contract (AccessControl role hashes)
+ * OWNER maps to DEFAULT_ADMIN_ROLE, which is kept in sync with contract ownership.
+ */
+export const ROLES = {
+  OWNER: ethers.ZeroHash,
+  ADMIN: ethers.id('ADMIN_ROLE'),
+  ISSUER: ethers.id('ISSUER_ROLE'),
+  VERIFIER: ethers.id('VERIFIER_ROLE'),
+  AUDITOR: ethers.id('AUDITOR_ROLE')
+};
+
+/**
+ * Resolve a role name (e.g. "ISSUER") or role hash to the role hash
+ * @param {string} role - Role name from ROLES or a bytes32 role hash
+ * @returns {string} - The bytes32 role hash
+ */
+const resolveRole = (role) => {
+  if (!role) {
+    throw new Error('Role is required');
+  }
+
+  const roleKey = role.toString().toUpperCase();
+  if (ROLES[roleKey]) {
+    return ROLES[roleKey];
+  }
+
+  if (ethers.isHexString(role, 32)) {
+    return role;
+  }
+
+  throw new Error(`Unknown role: ${role}`);
+};
+
+/**
+ * Get every role held by a wallet address
+ * @param {string} address - Wallet address to check
+ * @returns {Promise<Object>} - Flags for each role (isOwner, isAdmin, isIssuer, isVerifier, isAuditor)
+ */
+export const getRoles = async (address) => {
+  const noRoles = {
+    isOwner: false,
+    isAdmin: false,
+    isIssuer: false,
+    isVerifier: false,
+    isAuditor: false
+  };
+
+  if (!address) {
+    return noRoles;
+  }
+
+  try {
+    const contract = await getContractReadOnly();
+    if (!contract || typeof contract.hasRole !== 'function') {
+      throw new Error('Contract not available for role check');
+    }
+
+    const [isOwner, isAdminRole, isIssuer, isVerifierRole, isAuditor] = await Promise.all([
+      contract.hasRole(ROLES.OWNER, address),
+      contract.hasRole(ROLES.ADMIN, address),
+      contract.hasRole(ROLES.ISSUER, address),
+      contract.hasRole(ROLES.VERIFIER, address),
+      contract.hasRole(ROLES.AUDITOR, address)
+    ]);
+
+    console.log(`Roles for ${address}:`, { isOwner, isAdminRole, isIssuer, isVerifierRole, isAuditor });
+
+    return {
+      isOwner,
+      isAdmin: isAdminRole,
+      isIssuer,
+      isVerifier: isVerifierRole,
+      isAuditor
+    };
+  } catch (error) {
+    console.error('Error getting roles:', error);
+    // In development mode, fall back to the admin wallet from the environment
+    if (isDevelopment) {
+      const envAdminWallet = process.env.NEXT_PUBLIC_ADMIN_WALLET;
+      const isEnvAdmin = !!envAdminWallet && address.toLowerCase() === envAdminWallet.toLowerCase();
+      return {
+        ...noRoles,
+        isAdmin: isEnvAdmin,
+        isIssuer: isEnvAdmin,
+        isVerifier: isEnvAdmin
+      };
+    }
+    return noRoles;
+  }
+};
+
+/**
+ * Get all members of a role
+ * @param {string} role - Role name from ROLES or a bytes32 role hash
+ * @returns {Promise<string[]>} - Addresses holding the role
+ */
+export const getRoleMembers = async (role) => {
+  try {
+    const contract = await getContractReadOnly();
+    const members = await contract.getRoleMembers(resolveRole(role));
+    return [...members];
+  } catch (error) {
+    console.error(`Error getting members of role ${role}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Grant a role to an address (caller must hold the role's admin role)
+ * @param {string} role - Role name from ROLES or a bytes32 role hash
+ * @param {string} address - Address receiving the role
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const grantRole = async (role, address) => {
+  if (!ethers.isAddress(address)) {
+    throw new Error('Invalid wallet address');
+  }
+
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.grantRole(resolveRole(role), address);
+    const receipt = await tx.wait();
+    console.log(`Granted ${role} to ${address}:`, receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error granting role ${role}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a role from an address (caller must hold the role's admin role)
+ * @param {string} role - Role name from ROLES or a bytes32 role hash
+ * @param {string} address - Address losing the role
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const revokeRole = async (role, address) => {
+  if (!ethers.isAddress(address)) {
+    throw new Error('Invalid wallet address');
+  }
+
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.revokeRole(resolveRole(role), address);
+    const receipt = await tx.wait();
+    console.log(`Revoked ${role} from ${address}:`, receipt.hash);
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error revoking role ${role}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Create a new digital identity directly (real blockchain transaction)
- * @param {Object} idData - Identity data to be stored
- * @returns {Promise<Object>} - Transaction result
+ * Uploads the photo and versioned metadata to IPFS (encrypted for the holder, issuers and admins),
+ * then passes the metadata CID and its commitment hash on-chain.
+ * Issuers mint directly (when a single approval suffices); everyone else submits a request.
+ * Requesters with no ETH sign the request instead and the relayer submits it for them.
+ * @param {Object} idData - Identity data (fullName, email, dateOfBirth, photo, idType, expiryDuration, uidTimestamp, salt)
+ * @returns {Promise<Object>} - { transactionHash, ipfsHash, metadata, idNumber | requestId, relayed }
  */
 export const createIdentity = async (idData) => {
   try {
@@ -340,33 +518,21 @@ export const createIdentity = async (idData) => {
       throw new Error("Failed to create contract instance");
     }
     
-    // Generate uniqueIdentityHash if not provided
-    const uniqueHash = idData.uniqueHash || `${idData.name}_${idData.email}_${Date.now()}`;
-    
-    // Create proper bytes32 hash (exactly 32 bytes)
-    // Using ethers' formatting utilities for reliable bytes32 format
-    let bytes32Hash;
-    try {
-      // For strings that are already 0x-prefixed and 66 chars (32 bytes + 0x), use directly
-      if (uniqueHash.startsWith('0x') && uniqueHash.length === 66) {
-        bytes32Hash = uniqueHash;
-      } else {
-        // Otherwise use ethers' keccak256 which is compatible with Solidity
-        bytes32Hash = ethers.keccak256(ethers.toUtf8Bytes(uniqueHash));
-      }
-      console.log("Generated bytes32 hash:", bytes32Hash);
-    } catch (hashError) {
-      console.error("Error generating bytes32 hash:", hashError);
-      throw new Error(`Failed to generate valid bytes32 hash: ${hashError.message}`);
-    }
-    
-    // Store metadata in IPFS (in real implementation)
-    // For now, we'll just use a placeholder hash
-    const ipfsHash = "QmPlaceholderIPFSHash";
+    // Upload the photo and metadata to IPFS
+    const idType = idData.idType || "personal_id";
+    // The metadata is encrypted so only the holder and the issuers/admins can read it;
+    // the chain only stores the salted commitment hash
+    const { ipfsHash, metadata } = await uploadIdentityMetadata({
+      ...idData,
+      idType,
+      walletAddress: signerAddress
+    }, {
+      encryptFor: await getMetadataRecipients(signer)
+    });
     console.log("Using IPFS hash:", ipfsHash);
     
-    // Set ID type
-    const idType = "personal_id";
+    // The metadata carries the SHA-256 unique identity hash (already bytes32)
+    const bytes32Hash = metadata.uniqueIdentityHash;
     
     // Check if the user already has an ID
     console.log("Checking if user already has an ID...");
@@ -396,22 +562,26 @@ export const createIdentity = async (idData) => {
       // Continue anyway, the contract will also check this
     }
     
-    // Calculate expiry date (10 years)
-    const expiryDuration = 10 * 365 * 24 * 60 * 60; // 10 years in seconds
+    // Expiry duration in seconds (default 10 years)
+    const expiryDuration = idData.expiryDuration ?? 10 * 365 * 24 * 60 * 60;
     
     // Call the contract method to create an identity
-    // We use different methods based on whether the caller is an admin
+    // Issuers mint directly unless a multi-issuer quorum is required; everyone else requests
     let isAdminUser = false;
     try {
-      console.log("Checking if user is admin...");
-      isAdminUser = await contract.isAdmin(signerAddress);
-      console.log("Is admin check result:", isAdminUser);
+      console.log("Checking if user can mint directly...");
+      const [isIssuer, threshold] = await Promise.all([
+        contract.hasRole(ROLES.ISSUER, signerAddress),
+        contract.approvalThreshold()
+      ]);
+      isAdminUser = isIssuer && Number(threshold) === 1;
+      console.log("Direct mint check result:", isAdminUser);
     } catch (adminCheckError) {
-      console.error("Error checking admin status:", adminCheckError);
+      console.error("Error checking issuer status:", adminCheckError);
       console.log("Continuing as regular user");
     }
     
-    console.log("User is admin:", isAdminUser);
+    console.log("User can mint directly:", isAdminUser);
     
     let tx;
     try {
@@ -422,7 +592,29 @@ export const createIdentity = async (idData) => {
       console.log("Account balance:", ethers.formatEther(balance), "ETH");
       
       if (balance === 0n) {
-        throw new Error("Your wallet has zero ETH balance. You need ETH to pay for transaction fees.");
+        if (isAdminUser) {
+          throw new Error("Your wallet has zero ETH balance. You need ETH to pay for transaction fees.");
+        }
+        
+        // No ETH for gas: sign the request and let the relayer submit it
+        console.log("Zero balance, sending the request through the gasless relayer");
+        const signed = await signIdentityRequest(signer, contract, {
+          ipfsHash,
+          idType,
+          uniqueHash: bytes32Hash,
+          attributesRoot: metadata.attributesRoot
+        });
+        const relayed = await submitRelayedRequest(signed);
+        console.log("Request relayed:", relayed);
+        
+        return {
+          transactionHash: relayed.transactionHash,
+          ipfsHash,
+          metadata,
+          idNumber: null,
+          requestId: relayed.requestId,
+          relayed: true
+        };
       }
       
       // Skip gas estimation and go straight to transaction to ensure the wallet popup appears
@@ -444,6 +636,7 @@ export const createIdentity = async (idData) => {
           expiryDuration, // expiry duration
           idType, // ID type
           bytes32Hash, // unique identity hash
+          metadata.attributesRoot, // Merkle root of the disclosable attributes
           {
             gasLimit: 500000, // Set a reasonable gas limit manually
           }
@@ -460,6 +653,7 @@ export const createIdentity = async (idData) => {
           ipfsHash,
           idType,
           bytes32Hash,
+          metadata.attributesRoot,
           {
             gasLimit: 500000, // Set a reasonable gas limit manually
           }
@@ -467,7 +661,29 @@ export const createIdentity = async (idData) => {
       }
       
       console.log("Transaction sent:", tx.hash);
-      return tx;
+      const receipt = await tx.wait();
+      
+      // Pick up the new ID number (direct mint) or request ID (request) from the events
+      const events = receipt.logs
+        .map(log => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+      const createdEvent = events.find(event => event.name === 'IdentityCreated');
+      const requestedEvent = events.find(event => event.name === 'IDRequested');
+      
+      return {
+        transactionHash: receipt.hash,
+        ipfsHash,
+        metadata,
+        idNumber: createdEvent ? Number(createdEvent.args.idNumber) : null,
+        requestId: requestedEvent ? Number(requestedEvent.args.requestId) : null,
+        relayed: false
+      };
     } catch (contractCallError) {
       console.error("Contract call failed:", contractCallError);
       
@@ -513,14 +729,16 @@ export const verifyIdentity = async (idNumber) => {
 };
 
 /**
- * Revoke an identity
+ * Revoke an identity permanently (owner, verifiers or admins)
+ * The record stays on-chain with its reason; the wallet cannot register another ID.
  * @param {number} idNumber - The ID number to revoke
+ * @param {number} reason - Reason code (see STATUS_REASONS)
  * @returns {Promise<void>}
  */
-export const revokeIdentity = async (idNumber) => {
+export const revokeIdentity = async (idNumber, reason) => {
   try {
     const contract = await getContractWithSigner();
-    const tx = await contract.revokeIdentity(idNumber);
+    const tx = await contract.revokeIdentity(idNumber, reason);
     await tx.wait();
   } catch (error) {
     console.error('Error revoking identity:', error);
@@ -530,6 +748,250 @@ export const revokeIdentity = async (idNumber) => {
   }
 };
 
+/**
+ * Suspend an active identity until it is reinstated (verifiers or admins)
+ * @param {number} idNumber - The ID number to suspend
+ * @param {number} reason - Reason code (see STATUS_REASONS)
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const suspendIdentity = async (idNumber, reason) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.suspendIdentity(idNumber, reason);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error suspending ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lift the suspension of an identity (verifiers or admins)
+ * @param {number} idNumber - The ID number to reinstate
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const reinstateIdentity = async (idNumber) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.reinstateIdentity(idNumber);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error reinstating ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the status of an identity
+ * @param {number} idNumber - The ID number to query
+ * @returns {Promise<Object>} - { status, reason, reasonLabel, changedAt, changedBy }
+ */
+export const getIdentityStatus = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    return parseIdentityStatus(await contract.getIdentityStatus(idNumber));
+  } catch (error) {
+    console.error(`Error getting status of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Let another wallet decrypt an identity's metadata (the holder, before moving the ID to that wallet)
+ * The connected wallet unwraps the content key, wraps it for the recipient and points the identity
+ * at the updated envelope. Wallets that could read the metadata before keep their access.
+ * @param {number} idNumber - The ID number
+ * @param {Object} recipient - { address, publicKey } of the wallet to share with
+ * @returns {Promise<string|null>} - New IPFS hash, or null if the metadata is not encrypted
+ */
+export const shareIdentityMetadata = async (idNumber, recipient) => {
+  try {
+    const signer = await getSigner();
+    const identity = await getIdentity(idNumber);
+    const envelope = await getFromIPFS(identity.ipfsHash, { strict: true, decrypt: false });
+
+    // Plain metadata is readable by any wallet
+    if (!isEncryptedEnvelope(envelope)) {
+      return null;
+    }
+
+    const { contentKey } = await decryptEnvelope(envelope, await getWalletEncryptionKey(signer));
+    const { ipfsHash } = await uploadJSONToIPFS(await addEnvelopeRecipient(envelope, contentKey, recipient));
+    console.log(`Shared metadata of ID ${idNumber} with ${recipient.address}:`, ipfsHash);
+
+    const contract = await getContractWithSigner();
+    const tx = await contract.updateIdentityData(idNumber, ipfsHash);
+    await tx.wait();
+
+    return ipfsHash;
+  } catch (error) {
+    console.error(`Error sharing metadata of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Move an identity to another wallet
+ * The holder's wallet moves it immediately; an admin schedules the move, which completes after the delay.
+ * @param {number} idNumber - The ID number to move
+ * @param {string} newWallet - Wallet that will own the identity
+ * @returns {Promise<Object>} - { migrated, readyAt, transactionHash }
+ */
+export const migrateIdentity = async (idNumber, newWallet) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.migrateIdentity(idNumber, newWallet);
+    const receipt = await tx.wait();
+
+    const events = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    const scheduled = events.find(event => event.name === 'IdentityMigrationScheduled');
+
+    return {
+      migrated: events.some(event => event.name === 'IdentityMigrated'),
+      readyAt: scheduled ? new Date(Number(scheduled.args.readyAt) * 1000) : null,
+      transactionHash: receipt.hash
+    };
+  } catch (error) {
+    console.error(`Error migrating ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Complete a scheduled migration once its waiting period has passed
+ * @param {number} idNumber - The ID number to move
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const completeMigration = async (idNumber) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.completeMigration(idNumber);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error completing migration of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled migration (the holder or admins)
+ * @param {number} idNumber - The ID number whose migration is cancelled
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const cancelMigration = async (idNumber) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.cancelMigration(idNumber);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error cancelling migration of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the migration scheduled for an identity
+ * @param {number} idNumber - The ID number to query
+ * @returns {Promise<Object|null>} - { newWallet, readyAt } or null if none is scheduled
+ */
+export const getPendingMigration = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    const [newWallet, readyAt] = await contract.pendingMigrations(idNumber);
+    return newWallet === ethers.ZeroAddress
+      ? null
+      : { newWallet, readyAt: new Date(Number(readyAt) * 1000) };
+  } catch (error) {
+    console.error(`Error getting pending migration of ID ${idNumber}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Name the guardians that can jointly recover an identity to a new wallet (only the holder)
+ * @param {number} idNumber - The ID number to protect
+ * @param {Array<string>} guardians - Guardian addresses (empty to turn recovery off)
+ * @param {number} threshold - Number of guardians that must approve a recovery
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const setGuardians = async (idNumber, guardians, threshold) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.setGuardians(idNumber, guardians, threshold);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error setting guardians of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the guardians of an identity
+ * @param {number} idNumber - The ID number to query
+ * @returns {Promise<Object>} - { guardians, threshold }
+ */
+export const getGuardians = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    const [guardians, threshold] = await contract.getGuardians(idNumber);
+    return { guardians: [...guardians], threshold: Number(threshold) };
+  } catch (error) {
+    console.error(`Error getting guardians of ID ${idNumber}:`, error);
+    return { guardians: [], threshold: 0 };
+  }
+};
+
+/**
+ * Approve recovering an identity to a new wallet (only its guardians)
+ * The approval that reaches the threshold schedules the move, which the holder can still cancel
+ * during the migration delay.
+ * @param {number} idNumber - The ID number to recover
+ * @param {string} newWallet - Wallet that will own the identity
+ * @returns {Promise<Object>} - { approvals, threshold, readyAt, transactionHash }
+ */
+export const approveRecovery = async (idNumber, newWallet) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.approveRecovery(idNumber, newWallet);
+    const receipt = await tx.wait();
+
+    const events = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    const approved = events.find(event => event.name === 'RecoveryApproved');
+    const scheduled = events.find(event => event.name === 'IdentityMigrationScheduled');
+
+    return {
+      approvals: approved ? Number(approved.args.approvals) : null,
+      threshold: approved ? Number(approved.args.threshold) : null,
+      readyAt: scheduled ? new Date(Number(scheduled.args.readyAt) * 1000) : null,
+      transactionHash: receipt.hash
+    };
+  } catch (error) {
+    console.error(`Error approving recovery of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Get identity information
  * @param {number} idNumber - The ID number to query
@@ -537,7 +999,7 @@ export const revokeIdentity = async (idNumber) => {
  */
 export const getIdentity = async (idNumber) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     const identity = await contract.getIdentity(idNumber);
     
     return {
@@ -547,7 +1009,8 @@ export const getIdentity = async (idNumber) => {
       expiresAt: identity[3] > 0 ? new Date(Number(identity[3]) * 1000) : null,
       isVerified: identity[4],
       idType: identity[5],
-      uniqueIdentityHash: identity[6]
+      uniqueIdentityHash: identity[6],
+      attributesRoot: identity[7]
     };
   } catch (error) {
     console.error('Error getting identity:', error);
@@ -575,7 +1038,7 @@ export const getIdentity = async (idNumber) => {
  */
 export const getIdentitiesByOwner = async (owner) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     return await contract.getIdentitiesByOwner(owner);
   } catch (error) {
     console.error('Error getting identities by owner:', error);
@@ -587,6 +1050,81 @@ export const getIdentitiesByOwner = async (owner) => {
   }
 };
 
+/**
+ * Convert an ipfs:// URI to a URL on the configured IPFS gateway
+ * @param {string} uri - ipfs:// URI or regular URL
+ * @returns {string} - Gateway URL (other URLs are returned unchanged)
+ */
+const ipfsUriToGatewayUrl = (uri) => {
+  if (!uri || !uri.startsWith('ipfs://')) return uri;
+  return `${IPFS_GATEWAY}${uri.replace('ipfs://', '')}`;
+};
+
+/**
+ * Get the ERC-721 token URI of an identity
+ * @param {number} idNumber - The ID number (token ID)
+ * @returns {Promise<string>} - ipfs:// URI of the identity metadata
+ */
+export const getTokenURI = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    return await contract.tokenURI(idNumber);
+  } catch (error) {
+    console.error(`Error getting token URI for ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check the ERC-5192 lock status of an identity token
+ * @param {number} idNumber - The ID number (token ID)
+ * @returns {Promise<boolean>} - True if the token is locked (soulbound)
+ */
+export const isTokenLocked = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    return await contract.locked(idNumber);
+  } catch (error) {
+    console.error(`Error checking lock status for ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the token metadata of an identity the way wallets and explorers read it:
+ * ownerOf + tokenURI, then the metadata JSON behind the URI
+ * @param {number} idNumber - The ID number (token ID)
+ * @returns {Promise<Object>} - Token metadata (tokenId, owner, tokenURI, locked, name, description, image, attributes, metadata)
+ */
+export const getTokenMetadata = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    const [owner, tokenURI, locked] = await Promise.all([
+      contract.ownerOf(idNumber),
+      contract.tokenURI(idNumber),
+      contract.locked(idNumber)
+    ]);
+    
+    const metadataHash = tokenURI.replace('ipfs://', '');
+    const metadata = await getFromIPFS(metadataHash, { strict: true });
+    
+    return {
+      tokenId: Number(idNumber),
+      owner,
+      tokenURI,
+      locked,
+      name: metadata.name || metadata.fullName || `BlockID #${idNumber}`,
+      description: metadata.description || 'Soulbound BlockID digital identity',
+      image: ipfsUriToGatewayUrl(metadata.image || metadata.photoUrl || null),
+      attributes: metadata.attributes || [],
+      metadata
+    };
+  } catch (error) {
+    console.error(`Error getting token metadata for ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Check if an identity is valid
  * @param {number} idNumber - The ID number to validate
@@ -594,7 +1132,7 @@ export const getIdentitiesByOwner = async (owner) => {
  */
 export const isIdentityValid = async (idNumber) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     return await contract.isIdentityValid(idNumber);
   } catch (error) {
     console.error('Error checking identity validity:', error);
@@ -613,7 +1151,7 @@ export const isIdentityValid = async (idNumber) => {
  */
 export const hasIdentity = async (address) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     return await contract.hasIdentity(address);
   } catch (error) {
     console.error('Error checking if wallet has ID:', error);
@@ -627,6 +1165,21 @@ export const hasIdentity = async (address) => {
   }
 };
 
+/**
+ * Get a wallet's ETH balance on the configured network
+ * @param {string} address - Wallet address
+ * @returns {Promise<bigint|null>} - Balance in wei, or null if it could not be read
+ */
+export const getWalletBalance = async (address) => {
+  try {
+    const provider = new ethers.JsonRpcProvider(RPC_URL);
+    return await provider.getBalance(address);
+  } catch (error) {
+    console.error(`Error getting balance of ${address}:`, error);
+    return null;
+  }
+};
+
 /**
  * Check if a unique identity hash is already registered
  * @param {string} uniqueHash - Hash to check
@@ -634,7 +1187,7 @@ export const hasIdentity = async (address) => {
  */
 export const isHashRegistered = async (uniqueHash) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     
     // Convert the hash to bytes32 if needed
     let bytes32Hash;
@@ -681,7 +1234,7 @@ export const generateBytes32Hash = async (input) => {
  */
 export const getIdentityByOwner = async (owner) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     return await contract.getIdentityByOwner(owner);
   } catch (error) {
     console.error('Error getting identity by owner:', error);
@@ -702,7 +1255,7 @@ export const getIdentityByOwner = async (owner) => {
  */
 export const getIdentityByHash = async (uniqueHash) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     
     // Use the consistent bytes32 hash generation method
     const bytes32Hash = uniqueHash.startsWith('0x') && uniqueHash.length === 66
@@ -728,7 +1281,7 @@ export const getIdentityByHash = async (uniqueHash) => {
  */
 export const verifyIdentityHash = async (idNumber, claimedHash) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     
     // Use the consistent bytes32 hash generation method
     const bytes32Hash = claimedHash.startsWith('0x') && claimedHash.length === 66
@@ -751,9 +1304,10 @@ export const verifyIdentityHash = async (idNumber, claimedHash) => {
  * @param {string} ipfsHash - IPFS hash of identity data
  * @param {string} idType - Type of ID (e.g., "driver_license")
  * @param {string} uniqueIdentityHash - SHA-256 hash for uniqueness verification
+ * @param {string} attributesRoot - Merkle root of the disclosable attributes (metadata.attributesRoot)
  * @returns {Promise<number>} - The created request ID
  */
-export const requestIdentity = async (ipfsHash, idType, uniqueIdentityHash) => {
+export const requestIdentity = async (ipfsHash, idType, uniqueIdentityHash, attributesRoot = ethers.ZeroHash) => {
   try {
     const contract = await getContractWithSigner();
     
@@ -762,7 +1316,7 @@ export const requestIdentity = async (ipfsHash, idType, uniqueIdentityHash) => {
       ? uniqueIdentityHash
       : await generateBytes32Hash(uniqueIdentityHash);
     
-    const tx = await contract.requestIdentity(ipfsHash, idType, bytes32Hash);
+    const tx = await contract.requestIdentity(ipfsHash, idType, bytes32Hash, attributesRoot);
     const receipt = await tx.wait();
     
     // Find the IDRequested event to get the request ID
@@ -781,27 +1335,96 @@ export const requestIdentity = async (ipfsHash, idType, uniqueIdentityHash) => {
 };
 
 /**
- * Get all pending ID requests (admin only)
- * @returns {Promise<number[]>} - Array of pending request IDs
+ * Resubmit a rejected ID request with corrected data
+ * @param {number} previousRequestId - The rejected request being resubmitted
+ * @param {string} ipfsHash - IPFS hash of the corrected identity data
+ * @param {string} idType - Type of ID
+ * @param {string} uniqueIdentityHash - Unique identity hash (bytes32 or string to hash)
+ * @param {string} attributesRoot - Merkle root of the disclosable attributes (metadata.attributesRoot)
+ * @returns {Promise<number>} - The new request ID
  */
-export const getPendingRequests = async () => {
+export const resubmitRequest = async (previousRequestId, ipfsHash, idType, uniqueIdentityHash, attributesRoot = ethers.ZeroHash) => {
   try {
-    const contract = await getContractReadOnly();
-    const requests = await contract.getPendingRequests();
-    console.log('Raw pending requests from contract:', requests);
+    const contract = await getContractWithSigner();
+    
+    const bytes32Hash = uniqueIdentityHash.startsWith('0x') && uniqueIdentityHash.length === 66
+      ? uniqueIdentityHash
+      : await generateBytes32Hash(uniqueIdentityHash);
+    
+    const tx = await contract.resubmitRequest(previousRequestId, ipfsHash, idType, bytes32Hash, attributesRoot);
+    const receipt = await tx.wait();
+    
+    // Find the IDRequested event to get the new request ID
+    const event = receipt.logs
+      .filter(log => log.fragment && log.fragment.name === 'IDRequested')
+      .map(log => contract.interface.parseLog(log))[0];
     
-    // Filter out zero values and ensure unique values
-    const filteredRequests = [...new Set(requests.filter(id => id && id.toString() !== '0'))];
-    console.log('Filtered pending requests:', filteredRequests);
+    return event.args.requestId;
+  } catch (error) {
+    console.error(`Error resubmitting request ${previousRequestId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending ID request (requester only)
+ * @param {number} requestId - ID of the request to cancel
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const cancelRequest = async (requestId) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.cancelRequest(requestId);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error cancelling request ${requestId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of pending ID requests (admin only)
+ * @param {number} offset - Index of the first pending request to return
+ * @param {number} limit - Maximum number of requests to return
+ * @returns {Promise<Object>} - { requestIds, total } for the page
+ */
+export const getPendingRequests = async (offset = 0, limit = 25) => {
+  try {
+    const contract = await getContractReadOnly();
+    const [requestIds, total] = await contract.getPendingRequests(offset, limit);
+    console.log(`Pending requests ${offset}-${offset + requestIds.length} of ${total}:`, requestIds);
     
-    return filteredRequests;
+    return {
+      requestIds: [...requestIds],
+      total: Number(total)
+    };
   } catch (error) {
     console.error('Error getting pending requests:', error);
-    // Always return empty array instead of mock data to prevent seeing fake requests
-    return [];
+    // Always return an empty page instead of mock data to prevent seeing fake requests
+    return { requestIds: [], total: 0 };
   }
 };
 
+/**
+ * Convert a getRequestDetails result into a plain object
+ * @param {Array} request - Raw contract result
+ * @returns {Object} - Request details
+ */
+const parseRequestDetails = (request) => ({
+  requester: request[0],
+  ipfsHash: request[1],
+  requestedAt: new Date(Number(request[2]) * 1000),
+  uniqueIdentityHash: request[3],
+  isPending: request[4],
+  isApproved: request[5],
+  isRejected: request[6],
+  isCancelled: request[7],
+  rejectionReason: request[8],
+  previousRequestId: Number(request[9]),
+  idType: request[10]
+});
+
 /**
  * Get details of a specific ID request
  * @param {number} requestId - ID of the request to query
@@ -817,15 +1440,7 @@ export const getRequestDetails = async (requestId) => {
       throw new Error('Invalid requester address');
     }
     
-    return {
-      requester: request[0],
-      ipfsHash: request[1],
-      requestedAt: new Date(Number(request[2]) * 1000),
-      uniqueIdentityHash: request[3],
-      isPending: request[4],
-      isApproved: request[5],
-      isRejected: request[6]
-    };
+    return parseRequestDetails(request);
   } catch (error) {
     console.error(`Error getting request details for ID ${requestId}:`, error);
     // Don't return mock data - throw error instead
@@ -833,6 +1448,209 @@ export const getRequestDetails = async (requestId) => {
   }
 };
 
+/**
+ * Run several read-only contract calls in a single RPC request through the contract's multicall
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {Array<{method: string, args: Array}>} calls - Calls to batch
+ * @returns {Promise<Array>} - Decoded result of each call, in order
+ */
+const multicallRead = async (contract, calls) => {
+  if (calls.length === 0) return [];
+  
+  const encodedCalls = calls.map(({ method, args }) => contract.interface.encodeFunctionData(method, args));
+  const results = await contract.multicall.staticCall(encodedCalls);
+  
+  return results.map((result, index) => contract.interface.decodeFunctionResult(calls[index].method, result));
+};
+
+/**
+ * Get the details and approvals of several ID requests in one multicall
+ * @param {number[]} requestIds - IDs of the requests to query
+ * @returns {Promise<Object>} - Map of request ID to { details, approvals }
+ */
+export const getRequestDetailsBatch = async (requestIds) => {
+  try {
+    const contract = await getContractReadOnly();
+    const results = await multicallRead(
+      contract,
+      requestIds.flatMap(requestId => [
+        { method: 'getRequestDetails', args: [requestId] },
+        { method: 'getRequestApprovals', args: [requestId] }
+      ])
+    );
+    
+    const batch = {};
+    requestIds.forEach((requestId, index) => {
+      batch[requestId] = {
+        details: parseRequestDetails(results[index * 2]),
+        approvals: parseRequestApprovals(results[index * 2 + 1])
+      };
+    });
+    
+    return batch;
+  } catch (error) {
+    console.error('Error getting request details batch:', error);
+    throw new Error('Failed to get request details');
+  }
+};
+
+/**
+ * Get a page of identities by ID number
+ * @param {number} offset - Number of ID numbers to skip
+ * @param {number} limit - Maximum number of ID numbers to scan
+ * @returns {Promise<Object>} - { identities: [{ idNumber, owner }], total }
+ */
+export const getIdentities = async (offset = 0, limit = 25) => {
+  try {
+    const contract = await getContractReadOnly();
+    const [idNumbers, owners, total] = await contract.getIdentities(offset, limit);
+    
+    return {
+      identities: idNumbers.map((idNumber, index) => ({
+        idNumber: Number(idNumber),
+        owner: owners[index]
+      })),
+      total: Number(total)
+    };
+  } catch (error) {
+    console.error('Error getting identities:', error);
+    return { identities: [], total: 0 };
+  }
+};
+
+/**
+ * Ask the admins to extend an expiring identity (holder only)
+ * @param {number} idNumber - The ID number to renew
+ * @param {number} extension - Requested extension in seconds
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const requestRenewal = async (idNumber, extension) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.requestRenewal(idNumber, extension);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error requesting renewal of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Extend an identity's expiry, approving the holder's pending renewal if any (admins only)
+ * @param {number} idNumber - The ID number to renew
+ * @param {number} extension - Extension in seconds, counted from the current expiry (or now if already expired)
+ * @returns {Promise<Object>} - { previousExpiresAt, expiresAt, transactionHash }
+ */
+export const renewIdentity = async (idNumber, extension) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.renewIdentity(idNumber, extension);
+    const receipt = await tx.wait();
+
+    const renewed = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event?.name === 'IdentityRenewed');
+
+    return {
+      previousExpiresAt: renewed ? new Date(Number(renewed.args.previousExpiresAt) * 1000) : null,
+      expiresAt: renewed ? new Date(Number(renewed.args.newExpiresAt) * 1000) : null,
+      transactionHash: receipt.hash
+    };
+  } catch (error) {
+    console.error(`Error renewing ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Decline a holder's pending renewal request (admins only)
+ * @param {number} idNumber - The ID number whose renewal is declined
+ * @param {string} reason - Reason for declining
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const declineRenewal = async (idNumber, reason) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.declineRenewal(idNumber, reason);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error(`Error declining renewal of ID ${idNumber}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the extension a holder has asked for
+ * @param {number} idNumber - The ID number to query
+ * @returns {Promise<number>} - Requested extension in seconds (0 if no renewal is pending)
+ */
+export const getRenewalRequest = async (idNumber) => {
+  try {
+    const contract = await getContractReadOnly();
+    return Number(await contract.renewalRequests(idNumber));
+  } catch (error) {
+    console.error(`Error getting renewal request for ID ${idNumber}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Find identities that expire within a window or have a renewal pending
+ * Scans the ID numbers page by page, reading each page's expiry and renewal state in one multicall.
+ * @param {number} withinSeconds - Window from now; already expired IDs are included
+ * @param {number} pageSize - Number of ID numbers to scan per multicall
+ * @returns {Promise<Array<Object>>} - { idNumber, owner, expiresAt, expired, requestedExtension }, soonest first
+ */
+export const getExpiringIdentities = async (withinSeconds, pageSize = 50) => {
+  try {
+    const contract = await getContractReadOnly();
+    const cutoff = Date.now() + withinSeconds * 1000;
+    const expiring = [];
+
+    for (let offset = 0, total = Infinity; offset < total; offset += pageSize) {
+      const [idNumbers, owners, scanned] = await contract.getIdentities(offset, pageSize);
+      total = Number(scanned);
+
+      const results = await multicallRead(
+        contract,
+        idNumbers.flatMap(idNumber => [
+          { method: 'getIdentity', args: [idNumber] },
+          { method: 'renewalRequests', args: [idNumber] }
+        ])
+      );
+
+      idNumbers.forEach((idNumber, index) => {
+        const expiresAt = Number(results[index * 2][3]) * 1000;
+        const requestedExtension = Number(results[index * 2 + 1][0]);
+
+        // IDs without an expiry never need renewing
+        if (expiresAt > 0 && (expiresAt <= cutoff || requestedExtension > 0)) {
+          expiring.push({
+            idNumber: Number(idNumber),
+            owner: owners[index],
+            expiresAt: new Date(expiresAt),
+            expired: expiresAt <= Date.now(),
+            requestedExtension
+          });
+        }
+      });
+    }
+
+    return expiring.sort((a, b) => a.expiresAt - b.expiresAt);
+  } catch (error) {
+    console.error('Error getting expiring identities:', error);
+    throw new Error('Failed to get expiring identities');
+  }
+};
+
 /**
  * Get all requests for a specific user
  * @param {string} address - User's wallet address
@@ -840,7 +1658,7 @@ export const getRequestDetails = async (requestId) => {
  */
 export const getUserRequests = async (address) => {
   try {
-    const contract = getContractReadOnly();
+    const contract = await getContractReadOnly();
     return await contract.getUserRequests(address);
   } catch (error) {
     console.error('Error getting user requests:', error);
@@ -853,10 +1671,11 @@ export const getUserRequests = async (address) => {
 };
 
 /**
- * Approve an ID request (admin only)
+ * Approve an ID request (issuers only)
+ * The identity is only minted once the contract's approval threshold is reached.
  * @param {number} requestId - ID of the request to approve
  * @param {number} expiryDuration - Duration in seconds until the ID expires (0 for no expiry)
- * @returns {Promise<number>} - The created ID number
+ * @returns {Promise<Object>} - Approval result (minted, idNumber, approvals, required)
  */
 export const approveIDRequest = async (requestId, expiryDuration) => {
   try {
@@ -864,21 +1683,175 @@ export const approveIDRequest = async (requestId, expiryDuration) => {
     const tx = await contract.approveIDRequest(requestId, expiryDuration);
     const receipt = await tx.wait();
     
-    // Find the IDRequestApproved event to get the ID number
-    const event = receipt.logs
-      .filter(log => log.fragment && log.fragment.name === 'IDRequestApproved')
-      .map(log => contract.interface.parseLog(log))[0];
+    const events = receipt.logs
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
     
-    return event.args.idNumber;
+    // IDRequestApproved is only emitted once the quorum is reached and the ID is minted
+    const approvedEvent = events.find(event => event.name === 'IDRequestApproved');
+    const approvalEvent = events.find(event => event.name === 'IDRequestApprovalAdded');
+    
+    return {
+      minted: !!approvedEvent,
+      idNumber: approvedEvent ? approvedEvent.args.idNumber : null,
+      approvals: approvalEvent ? Number(approvalEvent.args.approvals) : null,
+      required: approvalEvent ? Number(approvalEvent.args.required) : null,
+      transactionHash: receipt.hash
+    };
   } catch (error) {
     console.error('Error approving ID request:', error);
     if (isDevelopment) {
-      return Math.floor(Math.random() * 1000) + 1;
+      return {
+        minted: true,
+        idNumber: Math.floor(Math.random() * 1000) + 1,
+        approvals: 1,
+        required: 1,
+        transactionHash: null
+      };
     }
     throw error;
   }
 };
 
+/**
+ * Convert a getRequestApprovals result into a plain object
+ * @param {Array} approvals - Raw contract result (approvers, required, expiryDuration)
+ * @returns {Object} - Approvers, required approvals, remaining approvals and proposed expiry (seconds)
+ */
+const parseRequestApprovals = ([approvers, required, expiryDuration]) => ({
+  approvers: [...approvers],
+  required: Number(required),
+  remaining: Math.max(Number(required) - approvers.length, 0),
+  expiryDuration: Number(expiryDuration)
+});
+
+/**
+ * Get the approvals recorded for an ID request
+ * @param {number} requestId - ID of the request to query
+ * @returns {Promise<Object>} - Approvers, required approvals, remaining approvals and proposed expiry (seconds)
+ */
+export const getRequestApprovals = async (requestId) => {
+  try {
+    const contract = await getContractReadOnly();
+    const approvals = await contract.getRequestApprovals(requestId);
+    return parseRequestApprovals(approvals);
+  } catch (error) {
+    console.error(`Error getting approvals for request ${requestId}:`, error);
+    return {
+      approvers: [],
+      required: 1,
+      remaining: 1,
+      expiryDuration: 0
+    };
+  }
+};
+
+/**
+ * Get the number of issuer approvals required to mint a request
+ * @returns {Promise<number>} - The approval threshold
+ */
+export const getApprovalThreshold = async () => {
+  try {
+    const contract = await getContractReadOnly();
+    return Number(await contract.approvalThreshold());
+  } catch (error) {
+    console.error('Error getting approval threshold:', error);
+    return 1;
+  }
+};
+
+/**
+ * Set the number of issuer approvals required to mint a request (admin only)
+ * @param {number} threshold - Required approvals (between 1 and the number of issuers)
+ * @returns {Promise<string>} - Transaction hash
+ */
+export const setApprovalThreshold = async (threshold) => {
+  try {
+    const contract = await getContractWithSigner();
+    const tx = await contract.setApprovalThreshold(threshold);
+    const receipt = await tx.wait();
+    return receipt.hash;
+  } catch (error) {
+    console.error('Error setting approval threshold:', error);
+    throw error;
+  }
+};
+
+/**
+ * Publish the connected wallet's encryption public key on-chain
+ * The key pair is derived from a wallet signature, so publishing prompts for one signature
+ * and one transaction. Issuers and admins need a published key to read encrypted requests.
+ * @returns {Promise<Object>} - { publicKey, transactionHash }
+ */
+export const publishEncryptionKey = async () => {
+  try {
+    const signer = await getSigner();
+    const { publicKey } = await getWalletEncryptionKey(signer);
+    
+    const contract = await getContractWithSigner();
+    const tx = await contract.setEncryptionPublicKey(publicKey);
+    const receipt = await tx.wait();
+    
+    console.log('Encryption key published:', publicKey);
+    return { publicKey, transactionHash: receipt.hash };
+  } catch (error) {
+    console.error('Error publishing encryption key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the encryption public key an address has published
+ * @param {string} address - Address to query
+ * @returns {Promise<string|null>} - Compressed public key, or null if none was published
+ */
+export const getEncryptionPublicKey = async (address) => {
+  try {
+    const contract = await getContractReadOnly();
+    const publicKey = await contract.getEncryptionPublicKey(address);
+    return publicKey && publicKey !== '0x' ? publicKey : null;
+  } catch (error) {
+    console.error('Error getting encryption public key:', error);
+    return null;
+  }
+};
+
+/**
+ * Build the recipient list for encrypting a holder's identity metadata:
+ * the holder (key derived from their signer) plus every issuer and admin with a published key
+ * @param {ethers.Signer} signer - The holder's signer
+ * @returns {Promise<Array<Object>>} - { address, publicKey } recipients
+ */
+export const getMetadataRecipients = async (signer) => {
+  const { address, publicKey } = await getWalletEncryptionKey(signer);
+  const recipients = [{ address, publicKey }];
+  
+  const staff = [...new Set([
+    ...(await getRoleMembers(ROLES.ISSUER)),
+    ...(await getRoleMembers(ROLES.ADMIN))
+  ].map(member => member.toLowerCase()))];
+  
+  const staffKeys = await Promise.all(staff.map(async (member) => ({
+    address: ethers.getAddress(member),
+    publicKey: await getEncryptionPublicKey(member)
+  })));
+  staffKeys.forEach(recipient => {
+    if (recipient.publicKey) {
+      recipients.push(recipient);
+    } else {
+      console.warn(`Issuer/admin ${recipient.address} has not published an encryption key and won't be able to read this identity`);
+    }
+  });
+  
+  return recipients;
+};
+
 /**
  * Reject an ID request (admin only)
  * @param {number} requestId - ID of the request to reject
@@ -977,97 +1950,3 @@ export const getAdminAddresses = async () => {
     return defaultAdmin ? [defaultAdmin] : [];
   }
 };
-
-/**
- * Mock verification for locally stored IDs 
- * This allows us to verify downloaded ID cards even without blockchain interaction
- * @param {string} idNumber - ID number (e.g. "BID-123456")
- * @param {string} walletAddress - Wallet address associated with the ID
- * @returns {Promise<Object>} - Verification result
- */
-export const verifyDownloadedID = async (idNumber, walletAddress) => {
-  try {
-    console.log("Verifying downloaded ID:", { idNumber, walletAddress });
-    
-    // First try to find in local storage (wallet-specific storage)
-    const walletsData = localStorage.getItem('blockid_wallets') || '{}';
-    const wallets = JSON.parse(walletsData);
-    
-    // Check if the wallet exists and has a matching ID
-    if (walletAddress && wallets[walletAddress]) {
-      console.log("Found wallet in storage:", walletAddress);
-      const storedID = wallets[walletAddress];
-      
-      // If ID numbers match, this is a valid ID
-      if (storedID.idNumber === idNumber) {
-        console.log("ID verified from wallet storage");
-        return {
-          success: true,
-          verified: true,
-          identity: storedID,
-          verificationMethod: "local_storage",
-          message: "ID verified successfully from local storage"
-        };
-      }
-    }
-    
-    // Check general ID storage as fallback
-    const allIDs = localStorage.getItem('blockid_all_ids') || '{}';
-    const ids = JSON.parse(allIDs);
-    
-    // Look for matching ID number
-    if (ids[idNumber]) {
-      console.log("Found ID in general storage:", idNumber);
-      return {
-        success: true,
-        verified: true,
-        identity: ids[idNumber],
-        verificationMethod: "local_storage",
-        message: "ID verified successfully from general storage"
-      };
-    }
-    
-    // Finally, fall back to mock verification for demo purposes
-    if (idNumber && idNumber.startsWith("BID-")) {
-      console.log("Using mock verification for demo purposes");
-      
-      // Create a mock identity using the provided information
-      const mockIdentity = {
-        idNumber: idNumber,
-        walletAddress: walletAddress || "0x000...mock",
-        fullName: "Verified ID Holder",
-        email: "verified@example.com",
-        dateOfBirth: "2000-01-01",
-        dateOfIssue: new Date(Date.now() - 30*24*60*60*1000).toISOString(),
-        expiryDate: new Date(Date.now() + 10*365*24*60*60*1000).toISOString(),
-        uniqueIdentityHash: ethers.keccak256(ethers.toUtf8Bytes(`${idNumber}_${walletAddress || "mock"}`)),
-        blockchainTxnHash: "0x" + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join(''),
-        isMinted: true,
-        isVerified: true
-      };
-      
-      return {
-        success: true,
-        verified: true,
-        identity: mockIdentity,
-        verificationMethod: "demo_mode",
-        message: "ID verified successfully in demo mode"
-      };
-    }
-    
-    // If we reach here, the ID could not be verified
-    return {
-      success: false,
-      verified: false,
-      message: "ID could not be verified. It may not exist or has been tampered with."
-    };
-  } catch (error) {
-    console.error("Error verifying downloaded ID:", error);
-    return {
-      success: false,
-      verified: false,
-      message: "Error verifying ID: " + (error.message || "Unknown error"),
-      error: error
-    };
-  }
-}; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+import { getContractReadOnly } from './blockchain';
+import { parseIdNumber } from './identity';
+import { parseIdentityStatus } from './status';
+import { toPkhDid } from './verifiableCredential';
+
+/**
+ * The did:blockid method.
+ *
+ * did:blockid:<chainId>:<idNumber> names a BlockID identity on a chain. Its DID document is built from
+ * the contract alone: the owner wallet is the controller (as a did:pkh) and its only verification
+ * method, and the document metadata carries the status. Revoked IDs resolve as deactivated, and
+ * suspended or expired IDs keep their document but lose every verification relationship.
+ */
+
+export const DID_METHOD = 'blockid';
+
+const DID_CONTEXT = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/suites/secp256k1recovery-2020/v2'
+];
+const DID_RESOLUTION_CONTEXT = 'https://w3id.org/did-resolution/v1';
+
+/**
+ * Get the DID of an identity
+ * @param {string|number|bigint} chainId - Chain the contract is deployed on
+ * @param {string|number} idNumber - ID number (with or without BID- prefix)
+ * @returns {string} - did:blockid:<chainId>:<idNumber>
+ */
+export const toBlockIdDid = (chainId, idNumber) => `did:${DID_METHOD}:${chainId}:${parseIdNumber(idNumber)}`;
+
+/**
+ * Parse a did:blockid
+ * @param {string} did - DID
+ * @returns {Object|null} - { chainId, idNumber }, or null if it isn't a valid did:blockid
+ */
+export const parseBlockIdDid = (did) => {
+  const match = /^did:blockid:(\d+):(\d+)$/.exec(did || '');
+  if (!match || !parseIdNumber(match[2])) return null;
+  return { chainId: match[1], idNumber: parseIdNumber(match[2]) };
+};
+
+/**
+ * Build a DID resolution result
+ * @param {Object|null} didDocument - DID document
+ * @param {Object} resolutionMetadata - didResolutionMetadata
+ * @param {Object} documentMetadata - didDocumentMetadata
+ * @returns {Object} - DID resolution result
+ */
+const resolutionResult = (didDocument, resolutionMetadata = {}, documentMetadata = {}) => ({
+  '@context': DID_RESOLUTION_CONTEXT,
+  didDocument,
+  didResolutionMetadata: { contentType: 'application/did+ld+json', ...resolutionMetadata },
+  didDocumentMetadata: documentMetadata
+});
+
+/**
+ * Resolve a did:blockid against the configured contract
+ * Errors are reported in didResolutionMetadata.error (invalidDid, methodNotSupported, notFound or
+ * internalError) as the DID Resolution spec describes, rather than thrown.
+ * @param {string} did - DID to resolve
+ * @param {Object} options - { baseUrl } used for the service endpoints
+ * @returns {Promise<Object>} - { didDocument, didResolutionMetadata, didDocumentMetadata }
+ */
+export const resolveDid = async (did, { baseUrl = '' } = {}) => {
+  if (typeof did === 'string' && did.startsWith('did:') && !did.startsWith(`did:${DID_METHOD}:`)) {
+    return resolutionResult(null, { error: 'methodNotSupported' });
+  }
+  const parsed = parseBlockIdDid(did);
+  if (!parsed) {
+    return resolutionResult(null, { error: 'invalidDid' });
+  }
+
+  let contract;
+  let network;
+  try {
+    contract = await getContractReadOnly();
+    if (!contract || typeof contract.getIdentity !== 'function') {
+      throw new Error('Blockchain contract is not reachable');
+    }
+    network = await contract.runner.provider.getNetwork();
+  } catch (error) {
+    console.error('DID resolution unavailable:', error);
+    return resolutionResult(null, { error: 'internalError', message: 'Blockchain unavailable' });
+  }
+
+  // This deployment only knows the identities of its own chain
+  if (network.chainId.toString() !== parsed.chainId) {
+    return resolutionResult(null, { error: 'notFound', message: `Identities on chain ${parsed.chainId} are not resolved here` });
+  }
+
+  let onChain;
+  let status;
+  try {
+    [onChain, status] = await Promise.all([
+      contract.getIdentity(parsed.idNumber),
+      contract.getIdentityStatus(parsed.idNumber)
+    ]);
+  } catch (error) {
+    const reason = error.reason || error.message || '';
+    if (reason.includes('identity does not exist')) {
+      return resolutionResult(null, { error: 'notFound' });
+    }
+    console.error(`Error resolving ${did}:`, error);
+    return resolutionResult(null, { error: 'internalError', message: 'Identity could not be read from the chain' });
+  }
+
+  const owner = onChain[0];
+  const expiresAt = onChain[3] > 0n ? new Date(Number(onChain[3]) * 1000).toISOString() : null;
+  const identityStatus = parseIdentityStatus(status);
+  const expired = !!expiresAt && new Date(expiresAt) <= new Date();
+  const active = identityStatus.status === 'active' && !expired;
+  const statusName = expired && identityStatus.status === 'active' ? 'expired' : identityStatus.status;
+
+  const controllerMethod = `${did}#controller`;
+  const didDocument = {
+    '@context': DID_CONTEXT,
+    id: did,
+    controller: toPkhDid(parsed.chainId, owner),
+    verificationMethod: [{
+      id: controllerMethod,
+      type: 'EcdsaSecp256k1RecoveryMethod2020',
+      controller: did,
+      blockchainAccountId: `eip155:${parsed.chainId}:${owner}`
+    }],
+    authentication: active ? [controllerMethod] : [],
+    assertionMethod: active ? [controllerMethod] : [],
+    service: [
+      { id: `${did}#verify`, type: 'BlockIDVerification', serviceEndpoint: `${baseUrl}/verify?id=${parsed.idNumber}` },
+      { id: `${did}#api`, type: 'BlockIDVerificationAPI', serviceEndpoint: `${baseUrl}/api/identities/${parsed.idNumber}` }
+    ]
+  };
+
+  console.log(`Resolved ${did}: ${statusName}`);
+  return resolutionResult(didDocument, {}, {
+    created: new Date(Number(onChain[2]) * 1000).toISOString(),
+    ...(identityStatus.changedAt && { updated: identityStatus.changedAt }),
+    deactivated: identityStatus.status === 'revoked',
+    blockid: {
+      status: statusName,
+      reason: identityStatus.reason,
+      reasonLabel: identityStatus.reason ? identityStatus.reasonLabel : null,
+      expiresAt,
+      isVerified: onChain[4],
+      idType: onChain[5],
+      uniqueIdentityHash: onChain[6],
+      attributesRoot: onChain[7]
+    }
+  });
+};
@@ -0,0 +1,228 @@
+import { ethers } from 'ethers';
+
+/**
+ * Selective disclosure of identity attributes.
+ *
+ * Each attribute is committed as a salted leaf, keccak256(bytes.concat(keccak256(abi.encode(key, value, salt)))),
+ * and the leaves form a Merkle tree with sorted-pair hashing (the same scheme as OpenZeppelin's MerkleProof),
+ * whose root is stored on-chain next to uniqueIdentityHash. A holder discloses a field by handing out its
+ * value, salt and proof; the other fields stay hidden behind their salts.
+ */
+
+export const DISCLOSURE_PROOF_TYPE = 'blockid.disclosure';
+export const DISCLOSURE_PROOF_VERSION = 1;
+
+/**
+ * Attributes a holder can choose to reveal
+ */
+export const DISCLOSABLE_ATTRIBUTES = [
+  { key: 'fullName', label: 'Full Name' },
+  { key: 'dateOfBirth', label: 'Date of Birth' },
+  { key: 'email', label: 'Email' },
+  { key: 'photoHash', label: 'Photo Hash' },
+  { key: 'idType', label: 'ID Type' }
+];
+
+/**
+ * Attributes committed in the tree, in leaf order. The age commitment is only revealed
+ * inside age proofs (see age.js), never on its own.
+ * Metadata created before an attribute existed has no salt for it, and its tree omits that leaf.
+ */
+export const COMMITTED_ATTRIBUTES = [
+  ...DISCLOSABLE_ATTRIBUTES,
+  { key: 'ageCommitment', label: 'Age Commitment' }
+];
+
+/**
+ * Get the value committed for each attribute
+ * @param {Object} metadata - Identity metadata
+ * @returns {Object} - Attribute key to string value
+ */
+export const getAttributeValues = (metadata) => ({
+  fullName: metadata.fullName || '',
+  dateOfBirth: metadata.dateOfBirth || '',
+  email: metadata.email || '',
+  photoHash: metadata.photo?.sha256 || '',
+  idType: metadata.idType || '',
+  ageCommitment: metadata.ageCommitment?.commitment || ''
+});
+
+/**
+ * Generate a random salt for every committed attribute
+ * @returns {Object} - Attribute key to 0x-prefixed 32-byte salt
+ */
+export const generateAttributeSalts = () => Object.fromEntries(
+  COMMITTED_ATTRIBUTES.map(({ key }) => [key, ethers.hexlify(ethers.randomBytes(32))])
+);
+
+/**
+ * Hash one attribute into a Merkle leaf
+ * @param {string} key - Attribute key
+ * @param {string} value - Attribute value
+ * @param {string} salt - 32-byte salt
+ * @returns {string} - Leaf hash
+ */
+export const hashAttributeLeaf = (key, value, salt) => ethers.keccak256(
+  ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string', 'string', 'bytes32'], [key, value, salt]))
+);
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} - Parent hash
+ */
+const hashPair = (a, b) => (BigInt(a) < BigInt(b)
+  ? ethers.keccak256(ethers.concat([a, b]))
+  : ethers.keccak256(ethers.concat([b, a])));
+
+/**
+ * Build every layer of a Merkle tree; an odd node out is carried up unchanged
+ * @param {string[]} leaves - Leaf hashes
+ * @returns {string[][]} - Layers from the leaves up to the root
+ */
+const buildLayers = (leaves) => {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+};
+
+/**
+ * Build the attribute tree for a set of values and salts
+ * @param {Object} values - Attribute key to value
+ * @param {Object} salts - Attribute key to salt
+ * @returns {Object} - { root, keys, leaves, layers }
+ */
+export const buildAttributeTree = (values, salts) => {
+  if (!salts) {
+    throw new Error('Missing attribute salts');
+  }
+
+  const keys = COMMITTED_ATTRIBUTES.map(({ key }) => key).filter(key => salts[key]);
+  const leaves = keys.map(key => hashAttributeLeaf(key, values[key] ?? '', salts[key]));
+  const layers = buildLayers(leaves);
+
+  return { root: layers[layers.length - 1][0], keys, leaves, layers };
+};
+
+/**
+ * Compute the attributes root committed on-chain for a metadata document
+ * @param {Object} metadata - Identity metadata with attributeSalts
+ * @returns {string} - Merkle root
+ */
+export const computeAttributesRoot = (metadata) =>
+  buildAttributeTree(getAttributeValues(metadata), metadata.attributeSalts).root;
+
+/**
+ * Get the Merkle proof for the leaf at an index
+ * @param {string[][]} layers - Tree layers from buildAttributeTree
+ * @param {number} index - Leaf index
+ * @returns {string[]} - Sibling hashes from the leaf up
+ */
+const getProof = (layers, index) => {
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Check a Merkle proof against a root
+ * @param {string} leaf - Leaf hash
+ * @param {string[]} proof - Sibling hashes
+ * @param {string} root - Expected root
+ * @returns {boolean} - True if the proof leads to the root
+ */
+export const verifyMerkleProof = (leaf, proof, root) =>
+  proof.reduce((node, sibling) => hashPair(node, sibling), leaf).toLowerCase() === root.toLowerCase();
+
+/**
+ * Create a disclosure proof revealing only the chosen attributes
+ * @param {Object} metadata - Decrypted identity metadata (with attributeSalts)
+ * @param {string[]} fields - Attribute keys to disclose
+ * @param {Object} context - { idNumber, chainId, contractAddress } of the on-chain identity
+ * @returns {Object} - Disclosure proof to share with a verifier
+ */
+export const createDisclosureProof = (metadata, fields, { idNumber, chainId, contractAddress }) => {
+  const values = getAttributeValues(metadata);
+  const { root, keys, layers } = buildAttributeTree(values, metadata.attributeSalts);
+
+  const attributes = fields.map(key => {
+    const index = keys.indexOf(key);
+    if (index === -1) {
+      throw new Error(`Attribute not committed for this ID: ${key}`);
+    }
+    return {
+      key,
+      value: values[key],
+      salt: metadata.attributeSalts[key],
+      proof: getProof(layers, index)
+    };
+  });
+
+  return {
+    type: DISCLOSURE_PROOF_TYPE,
+    version: DISCLOSURE_PROOF_VERSION,
+    idNumber: Number(idNumber),
+    chainId: chainId.toString(),
+    contractAddress,
+    attributesRoot: root,
+    attributes,
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Check every attribute in a disclosure proof against a root (no blockchain access)
+ * @param {Object} disclosure - Disclosure proof
+ * @param {string} root - Attributes root to check against (normally read from the chain)
+ * @returns {Array<Object>} - { key, label, value, valid } per disclosed attribute
+ */
+export const checkDisclosedAttributes = (disclosure, root) => disclosure.attributes.map(attribute => {
+  const known = COMMITTED_ATTRIBUTES.find(({ key }) => key === attribute.key);
+  const leaf = hashAttributeLeaf(attribute.key, attribute.value, attribute.salt);
+
+  return {
+    key: attribute.key,
+    label: known ? known.label : attribute.key,
+    value: attribute.value,
+    valid: !!known && verifyMerkleProof(leaf, attribute.proof, root)
+  };
+});
+
+/**
+ * Parse and sanity-check a disclosure proof
+ * @param {string|Object} input - Proof JSON or object
+ * @returns {Object} - The disclosure proof
+ */
+export const parseDisclosureProof = (input) => {
+  const disclosure = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!disclosure || disclosure.type !== DISCLOSURE_PROOF_TYPE) {
+    throw new Error('Not a BlockID disclosure proof');
+  }
+  if (disclosure.version !== DISCLOSURE_PROOF_VERSION) {
+    throw new Error(`Unsupported disclosure proof version: ${disclosure.version}`);
+  }
+  if (!disclosure.idNumber || !Array.isArray(disclosure.attributes) || disclosure.attributes.length === 0) {
+    throw new Error('Disclosure proof must name an ID and at least one attribute');
+  }
+  const isBytes32 = (value) => ethers.isHexString(value, 32);
+  if (disclosure.attributes.some(({ salt, proof }) => !isBytes32(salt) || !Array.isArray(proof) || !proof.every(isBytes32))) {
+    throw new Error('Every disclosed attribute needs a 32-byte salt and a Merkle proof of 32-byte hashes');
+  }
+
+  return disclosure;
+};
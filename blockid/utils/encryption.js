@@ -0,0 +1,236 @@
+import { ethers } from 'ethers';
+
+/**
+ * Client-side encryption of identity metadata.
+ *
+ * Each identity gets a random AES-256-GCM content key. The metadata (and photo) are encrypted
+ * with it, and the content key is wrapped for every authorised viewer with ECDH on secp256k1:
+ * an ephemeral key agrees a secret with the viewer's encryption public key, and SHA-256 of that
+ * secret encrypts the content key. A viewer's encryption key pair is derived from their wallet
+ * signature over a fixed message, so it never has to be stored.
+ */
+
+export const ENCRYPTED_SCHEMA = 'blockid.encrypted';
+export const ENCRYPTION_VERSION = 1;
+
+// Wallet encryption keys derived during this session, by lowercase address
+const walletKeyCache = new Map();
+
+/**
+ * Message signed to derive a wallet's encryption key pair
+ * @param {string} address - Wallet address
+ * @returns {string} - The message to sign
+ */
+export const getEncryptionKeyMessage = (address) =>
+  `BlockID encryption key\n\nSign this message to unlock your encrypted BlockID data. This does not send a transaction or cost gas.\n\nAddress: ${ethers.getAddress(address)}\nVersion: ${ENCRYPTION_VERSION}`;
+
+/**
+ * Derive (or reuse) the encryption key pair for a signer's wallet
+ * @param {ethers.Signer} signer - Wallet signer
+ * @returns {Promise<Object>} - { address, publicKey, signingKey }
+ */
+export const getWalletEncryptionKey = async (signer) => {
+  const address = await signer.getAddress();
+  const cacheKey = address.toLowerCase();
+
+  if (walletKeyCache.has(cacheKey)) {
+    return walletKeyCache.get(cacheKey);
+  }
+
+  // Signatures are deterministic (RFC 6979), so the same wallet always derives the same key
+  const signature = await signer.signMessage(getEncryptionKeyMessage(address));
+  const signingKey = new ethers.SigningKey(ethers.keccak256(signature));
+
+  const walletKey = {
+    address,
+    publicKey: signingKey.compressedPublicKey,
+    signingKey
+  };
+  walletKeyCache.set(cacheKey, walletKey);
+
+  return walletKey;
+};
+
+/**
+ * Derive the encryption key pair for the wallet connected in the browser
+ * @returns {Promise<Object>} - { address, publicKey, signingKey }
+ */
+export const getConnectedWalletEncryptionKey = async () => {
+  if (typeof window === 'undefined' || !window.ethereum) {
+    throw new Error('A connected wallet is required to decrypt identity data');
+  }
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  return getWalletEncryptionKey(signer);
+};
+
+/**
+ * Check, without prompting, whether the connected wallet is a recipient of an envelope
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Promise<boolean>} - True if the currently connected account can decrypt it
+ */
+export const canConnectedWalletDecrypt = async (envelope) => {
+  if (typeof window === 'undefined' || !window.ethereum) return false;
+
+  const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+  const connected = accounts?.[0]?.toLowerCase();
+  return !!connected && envelope.recipients.some(recipient => recipient.address.toLowerCase() === connected);
+};
+
+/**
+ * Import raw key bytes as an AES-GCM key
+ * @param {Uint8Array} rawKey - 32-byte key
+ * @returns {Promise<CryptoKey>} - WebCrypto key
+ */
+const importAesKey = (rawKey) =>
+  globalThis.crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+
+/**
+ * Generate a random content key for one identity
+ * @returns {Uint8Array} - 32-byte AES-256 key
+ */
+export const generateContentKey = () => ethers.getBytes(ethers.randomBytes(32));
+
+/**
+ * Encrypt bytes with AES-256-GCM
+ * @param {Uint8Array} rawKey - 32-byte key
+ * @param {Uint8Array} bytes - Plaintext
+ * @returns {Promise<Object>} - { iv, ciphertext } as base64 strings
+ */
+export const encryptBytes = async (rawKey, bytes) => {
+  const iv = ethers.getBytes(ethers.randomBytes(12));
+  const key = await importAesKey(rawKey);
+  const ciphertext = await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+
+  return {
+    iv: ethers.encodeBase64(iv),
+    ciphertext: ethers.encodeBase64(new Uint8Array(ciphertext))
+  };
+};
+
+/**
+ * Decrypt AES-256-GCM ciphertext
+ * @param {Uint8Array} rawKey - 32-byte key
+ * @param {string} iv - Base64 IV
+ * @param {string|Uint8Array} ciphertext - Base64 string or raw ciphertext bytes
+ * @returns {Promise<Uint8Array>} - Plaintext
+ */
+export const decryptBytes = async (rawKey, iv, ciphertext) => {
+  const key = await importAesKey(rawKey);
+  const data = typeof ciphertext === 'string' ? ethers.decodeBase64(ciphertext) : ciphertext;
+  const plaintext = await globalThis.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ethers.decodeBase64(iv) },
+    key,
+    data
+  );
+
+  return new Uint8Array(plaintext);
+};
+
+/**
+ * Derive the key-encryption key from an ECDH shared secret
+ * @param {string} sharedSecret - Shared point from SigningKey.computeSharedSecret
+ * @returns {Uint8Array} - 32-byte key
+ */
+const deriveWrappingKey = (sharedSecret) => ethers.getBytes(ethers.sha256(sharedSecret));
+
+/**
+ * Wrap a content key for one recipient
+ * @param {Uint8Array} contentKey - The identity's content key
+ * @param {Object} recipient - { address, publicKey } (compressed secp256k1 public key)
+ * @returns {Promise<Object>} - Recipient entry for the envelope
+ */
+const wrapContentKey = async (contentKey, recipient) => {
+  const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32));
+  const wrappingKey = deriveWrappingKey(ephemeralKey.computeSharedSecret(recipient.publicKey));
+  const { iv, ciphertext } = await encryptBytes(wrappingKey, contentKey);
+
+  return {
+    address: ethers.getAddress(recipient.address),
+    ephemeralPublicKey: ephemeralKey.compressedPublicKey,
+    iv,
+    wrappedKey: ciphertext
+  };
+};
+
+/**
+ * Encrypt identity metadata for a set of recipients
+ * @param {Object} metadata - Plaintext metadata document
+ * @param {Array<Object>} recipients - { address, publicKey } of every authorised viewer
+ * @param {Uint8Array} contentKey - Content key (generated if omitted)
+ * @returns {Promise<Object>} - Encrypted envelope to upload in place of the metadata
+ */
+export const encryptMetadata = async (metadata, recipients, contentKey = generateContentKey()) => {
+  if (!recipients || recipients.length === 0) {
+    throw new Error('At least one recipient is required to encrypt identity metadata');
+  }
+
+  // Drop duplicate recipients (e.g. an owner who is also an issuer)
+  const uniqueRecipients = recipients.filter((recipient, index) =>
+    recipients.findIndex(other => other.address.toLowerCase() === recipient.address.toLowerCase()) === index
+  );
+
+  const plaintext = ethers.toUtf8Bytes(JSON.stringify(metadata));
+  const { iv, ciphertext } = await encryptBytes(contentKey, plaintext);
+
+  return {
+    schema: ENCRYPTED_SCHEMA,
+    version: ENCRYPTION_VERSION,
+    algorithm: 'AES-256-GCM',
+    keyAgreement: 'ECDH-secp256k1-SHA256',
+    iv,
+    ciphertext,
+    recipients: await Promise.all(uniqueRecipients.map(recipient => wrapContentKey(contentKey, recipient)))
+  };
+};
+
+/**
+ * Give another recipient access to an envelope without re-encrypting its contents
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Uint8Array} contentKey - The envelope's content key (from decryptEnvelope)
+ * @param {Object} recipient - { address, publicKey } of the new viewer
+ * @returns {Promise<Object>} - Envelope with the recipient added (or replaced)
+ */
+export const addEnvelopeRecipient = async (envelope, contentKey, recipient) => ({
+  ...envelope,
+  recipients: [
+    ...envelope.recipients.filter(entry => entry.address.toLowerCase() !== recipient.address.toLowerCase()),
+    await wrapContentKey(contentKey, recipient)
+  ]
+});
+
+/**
+ * Check whether data fetched from IPFS is an encrypted envelope
+ * @param {Object} data - Data fetched from IPFS
+ * @returns {boolean} - True if the data is an encrypted envelope
+ */
+export const isEncryptedEnvelope = (data) => !!data && data.schema === ENCRYPTED_SCHEMA;
+
+/**
+ * Decrypt an envelope with the viewer's wallet encryption key
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Object} walletKey - Viewer key from getWalletEncryptionKey
+ * @returns {Promise<Object>} - { metadata, contentKey }
+ */
+export const decryptEnvelope = async (envelope, walletKey) => {
+  if (envelope.version !== ENCRYPTION_VERSION) {
+    throw new Error(`Unsupported encryption version: ${envelope.version}`);
+  }
+
+  const entry = envelope.recipients.find(
+    recipient => recipient.address.toLowerCase() === walletKey.address.toLowerCase()
+  );
+  if (!entry) {
+    throw new Error('This wallet is not authorised to view the identity data');
+  }
+
+  const wrappingKey = deriveWrappingKey(walletKey.signingKey.computeSharedSecret(entry.ephemeralPublicKey));
+  const contentKey = await decryptBytes(wrappingKey, entry.iv, entry.wrappedKey);
+  const plaintext = await decryptBytes(contentKey, envelope.iv, envelope.ciphertext);
+
+  return {
+    metadata: JSON.parse(ethers.toUtf8String(plaintext)),
+    contentKey
+  };
+};
@@ -54,6 +54,48 @@ export const formatIdNumber = (idNumber) => {
   return `BID-${paddedId}`;
 };
 
+/**
+ * Parse a formatted or raw ID number into its on-chain numeric value
+ * @param {string|number} idNumber - ID number (e.g. "BID-000042", "42" or 42)
+ * @returns {number|null} - The numeric ID, or null if it isn't a valid ID number
+ */
+export const parseIdNumber = (idNumber) => {
+  if (idNumber === null || idNumber === undefined) return null;
+
+  const idStr = idNumber.toString().trim().replace(/^BID-/i, '');
+  if (!/^\d+$/.test(idStr)) return null;
+
+  const parsed = parseInt(idStr, 10);
+  return parsed > 0 ? parsed : null;
+};
+
+/**
+ * Compute the unique identity hash from identity metadata
+ * Uses the same fields and order as the UID generated on the dashboard, so the
+ * result can be compared with the uniqueIdentityHash stored on-chain.
+ * When the metadata carries a random salt (schema version 2+), it is appended so the
+ * on-chain hash is a hiding commitment that can't be brute-forced from guessable fields.
+ * @param {Object} metadata - Identity metadata (fullName, email, dateOfBirth, uidTimestamp, walletAddress, salt)
+ * @returns {string|null} - 0x-prefixed SHA-256 hash, or null if required fields are missing
+ */
+export const computeIdentityHash = (metadata) => {
+  if (!metadata || !metadata.fullName || !metadata.uidTimestamp || !metadata.walletAddress) {
+    return null;
+  }
+
+  let uniqueString = `${metadata.fullName}|${metadata.email || ''}|${metadata.dateOfBirth || ''}|${metadata.uidTimestamp}|${metadata.walletAddress}`;
+  if (metadata.salt) {
+    uniqueString += `|${metadata.salt}`;
+  }
+  return ethers.sha256(ethers.toUtf8Bytes(uniqueString));
+};
+
+/**
+ * Generate a random salt for the identity commitment
+ * @returns {string} - 0x-prefixed 32-byte hex salt
+ */
+export const generateIdentitySalt = () => ethers.hexlify(ethers.randomBytes(32));
+
 /**
  * Generate a random ID number with proper formatting
  * @returns {string} - A formatted random ID number
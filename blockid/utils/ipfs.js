@@ -1,4 +1,11 @@
 import axios from 'axios';
+import {
+  isEncryptedEnvelope,
+  decryptEnvelope,
+  decryptBytes,
+  canConnectedWalletDecrypt,
+  getConnectedWalletEncryptionKey
+} from './encryption';
 
 // IPFS configuration from environment variables
 const PINATA_API_KEY = process.env.PINATA_API_KEY;
@@ -6,12 +13,56 @@ const PINATA_API_SECRET = process.env.PINATA_API_SECRET;
 const IPFS_GATEWAY = process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs/';
 const IS_DEVELOPMENT = process.env.NEXT_PUBLIC_IS_DEVELOPMENT === 'true' || process.env.NODE_ENV === 'development';
 
+// Optional local IPFS node HTTP API (e.g. http://127.0.0.1:5001/api/v0). When set, uploads and
+// reads go through this node instead of Pinata so the pipeline works offline.
+const IPFS_API_URL = process.env.NEXT_PUBLIC_IPFS_API_URL;
+
+let localClient = null;
+
+/**
+ * Get a client for the local IPFS node, if one is configured
+ * @returns {Promise<Object|null>} - ipfs-http-client instance, or null when using Pinata
+ */
+const getLocalIPFSClient = async () => {
+  if (!IPFS_API_URL) return null;
+  
+  if (!localClient) {
+    // Loaded on demand so the Pinata path doesn't pull the client into the bundle
+    const { create } = await import('ipfs-http-client');
+    localClient = create({ url: IPFS_API_URL });
+  }
+  return localClient;
+};
+
+/**
+ * Check whether IPFS traffic goes to a local node
+ * @returns {boolean} - True if NEXT_PUBLIC_IPFS_API_URL is configured
+ */
+export const isUsingLocalIPFS = () => !!IPFS_API_URL;
+
+/**
+ * Add content to the local IPFS node and pin it
+ * @param {Object} client - ipfs-http-client instance
+ * @param {string|Blob|Uint8Array} content - Content to add
+ * @returns {Promise<Object>} - Object with IPFS hash and gateway URL
+ */
+const addToLocalNode = async (client, content) => {
+  const { cid } = await client.add(content, { pin: true });
+  const ipfsHash = cid.toString();
+  return { ipfsHash, ipfsUrl: `${IPFS_GATEWAY}${ipfsHash}` };
+};
+
 /**
  * Upload data to IPFS via Pinata
  * @param {Object} data - The data object to upload
  * @returns {Promise<Object>} - Object with IPFS hash and gateway URL
  */
 export const uploadToIPFS = async (data) => {
+  const client = await getLocalIPFSClient();
+  if (client) {
+    return addToLocalNode(client, JSON.stringify(data));
+  }
+  
   if (IS_DEVELOPMENT && !PINATA_API_KEY) {
     console.warn('PINATA_API_KEY not configured. Using mock IPFS hash in development mode.');
     const mockHash = 'QmXzD3tfePtqsj6rHXz3jYYSNTp1duKHXjqGuA7XzR9u9N';
@@ -54,12 +105,24 @@ export const uploadToIPFS = async (data) => {
   }
 };
 
+/**
+ * Upload a JSON object to IPFS
+ * @param {Object} data - The JSON-serialisable object to upload
+ * @returns {Promise<Object>} - Object with IPFS hash and gateway URL
+ */
+export const uploadJSONToIPFS = (data) => uploadToIPFS(data);
+
 /**
  * Upload a file to IPFS via Pinata
  * @param {File} file - The file to upload
  * @returns {Promise<Object>} - Object with IPFS hash and gateway URL
  */
 export const uploadFileToIPFS = async (file) => {
+  const client = await getLocalIPFSClient();
+  if (client) {
+    return addToLocalNode(client, file);
+  }
+  
   if (IS_DEVELOPMENT && !PINATA_API_KEY) {
     console.warn('PINATA_API_KEY not configured. Using mock IPFS hash in development mode.');
     const mockHash = 'QmddF3mqPVctH5TC4cLxkKq86ZfDBGc1NnpT9yzXCvmMbk';
@@ -120,18 +183,74 @@ export const uploadFileToIPFS = async (file) => {
   }
 };
 
+/**
+ * Get raw bytes from IPFS
+ * @param {string} ipfsHash - The IPFS hash to fetch
+ * @returns {Promise<Uint8Array>} - The file contents
+ */
+export const getBytesFromIPFS = async (ipfsHash) => {
+  const client = await getLocalIPFSClient();
+  if (client) {
+    const chunks = [];
+    for await (const chunk of client.cat(ipfsHash)) {
+      chunks.push(chunk);
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer());
+  }
+  
+  const response = await axios.get(`${IPFS_GATEWAY}${ipfsHash}`, { responseType: 'arraybuffer' });
+  return new Uint8Array(response.data);
+};
+
+/**
+ * Decrypt an encrypted metadata envelope for the connected wallet, including its photo
+ * @param {Object} envelope - Encrypted envelope fetched from IPFS
+ * @returns {Promise<Object>} - Decrypted metadata, flagged with encrypted: true
+ */
+const decryptIdentityEnvelope = async (envelope) => {
+  const walletKey = await getConnectedWalletEncryptionKey();
+  const { metadata, contentKey } = await decryptEnvelope(envelope, walletKey);
+
+  if (metadata.photo?.encrypted && typeof window !== 'undefined') {
+    try {
+      const photoBytes = await decryptBytes(contentKey, metadata.photo.iv, await getBytesFromIPFS(metadata.photo.cid));
+      metadata.photoUrl = URL.createObjectURL(new Blob([photoBytes], { type: metadata.photo.mimeType || 'image/jpeg' }));
+    } catch (error) {
+      console.error('Error decrypting identity photo:', error);
+    }
+  }
+
+  return { ...metadata, encrypted: true };
+};
+
 /**
  * Get data from IPFS
+ * Encrypted identity envelopes are decrypted transparently when the connected wallet is one of
+ * their recipients. Otherwise the envelope itself is returned so callers can tell the data exists.
  * @param {string} ipfsHash - The IPFS hash to fetch
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.strict - Never return mock data, even in development (used for verification)
+ * @param {boolean} options.decrypt - Decrypt encrypted envelopes (prompts the wallet for a signature once per session)
  * @returns {Promise<Object>} - The data object
  */
-export const getFromIPFS = async (ipfsHash) => {
+export const getFromIPFS = async (ipfsHash, { strict = false, decrypt = true } = {}) => {
+  let data;
   try {
-    const response = await axios.get(`${IPFS_GATEWAY}${ipfsHash}`);
-    return response.data;
+    const client = await getLocalIPFSClient();
+    if (client) {
+      const chunks = [];
+      for await (const chunk of client.cat(ipfsHash)) {
+        chunks.push(chunk);
+      }
+      const text = new TextDecoder().decode(await new Blob(chunks).arrayBuffer());
+      data = JSON.parse(text);
+    } else {
+      const response = await axios.get(`${IPFS_GATEWAY}${ipfsHash}`);
+      data = response.data;
+    }
   } catch (error) {
     console.error('Error fetching from IPFS:', error);
-    if (IS_DEVELOPMENT) {
+    if (IS_DEVELOPMENT && !strict) {
       // Return mock data for development
       return {
         fullName: 'John Doe',
@@ -145,4 +264,15 @@ export const getFromIPFS = async (ipfsHash) => {
     }
     throw error;
   }
-}; 
\ No newline at end of file
+
+  if (!decrypt || !isEncryptedEnvelope(data) || !(await canConnectedWalletDecrypt(data))) {
+    return data;
+  }
+
+  try {
+    return await decryptIdentityEnvelope(data);
+  } catch (error) {
+    console.warn('Could not decrypt identity metadata:', error.message);
+    return data;
+  }
+};
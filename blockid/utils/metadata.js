@@ -0,0 +1,237 @@
+import { ethers } from 'ethers';
+import { uploadFileToIPFS, uploadJSONToIPFS } from './ipfs';
+import { computeIdentityHash, generateIdentitySalt } from './identity';
+import { encryptBytes, encryptMetadata, generateContentKey } from './encryption';
+import { computeAttributesRoot, generateAttributeSalts } from './disclosure';
+import { computeAgeCommitment, createAgeCommitment } from './age';
+
+// IPFS Gateway
+const IPFS_GATEWAY = process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs/';
+
+/**
+ * Identity metadata schema identifier and current version.
+ * Bump the version whenever fields are added, removed or change meaning.
+ *
+ * Version 1 fields:
+ * - schema, schemaVersion: identify the document format
+ * - name, description, image, attributes: ERC-721 metadata read by wallets through tokenURI
+ * - fullName, email, dateOfBirth, idType: identity attributes; additionalInfo is optional free text
+ * - photo: { cid, mimeType } of the uploaded photo; photoUrl is its gateway URL
+ * - walletAddress, uidTimestamp, uniqueIdentityHash: inputs and result of computeIdentityHash
+ * - createdAt: ISO timestamp of when the metadata was built
+ *
+ * Version 2 adds:
+ * - salt: random 32-byte hex mixed into uniqueIdentityHash so the on-chain hash is a hiding commitment
+ * - photo.encrypted, photo.iv: set when the photo bytes are AES-GCM encrypted with the identity's content key
+ *
+ * Version 3 adds:
+ * - photo.sha256: SHA-256 of the plaintext photo bytes (disclosed as the photoHash attribute)
+ * - attributeSalts, attributesRoot: per-attribute salts and the Merkle root committed on-chain for selective disclosure
+ *
+ * Version 4 adds:
+ * - ageCommitment: { seed, commitment } hash-chain commitment to dateOfBirth, committed as an attribute for age proofs
+ */
+export const IDENTITY_METADATA_SCHEMA = 'blockid.identity';
+export const IDENTITY_METADATA_VERSION = 4;
+
+const SUPPORTED_VERSIONS = [1, 2, 3, 4];
+
+const REQUIRED_FIELDS = ['fullName', 'idType', 'walletAddress', 'uidTimestamp', 'uniqueIdentityHash', 'createdAt'];
+
+/**
+ * Convert a data URL (as produced by FileReader.readAsDataURL) into a Blob
+ * @param {string} dataUrl - The data URL
+ * @returns {Blob} - Blob with the decoded bytes and MIME type
+ */
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.match(/data:(.*?);/)?.[1] || 'application/octet-stream';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+/**
+ * Build an identity metadata document following the current schema version
+ * @param {Object} fields - Identity fields (fullName, email, dateOfBirth, idType, walletAddress, uidTimestamp, uniqueIdentityHash, photoCid, photoMimeType)
+ * @returns {Object} - Metadata document ready for upload
+ */
+export const buildIdentityMetadata = (fields) => {
+  const photo = fields.photoCid
+    ? { cid: fields.photoCid, mimeType: fields.photoMimeType || null }
+    : null;
+  if (photo && fields.photoSha256) {
+    photo.sha256 = fields.photoSha256;
+  }
+  if (photo && fields.photoIv) {
+    photo.encrypted = true;
+    photo.iv = fields.photoIv;
+  }
+
+  // An encrypted photo can't be displayed from its gateway URL, so don't advertise one
+  const publicPhoto = photo && !photo.encrypted;
+
+  return {
+    schema: IDENTITY_METADATA_SCHEMA,
+    schemaVersion: IDENTITY_METADATA_VERSION,
+    name: `BlockID - ${fields.fullName}`,
+    description: 'Soulbound BlockID digital identity',
+    image: publicPhoto ? `ipfs://${photo.cid}` : null,
+    attributes: [
+      { trait_type: 'ID Type', value: fields.idType }
+    ],
+    fullName: fields.fullName,
+    email: fields.email || '',
+    dateOfBirth: fields.dateOfBirth || '',
+    idType: fields.idType,
+    additionalInfo: fields.additionalInfo || '',
+    photo,
+    photoUrl: publicPhoto ? `${IPFS_GATEWAY}${photo.cid}` : null,
+    walletAddress: fields.walletAddress,
+    uidTimestamp: fields.uidTimestamp,
+    uniqueIdentityHash: fields.uniqueIdentityHash,
+    salt: fields.salt,
+    attributeSalts: fields.attributeSalts,
+    attributesRoot: fields.attributesRoot,
+    createdAt: fields.createdAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Validate an identity metadata document against the schema
+ * @param {Object} metadata - Metadata document to check
+ * @returns {Object} - { valid, errors }
+ */
+export const validateIdentityMetadata = (metadata) => {
+  const errors = [];
+
+  if (!metadata || typeof metadata !== 'object') {
+    return { valid: false, errors: ['Metadata must be an object'] };
+  }
+
+  if (metadata.schema !== IDENTITY_METADATA_SCHEMA) {
+    errors.push(`Unknown schema: ${metadata.schema}`);
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(metadata.schemaVersion)) {
+    errors.push(`Unsupported schema version: ${metadata.schemaVersion}`);
+  }
+
+  if (metadata.schemaVersion >= 2 && !metadata.salt) {
+    errors.push('Missing required field: salt');
+  }
+
+  if (metadata.schemaVersion >= 3) {
+    if (!metadata.attributeSalts || !metadata.attributesRoot) {
+      errors.push('Missing required field: attributeSalts/attributesRoot');
+    } else if (computeAttributesRoot(metadata) !== metadata.attributesRoot) {
+      errors.push('attributesRoot does not match the identity attributes');
+    }
+  }
+
+  if (metadata.schemaVersion >= 4 && metadata.dateOfBirth) {
+    const { seed, commitment } = metadata.ageCommitment || {};
+    if (!seed || !commitment) {
+      errors.push('Missing required field: ageCommitment');
+    } else if (computeAgeCommitment(metadata.dateOfBirth, seed) !== commitment) {
+      errors.push('ageCommitment does not match dateOfBirth');
+    }
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!metadata[field]) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  });
+
+  if (metadata.uniqueIdentityHash && computeIdentityHash(metadata) !== metadata.uniqueIdentityHash) {
+    errors.push('uniqueIdentityHash does not match the identity fields');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Upload the photo and identity metadata to IPFS
+ * When encryptFor is given, the photo and metadata are encrypted with a fresh content key that is
+ * wrapped for each recipient, and only the encrypted envelope is uploaded.
+ * @param {Object} identity - Identity fields plus an optional photo (File, Blob or data URL)
+ * @param {Object} options - { encryptFor: Array<{ address, publicKey }> } recipients allowed to decrypt
+ * @returns {Promise<Object>} - { ipfsHash, ipfsUrl, metadata, encrypted } for the uploaded metadata
+ */
+export const uploadIdentityMetadata = async (identity, { encryptFor = null } = {}) => {
+  const { photo, ...fields } = identity;
+  const contentKey = encryptFor ? generateContentKey() : null;
+
+  // Step 1: upload the photo so the metadata can reference it by CID
+  let photoCid = fields.photoCid || null;
+  let photoMimeType = fields.photoMimeType || null;
+  let photoIv = fields.photoIv || null;
+  let photoSha256 = fields.photoSha256 || null;
+  if (photo) {
+    const photoBlob = typeof photo === 'string' ? dataUrlToBlob(photo) : photo;
+    const photoBytes = new Uint8Array(await photoBlob.arrayBuffer());
+    let photoFile = photoBlob instanceof File
+      ? photoBlob
+      : new File([photoBlob], 'identity-photo', { type: photoBlob.type });
+    photoSha256 = ethers.sha256(photoBytes);
+
+    if (contentKey) {
+      const { iv, ciphertext } = await encryptBytes(contentKey, photoBytes);
+      photoFile = new File([ethers.decodeBase64(ciphertext)], 'identity-photo.enc', {
+        type: 'application/octet-stream'
+      });
+      photoIv = iv;
+    } else {
+      photoIv = null;
+    }
+
+    const uploadedPhoto = await uploadFileToIPFS(photoFile);
+    photoCid = uploadedPhoto.ipfsHash;
+    photoMimeType = photoBlob.type || null;
+    console.log('Photo uploaded to IPFS:', photoCid);
+  } else if (photoIv && contentKey) {
+    // A previously encrypted photo was sealed with another identity's content key
+    throw new Error('An encrypted photo must be re-uploaded when the metadata is re-encrypted');
+  }
+
+  // Step 2: build the metadata. The salted hash and attributes root are always computed here,
+  // so callers must use metadata.uniqueIdentityHash and metadata.attributesRoot.
+  const uidTimestamp = fields.uidTimestamp || new Date().toISOString();
+  const salt = fields.salt || generateIdentitySalt();
+  const uniqueIdentityHash = computeIdentityHash({ ...fields, uidTimestamp, salt });
+
+  const metadata = buildIdentityMetadata({
+    ...fields,
+    uidTimestamp,
+    salt,
+    uniqueIdentityHash,
+    photoCid,
+    photoMimeType,
+    photoIv,
+    photoSha256
+  });
+
+  // Commit each attribute separately so the holder can later disclose a subset of them,
+  // including the date of birth as a hash chain for age proofs
+  if (metadata.dateOfBirth) {
+    metadata.ageCommitment = createAgeCommitment(metadata.dateOfBirth);
+  }
+  metadata.attributeSalts = fields.attributeSalts || generateAttributeSalts();
+  metadata.attributesRoot = computeAttributesRoot(metadata);
+
+  const { valid, errors } = validateIdentityMetadata(metadata);
+  if (!valid) {
+    throw new Error(`Invalid identity metadata: ${errors.join('; ')}`);
+  }
+
+  // Step 3: upload the metadata itself, or its encrypted envelope
+  const document = contentKey ? await encryptMetadata(metadata, encryptFor, contentKey) : metadata;
+  const { ipfsHash, ipfsUrl } = await uploadJSONToIPFS(document);
+  console.log(`Identity metadata${contentKey ? ' (encrypted)' : ''} uploaded to IPFS:`, ipfsHash);
+
+  return { ipfsHash, ipfsUrl, metadata, encrypted: !!contentKey };
+};
@@ -0,0 +1,72 @@
+import { ethers } from 'ethers';
+import { getWalletEncryptionKey } from './encryption';
+
+/**
+ * Wallet migration codes.
+ *
+ * Before an identity is moved, the receiving wallet signs in and creates a migration code: its
+ * address, its encryption public key and a signature over both. The holder pastes the code into
+ * the dashboard of the old wallet, which checks the signature (so the ID can't be sent to a wallet
+ * nobody controls or to a mistyped address) and re-shares the encrypted metadata with the new key.
+ */
+
+export const MIGRATION_CODE_TYPE = 'blockid.migration';
+export const MIGRATION_CODE_VERSION = 1;
+
+/**
+ * Message the receiving wallet signs to accept an identity
+ * @param {string} address - Receiving wallet address
+ * @param {string} publicKey - Its compressed encryption public key
+ * @returns {string} - The message to sign
+ */
+export const getMigrationConsentMessage = (address, publicKey) =>
+  `BlockID wallet migration\n\nI control this wallet and agree to receive a BlockID identity moved from another wallet.\n\nAddress: ${ethers.getAddress(address)}\nEncryption key: ${publicKey}\nVersion: ${MIGRATION_CODE_VERSION}`;
+
+/**
+ * Create a migration code for the receiving wallet
+ * @param {ethers.Signer} signer - Signer of the receiving wallet
+ * @returns {Promise<string>} - Migration code (JSON) to paste into the old wallet's dashboard
+ */
+export const createMigrationCode = async (signer) => {
+  const { address, publicKey } = await getWalletEncryptionKey(signer);
+  const signature = await signer.signMessage(getMigrationConsentMessage(address, publicKey));
+
+  return JSON.stringify({
+    type: MIGRATION_CODE_TYPE,
+    version: MIGRATION_CODE_VERSION,
+    address,
+    publicKey,
+    signature
+  });
+};
+
+/**
+ * Parse a migration code and check that the receiving wallet signed it
+ * @param {string|Object} input - Migration code
+ * @returns {Object} - { address, publicKey } of the receiving wallet
+ */
+export const parseMigrationCode = (input) => {
+  let code;
+  try {
+    code = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw new Error('Migration code is not valid JSON');
+  }
+
+  if (!code || code.type !== MIGRATION_CODE_TYPE) {
+    throw new Error('Not a BlockID migration code');
+  }
+  if (code.version !== MIGRATION_CODE_VERSION) {
+    throw new Error(`Unsupported migration code version: ${code.version}`);
+  }
+  if (!ethers.isAddress(code.address) || !code.publicKey || !code.signature) {
+    throw new Error('Migration code is incomplete');
+  }
+
+  const signer = ethers.verifyMessage(getMigrationConsentMessage(code.address, code.publicKey), code.signature);
+  if (signer.toLowerCase() !== code.address.toLowerCase()) {
+    throw new Error('Migration code was not signed by the wallet it names');
+  }
+
+  return { address: ethers.getAddress(code.address), publicKey: code.publicKey };
+};
@@ -0,0 +1,208 @@
+import { ethers } from 'ethers';
+import { encode as encodeCbor, decode as decodeCbor } from 'cborg';
+import { parseIdNumber } from './identity';
+
+/**
+ * Issuer-signed QR credentials that verify offline.
+ *
+ * The claims are a CBOR map with small integer keys, signed by the issuer with secp256k1 ECDSA over
+ * keccak256("BlockID QR v1" || claims). The envelope is the CBOR array [claims, signature] with a 64-byte
+ * compact (EIP-2098) signature, base45-encoded (RFC 9285) behind a "BID1:" prefix so it fits a QR code in
+ * alphanumeric mode. Verifiers trust only the pinned issuer keys below; the chain is an optional cross-check.
+ */
+
+export const QR_PREFIX = 'BID1:';
+export const QR_VERSION = 1;
+
+// How long a signed QR stays valid before the holder has to refresh it
+export const QR_VALIDITY_SECONDS = 30 * 24 * 60 * 60;
+
+const SIGNING_DOMAIN = ethers.toUtf8Bytes('BlockID QR v1');
+
+// CBOR map keys of the claims
+const CLAIM_KEYS = {
+  version: 1,
+  kid: 2,
+  chainId: 3,
+  contractAddress: 4,
+  idNumber: 5,
+  owner: 6,
+  idType: 7,
+  fullName: 8,
+  dateOfBirth: 9,
+  uniqueIdentityHash: 10,
+  issuedAt: 11,
+  validUntil: 12,
+  idExpiresAt: 13
+};
+
+// Claims stored as raw bytes rather than hex strings
+const BYTE_CLAIMS = ['contractAddress', 'owner', 'uniqueIdentityHash'];
+
+/**
+ * Issuer keys the verifier trusts, pinned at build time
+ * NEXT_PUBLIC_QR_ISSUER_KEYS holds comma-separated `kid:address[:name]` entries.
+ * @returns {Array<Object>} - { kid, address, name }
+ */
+export const getPinnedIssuers = () => (process.env.NEXT_PUBLIC_QR_ISSUER_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim().split(':'))
+  .filter(([kid, address]) => kid && ethers.isAddress(address || ''))
+  .map(([kid, address, name]) => ({ kid, address: ethers.getAddress(address), name: name || kid }));
+
+const BASE45_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * Encode bytes as base45 (RFC 9285)
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} - Base45 text
+ */
+const encodeBase45 = (bytes) => {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const value = bytes[i] * 256 + bytes[i + 1];
+      output += BASE45_CHARSET[value % 45] + BASE45_CHARSET[Math.floor(value / 45) % 45] + BASE45_CHARSET[Math.floor(value / 2025)];
+    } else {
+      output += BASE45_CHARSET[bytes[i] % 45] + BASE45_CHARSET[Math.floor(bytes[i] / 45)];
+    }
+  }
+  return output;
+};
+
+/**
+ * Decode base45 text (RFC 9285)
+ * @param {string} text - Base45 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+const decodeBase45 = (text) => {
+  const bytes = [];
+  for (let i = 0; i < text.length; i += 3) {
+    const chunk = text.slice(i, i + 3).split('').map(char => {
+      const index = BASE45_CHARSET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base45 character: ${char}`);
+      }
+      return index;
+    });
+    if (chunk.length === 1) {
+      throw new Error('Invalid base45 length');
+    }
+
+    const value = chunk[0] + chunk[1] * 45 + (chunk.length === 3 ? chunk[2] * 2025 : 0);
+    if (chunk.length === 3) {
+      if (value > 0xffff) throw new Error('Invalid base45 value');
+      bytes.push(value >> 8, value & 0xff);
+    } else {
+      if (value > 0xff) throw new Error('Invalid base45 value');
+      bytes.push(value);
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * Hash the encoded claims for signing
+ * @param {Uint8Array} claimsBytes - CBOR-encoded claims
+ * @returns {string} - Digest
+ */
+const getClaimsDigest = (claimsBytes) => ethers.keccak256(ethers.concat([SIGNING_DOMAIN, claimsBytes]));
+
+/**
+ * Encode and sign the claims of a QR credential (issuer side)
+ * @param {Object} claims - { kid, chainId, contractAddress, idNumber, owner, idType, fullName, dateOfBirth, uniqueIdentityHash, issuedAt, validUntil, idExpiresAt }
+ * @param {ethers.SigningKey} signingKey - Issuer key
+ * @returns {string} - QR text ("BID1:...")
+ */
+export const signQrCredential = (claims, signingKey) => {
+  const map = new Map();
+  map.set(CLAIM_KEYS.version, QR_VERSION);
+  for (const [name, key] of Object.entries(CLAIM_KEYS)) {
+    if (name === 'version' || claims[name] === undefined || claims[name] === null) continue;
+    map.set(key, BYTE_CLAIMS.includes(name) ? ethers.getBytes(claims[name]) : claims[name]);
+  }
+
+  const claimsBytes = encodeCbor(map);
+  const signature = signingKey.sign(getClaimsDigest(claimsBytes));
+  const envelope = encodeCbor([claimsBytes, ethers.getBytes(signature.compactSerialized)]);
+
+  return QR_PREFIX + encodeBase45(envelope);
+};
+
+/**
+ * Decode a QR credential and check its signature against the pinned issuers (no network access)
+ * @param {string} text - QR text ("BID1:...")
+ * @param {Array<Object>} issuers - Trusted issuers (defaults to the pinned list)
+ * @returns {Object} - { claims, issuer, signer, signatureValid, expired, idExpired }
+ */
+export const verifyQrCredential = (text, issuers = getPinnedIssuers()) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith(QR_PREFIX)) {
+    throw new Error('Not a BlockID QR credential');
+  }
+
+  const [claimsBytes, signature] = decodeCbor(decodeBase45(trimmed.slice(QR_PREFIX.length)));
+  if (!(claimsBytes instanceof Uint8Array) || !(signature instanceof Uint8Array) || signature.length !== 64) {
+    throw new Error('Malformed QR credential');
+  }
+
+  const map = decodeCbor(claimsBytes, { useMaps: true });
+  if (map.get(CLAIM_KEYS.version) !== QR_VERSION) {
+    throw new Error(`Unsupported QR credential version: ${map.get(CLAIM_KEYS.version)}`);
+  }
+
+  const claims = {};
+  for (const [name, key] of Object.entries(CLAIM_KEYS)) {
+    if (!map.has(key)) continue;
+    const value = map.get(key);
+    claims[name] = BYTE_CLAIMS.includes(name) ? ethers.hexlify(value) : value;
+  }
+  if (claims.owner) claims.owner = ethers.getAddress(claims.owner);
+  if (claims.contractAddress) claims.contractAddress = ethers.getAddress(claims.contractAddress);
+
+  const signer = ethers.recoverAddress(getClaimsDigest(claimsBytes), ethers.hexlify(signature));
+  const issuer = issuers.find(({ kid }) => kid === claims.kid) || null;
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    claims,
+    issuer,
+    signer,
+    signatureValid: !!issuer && issuer.address === signer,
+    expired: !!claims.validUntil && claims.validUntil <= now,
+    idExpired: !!claims.idExpiresAt && claims.idExpiresAt <= now
+  };
+};
+
+/**
+ * Get the QR credential stored for an ID on this device
+ * @param {string|number} idNumber - ID number
+ * @returns {string|null} - QR text or null
+ */
+export const getStoredQrCredential = (idNumber) => {
+  const number = parseIdNumber(idNumber);
+  if (!number || typeof window === 'undefined') return null;
+  return localStorage.getItem(`blockid_qr_${number}`);
+};
+
+/**
+ * Ask the issuer to sign a QR credential for the holder's ID and keep it on this device
+ * The request carries a disclosure proof of the holder's name and date of birth, which the
+ * issuer checks against the chain before signing.
+ * @param {Object} disclosure - Disclosure proof of fullName and dateOfBirth
+ * @returns {Promise<string>} - QR text
+ */
+export const requestQrCredential = async (disclosure) => {
+  const response = await fetch('/api/credentials/qr', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ disclosure })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `QR credential request failed (${response.status})`);
+  }
+
+  localStorage.setItem(`blockid_qr_${disclosure.idNumber}`, data.qr);
+  return data.qr;
+};
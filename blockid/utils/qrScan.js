@@ -0,0 +1,186 @@
+import { ethers } from 'ethers';
+import jsQR from 'jsqr';
+import { parseIdNumber } from './identity';
+import { QR_PREFIX } from './qrCredential';
+import { DISCLOSURE_PROOF_TYPE } from './disclosure';
+import { AGE_PROOF_TYPE } from './age';
+
+/**
+ * Reading BlockID QR codes from the camera, photos and downloaded PDFs.
+ *
+ * Decoding is done in the browser with jsQR, so nothing the verifier scans leaves the device.
+ * parseScannedPayload works out which verification method a scanned text belongs to.
+ */
+
+// Longest side an image is scaled down to before decoding; phone photos are much larger than needed
+const MAX_DECODE_SIZE = 1600;
+
+// Render scale for PDF pages (PDF points to pixels), high enough for the card's small QR code
+const PDF_RENDER_SCALE = 3;
+
+/**
+ * Give a 64-hex identity hash the lowercase 0x prefix verifyIDByHash expects
+ * @param {string} hash - Identity hash, with or without 0x
+ * @returns {string} - 0x-prefixed hash (other values are returned unchanged)
+ */
+const toPrefixedHash = (hash) => (/^(0x)?[0-9a-f]{64}$/i.test(hash) ? `0x${hash.slice(-64)}` : hash);
+
+/**
+ * Work out the verification method for a scanned or pasted text
+ * Verify URLs are read the same way as the verify page's own URL parameters (hash, then id, then address).
+ * @param {string} text - Decoded QR text
+ * @returns {Object|null} - { method, value }, or null if it isn't something BlockID can verify
+ */
+export const parseScannedPayload = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith(QR_PREFIX)) {
+    return { method: 'qr', value: trimmed };
+  }
+
+  if (trimmed.startsWith('{')) {
+    try {
+      const json = JSON.parse(trimmed);
+      if (json.type === DISCLOSURE_PROOF_TYPE) return { method: 'disclosure', value: trimmed };
+      if (json.type === AGE_PROOF_TYPE) return { method: 'age', value: trimmed };
+      if (Array.isArray(json.type) && (json.type.includes('VerifiableCredential') || json.type.includes('VerifiablePresentation'))) {
+        return { method: 'vc', value: trimmed };
+      }
+    } catch (error) {
+      console.warn('Scanned JSON could not be parsed:', error.message);
+    }
+    return null;
+  }
+
+  if (/^https?:\/\//i.test(trimmed)) {
+    try {
+      const params = new URL(trimmed).searchParams;
+      if (params.get('hash')) return { method: 'hash', value: toPrefixedHash(params.get('hash')) };
+      if (params.get('id')) return { method: 'id', value: params.get('id') };
+      if (params.get('address')) return { method: 'address', value: params.get('address') };
+    } catch (error) {
+      console.warn('Scanned URL could not be parsed:', error.message);
+    }
+    return null;
+  }
+
+  if (ethers.isAddress(trimmed)) {
+    return { method: 'address', value: trimmed };
+  }
+  if (/^(0x)?[0-9a-f]{64}$/i.test(trimmed)) {
+    return { method: 'hash', value: toPrefixedHash(trimmed) };
+  }
+  if (parseIdNumber(trimmed)) {
+    return { method: 'id', value: trimmed };
+  }
+  return null;
+};
+
+/**
+ * Decode a QR code from whatever is currently drawn on a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas holding a video frame or image
+ * @returns {string|null} - QR text, or null if no QR code was found
+ */
+export const decodeQrFromCanvas = (canvas) => {
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+  const result = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+  return result?.data || null;
+};
+
+/**
+ * Draw an image onto a new canvas, scaled so its longest side is at most maxSize
+ * @param {CanvasImageSource} source - Image to draw
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxSize - Longest side of the canvas
+ * @returns {HTMLCanvasElement} - Canvas with the image
+ */
+const drawScaled = (source, width, height, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  canvas.getContext('2d', { willReadFrequently: true }).drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Decode a QR code from a photo or screenshot
+ * @param {Blob} file - Image file
+ * @returns {Promise<string|null>} - QR text, or null if no QR code was found
+ */
+const readQrFromImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const text = decodeQrFromCanvas(drawScaled(bitmap, bitmap.width, bitmap.height, MAX_DECODE_SIZE));
+    if (text || Math.max(bitmap.width, bitmap.height) <= MAX_DECODE_SIZE) {
+      return text;
+    }
+    // A small QR code in a large photo can get lost when scaled down, so try again at twice the size
+    return decodeQrFromCanvas(drawScaled(bitmap, bitmap.width, bitmap.height, MAX_DECODE_SIZE * 2));
+  } finally {
+    bitmap.close();
+  }
+};
+
+/**
+ * Decode a QR code from a downloaded ID card PDF
+ * Each page is rendered and scanned. If no QR code is readable, the verify link printed under the
+ * card is used instead.
+ * @param {Blob} file - PDF file
+ * @returns {Promise<string|null>} - QR text or verify URL, or null if neither was found
+ */
+const readQrFromPdf = async (file) => {
+  const pdfjs = await import('pdfjs-dist/build/pdf');
+  // Runs the PDF parser on the main thread, which is fine for a one-page ID card
+  await import('pdfjs-dist/build/pdf.worker.entry');
+
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  let verifyUrl = null;
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d', { willReadFrequently: true }), viewport }).promise;
+
+      const text = decodeQrFromCanvas(canvas);
+      if (text) {
+        console.log(`Found QR code on page ${pageNumber} of the PDF`);
+        return text;
+      }
+
+      if (!verifyUrl) {
+        const content = await page.getTextContent();
+        const pageText = content.items.map(item => item.str).join('');
+        verifyUrl = pageText.match(/https?:\/\/\S+\/verify\?\S+/)?.[0] || null;
+      }
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  if (verifyUrl) {
+    console.log('No readable QR code in the PDF, using its verify link');
+  }
+  return verifyUrl;
+};
+
+/**
+ * Decode a QR code from an uploaded photo, screenshot or ID card PDF
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string|null>} - QR text, or null if no QR code was found
+ */
+export const readQrFromFile = async (file) => {
+  if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '')) {
+    return readQrFromPdf(file);
+  }
+  if (file.type && !file.type.startsWith('image/')) {
+    throw new Error('Upload a photo of the card or the downloaded ID card PDF');
+  }
+  return readQrFromImage(file);
+};
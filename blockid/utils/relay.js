@@ -0,0 +1,103 @@
+import { ethers } from 'ethers';
+
+/**
+ * Gasless ID requests.
+ *
+ * A wallet without ETH signs its request as EIP-712 typed data instead of sending a transaction.
+ * The relayer route (/api/relay/request-identity) checks the signature and submits it through
+ * requestIdentityBySig, paying the gas. The contract binds every signature to the requester's
+ * nonce and a deadline, so a signed request can be submitted once and only before it expires.
+ */
+
+// How long a signed request stays valid
+export const RELAY_DEADLINE_SECONDS = 30 * 60;
+
+// Longest deadline the relayer accepts, so signatures can't be hoarded for later
+export const RELAY_MAX_DEADLINE_SECONDS = 60 * 60;
+
+// EIP-712 type of a signed ID request (must match REQUEST_IDENTITY_TYPEHASH in BlockID.sol)
+export const REQUEST_IDENTITY_TYPES = {
+  RequestIdentity: [
+    { name: 'requester', type: 'address' },
+    { name: 'ipfsHash', type: 'string' },
+    { name: 'idType', type: 'string' },
+    { name: 'uniqueHash', type: 'bytes32' },
+    { name: 'attributesRoot', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Get the EIP-712 domain of a BlockID contract
+ * @param {string|number|bigint} chainId - Chain the contract is deployed on
+ * @param {string} verifyingContract - Contract address
+ * @returns {Object} - EIP-712 domain
+ */
+export const getRequestDomain = (chainId, verifyingContract) => ({
+  name: 'BlockID',
+  version: '1',
+  chainId: BigInt(chainId),
+  verifyingContract
+});
+
+/**
+ * Sign an ID request for the relayer
+ * @param {ethers.Signer} signer - The requester's wallet
+ * @param {ethers.Contract} contract - BlockID contract (used for the nonce, chain and address)
+ * @param {Object} request - { ipfsHash, idType, uniqueHash, attributesRoot }
+ * @returns {Promise<Object>} - Signed request: { requester, ipfsHash, idType, uniqueHash, attributesRoot, nonce, deadline, signature }
+ */
+export const signIdentityRequest = async (signer, contract, { ipfsHash, idType, uniqueHash, attributesRoot }) => {
+  const requester = await signer.getAddress();
+  const [nonce, network, verifyingContract] = await Promise.all([
+    contract.nonces(requester),
+    contract.runner.provider.getNetwork(),
+    contract.getAddress()
+  ]);
+
+  const message = {
+    requester,
+    ipfsHash,
+    idType,
+    uniqueHash,
+    attributesRoot: attributesRoot || ethers.ZeroHash,
+    nonce: nonce.toString(),
+    deadline: String(Math.floor(Date.now() / 1000) + RELAY_DEADLINE_SECONDS)
+  };
+
+  const signature = await signer.signTypedData(getRequestDomain(network.chainId, verifyingContract), REQUEST_IDENTITY_TYPES, message);
+
+  return { ...message, signature };
+};
+
+/**
+ * Recover the wallet that signed a request
+ * @param {Object} signed - Signed request from signIdentityRequest
+ * @param {string|number|bigint} chainId - Chain the contract is deployed on
+ * @param {string} verifyingContract - Contract address
+ * @returns {string} - Signer address
+ */
+export const recoverRequestSigner = (signed, chainId, verifyingContract) => {
+  const { signature, ...message } = signed;
+  return ethers.verifyTypedData(getRequestDomain(chainId, verifyingContract), REQUEST_IDENTITY_TYPES, message, signature);
+};
+
+/**
+ * Send a signed request to the relayer
+ * The caller must be signed in with the requesting wallet.
+ * @param {Object} signed - Signed request from signIdentityRequest
+ * @returns {Promise<Object>} - { transactionHash, requestId }
+ */
+export const submitRelayedRequest = async (signed) => {
+  const response = await fetch('/api/relay/request-identity', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(signed)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Relayer request failed (${response.status})`);
+  }
+  return data;
+};
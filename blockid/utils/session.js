@@ -0,0 +1,42 @@
+/**
+ * Identity claims carried in the NextAuth JWT.
+ * This module has no imports so the middleware (edge runtime) can use it; the claims
+ * themselves are loaded from the contract in the NextAuth route.
+ */
+
+// How often the JWT callback re-reads the claims from the contract
+export const CLAIMS_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Empty claims for a wallet with no identity and no roles
+ * @returns {Object} - { idNumber, idValid, roles }
+ */
+export const emptyClaims = () => ({
+  idNumber: 0,
+  idValid: false,
+  roles: {
+    isOwner: false,
+    isAdmin: false,
+    isIssuer: false,
+    isVerifier: false,
+    isAuditor: false
+  }
+});
+
+/**
+ * Check whether the roles in a session may open the admin panel
+ * Owners, admins, issuers and auditors can open it, matching the admin page.
+ * @param {Object} roles - Role flags from the token or session
+ * @returns {boolean} - True if the admin panel is allowed
+ */
+export const hasPanelAccess = (roles) =>
+  !!roles && !!(roles.isOwner || roles.isAdmin || roles.isIssuer || roles.isAuditor);
+
+/**
+ * Check whether a token's claims are due for a refresh
+ * @param {Object} token - NextAuth JWT
+ * @param {number} now - Current time in ms
+ * @returns {boolean} - True if the claims are missing or older than CLAIMS_REFRESH_MS
+ */
+export const claimsNeedRefresh = (token, now = Date.now()) =>
+  !token.claimsRefreshedAt || now - token.claimsRefreshedAt > CLAIMS_REFRESH_MS;
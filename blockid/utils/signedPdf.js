@@ -0,0 +1,162 @@
+import { ethers } from 'ethers';
+import { getIdentity, getNetworkChainId, getContractAddress } from './blockchain';
+import { getFromIPFS } from './ipfs';
+import { parseIdNumber, formatIdNumber } from './identity';
+import { createDisclosureProof, parseDisclosureProof } from './disclosure';
+
+/**
+ * Tamper-evident ID card PDFs.
+ *
+ * The exported PDF carries the card's claims (on-chain references plus a disclosure proof of the
+ * holder's details) as base64 JSON in its XMP metadata. The holder's wallet then signs the keccak256
+ * hash of the finished file, and the signature is appended after %%EOF as a PDF comment, the way
+ * PDF signatures cover a byte range. Changing any byte of the file, claims included, breaks the signature.
+ */
+
+export const SIGNED_PDF_TYPE = 'blockid.signedcard';
+export const SIGNED_PDF_VERSION = 1;
+
+// XMP namespace the claims are stored under
+export const SIGNED_PDF_NAMESPACE = 'urn:blockid:signed-card#';
+
+const SIGNATURE_MARKER = '%BlockID-Signature:';
+
+// Holder details proven in the PDF, when the ID has salts for them
+const PROVEN_ATTRIBUTES = ['fullName', 'dateOfBirth', 'idType'];
+
+/**
+ * Read a PDF's bytes as a string with one character per byte, so string offsets are byte offsets
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {string} - Latin-1 text
+ */
+const bytesToLatin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+
+/**
+ * Collect the claims to embed in a holder's ID card PDF
+ * The on-chain references are read from the contract, not from the card, and the holder's name,
+ * date of birth and ID type are proven against the attributes root when the metadata can be decrypted.
+ * @param {Object} idData - The card being exported (idNumber, fullName, blockchainTxnHash)
+ * @returns {Promise<Object>} - Claims for the PDF metadata
+ */
+export const createCardClaims = async (idData) => {
+  const idNumber = parseIdNumber(idData.idNumber);
+  if (!idNumber) {
+    throw new Error('Only IDs issued on the blockchain can be exported as a signed PDF');
+  }
+
+  const [onChain, chainId] = await Promise.all([getIdentity(idNumber), getNetworkChainId()]);
+  const contractAddress = getContractAddress();
+
+  let metadata = null;
+  let disclosure = null;
+  try {
+    metadata = await getFromIPFS(onChain.ipfsHash, { strict: true });
+    if (metadata?.attributeSalts && metadata.attributesRoot === onChain.attributesRoot) {
+      const fields = PROVEN_ATTRIBUTES.filter(key => metadata.attributeSalts[key]);
+      disclosure = createDisclosureProof(metadata, fields, { idNumber, chainId, contractAddress });
+    }
+  } catch (error) {
+    console.warn("Could not load ID metadata, the PDF will not prove the holder's details:", error);
+  }
+
+  return {
+    type: SIGNED_PDF_TYPE,
+    version: SIGNED_PDF_VERSION,
+    idNumber,
+    chainId: chainId.toString(),
+    contractAddress,
+    owner: onChain.owner,
+    idType: onChain.idType,
+    uniqueIdentityHash: onChain.uniqueIdentityHash,
+    expiresAt: onChain.expiresAt ? onChain.expiresAt.toISOString() : null,
+    transactionHash: idData.blockchainTxnHash || null,
+    fullName: metadata?.fullName || idData.fullName || null,
+    exportedAt: new Date().toISOString(),
+    disclosure
+  };
+};
+
+/**
+ * Encode claims for jsPDF's addMetadata (base64, so no XML escaping is needed)
+ * @param {Object} claims - Claims from createCardClaims
+ * @returns {string} - Metadata value
+ */
+export const encodeCardClaims = (claims) => ethers.encodeBase64(ethers.toUtf8Bytes(JSON.stringify(claims)));
+
+/**
+ * Get the message the holder signs for a PDF
+ * It is readable so the wallet shows what is being signed; the document hash covers everything else.
+ * @param {Object} claims - Claims embedded in the PDF
+ * @param {string} documentHash - keccak256 of the unsigned PDF
+ * @returns {string} - Message to sign
+ */
+const getSigningMessage = (claims, documentHash) => [
+  'BlockID signed ID card',
+  `ID: ${formatIdNumber(claims.idNumber)}`,
+  `Holder: ${claims.owner}`,
+  `Document: ${documentHash}`
+].join('\n');
+
+/**
+ * Sign a finished PDF with the holder's wallet
+ * @param {Uint8Array} pdfBytes - PDF with the claims in its metadata
+ * @param {Object} claims - The embedded claims
+ * @param {ethers.Signer} signer - The holder's wallet
+ * @returns {Promise<Uint8Array>} - Signed PDF
+ */
+export const signPdfDocument = async (pdfBytes, claims, signer) => {
+  const documentHash = ethers.keccak256(pdfBytes);
+  const signature = await signer.signMessage(getSigningMessage(claims, documentHash));
+
+  return ethers.getBytes(ethers.concat([pdfBytes, ethers.toUtf8Bytes(`\n${SIGNATURE_MARKER}${signature}\n`)]));
+};
+
+/**
+ * Read the claims and signature of a signed PDF and recover who signed it (no network access)
+ * @param {Uint8Array} bytes - Signed PDF
+ * @returns {Object} - { claims, documentHash, signer }
+ */
+export const parseSignedPdf = (bytes) => {
+  const text = bytesToLatin1(bytes);
+  const markerIndex = text.lastIndexOf(`\n${SIGNATURE_MARKER}`);
+  if (markerIndex === -1) {
+    throw new Error('This PDF has no BlockID signature');
+  }
+
+  const signature = text.slice(markerIndex + SIGNATURE_MARKER.length + 1).trim();
+  if (!ethers.isHexString(signature, 65)) {
+    throw new Error('The PDF signature is malformed');
+  }
+
+  // Only claims inside the signed bytes count
+  const signedBytes = bytes.slice(0, markerIndex);
+  const signedText = text.slice(0, markerIndex);
+  const prefix = `xmlns:jspdf="${SIGNED_PDF_NAMESPACE}"><jspdf:metadata>`;
+  const start = signedText.indexOf(prefix);
+  const end = start === -1 ? -1 : signedText.indexOf('</jspdf:metadata>', start);
+  if (end === -1) {
+    throw new Error('The PDF does not contain BlockID claims');
+  }
+
+  const claims = JSON.parse(ethers.toUtf8String(ethers.decodeBase64(signedText.slice(start + prefix.length, end))));
+  if (claims.type !== SIGNED_PDF_TYPE) {
+    throw new Error('The PDF does not contain BlockID claims');
+  }
+  if (claims.version !== SIGNED_PDF_VERSION) {
+    throw new Error(`Unsupported signed PDF version: ${claims.version}`);
+  }
+  if (!parseIdNumber(claims.idNumber) || !ethers.isAddress(claims.owner)) {
+    throw new Error('The PDF claims must name an ID and its holder');
+  }
+  if (claims.disclosure) {
+    parseDisclosureProof(claims.disclosure);
+    if (Number(claims.disclosure.idNumber) !== Number(claims.idNumber)) {
+      throw new Error('The proof in the PDF is for a different ID');
+    }
+  }
+
+  const documentHash = ethers.keccak256(signedBytes);
+  const signer = ethers.verifyMessage(getSigningMessage(claims, documentHash), signature);
+
+  return { claims, documentHash, signer };
+};
@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+
+/**
+ * Sign-In with Ethereum (EIP-4361) messages.
+ *
+ * The server hands out a single-use nonce, the wallet signs a structured message that names
+ * the site, chain, nonce and validity window, and the NextAuth credentials provider checks
+ * every field before accepting the signature. A captured signature is useless once its nonce
+ * has been consumed or its expiry has passed.
+ */
+
+export const SIWE_VERSION = '1';
+export const SIWE_STATEMENT = 'Sign in to BlockID. This request will not trigger a blockchain transaction or cost any gas fees.';
+
+// How long a signed message stays acceptable
+export const SIWE_MESSAGE_TTL_MS = 5 * 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} params - { domain, address, statement (null for none), uri, chainId, nonce, issuedAt, expirationTime }
+ * @returns {string} - The message text to sign
+ */
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement = SIWE_STATEMENT,
+  uri,
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime = new Date(Date.parse(issuedAt) + SIWE_MESSAGE_TTL_MS).toISOString()
+}) => {
+  if (!domain || !address || !uri || !chainId || !nonce) {
+    throw new Error('SIWE message requires domain, address, uri, chainId and nonce');
+  }
+
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    '',
+    ...(statement ? [statement] : []),
+    '',
+    `URI: ${uri}`,
+    `Version: ${SIWE_VERSION}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 message back into its fields
+ * @param {string} message - The signed message text
+ * @returns {Object} - { domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore }
+ */
+export const parseSiweMessage = (message) => {
+  const lines = String(message || '').split('\n');
+
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Not a Sign-In with Ethereum message');
+  }
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: ethers.getAddress(lines[1]),
+    statement: null
+  };
+
+  // The statement is optional and sits between two blank lines, which remain when it is left out
+  let index = 3;
+  if (lines[2] === '' && lines[3] === '') {
+    index = 4;
+  } else if (lines[2] === '' && lines[3] !== undefined && !lines[3].startsWith('URI: ')) {
+    parsed.statement = lines[3];
+    index = 5;
+  }
+
+  for (; index < lines.length; index++) {
+    const separator = lines[index].indexOf(': ');
+    const field = FIELDS[lines[index].slice(0, separator)];
+    if (separator === -1 || !field) {
+      throw new Error(`Unexpected line in SIWE message: ${lines[index]}`);
+    }
+    parsed[field] = lines[index].slice(separator + 2);
+  }
+
+  if (!parsed.uri || !parsed.version || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+    throw new Error('SIWE message is missing required fields');
+  }
+
+  return parsed;
+};
+
+/**
+ * Check the fields of a parsed message against what the server expects
+ * The nonce and signature are checked separately by the caller.
+ * @param {Object} fields - Parsed message from parseSiweMessage
+ * @param {Object} expected - { domain, chainId }
+ * @param {Date} now - Time to check the validity window against
+ * @returns {string|null} - Reason the message is unacceptable, or null if it is fine
+ */
+export const validateSiweFields = (fields, { domain, chainId }, now = new Date()) => {
+  if (fields.version !== SIWE_VERSION) {
+    return `Unsupported SIWE version: ${fields.version}`;
+  }
+  if (!domain) {
+    return 'No sign-in domain is configured';
+  }
+  if (fields.domain !== domain) {
+    return `Message is for ${fields.domain}, not ${domain}`;
+  }
+  if (fields.chainId !== chainId.toString()) {
+    return `Message is for chain ${fields.chainId}, not ${chainId}`;
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt > now.getTime() + 60 * 1000) {
+    return 'Message issue time is invalid';
+  }
+  // Without an expiry, fall back to the default lifetime so no message is valid forever
+  const expiresAt = fields.expirationTime ? Date.parse(fields.expirationTime) : issuedAt + SIWE_MESSAGE_TTL_MS;
+  if (Number.isNaN(expiresAt) || expiresAt <= now.getTime()) {
+    return 'Message has expired';
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now.getTime()) {
+    return 'Message is not valid yet';
+  }
+
+  return null;
+};
@@ -0,0 +1,50 @@
+import { ethers } from 'ethers';
+import { SIWE_MESSAGE_TTL_MS } from './siwe';
+
+/**
+ * Server-side store of Sign-In with Ethereum nonces.
+ * Nonces are kept in memory on globalThis so the nonce route and the NextAuth route share one
+ * store even when Next bundles them separately. This works for a single server process; a
+ * deployment with several instances needs a shared store (e.g. Redis) behind the same functions.
+ */
+
+const store = globalThis.__blockidSiweNonces || (globalThis.__blockidSiweNonces = new Map());
+
+/**
+ * Drop nonces that were never used before they expired
+ */
+const pruneExpired = () => {
+  const now = Date.now();
+  for (const [nonce, expiresAt] of store) {
+    if (expiresAt <= now) {
+      store.delete(nonce);
+    }
+  }
+};
+
+/**
+ * Issue a new nonce
+ * @returns {string} - Alphanumeric nonce (EIP-4361 requires at least 8 characters)
+ */
+export const issueNonce = () => {
+  pruneExpired();
+
+  const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+  store.set(nonce, Date.now() + SIWE_MESSAGE_TTL_MS);
+  return nonce;
+};
+
+/**
+ * Consume a nonce; each nonce is accepted at most once
+ * @param {string} nonce - Nonce from the signed message
+ * @returns {boolean} - True if the nonce was issued here, unused and unexpired
+ */
+export const consumeNonce = (nonce) => {
+  const expiresAt = store.get(nonce);
+  if (expiresAt === undefined) {
+    return false;
+  }
+
+  store.delete(nonce);
+  return expiresAt > Date.now();
+};
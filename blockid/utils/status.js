@@ -0,0 +1,59 @@
+/**
+ * Identity lifecycle statuses and the reason codes recorded with each status change.
+ * The contract stores the status as an enum and the reason as a uint8; these tables give them names.
+ */
+
+export const IDENTITY_STATUS = {
+  ACTIVE: 0,
+  SUSPENDED: 1,
+  REVOKED: 2
+};
+
+const STATUS_NAMES = {
+  [IDENTITY_STATUS.ACTIVE]: 'active',
+  [IDENTITY_STATUS.SUSPENDED]: 'suspended',
+  [IDENTITY_STATUS.REVOKED]: 'revoked'
+};
+
+// Reason codes for suspensions and revocations (0 means no reason was given)
+export const STATUS_REASONS = {
+  1: 'Fraudulent or misrepresented details',
+  2: 'Issued in error',
+  3: 'Wallet compromised',
+  4: 'Requested by the holder',
+  5: 'Superseded by a new ID',
+  6: 'Under investigation',
+  7: 'Policy violation',
+  8: 'Holder deceased'
+};
+
+/**
+ * Get the name of a status
+ * @param {number|bigint} status - Status enum value
+ * @returns {string} - active, suspended, revoked or unknown
+ */
+export const getStatusName = (status) => STATUS_NAMES[Number(status)] || 'unknown';
+
+/**
+ * Get the description of a reason code
+ * @param {number|bigint} reason - Reason code
+ * @returns {string} - Description of the reason
+ */
+export const getReasonLabel = (reason) => {
+  const code = Number(reason);
+  if (!code) return 'No reason given';
+  return STATUS_REASONS[code] || `Reason code ${code}`;
+};
+
+/**
+ * Convert a getIdentityStatus result into a plain object
+ * @param {Array} result - Raw contract result (status, reason, changedAt, changedBy)
+ * @returns {Object} - { status, reason, reasonLabel, changedAt, changedBy }
+ */
+export const parseIdentityStatus = ([status, reason, changedAt, changedBy]) => ({
+  status: getStatusName(status),
+  reason: Number(reason),
+  reasonLabel: getReasonLabel(reason),
+  changedAt: Number(changedAt) > 0 ? new Date(Number(changedAt) * 1000).toISOString() : null,
+  changedBy: Number(changedAt) > 0 ? changedBy : null
+});
@@ -0,0 +1,325 @@
+import { ethers } from 'ethers';
+import { formatIdNumber, parseIdNumber } from './identity';
+
+/**
+ * W3C Verifiable Credentials for BlockID identities.
+ *
+ * The issuer is an admin wallet, named by its did:pkh, and signs the credential as EIP-712 typed
+ * data (EthereumEip712Signature2021). The holder can wrap it in a Verifiable Presentation signed the
+ * same way by their own did:pkh, over a challenge and domain the verifier supplies so it can't be
+ * replayed to another verifier or session. Verifiers always check against the types below and never
+ * the ones carried in the proof, so a proof can't narrow what the signature covers.
+ */
+
+export const VC_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://w3id.org/security/suites/eip712sig-2021/v1'
+];
+export const CREDENTIAL_TYPE = 'BlockIDCredential';
+export const CREDENTIAL_STATUS_TYPE = 'BlockIDContractStatus';
+export const VC_PROOF_TYPE = 'EthereumEip712Signature2021';
+
+// How long a credential stays valid (capped at the ID's own expiry); its live status is on-chain
+export const VC_VALIDITY_SECONDS = 365 * 24 * 60 * 60;
+
+const CREDENTIAL_FIELDS = [
+  { name: '@context', type: 'string[]' },
+  { name: 'type', type: 'string[]' },
+  { name: 'id', type: 'string' },
+  { name: 'issuer', type: 'string' },
+  { name: 'issuanceDate', type: 'string' },
+  { name: 'expirationDate', type: 'string' },
+  { name: 'credentialSubject', type: 'CredentialSubject' },
+  { name: 'credentialStatus', type: 'CredentialStatus' }
+];
+
+const SHARED_TYPES = {
+  CredentialSubject: [
+    { name: 'id', type: 'string' },
+    { name: 'idNumber', type: 'string' },
+    { name: 'name', type: 'string' },
+    { name: 'dateOfBirth', type: 'string' },
+    { name: 'idType', type: 'string' },
+    { name: 'uniqueIdentityHash', type: 'string' }
+  ],
+  CredentialStatus: [
+    { name: 'id', type: 'string' },
+    { name: 'type', type: 'string' },
+    { name: 'chainId', type: 'string' },
+    { name: 'contractAddress', type: 'string' },
+    { name: 'idNumber', type: 'string' }
+  ]
+};
+
+// EIP-712 types of a credential
+export const CREDENTIAL_TYPES = {
+  VerifiableCredential: CREDENTIAL_FIELDS,
+  ...SHARED_TYPES
+};
+
+// EIP-712 types of a presentation; the credentials are signed again including their proofs, and
+// the verifier's challenge and domain (carried in the proof) are signed with them
+export const PRESENTATION_TYPES = {
+  VerifiablePresentation: [
+    { name: '@context', type: 'string[]' },
+    { name: 'type', type: 'string[]' },
+    { name: 'holder', type: 'string' },
+    { name: 'verifiableCredential', type: 'PresentedCredential[]' },
+    { name: 'challenge', type: 'string' },
+    { name: 'domain', type: 'string' }
+  ],
+  PresentedCredential: [...CREDENTIAL_FIELDS, { name: 'proof', type: 'CredentialProof' }],
+  CredentialProof: [
+    { name: 'type', type: 'string' },
+    { name: 'created', type: 'string' },
+    { name: 'proofPurpose', type: 'string' },
+    { name: 'verificationMethod', type: 'string' },
+    { name: 'proofValue', type: 'string' }
+  ],
+  ...SHARED_TYPES
+};
+
+/**
+ * Create a challenge for a holder to sign into their presentation
+ * @returns {string} - Random 16-byte hex string
+ */
+export const createPresentationChallenge = () => ethers.hexlify(ethers.randomBytes(16));
+
+/**
+ * Get the did:pkh of a wallet
+ * @param {string|number|bigint} chainId - Chain the wallet is used on
+ * @param {string} address - Wallet address
+ * @returns {string} - did:pkh:eip155:<chainId>:<address>
+ */
+export const toPkhDid = (chainId, address) => `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+
+/**
+ * Parse a did:pkh for an Ethereum wallet
+ * @param {string} did - DID, optionally with a #fragment
+ * @returns {Object|null} - { chainId, address }, or null if it isn't an eip155 did:pkh
+ */
+export const parsePkhDid = (did) => {
+  const match = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})(#.*)?$/.exec(did || '');
+  return match ? { chainId: match[1], address: ethers.getAddress(match[2]) } : null;
+};
+
+/**
+ * Get the EIP-712 domain credentials and presentations are signed under
+ * @param {string|number|bigint} chainId - Chain of the identity
+ * @returns {Object} - EIP-712 domain
+ */
+const getCredentialDomain = (chainId) => ({
+  name: 'BlockID Credential',
+  version: '1',
+  chainId: BigInt(chainId)
+});
+
+/**
+ * Build the EIP712 proof object
+ * @param {string} did - Signer's DID
+ * @param {string} proofPurpose - assertionMethod (issuer) or authentication (holder)
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - EIP-712 types
+ * @param {string} primaryType - Top-level type
+ * @param {string} proofValue - Signature
+ * @returns {Object} - Proof
+ */
+const buildProof = (did, proofPurpose, domain, types, primaryType, proofValue) => ({
+  type: VC_PROOF_TYPE,
+  created: new Date().toISOString(),
+  proofPurpose,
+  verificationMethod: `${did}#blockchainAccountId`,
+  proofValue,
+  eip712: {
+    domain: { ...domain, chainId: Number(domain.chainId) },
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' }
+      ],
+      ...types
+    },
+    primaryType
+  }
+});
+
+/**
+ * Build an unsigned credential for an on-chain identity
+ * @param {Object} fields - { issuer, chainId, contractAddress, idNumber, owner, fullName, dateOfBirth, idType, uniqueIdentityHash, expiresAt }
+ * @returns {Object} - Credential without a proof
+ */
+export const buildIdentityCredential = ({ issuer, chainId, contractAddress, idNumber, owner, fullName, dateOfBirth, idType, uniqueIdentityHash, expiresAt }) => {
+  const now = new Date();
+  const validUntil = new Date(now.getTime() + VC_VALIDITY_SECONDS * 1000);
+  const expirationDate = expiresAt && new Date(expiresAt) < validUntil ? new Date(expiresAt) : validUntil;
+  const formattedId = formatIdNumber(idNumber);
+
+  return {
+    '@context': VC_CONTEXT,
+    type: ['VerifiableCredential', CREDENTIAL_TYPE],
+    id: `urn:uuid:${ethers.uuidV4(ethers.randomBytes(16))}`,
+    issuer: toPkhDid(chainId, issuer),
+    issuanceDate: now.toISOString(),
+    expirationDate: expirationDate.toISOString(),
+    credentialSubject: {
+      id: toPkhDid(chainId, owner),
+      idNumber: formattedId,
+      name: fullName,
+      dateOfBirth,
+      idType,
+      uniqueIdentityHash
+    },
+    credentialStatus: {
+      id: `eip155:${chainId}:${ethers.getAddress(contractAddress)}#${formattedId}`,
+      type: CREDENTIAL_STATUS_TYPE,
+      chainId: chainId.toString(),
+      contractAddress: ethers.getAddress(contractAddress),
+      idNumber: formattedId
+    }
+  };
+};
+
+/**
+ * Sign a credential as its issuer
+ * @param {Object} credential - Credential from buildIdentityCredential
+ * @param {ethers.Signer} signer - Issuer wallet (must match credential.issuer)
+ * @returns {Promise<Object>} - Credential with its proof
+ */
+export const signCredential = async (credential, signer) => {
+  const domain = getCredentialDomain(credential.credentialStatus.chainId);
+  const signature = await signer.signTypedData(domain, CREDENTIAL_TYPES, credential);
+  return {
+    ...credential,
+    proof: buildProof(credential.issuer, 'assertionMethod', domain, CREDENTIAL_TYPES, 'VerifiableCredential', signature)
+  };
+};
+
+/**
+ * Wrap a credential in a presentation signed by its holder
+ * @param {Object} credential - Signed credential
+ * @param {ethers.Signer} signer - Holder wallet (must match the credential subject)
+ * @param {Object} options - { challenge, domain } given by the verifier the presentation is for
+ * @returns {Promise<Object>} - Verifiable Presentation
+ */
+export const createPresentation = async (credential, signer, { challenge, domain } = {}) => {
+  if (!challenge || !domain) {
+    throw new Error("A presentation needs the verifier's challenge and domain");
+  }
+  const chainId = credential.credentialStatus.chainId;
+  const presentation = {
+    '@context': VC_CONTEXT,
+    type: ['VerifiablePresentation'],
+    holder: toPkhDid(chainId, await signer.getAddress()),
+    verifiableCredential: [credential]
+  };
+
+  const typedDataDomain = getCredentialDomain(chainId);
+  const signature = await signer.signTypedData(typedDataDomain, PRESENTATION_TYPES, { ...presentation, challenge, domain });
+  return {
+    ...presentation,
+    proof: {
+      ...buildProof(presentation.holder, 'authentication', typedDataDomain, PRESENTATION_TYPES, 'VerifiablePresentation', signature),
+      challenge,
+      domain
+    }
+  };
+};
+
+/**
+ * Check the shape of a credential
+ * @param {Object} credential - Credential
+ */
+const checkCredentialShape = (credential) => {
+  if (!credential?.type?.includes('VerifiableCredential') || !credential.type.includes(CREDENTIAL_TYPE)) {
+    throw new Error('Not a BlockID verifiable credential');
+  }
+  if (credential.proof?.type !== VC_PROOF_TYPE) {
+    throw new Error(`Unsupported credential proof type: ${credential.proof?.type || 'none'}`);
+  }
+  if (credential.credentialStatus?.type !== CREDENTIAL_STATUS_TYPE || !parseIdNumber(credential.credentialStatus.idNumber)) {
+    throw new Error('Credential has no BlockID status entry');
+  }
+  if (!parsePkhDid(credential.issuer) || !parsePkhDid(credential.credentialSubject?.id)) {
+    throw new Error('Credential issuer and subject must be did:pkh wallets');
+  }
+};
+
+/**
+ * Parse a pasted or uploaded credential or presentation
+ * @param {string|Object} input - VC or VP JSON
+ * @returns {Object} - { credential, presentation } (presentation is null for a bare credential)
+ */
+export const parseCredentialInput = (input) => {
+  const json = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (json?.type?.includes('VerifiablePresentation')) {
+    const credentials = Array.isArray(json.verifiableCredential) ? json.verifiableCredential : [json.verifiableCredential];
+    if (credentials.length !== 1 || !credentials[0]) {
+      throw new Error('The presentation must contain exactly one BlockID credential');
+    }
+    checkCredentialShape(credentials[0]);
+    if (json.proof && json.proof.type !== VC_PROOF_TYPE) {
+      throw new Error(`Unsupported presentation proof type: ${json.proof.type}`);
+    }
+    return { credential: credentials[0], presentation: json };
+  }
+
+  checkCredentialShape(json);
+  return { credential: json, presentation: null };
+};
+
+/**
+ * Check a credential's issuer signature (no network access)
+ * @param {Object} credential - Signed credential
+ * @returns {Object} - { issuer, signer, valid }
+ */
+export const verifyCredentialProof = (credential) => {
+  const { proof, ...unsigned } = credential;
+  const issuer = parsePkhDid(credential.issuer).address;
+  const signer = ethers.verifyTypedData(
+    getCredentialDomain(credential.credentialStatus.chainId),
+    CREDENTIAL_TYPES,
+    unsigned,
+    proof.proofValue
+  );
+  return { issuer, signer, valid: signer === issuer && parsePkhDid(proof.verificationMethod)?.address === issuer };
+};
+
+/**
+ * Check a presentation's holder signature (no network access)
+ * The challenge and domain are read from the proof; the caller compares them with its own.
+ * @param {Object} presentation - Signed presentation
+ * @param {Object} credential - The credential it presents (from parseCredentialInput)
+ * @returns {Object} - { holder, signer, valid, challenge, domain }
+ */
+export const verifyPresentationProof = (presentation, credential) => {
+  const { proof, ...unsigned } = presentation;
+  const holder = parsePkhDid(presentation.holder)?.address || null;
+  const signer = ethers.verifyTypedData(
+    getCredentialDomain(credential.credentialStatus.chainId),
+    PRESENTATION_TYPES,
+    { ...unsigned, verifiableCredential: [credential], challenge: proof.challenge, domain: proof.domain },
+    proof.proofValue
+  );
+  return { holder, signer, valid: !!holder && signer === holder, challenge: proof.challenge, domain: proof.domain };
+};
+
+/**
+ * Ask the issuer for a verifiable credential of the holder's ID
+ * Like the offline QR, the request carries a disclosure proof of the holder's name and date of birth.
+ * @param {Object} disclosure - Disclosure proof of fullName and dateOfBirth
+ * @returns {Promise<Object>} - Signed credential
+ */
+export const requestVerifiableCredential = async (disclosure) => {
+  const response = await fetch('/api/credentials/vc', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ disclosure })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Credential request failed (${response.status})`);
+  }
+  return data.credential;
+};
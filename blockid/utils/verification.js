@@ -1,270 +1,857 @@
-// Verification helper functions
-import { ethers } from 'ethers';
+// Verification engine - resolves identities on-chain first
+import { getContractReadOnly, getContractAddress } from './blockchain';
+import { getFromIPFS } from './ipfs';
+import { isEncryptedEnvelope } from './encryption';
+import { computeIdentityHash, parseIdNumber, formatIdNumber } from './identity';
+import { parseDisclosureProof, checkDisclosedAttributes } from './disclosure';
+import { parseAgeProof, checkAgeProof } from './age';
+import { parseIdentityStatus } from './status';
+import { verifyQrCredential } from './qrCredential';
+import { parseSignedPdf } from './signedPdf';
+import { parseCredentialInput, parsePkhDid, verifyCredentialProof, verifyPresentationProof } from './verifiableCredential';
+
+// Block the contract was deployed at, used as the lower bound for event queries
+const DEPLOY_BLOCK = parseInt(process.env.NEXT_PUBLIC_CONTRACT_DEPLOY_BLOCK || '0');
+
+/**
+ * Possible verification verdicts
+ * Only VALID means the identity was verified, against the blockchain or (source 'signed_qr') against a
+ * pinned issuer's signature.
+ * OFFLINE is returned when the chain could not be reached and cached data is shown instead.
+ */
+export const VERDICT = {
+  VALID: 'valid',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  SUSPENDED: 'suspended',
+  UNKNOWN: 'unknown',
+  TAMPERED: 'tampered',
+  OFFLINE: 'offline'
+};
+
+const VERDICT_MESSAGES = {
+  [VERDICT.VALID]: 'Identity is registered on-chain, active, and its metadata matches the on-chain hash.',
+  [VERDICT.EXPIRED]: 'Identity is registered on-chain but has expired.',
+  [VERDICT.REVOKED]: 'Identity was revoked on-chain.',
+  [VERDICT.SUSPENDED]: 'Identity is suspended on-chain and is not valid until it is reinstated.',
+  [VERDICT.UNKNOWN]: 'No identity matching these details is registered on-chain.',
+  [VERDICT.TAMPERED]: 'Identity metadata does not match the hash stored on-chain. The data may have been tampered with.',
+  [VERDICT.OFFLINE]: 'Blockchain unavailable. Showing locally cached data only - this identity has NOT been verified.'
+};
+
+/**
+ * Build a structured verdict object
+ * @param {string} status - One of VERDICT
+ * @param {Object} details - Identity, evidence and optional message override
+ * @returns {Object} Verdict
+ */
+const buildVerdict = (status, { idNumber = null, identity = null, evidence = {}, source = 'blockchain', message } = {}) => ({
+  status,
+  verified: status === VERDICT.VALID,
+  source,
+  idNumber: idNumber ? formatIdNumber(idNumber) : null,
+  identity,
+  evidence,
+  message: message || VERDICT_MESSAGES[status],
+  checkedAt: new Date().toISOString()
+});
+
+/**
+ * Get a read-only contract, failing if only the development mock is available
+ * @returns {Promise<ethers.Contract>} BlockID contract instance
+ */
+const getVerificationContract = async () => {
+  const contract = await getContractReadOnly();
+  if (!contract || typeof contract.getIdentity !== 'function') {
+    throw new Error('Blockchain contract is not reachable');
+  }
+  return contract;
+};
+
+/**
+ * Find the transaction that made an identity's last status change
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {number} idNumber - The ID number to check
+ * @param {string} eventName - IdentityRevoked or IdentitySuspended
+ * @returns {Promise<Object|null>} - { txHash, blockNumber } or null if not found
+ */
+const findStatusTransaction = async (contract, idNumber, eventName) => {
+  try {
+    const events = await contract.queryFilter(contract.filters[eventName](idNumber), DEPLOY_BLOCK);
+    if (events.length === 0) return null;
+
+    const event = events[events.length - 1];
+    return { txHash: event.transactionHash, blockNumber: event.blockNumber };
+  } catch (error) {
+    console.warn(`Could not query ${eventName} events:`, error);
+    return null;
+  }
+};
+
+/**
+ * Fetch IPFS metadata and check it against the on-chain identity hash
+ * @param {string} ipfsHash - CID of the identity metadata
+ * @param {string} onChainHash - uniqueIdentityHash stored on-chain
+ * @returns {Promise<Object>} Metadata (if fetched) and integrity evidence
+ */
+const checkMetadataIntegrity = async (ipfsHash, onChainHash) => {
+  let metadata = null;
+  try {
+    metadata = await getFromIPFS(ipfsHash, { strict: true });
+  } catch (error) {
+    console.warn('Could not fetch identity metadata from IPFS:', error);
+    return { metadata: null, integrity: { metadataFetched: false, hashCheck: 'unavailable' } };
+  }
+
+  // Encrypted metadata is only readable by its recipients; anyone else just sees the envelope
+  const encrypted = isEncryptedEnvelope(metadata) || !!metadata?.encrypted;
+  if (isEncryptedEnvelope(metadata)) {
+    return {
+      metadata: null,
+      integrity: { metadataFetched: true, encrypted, hashCheck: 'unavailable', computedHash: null }
+    };
+  }
+
+  const computedHash = computeIdentityHash(metadata);
+  if (!computedHash) {
+    return {
+      metadata,
+      integrity: { metadataFetched: true, encrypted, hashCheck: 'unavailable', computedHash: null }
+    };
+  }
+
+  return {
+    metadata,
+    integrity: {
+      metadataFetched: true,
+      encrypted,
+      hashCheck: computedHash.toLowerCase() === onChainHash.toLowerCase() ? 'match' : 'mismatch',
+      computedHash
+    }
+  };
+};
+
+/**
+ * Look up a cached card in localStorage for the offline fallback
+ * Cached data is never treated as verified.
+ * @param {string} idNumber - Formatted ID number
+ * @param {string} walletAddress - Wallet address
+ * @returns {Object|null} Cached card and the key it was found under
+ */
+const findCachedCard = (idNumber, walletAddress) => {
+  if (typeof window === 'undefined') return null;
+
+  const matches = (card) => card && (
+    (idNumber && card.idNumber === idNumber) ||
+    (walletAddress && card.walletAddress?.toLowerCase() === walletAddress.toLowerCase())
+  );
+
+  try {
+    const mainCard = JSON.parse(localStorage.getItem('blockid_card') || 'null');
+    if (matches(mainCard)) return { card: mainCard, cacheKey: 'blockid_card' };
+
+    const wallets = JSON.parse(localStorage.getItem('blockid_wallets') || '{}');
+    const walletCard = Object.values(wallets).find(matches);
+    if (walletCard) return { card: walletCard, cacheKey: 'blockid_wallets' };
+
+    const allIds = JSON.parse(localStorage.getItem('blockid_all_ids') || '{}');
+    if (idNumber && matches(allIds[idNumber])) return { card: allIds[idNumber], cacheKey: 'blockid_all_ids' };
+  } catch (error) {
+    console.warn('Error reading cached ID cards:', error);
+  }
+
+  return null;
+};
+
+/**
+ * Build the offline fallback verdict
+ * @param {number|null} idNumber - ID number if known
+ * @param {string} walletAddress - Wallet address if known
+ * @param {Error} chainError - The error that prevented on-chain verification
+ * @returns {Object} Verdict with status OFFLINE
+ */
+const offlineVerdict = (idNumber, walletAddress, chainError) => {
+  const cached = findCachedCard(idNumber ? formatIdNumber(idNumber) : null, walletAddress);
+  return buildVerdict(VERDICT.OFFLINE, {
+    idNumber,
+    identity: cached ? cached.card : null,
+    source: 'offline_cache',
+    evidence: {
+      chainError: chainError.message,
+      cacheKey: cached ? cached.cacheKey : null
+    },
+    message: cached
+      ? VERDICT_MESSAGES[VERDICT.OFFLINE]
+      : 'Blockchain unavailable and no cached copy of this ID was found. The identity could not be verified.'
+  });
+};
+
+/**
+ * Verify an on-chain identity by its ID number
+ * @param {ethers.Contract} contract - BlockID contract instance
+ * @param {number} idNumber - The ID number to verify
+ * @returns {Promise<Object>} Verdict
+ */
+const verifyOnChain = async (contract, idNumber) => {
+  const network = await contract.runner.provider.getNetwork();
+  const evidence = {
+    contractAddress: getContractAddress(),
+    chainId: network.chainId.toString(),
+    idNumber
+  };
+
+  let onChain;
+  try {
+    onChain = await contract.getIdentity(idNumber);
+  } catch (error) {
+    // getIdentity only reverts for IDs that were never issued; revoked IDs keep their record
+    const reason = error.reason || error.message || '';
+    if (!reason.includes('identity does not exist')) {
+      throw error;
+    }
+    return buildVerdict(VERDICT.UNKNOWN, { idNumber, evidence });
+  }
+
+  const identity = {
+    idNumber: formatIdNumber(idNumber),
+    owner: onChain[0],
+    walletAddress: onChain[0],
+    ipfsHash: onChain[1],
+    createdAt: new Date(Number(onChain[2]) * 1000).toISOString(),
+    expiresAt: onChain[3] > 0n ? new Date(Number(onChain[3]) * 1000).toISOString() : null,
+    isVerified: onChain[4],
+    idType: onChain[5],
+    uniqueIdentityHash: onChain[6],
+    attributesRoot: onChain[7]
+  };
+
+  evidence.owner = identity.owner;
+  evidence.ipfsHash = identity.ipfsHash;
+  evidence.onChainHash = identity.uniqueIdentityHash;
+  evidence.expiresAt = identity.expiresAt;
+  evidence.isVerified = identity.isVerified;
+  evidence.isIdentityValid = await contract.isIdentityValid(idNumber);
+
+  // Suspended and revoked IDs are reported with their reason, without fetching the metadata
+  const status = parseIdentityStatus(await contract.getIdentityStatus(idNumber));
+  evidence.status = status.status;
+
+  if (status.status === 'revoked' || status.status === 'suspended') {
+    const revoked = status.status === 'revoked';
+    const statusChange = {
+      reason: status.reason,
+      reasonLabel: status.reasonLabel,
+      [revoked ? 'revokedAt' : 'suspendedAt']: status.changedAt,
+      [revoked ? 'revokedBy' : 'suspendedBy']: status.changedBy,
+      ...await findStatusTransaction(contract, idNumber, revoked ? 'IdentityRevoked' : 'IdentitySuspended')
+    };
+    evidence[revoked ? 'revocation' : 'suspension'] = statusChange;
+
+    const date = status.changedAt.split('T')[0];
+    return buildVerdict(revoked ? VERDICT.REVOKED : VERDICT.SUSPENDED, {
+      idNumber,
+      identity,
+      evidence,
+      message: revoked
+        ? `Identity was revoked on ${date} for reason: ${status.reasonLabel}.`
+        : `Identity has been suspended since ${date} for reason: ${status.reasonLabel}. It is not valid until reinstated.`
+    });
+  }
+
+  const { metadata, integrity } = await checkMetadataIntegrity(identity.ipfsHash, identity.uniqueIdentityHash);
+  Object.assign(evidence, integrity);
+
+  // Metadata is shown alongside the on-chain record, never in place of it
+  const fullIdentity = metadata ? { ...metadata, ...identity } : identity;
+
+  if (integrity.hashCheck === 'mismatch') {
+    return buildVerdict(VERDICT.TAMPERED, { idNumber, identity: fullIdentity, evidence });
+  }
+
+  if (identity.expiresAt && new Date(identity.expiresAt) <= new Date()) {
+    return buildVerdict(VERDICT.EXPIRED, { idNumber, identity: fullIdentity, evidence });
+  }
+
+  if (!evidence.isIdentityValid) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      idNumber,
+      identity: fullIdentity,
+      evidence,
+      message: 'Identity is registered on-chain but has not been verified.'
+    });
+  }
+
+  // The on-chain record is valid either way, but don't claim a metadata check that never ran
+  if (integrity.hashCheck !== 'match') {
+    return buildVerdict(VERDICT.VALID, {
+      idNumber,
+      identity: fullIdentity,
+      evidence,
+      message: integrity.encrypted
+        ? 'Identity is registered on-chain and active. Its metadata is encrypted, so it was not checked against the on-chain hash.'
+        : 'Identity is registered on-chain and active, but its metadata could not be checked against the on-chain hash.'
+    });
+  }
+
+  return buildVerdict(VERDICT.VALID, { idNumber, identity: fullIdentity, evidence });
+};
 
 /**
- * Enhanced verification for ID cards with robust storage checking
- * @param {string} idNumber - ID number (with or without BID- prefix)
+ * Verify an identity by ID number and/or wallet address
+ * The blockchain is the only source of a positive verdict. Local caches are
+ * consulted only when the chain is unreachable and are labelled as such.
+ * @param {string|number} idNumber - ID number (with or without BID- prefix)
  * @param {string} walletAddress - Optional wallet address
- * @returns {Promise<Object>} Verification result with status and identity data
+ * @returns {Promise<Object>} Verdict with status, evidence and identity data
  */
 export const verifyID = async (idNumber, walletAddress) => {
   console.log("Verifying ID:", { idNumber, walletAddress });
-  
+
+  let numericId = idNumber ? parseIdNumber(idNumber) : null;
+  if (idNumber && !numericId) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: idNumber },
+      message: `"${idNumber}" is not a valid BlockID number.`
+    });
+  }
+
+  let contract;
   try {
-    // Normalize ID number format with or without prefix
-    const normalizedId = idNumber ? 
-      (idNumber.startsWith('BID-') ? idNumber : `BID-${idNumber}`) : null;
-    
-    // Check all possible storage locations
-    const storageChecks = [
-      // 1. Check main card storage
-      checkMainCardStorage(normalizedId, walletAddress),
-      
-      // 2. Check wallet-specific storage
-      checkWalletStorage(normalizedId, walletAddress),
-      
-      // 3. Check all_ids collection
-      checkAllIdsStorage(normalizedId),
-      
-      // 4. Check any other ID storage
-      checkAnyIdStorage(normalizedId, walletAddress)
-    ];
-    
-    // Run all checks in parallel
-    const results = await Promise.all(storageChecks);
-    
-    // Find first successful verification
-    const success = results.find(result => result.success);
-    if (success) {
-      return success;
+    contract = await getVerificationContract();
+  } catch (error) {
+    console.warn("On-chain verification unavailable, using offline fallback:", error);
+    return offlineVerdict(numericId, walletAddress, error);
+  }
+
+  try {
+    if (!numericId && walletAddress) {
+      numericId = Number(await contract.getIdentityByOwner(walletAddress));
+      if (!numericId) {
+        return buildVerdict(VERDICT.UNKNOWN, {
+          evidence: { walletAddress },
+          message: 'No identity is registered on-chain for this wallet.'
+        });
+      }
+    }
+
+    if (!numericId) {
+      return buildVerdict(VERDICT.UNKNOWN, { message: 'An ID number or wallet address is required.' });
+    }
+
+    const verdict = await verifyOnChain(contract, numericId);
+
+    // An ID presented together with a wallet must belong to that wallet
+    if (walletAddress && verdict.evidence.owner &&
+        verdict.evidence.owner.toLowerCase() !== walletAddress.toLowerCase()) {
+      return buildVerdict(VERDICT.TAMPERED, {
+        idNumber: numericId,
+        identity: verdict.identity,
+        evidence: { ...verdict.evidence, presentedWallet: walletAddress },
+        message: 'This ID is registered on-chain to a different wallet than the one presented.'
+      });
     }
-    
-    // Fall back to mock verification
-    return createMockVerification(normalizedId, walletAddress);
+
+    return verdict;
   } catch (error) {
     console.error("Verification error:", error);
-    return {
-      success: false,
-      verified: false,
-      message: `Error during verification: ${error.message}`,
-      error
-    };
+    return offlineVerdict(numericId, walletAddress, error);
   }
 };
 
 /**
- * Check main blockid_card storage
+ * Verify an identity by its unique identity hash
+ * @param {string} uniqueHash - bytes32 identity hash
+ * @returns {Promise<Object>} Verdict with status, evidence and identity data
  */
-const checkMainCardStorage = async (idNumber, walletAddress) => {
+export const verifyIDByHash = async (uniqueHash) => {
+  if (!uniqueHash || !/^0x[0-9a-fA-F]{64}$/.test(uniqueHash)) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: uniqueHash },
+      message: 'A 32-byte hex identity hash (0x...) is required.'
+    });
+  }
+
+  let contract;
   try {
-    const cardData = localStorage.getItem('blockid_card');
-    if (!cardData) return { success: false };
-    
-    const card = JSON.parse(cardData);
-    if (!card) return { success: false };
-    
-    // Check if this matches our search criteria
-    if ((idNumber && card.idNumber === idNumber) || 
-        (walletAddress && card.walletAddress === walletAddress)) {
-      console.log("ID verified from main card storage");
-      return {
-        success: true,
-        verified: true,
-        identity: card,
-        source: "main_card",
-        message: "ID verified successfully from main storage"
-      };
+    contract = await getVerificationContract();
+  } catch (error) {
+    return offlineVerdict(null, null, error);
+  }
+
+  try {
+    const idNumber = Number(await contract.getIdentityByHash(uniqueHash));
+    if (!idNumber) {
+      return buildVerdict(VERDICT.UNKNOWN, {
+        evidence: { uniqueHash },
+        message: 'This hash is not registered to any identity on-chain.'
+      });
     }
-    
-    return { success: false };
+
+    return await verifyOnChain(contract, idNumber);
   } catch (error) {
-    console.warn("Error checking main card storage:", error);
-    return { success: false, error };
+    console.error("Hash verification error:", error);
+    return offlineVerdict(null, null, error);
   }
 };
 
 /**
- * Check wallet-specific storage
+ * Verify a holder-generated proof against the identity it names on-chain
+ * The identity goes through the normal on-chain checks, then `check` tests the proof against
+ * the on-chain attributes root. A failed check turns the verdict into TAMPERED.
+ * @param {Object} proof - Parsed proof with idNumber, chainId and contractAddress
+ * @param {Function} check - (identity) => { evidence, disclosed, valid, message }
+ * @returns {Promise<Object>} Verdict
  */
-const checkWalletStorage = async (idNumber, walletAddress) => {
-  if (!walletAddress) return { success: false };
-  
+const verifyCommittedProof = async (proof, check) => {
+  let contract;
   try {
-    // Check blockid_wallets first (newer format)
-    const walletsData = localStorage.getItem('blockid_wallets');
-    if (walletsData) {
-      const wallets = JSON.parse(walletsData);
-      if (wallets && wallets[walletAddress]) {
-        const card = wallets[walletAddress];
-        if (!idNumber || card.idNumber === idNumber) {
-          console.log("ID verified from wallets collection");
-          return {
-            success: true,
-            verified: true,
-            identity: card,
-            source: "wallets_collection",
-            message: "ID verified successfully from wallet storage"
-          };
-        }
-      }
+    contract = await getVerificationContract();
+  } catch (error) {
+    // Proofs can only be trusted against the on-chain root, so there is no offline fallback
+    return buildVerdict(VERDICT.OFFLINE, {
+      idNumber: proof.idNumber,
+      source: 'offline_cache',
+      evidence: { chainError: error.message },
+      message: 'Blockchain unavailable. The proof could not be checked.'
+    });
+  }
+
+  try {
+    const verdict = await verifyOnChain(contract, proof.idNumber);
+    const { evidence } = verdict;
+
+    if (proof.contractAddress?.toLowerCase() !== evidence.contractAddress?.toLowerCase() ||
+        (evidence.chainId && proof.chainId !== evidence.chainId)) {
+      return buildVerdict(VERDICT.UNKNOWN, {
+        idNumber: proof.idNumber,
+        evidence: { ...evidence, proofChainId: proof.chainId, proofContract: proof.contractAddress },
+        message: 'This proof was issued for a different network or contract.'
+      });
     }
-    
-    // Check legacy format
-    const legacyKey = `blockIdCard_${walletAddress}`;
-    const legacyData = localStorage.getItem(legacyKey);
-    if (legacyData) {
-      const card = JSON.parse(legacyData);
-      if (!idNumber || card.idNumber === idNumber) {
-        console.log("ID verified from legacy wallet storage");
-        return {
-          success: true,
-          verified: true,
-          identity: card,
-          source: "legacy_wallet",
-          message: "ID verified successfully from legacy wallet storage"
-        };
-      }
+
+    if (!verdict.identity) {
+      return verdict;
     }
-    
-    return { success: false };
+
+    let result;
+    try {
+      result = check(verdict.identity);
+    } catch (error) {
+      // A proof that can't even be hashed was altered or corrupted; it says nothing about the chain
+      return buildVerdict(VERDICT.TAMPERED, {
+        idNumber: proof.idNumber,
+        identity: verdict.identity,
+        evidence: { ...evidence, proofError: error.message },
+        message: 'The proof is malformed and could not be checked against the on-chain record.'
+      });
+    }
+    Object.assign(evidence, result.evidence);
+
+    // Only what the proof establishes is shown, on top of the on-chain record
+    const identity = { ...verdict.identity, ...result.disclosed };
+
+    if (!result.valid) {
+      return buildVerdict(VERDICT.TAMPERED, { idNumber: proof.idNumber, identity, evidence, message: result.message });
+    }
+
+    return {
+      ...verdict,
+      identity,
+      evidence,
+      message: verdict.verified && result.message ? result.message : verdict.message
+    };
   } catch (error) {
-    console.warn("Error checking wallet storage:", error);
-    return { success: false, error };
+    console.error("Proof verification error:", error);
+    return buildVerdict(VERDICT.OFFLINE, {
+      idNumber: proof.idNumber,
+      source: 'offline_cache',
+      evidence: { chainError: error.message },
+      message: 'Blockchain unavailable. The proof could not be checked.'
+    });
   }
 };
 
 /**
- * Check all_ids collection
+ * Verify a selective disclosure proof against the identity's on-chain attributes root
+ * @param {string|Object} input - Disclosure proof JSON (from the holder's dashboard)
+ * @returns {Promise<Object>} Verdict whose evidence.disclosure lists the checked attributes
  */
-const checkAllIdsStorage = async (idNumber) => {
-  if (!idNumber) return { success: false };
-  
+export const verifyDisclosure = async (input) => {
+  let disclosure;
   try {
-    const allIdsData = localStorage.getItem('blockid_all_ids');
-    if (!allIdsData) return { success: false };
-    
-    const allIds = JSON.parse(allIdsData);
-    if (allIds && allIds[idNumber]) {
-      console.log(`ID verified from all_ids storage: ${idNumber}`);
-      return {
-        success: true,
-        verified: true,
-        identity: allIds[idNumber],
-        source: "all_ids",
-        message: "ID verified successfully from all_ids storage"
-      };
-    }
-    
-    return { success: false };
+    disclosure = parseDisclosureProof(input);
+  } catch (error) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: typeof input === 'string' ? input.substring(0, 80) : null },
+      message: `Invalid disclosure proof: ${error.message}`
+    });
+  }
+
+  return verifyCommittedProof(disclosure, (identity) => {
+    const attributes = checkDisclosedAttributes(disclosure, identity.attributesRoot);
+    const allValid = attributes.every(attribute => attribute.valid);
+
+    return {
+      evidence: { disclosure: { attributesRoot: identity.attributesRoot, attributes, allValid } },
+      disclosed: Object.fromEntries(
+        attributes.filter(attribute => attribute.valid).map(attribute => [attribute.key, attribute.value])
+      ),
+      valid: allValid,
+      message: allValid ? null : 'One or more disclosed attributes do not match the attributes committed on-chain.'
+    };
+  });
+};
+
+/**
+ * Verify an "over N years old" proof against the identity's on-chain age commitment
+ * The verifier learns only that the holder was at least N on the proof's date, not the date of birth.
+ * @param {string|Object} input - Age proof JSON (from the holder's dashboard)
+ * @returns {Promise<Object>} Verdict whose evidence.ageProof holds the result
+ */
+export const verifyAgeProof = async (input) => {
+  let proof;
+  try {
+    proof = parseAgeProof(input);
   } catch (error) {
-    console.warn("Error checking all_ids storage:", error);
-    return { success: false, error };
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: typeof input === 'string' ? input.substring(0, 80) : null },
+      message: `Invalid age proof: ${error.message}`
+    });
   }
+
+  return verifyCommittedProof(proof, (identity) => {
+    const result = checkAgeProof(proof, identity.attributesRoot);
+
+    return {
+      evidence: { ageProof: { minAge: proof.minAge, asOf: proof.asOf, ...result } },
+      disclosed: {},
+      valid: result.valid,
+      message: result.valid
+        ? `Holder of this valid on-chain identity was at least ${proof.minAge} years old on ${proof.asOf}.`
+        : `Age proof rejected: ${result.error}.`
+    };
+  });
 };
 
 /**
- * Check any localStorage for IDs
+ * Verify an issuer-signed QR credential
+ * The signature is checked offline against the pinned issuer keys. With crossCheck the ID is also
+ * verified on-chain, and a revoked, suspended or re-bound ID overrides the signed claims.
+ * @param {string} input - QR text ("BID1:...")
+ * @param {Object} options - { crossCheck }
+ * @returns {Promise<Object>} Verdict whose evidence.qr describes the signature
  */
-const checkAnyIdStorage = async (idNumber, walletAddress) => {
+export const verifySignedQr = async (input, { crossCheck = false } = {}) => {
+  let result;
   try {
-    // Don't bother scanning all of localStorage if we don't have search criteria
-    if (!idNumber && !walletAddress) return { success: false };
-    
-    // This is a more expensive operation, so we'll only do it if we have criteria
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (!key || !key.includes('blockid') && !key.includes('BlockID')) continue;
-      
-      try {
-        const data = JSON.parse(localStorage.getItem(key));
-        if (!data) continue;
-        
-        if ((idNumber && data.idNumber === idNumber) || 
-            (walletAddress && data.walletAddress === walletAddress)) {
-          console.log(`ID verified from localStorage key: ${key}`);
-          return {
-            success: true,
-            verified: true,
-            identity: data,
-            source: "localstorage_scan",
-            message: "ID verified successfully from general localStorage scan"
-          };
-        }
-      } catch (parseError) {
-        // Skip non-JSON items
-        continue;
+    result = verifyQrCredential(input);
+  } catch (error) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: typeof input === 'string' ? input.substring(0, 80) : null },
+      message: `Invalid QR credential: ${error.message}`
+    });
+  }
+
+  const { claims, issuer } = result;
+  const identity = {
+    idNumber: formatIdNumber(claims.idNumber),
+    owner: claims.owner,
+    walletAddress: claims.owner,
+    fullName: claims.fullName,
+    dateOfBirth: claims.dateOfBirth,
+    idType: claims.idType,
+    uniqueIdentityHash: claims.uniqueIdentityHash,
+    expiresAt: claims.idExpiresAt ? new Date(claims.idExpiresAt * 1000).toISOString() : null
+  };
+  const evidence = {
+    qr: {
+      kid: claims.kid,
+      issuer: issuer?.name || null,
+      signer: result.signer,
+      signatureValid: result.signatureValid,
+      signedAt: new Date(claims.issuedAt * 1000).toISOString(),
+      validUntil: claims.validUntil ? new Date(claims.validUntil * 1000).toISOString() : null,
+      chainId: String(claims.chainId),
+      contractAddress: claims.contractAddress
+    }
+  };
+  const options = { idNumber: claims.idNumber, identity, evidence, source: 'signed_qr' };
+
+  if (!issuer) {
+    return buildVerdict(VERDICT.UNKNOWN, { ...options, message: `QR credential was signed by an issuer this verifier does not trust (${claims.kid}).` });
+  }
+  if (!result.signatureValid) {
+    return buildVerdict(VERDICT.TAMPERED, { ...options, message: 'QR credential signature does not match the issuer key. The contents may have been altered.' });
+  }
+
+  if (crossCheck && claims.contractAddress?.toLowerCase() !== getContractAddress().toLowerCase()) {
+    return buildVerdict(VERDICT.UNKNOWN, { ...options, message: 'This QR credential was issued for a different network or contract.' });
+  }
+
+  if (crossCheck) {
+    const onChain = await verifyID(claims.idNumber);
+    if (onChain.status !== VERDICT.OFFLINE) {
+      Object.assign(evidence, onChain.evidence, { qr: evidence.qr });
+
+      if (onChain.evidence.owner && onChain.evidence.owner.toLowerCase() !== claims.owner.toLowerCase()) {
+        return buildVerdict(VERDICT.TAMPERED, {
+          ...options,
+          source: 'blockchain',
+          message: 'This ID has moved to a different wallet since the QR credential was signed. Ask the holder for a new one.'
+        });
       }
+      // The chain has the final say on status; the signed name and date of birth stay on top
+      return { ...onChain, identity: { ...onChain.identity, ...identity }, evidence };
     }
-    
-    return { success: false };
-  } catch (error) {
-    console.warn("Error during localStorage scan:", error);
-    return { success: false, error };
+    evidence.chainError = onChain.evidence.chainError;
+  }
+
+  if (result.idExpired) {
+    return buildVerdict(VERDICT.EXPIRED, options);
+  }
+  if (result.expired) {
+    return buildVerdict(VERDICT.EXPIRED, {
+      ...options,
+      message: `This QR credential expired on ${evidence.qr.validUntil.split('T')[0]}. Check the ID online or ask the holder for a new one.`
+    });
   }
+
+  return buildVerdict(VERDICT.VALID, {
+    ...options,
+    message: `Signed by ${issuer.name} on ${evidence.qr.signedAt.split('T')[0]}. Checked offline; ` +
+      (crossCheck ? 'the blockchain could not be reached to confirm its current status.' : 'its current on-chain status was not checked.')
+  });
 };
 
 /**
- * Create a mock verification with realistic data
+ * Verify a signed ID card PDF exported from the holder's dashboard
+ * The file's hash must carry the holder's signature, and the embedded claims are then checked
+ * against the chain: the signer must still own the ID, the identity hash must match, and any
+ * proven details must match the on-chain attributes root.
+ * @param {File|Blob|ArrayBuffer|Uint8Array} input - The PDF
+ * @returns {Promise<Object>} Verdict whose evidence.pdf describes the signature
  */
-const createMockVerification = async (idNumber, walletAddress) => {
-  // Only create mock for valid-looking ID numbers
-  if (!idNumber || (!idNumber.startsWith('BID-') && isNaN(parseInt(idNumber)))) {
-    return { 
-      success: false,
-      verified: false,
-      message: "ID not found and couldn't be verified" 
-    };
+export const verifySignedPdf = async (input) => {
+  let parsed;
+  try {
+    const bytes = input instanceof Uint8Array
+      ? input
+      : new Uint8Array(input instanceof ArrayBuffer ? input : await input.arrayBuffer());
+    parsed = parseSignedPdf(bytes);
+  } catch (error) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: input?.name || null },
+      message: `Invalid signed PDF: ${error.message}`
+    });
   }
-  
-  console.log("Creating mock verification for demo purposes");
-  
-  // Normalize ID format
-  const normalizedId = idNumber.startsWith('BID-') ? idNumber : `BID-${idNumber}`;
-  
-  // Generate hash in proper format
-  const uniqueHash = ethers.keccak256(
-    ethers.toUtf8Bytes(`${normalizedId}_${walletAddress || "demo"}`)
-  );
-  
-  // Create mock transaction hash
-  const txHash = "0x" + Array(64).fill(0).map(() => 
-    Math.floor(Math.random() * 16).toString(16)).join('');
-  
-  // Create a complete mock identity that looks realistic
-  const mockIdentity = {
-    idNumber: normalizedId,
-    walletAddress: walletAddress || "0x0000000000000000000000000000000000000000",
-    fullName: "Verified ID Holder",
-    email: "verified@example.com",
-    dateOfBirth: "2000-01-01",
-    age: "23",
-    dateOfIssue: new Date(Date.now() - 30*24*60*60*1000).toISOString(),
-    expiryDate: new Date(Date.now() + 10*365*24*60*60*1000).toISOString(),
-    uniqueIdentityHash: uniqueHash,
-    blockchainTxnHash: txHash,
-    isMinted: true,
-    isVerified: true,
-    photoUrl: "/images/default-user.png",
-    role: "Personal ID",
-    organization: "Sepolia Network Authority"
+
+  const { claims, documentHash, signer } = parsed;
+  const pdfEvidence = {
+    documentHash,
+    signer,
+    holder: claims.owner,
+    signatureValid: signer.toLowerCase() === claims.owner.toLowerCase(),
+    exportedAt: claims.exportedAt,
+    transactionHash: claims.transactionHash
   };
-  
-  // Save this mock identity for future verification
+
+  if (!pdfEvidence.signatureValid) {
+    return buildVerdict(VERDICT.TAMPERED, {
+      idNumber: claims.idNumber,
+      evidence: { pdf: pdfEvidence },
+      message: 'The PDF was changed after it was signed, or was not signed by the ID holder.'
+    });
+  }
+
+  return verifyCommittedProof(claims, (identity) => {
+    const evidence = { pdf: pdfEvidence };
+
+    if (identity.owner.toLowerCase() !== signer.toLowerCase()) {
+      return {
+        evidence,
+        disclosed: {},
+        valid: false,
+        message: 'This ID has moved to a different wallet since the PDF was signed. Ask the holder for a new one.'
+      };
+    }
+    if (identity.uniqueIdentityHash.toLowerCase() !== claims.uniqueIdentityHash?.toLowerCase()) {
+      return {
+        evidence,
+        disclosed: {},
+        valid: false,
+        message: 'The identity hash in the PDF does not match the one stored on-chain.'
+      };
+    }
+
+    // Without a disclosure proof only the on-chain record is shown, not the name printed on the card
+    let disclosed = {};
+    if (claims.disclosure) {
+      const attributes = checkDisclosedAttributes(claims.disclosure, identity.attributesRoot);
+      const allValid = attributes.every(attribute => attribute.valid);
+      evidence.disclosure = { attributesRoot: identity.attributesRoot, attributes, allValid };
+      if (!allValid) {
+        return {
+          evidence,
+          disclosed: {},
+          valid: false,
+          message: 'The holder details in the PDF do not match the attributes committed on-chain.'
+        };
+      }
+      disclosed = Object.fromEntries(attributes.map(attribute => [attribute.key, attribute.value]));
+    }
+
+    return {
+      evidence,
+      disclosed,
+      valid: true,
+      message: `Signed by the ID holder on ${claims.exportedAt.split('T')[0]} and unchanged since. ` +
+        (claims.disclosure ? 'The holder details match the attributes committed on-chain.' : 'The PDF does not prove the holder details.')
+    };
+  });
+};
+
+/**
+ * Verify a W3C verifiable credential, or a presentation wrapping one
+ * The issuer's EIP-712 signature must be valid and the issuer must be an admin of the contract. A
+ * presentation must be signed by the credential subject over the challenge and domain this verifier
+ * gave the holder. The identity is then checked on-chain, so revocation, suspension and expiry
+ * override the signed credential.
+ * @param {string|Object} input - VC or VP JSON
+ * @param {Object} options - { challenge, domain } a presentation must have been signed for
+ * @returns {Promise<Object>} Verdict whose evidence.credential (and evidence.presentation) describe the proofs
+ */
+export const verifyCredential = async (input, { challenge, domain } = {}) => {
+  let parsed;
   try {
-    // Store in all_ids storage
-    const allIds = JSON.parse(localStorage.getItem('blockid_all_ids') || '{}');
-    allIds[normalizedId] = mockIdentity;
-    localStorage.setItem('blockid_all_ids', JSON.stringify(allIds));
-    console.log(`Saved mock ID ${normalizedId} to storage for future verification`);
-  } catch (saveError) {
-    console.warn("Failed to save mock ID:", saveError);
+    parsed = parseCredentialInput(input);
+  } catch (error) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      evidence: { input: typeof input === 'string' ? input.substring(0, 80) : null },
+      message: `Invalid verifiable credential: ${error.message}`
+    });
   }
-  
-  return {
-    success: true,
-    verified: true,
-    identity: mockIdentity,
-    source: "demo_mode",
-    message: "ID verified successfully in demo mode"
+
+  const { credential, presentation } = parsed;
+  const { credentialStatus, credentialSubject } = credential;
+  const idNumber = parseIdNumber(credentialStatus.idNumber);
+  const holder = parsePkhDid(credentialSubject.id).address;
+
+  let proof;
+  try {
+    proof = verifyCredentialProof(credential);
+  } catch (error) {
+    proof = { issuer: parsePkhDid(credential.issuer).address, signer: null, valid: false };
+  }
+  const evidence = {
+    credential: {
+      id: credential.id,
+      issuer: credential.issuer,
+      signatureValid: proof.valid,
+      issuanceDate: credential.issuanceDate,
+      expirationDate: credential.expirationDate
+    }
   };
-}; 
\ No newline at end of file
+
+  if (!proof.valid) {
+    return buildVerdict(VERDICT.TAMPERED, {
+      idNumber,
+      evidence,
+      message: 'The credential signature does not match its issuer. The contents may have been altered.'
+    });
+  }
+
+  if (presentation) {
+    evidence.presentation = { holder: presentation.holder, signed: !!presentation.proof, signatureValid: false };
+
+    if (!presentation.proof) {
+      return buildVerdict(VERDICT.UNKNOWN, {
+        idNumber,
+        evidence,
+        message: 'The presentation is not signed by its holder.'
+      });
+    }
+    if (typeof presentation.proof.challenge !== 'string' || typeof presentation.proof.domain !== 'string') {
+      return buildVerdict(VERDICT.UNKNOWN, {
+        idNumber,
+        evidence,
+        message: 'The presentation was not made for a verifier challenge. Ask the holder for a new one.'
+      });
+    }
+
+    let presented = { holder: null, signer: null, valid: false };
+    try {
+      presented = verifyPresentationProof(presentation, credential);
+    } catch (error) {
+      console.warn('Could not check the presentation signature:', error);
+    }
+    evidence.presentation.signatureValid = presented.valid;
+    evidence.presentation.challengeMatches = !!challenge && presented.challenge === challenge && presented.domain === domain;
+
+    if (!presented.valid || presented.holder !== holder) {
+      return buildVerdict(VERDICT.TAMPERED, {
+        idNumber,
+        evidence,
+        message: 'The presentation was not signed by the holder named in the credential.'
+      });
+    }
+    if (!evidence.presentation.challengeMatches) {
+      return buildVerdict(VERDICT.UNKNOWN, {
+        idNumber,
+        evidence,
+        message: 'The presentation was made for a different verifier or session, so it may be a replay. Ask the holder for a new one with your challenge.'
+      });
+    }
+  }
+
+  // Only admins of this contract may issue BlockID credentials
+  let contract;
+  try {
+    contract = await getVerificationContract();
+    if (credentialStatus.contractAddress.toLowerCase() !== getContractAddress().toLowerCase()) {
+      return buildVerdict(VERDICT.UNKNOWN, { idNumber, evidence, message: 'This credential was issued for a different network or contract.' });
+    }
+    evidence.credential.issuerIsAdmin = await contract.isAdmin(proof.issuer);
+  } catch (error) {
+    return buildVerdict(VERDICT.OFFLINE, {
+      idNumber,
+      source: 'offline_cache',
+      evidence: { ...evidence, chainError: error.message },
+      message: 'Blockchain unavailable. The credential could not be checked.'
+    });
+  }
+
+  if (!evidence.credential.issuerIsAdmin) {
+    return buildVerdict(VERDICT.UNKNOWN, {
+      idNumber,
+      evidence,
+      message: 'The credential was signed by a wallet that is not an admin of this BlockID contract.'
+    });
+  }
+
+  const verdict = await verifyCommittedProof({ idNumber, chainId: credentialStatus.chainId, contractAddress: credentialStatus.contractAddress }, (identity) => {
+    if (identity.owner.toLowerCase() !== holder.toLowerCase()) {
+      return { evidence, disclosed: {}, valid: false, message: 'This ID has moved to a different wallet since the credential was issued.' };
+    }
+    if (identity.uniqueIdentityHash.toLowerCase() !== credentialSubject.uniqueIdentityHash?.toLowerCase()) {
+      return { evidence, disclosed: {}, valid: false, message: 'The identity hash in the credential does not match the one stored on-chain.' };
+    }
+
+    // The name and date of birth were proven to the issuer, who vouches for them with its signature
+    return {
+      evidence,
+      disclosed: { fullName: credentialSubject.name, dateOfBirth: credentialSubject.dateOfBirth },
+      valid: true,
+      message: `Credential issued on ${credential.issuanceDate.split('T')[0]} by an admin of this contract and matching the identity on-chain.`
+    };
+  });
+
+  if (verdict.status === VERDICT.VALID && new Date(credential.expirationDate) <= new Date()) {
+    return buildVerdict(VERDICT.EXPIRED, {
+      idNumber,
+      identity: verdict.identity,
+      evidence: verdict.evidence,
+      message: `This credential expired on ${credential.expirationDate.split('T')[0]}. The ID is still valid on-chain; ask the holder for a new credential.`
+    });
+  }
+  return verdict;
+};